@@ -1,29 +1,57 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { connectMongoDB } from './src/config/database.js';
+import { requestContext } from './src/middleware/requestContext.js';
+import logger from './src/utils/logger.js';
 
 // Import all models
 import './src/models/User.js';
 import './src/models/Tower.js';
+import './src/models/Apartment.js';
+import './src/models/Lease.js';
 import './src/models/Parking.js';
 import './src/models/PQRS.js';
 import './src/models/Reservation.js';
 import './src/models/Notification.js';
 import './src/models/Survey.js';
 import './src/models/Payment.js';
+import './src/models/Receipt.js';
+import './src/models/Counter.js';
+import './src/models/Refund.js';
+import './src/models/GatewayEvent.js';
+import './src/models/BankStatement.js';
+import './src/models/PaymentPlan.js';
+import './src/models/Ledger.js';
 import './src/models/Permission.js';
+import './src/models/AuditLog.js';
 
-// Import routes (we'll create these)
-// import userRoutes from './src/routes/userRoutes.js';
-// import towerRoutes from './src/routes/towerRoutes.js';
-// import parkingRoutes from './src/routes/parkingRoutes.js';
-// import pqrsRoutes from './src/routes/pqrsRoutes.js';
-// import reservationRoutes from './src/routes/reservationRoutes.js';
-// import notificationRoutes from './src/routes/notificationRoutes.js';
-// import surveyRoutes from './src/routes/surveyRoutes.js';
-// import paymentRoutes from './src/routes/paymentRoutes.js';
-// import permissionRoutes from './src/routes/permissionRoutes.js';
+// Import routes
+import authRoutes from './src/routes/authRoutes.js';
+import meRoutes from './src/routes/meRoutes.js';
+import userRoutes from './src/routes/userRoutes.js';
+import towerRoutes from './src/routes/towerRoutes.js';
+import apartmentRoutes from './src/routes/apartmentRoutes.js';
+import leaseRoutes from './src/routes/leaseRoutes.js';
+import parkingRoutes from './src/routes/parkingRoutes.js';
+import pqrsRoutes from './src/routes/pqrsRoutes.js';
+import reservationRoutes from './src/routes/reservationRoutes.js';
+import notificationRoutes from './src/routes/notificationRoutes.js';
+import surveyRoutes from './src/routes/surveyRoutes.js';
+import paymentRoutes from './src/routes/paymentRoutes.js';
+import receiptRoutes from './src/routes/receiptRoutes.js';
+import refundRoutes from './src/routes/refundRoutes.js';
+import bankStatementRoutes from './src/routes/bankStatementRoutes.js';
+import paymentPlanRoutes from './src/routes/paymentPlanRoutes.js';
+import ownerRoutes from './src/routes/ownerRoutes.js';
+import ledgerRoutes from './src/routes/ledgerRoutes.js';
+import reportRoutes from './src/routes/reportRoutes.js';
+import permissionRoutes from './src/routes/permissionRoutes.js';
+import roleRoutes from './src/routes/roleRoutes.js';
+import moduleRoutes from './src/routes/moduleRoutes.js';
+import auditRoutes from './src/routes/auditRoutes.js';
 
 // Load environment variables
 dotenv.config();
@@ -34,13 +62,15 @@ const PORT = process.env.PORT || 3000;
 // =====================================
 // MIDDLEWARE
 // =====================================
+app.use(requestContext);
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+// Webhook signatures are checked against the exact bytes received
+app.use(express.json({ limit: '10mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Basic logging middleware
 app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
+  logger.info(`${req.method} ${req.url}`);
   next();
 });
 
@@ -64,32 +94,56 @@ app.get('/api', (req, res) => {
     message: 'Valhalla Apartment Management API',
     version: '1.0.0',
     endpoints: {
+      auth: '/api/auth',
+      me: '/api/me',
       users: '/api/users',
       towers: '/api/towers',
       apartments: '/api/apartments',
+      leases: '/api/leases',
       parking: '/api/parking',
       pqrs: '/api/pqrs',
       reservations: '/api/reservations',
       notifications: '/api/notifications',
       surveys: '/api/surveys',
       payments: '/api/payments',
+      receipts: '/api/receipts',
+      refunds: '/api/refunds',
+      bankStatements: '/api/bank-statements',
+      paymentPlans: '/api/payment-plans',
+      owners: '/api/owners',
+      ledger: '/api/ledger',
+      reports: '/api/reports',
       permissions: '/api/permissions',
       roles: '/api/roles',
-      modules: '/api/modules'
+      modules: '/api/modules',
+      audit: '/api/audit'
     }
   });
 });
 
-// Uncomment these as you create the route files
-// app.use('/api/users', userRoutes);
-// app.use('/api/towers', towerRoutes);
-// app.use('/api/parking', parkingRoutes);
-// app.use('/api/pqrs', pqrsRoutes);
-// app.use('/api/reservations', reservationRoutes);
-// app.use('/api/notifications', notificationRoutes);
-// app.use('/api/surveys', surveyRoutes);
-// app.use('/api/payments', paymentRoutes);
-// app.use('/api/permissions', permissionRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/towers', towerRoutes);
+app.use('/api/apartments', apartmentRoutes);
+app.use('/api/leases', leaseRoutes);
+app.use('/api/parking', parkingRoutes);
+app.use('/api/pqrs', pqrsRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/surveys', surveyRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/receipts', receiptRoutes);
+app.use('/api/refunds', refundRoutes);
+app.use('/api/bank-statements', bankStatementRoutes);
+app.use('/api/payment-plans', paymentPlanRoutes);
+app.use('/api/owners', ownerRoutes);
+app.use('/api/ledger', ledgerRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/permissions', permissionRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/modules', moduleRoutes);
+app.use('/api/audit', auditRoutes);
 
 // =====================================
 // ERROR HANDLING
@@ -106,14 +160,15 @@ app.use('*', (req, res) => {
 
 // Global error handler
 app.use((error, req, res, next) => {
-  console.error('Error:', error);
+  logger.error('Error:', error);
   
-  // Mongoose validation errors
+  // Mongoose and Joi request validation errors
   if (error.name === 'ValidationError') {
-    const errors = Object.values(error.errors).map(e => e.message);
+    const errors = Object.values(error.errors);
     return res.status(400).json({
       error: 'Validation Error',
-      messages: errors,
+      messages: errors.map(e => e.message),
+      fields: errors.map(e => ({ path: e.path, message: e.message })),
       timestamp: new Date().toISOString()
     });
   }
@@ -140,6 +195,8 @@ app.use((error, req, res, next) => {
   // Default error
   res.status(error.status || 500).json({
     error: error.message || 'Internal Server Error',
+    ...(error.code && typeof error.code === 'string' && { code: error.code }),
+    ...(error.details && { details: error.details }),
     timestamp: new Date().toISOString(),
     ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
   });
@@ -148,14 +205,15 @@ app.use((error, req, res, next) => {
 // =====================================
 // START SERVER
 // =====================================
-const startServer = async () => {
+// Resolves with the listening HTTP server
+export const startServer = async () => {
   try {
     // Connect to MongoDB
     await connectMongoDB();
     console.log('✅ Connected to MongoDB');
     
     // Start the server
-    app.listen(PORT, () => {
+    return app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📍 API Documentation: http://localhost:${PORT}/api`);
       console.log(`💊 Health Check: http://localhost:${PORT}/health`);
@@ -163,7 +221,8 @@ const startServer = async () => {
       if (process.env.NODE_ENV === 'development') {
         console.log('\n📚 Available Models:');
         console.log('   - User (users, profiles, owners, guards, pets)');
-        console.log('   - Tower (towers, apartments)');
+        console.log('   - Tower (towers)');
+        console.log('   - Apartment (apartments)');
         console.log('   - Parking (parking spaces, vehicle types)');
         console.log('   - PQRS (complaints, tracking)');
         console.log('   - Reservation (amenity reservations)');
@@ -196,7 +255,10 @@ process.on('SIGINT', () => {
   process.exit(0);
 });
 
-// Start the application
-startServer();
+// Start the application when run directly (`node app.js`); tests import the
+// app and start it themselves
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  startServer();
+}
 
 export default app;
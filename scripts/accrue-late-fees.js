@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { connectMongoDB } from '../src/config/database.js';
+import { accrueLateFees } from '../src/services/lateFeeService.js';
+
+dotenv.config();
+
+// =====================================
+// LATE-FEE ACCRUAL JOB
+// =====================================
+// Charges interest and penalties on overdue payments; meant to run daily
+// from cron. Missed days are charged by the next run, never twice.
+//
+// Usage: node scripts/accrue-late-fees.js [--as-of=YYYY-MM-DD] [--dry-run]
+
+const asOfArg = process.argv.find(value => value.startsWith('--as-of='));
+const asOf = asOfArg ? new Date(asOfArg.slice('--as-of='.length)) : new Date();
+const dryRun = process.argv.includes('--dry-run');
+
+const accrue = async () => {
+  if (Number.isNaN(asOf.getTime())) {
+    throw new Error('--as-of must be a date (YYYY-MM-DD)');
+  }
+
+  try {
+    console.log(`⏰ Accruing late fees as of ${asOf.toISOString().slice(0, 10)}${dryRun ? ' (dry run)' : ''}...`);
+    await connectMongoDB();
+
+    const summary = await accrueLateFees({ asOf, dryRun });
+    const { effectiveMonthlyRate, usuryMonthlyRate, graceDays } = summary.policy;
+    console.log(`   Rate ${(effectiveMonthlyRate * 100).toFixed(2)}%/month (usury cap ${(usuryMonthlyRate * 100).toFixed(2)}%), ${graceDays} grace days`);
+
+    for (const entry of summary.payments.filter(payment => payment.status !== 'skipped')) {
+      console.log(`   ${entry.payment}  ${entry.days} days  $${entry.amount}`);
+    }
+    console.log(`📦 ${summary.charged} charged, ${summary.skipped} skipped, total $${summary.totalCharged}`);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+accrue()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('\n💥 Late fee accrual failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { connectMongoDB } from '../src/config/database.js';
+import { checkPaymentPlans } from '../src/services/paymentPlanService.js';
+
+dotenv.config();
+
+// =====================================
+// PAYMENT PLAN CHECK
+// =====================================
+// Fills the installments of active payment plans with what was paid,
+// completes the settled ones and breaks those with a missed installment.
+// Meant to run daily from cron, before the late-fee accrual.
+//
+// Usage: node scripts/check-payment-plans.js [--as-of=YYYY-MM-DD] [--dry-run]
+
+const asOfArg = process.argv.find(value => value.startsWith('--as-of='));
+const asOf = asOfArg ? new Date(asOfArg.slice('--as-of='.length)) : new Date();
+const dryRun = process.argv.includes('--dry-run');
+
+const check = async () => {
+  if (Number.isNaN(asOf.getTime())) {
+    throw new Error('--as-of must be a date (YYYY-MM-DD)');
+  }
+
+  try {
+    console.log(`📅 Checking payment plans as of ${asOf.toISOString().slice(0, 10)}${dryRun ? ' (dry run)' : ''}...`);
+    await connectMongoDB();
+
+    const summary = await checkPaymentPlans({ asOf, dryRun });
+    for (const entry of summary.plans.filter(plan => plan.status !== 'active')) {
+      console.log(`   ${entry.plan}  ${entry.status}  ${entry.reason}`);
+    }
+    console.log(`📦 ${summary.checked} checked, ${summary.completed} completed, ${summary.broken} broken`);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+check()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('\n💥 Payment plan check failed:', error);
+    process.exit(1);
+  });
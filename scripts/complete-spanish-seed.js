@@ -5,6 +5,7 @@ import { connectMongoDB } from '../src/config/database.js';
 // Import models
 import User from '../src/models/User.js';
 import Tower from '../src/models/Tower.js';
+import Apartment from '../src/models/Apartment.js';
 import Parking from '../src/models/Parking.js';
 import PQRS from '../src/models/PQRS.js';
 import Notification from '../src/models/Notification.js';
@@ -12,6 +13,12 @@ import Reservation from '../src/models/Reservation.js';
 import Survey from '../src/models/Survey.js';
 import { Payment, PaymentStatus } from '../src/models/Payment.js';
 import { Permission, Module, Role, UserStatus } from '../src/models/Permission.js';
+import { JournalEntry, LedgerAccount } from '../src/models/Ledger.js';
+import Refund from '../src/models/Refund.js';
+import Counter from '../src/models/Counter.js';
+import BankStatement from '../src/models/BankStatement.js';
+import PaymentPlan from '../src/models/PaymentPlan.js';
+import { syncPaymentEntries } from '../src/services/ledgerService.js';
 
 dotenv.config();
 
@@ -21,21 +28,30 @@ const fullSpanishSeed = async () => {
     await connectMongoDB();
     console.log('✅ Conectado a MongoDB');
 
-    // Clear existing data
+    // Clear existing data (audited models skip the audit trail for the wipe)
     console.log('🗑️ Limpiando datos existentes...');
     await Promise.all([
-      User.deleteMany({}),
-      Tower.deleteMany({}),
-      Parking.deleteMany({}),
-      PQRS.deleteMany({}),
-      Notification.deleteMany({}),
-      Reservation.deleteMany({}),
-      Survey.deleteMany({}),
-      Payment.deleteMany({}),
+      User.deleteMany({}, { audit: false }),
+      Tower.deleteMany({}, { audit: false }),
+      Apartment.deleteMany({}, { audit: false }),
+      Parking.deleteMany({}, { audit: false }),
+      PQRS.deleteMany({}, { audit: false }),
+      Notification.deleteMany({}, { audit: false }),
+      Reservation.deleteMany({}, { audit: false }),
+      Survey.deleteMany({}, { audit: false }),
+      Payment.deleteMany({}, { audit: false }),
       PaymentStatus.deleteMany({}),
-      Permission.deleteMany({}),
+      Refund.deleteMany({}, { audit: false }),
+      JournalEntry.deleteMany({}, { audit: false }),
+      LedgerAccount.deleteMany({}),
+      Counter.deleteMany({}),
+      BankStatement.deleteMany({}, { audit: false }),
+      PaymentPlan.deleteMany({}, { audit: false }),
+      // System roles/permissions are protected by model middleware; the seed
+      // wipes their collections directly
+      Permission.collection.deleteMany({}),
       Module.deleteMany({}),
-      Role.deleteMany({}),
+      Role.collection.deleteMany({}),
       UserStatus.deleteMany({})
     ]);
     console.log('✅ Datos limpiados');
@@ -55,9 +71,10 @@ const fullSpanishSeed = async () => {
     console.log('💰 Creando estados de pago...');
     const paymentStatuses = await PaymentStatus.insertMany([
       { name: 'pending', description: 'Pago pendiente', color: '#FFA500', order: 1 },
-      { name: 'completed', description: 'Pago completado', color: '#28A745', order: 2 },
-      { name: 'failed', description: 'Pago fallido', color: '#DC3545', order: 3 },
-      { name: 'cancelled', description: 'Pago cancelado', color: '#6C757D', order: 4 }
+      { name: 'partial', description: 'Pago parcial', color: '#17A2B8', order: 2 },
+      { name: 'completed', description: 'Pago completado', color: '#28A745', order: 3 },
+      { name: 'failed', description: 'Pago fallido', color: '#DC3545', order: 4 },
+      { name: 'cancelled', description: 'Pago cancelado', color: '#6C757D', order: 5 }
     ]);
     console.log(`✅ ${paymentStatuses.length} estados de pago creados`);
 
@@ -74,8 +91,10 @@ const fullSpanishSeed = async () => {
       { name: 'read_pqrs', description: 'Ver PQRS', category: 'pqrs', action: 'read', resource: 'pqrs' },
       { name: 'approve_pqrs', description: 'Aprobar PQRS', category: 'pqrs', action: 'approve', resource: 'pqrs' },
       { name: 'manage_payment', description: 'Gestionar pagos', category: 'payment', action: 'manage', resource: 'payment' },
+      { name: 'approve_payment', description: 'Aprobar reembolsos', category: 'payment', action: 'approve', resource: 'payment' },
+      { name: 'read_audit', description: 'Ver auditoría', category: 'system', action: 'read', resource: 'audit' },
       { name: 'manage_system', description: 'Administración completa', category: 'system', action: 'manage', resource: 'system' }
-    ]);
+    ].map(permission => ({ ...permission, isSystem: true })));
     console.log(`✅ ${permissions.length} permisos creados`);
 
     // 4. Create Modules
@@ -246,23 +265,7 @@ const fullSpanishSeed = async () => {
           elevators: 2,
           emergencyStairs: 2
         },
-        apartments: [
-          {
-            number: '101', floor: 1, bedrooms: 3, bathrooms: 2, area: 85.5,
-            status: 'occupied', monthlyFee: 450000, lastPayment: new Date(),
-            ownerInfo: { fullName: 'Ana Rodríguez Pérez', documentNumber: '45678912', phone: '3001112222' }
-          },
-          {
-            number: '301', floor: 3, bedrooms: 3, bathrooms: 2, area: 90.0,
-            status: 'occupied', monthlyFee: 480000, lastPayment: new Date(),
-            ownerInfo: { fullName: 'María García López', documentNumber: '52478963', phone: '3109876543' }
-          },
-          {
-            number: '501', floor: 5, bedrooms: 2, bathrooms: 1, area: 65.0,
-            status: 'available', monthlyFee: 350000, lastPayment: null,
-            ownerInfo: null
-          }
-        ]
+        financial: { annualBudget: 15120000, budgetYear: 2025 }
       },
       {
         name: 'Torre B',
@@ -275,21 +278,47 @@ const fullSpanishSeed = async () => {
           elevators: 1,
           emergencyStairs: 2
         },
-        apartments: [
-          {
-            number: '102', floor: 1, bedrooms: 2, bathrooms: 2, area: 75.0,
-            status: 'occupied', monthlyFee: 400000, lastPayment: new Date(),
-            ownerInfo: { fullName: 'Luis Martínez Rodríguez', documentNumber: '74125896', phone: '3157891234' }
-          },
-          {
-            number: '202', floor: 2, bedrooms: 3, bathrooms: 2, area: 95.0,
-            status: 'occupied', monthlyFee: 520000, lastPayment: new Date(),
-            ownerInfo: { fullName: 'Isabella Fernández Torres', documentNumber: '67891234', phone: '3186667777' }
-          }
-        ]
+        financial: { annualBudget: 11040000, budgetYear: 2025 }
       }
     ]);
-    console.log(`✅ ${towers.length} torres creadas con ${towers.reduce((acc, t) => acc + t.apartments.length, 0)} apartamentos`);
+    console.log(`✅ ${towers.length} torres creadas`);
+
+    // 7b. Create Apartments
+    console.log('🏠 Creando apartamentos...');
+    const apartments = await Apartment.insertMany([
+      {
+        tower: towers[0]._id, number: '101', floor: 1, status: 'occupied',
+        details: { bedrooms: 3, bathrooms: 2, area: 85.5 },
+        financial: { monthlyFee: 450000, lastPaymentDate: new Date() },
+        ownerInfo: { fullName: 'Ana Rodríguez Pérez', documentNumber: '45678912', phone: '3001112222' }
+      },
+      {
+        tower: towers[0]._id, number: '301', floor: 3, status: 'occupied',
+        details: { bedrooms: 3, bathrooms: 2, area: 90.0 },
+        financial: { monthlyFee: 480000, lastPaymentDate: new Date() },
+        ownerId: users[1]._id,
+        ownerInfo: { fullName: 'María García López', documentNumber: '52478963', phone: '3109876543' }
+      },
+      {
+        tower: towers[0]._id, number: '501', floor: 5, status: 'available',
+        details: { bedrooms: 2, bathrooms: 1, area: 65.0 },
+        financial: { monthlyFee: 350000 }
+      },
+      {
+        tower: towers[1]._id, number: '102', floor: 1, status: 'occupied',
+        details: { bedrooms: 2, bathrooms: 2, area: 75.0 },
+        financial: { monthlyFee: 400000, lastPaymentDate: new Date() },
+        ownerId: users[2]._id,
+        ownerInfo: { fullName: 'Luis Martínez Rodríguez', documentNumber: '74125896', phone: '3157891234' }
+      },
+      {
+        tower: towers[1]._id, number: '202', floor: 2, status: 'occupied',
+        details: { bedrooms: 3, bathrooms: 2, area: 95.0 },
+        financial: { monthlyFee: 520000, lastPaymentDate: new Date() },
+        ownerInfo: { fullName: 'Isabella Fernández Torres', documentNumber: '67891234', phone: '3186667777' }
+      }
+    ]);
+    console.log(`✅ ${apartments.length} apartamentos creados`);
 
     // 8. Create Parking
     console.log('🚗 Creando parqueaderos...');
@@ -418,7 +447,8 @@ const fullSpanishSeed = async () => {
 
     // 10. Create Payments
     console.log('💳 Creando pagos...');
-    const payments = await Payment.insertMany([
+    // create() runs the save hooks, which number the completed payment's receipt
+    const payments = await Payment.create([
       {
         owner: users[0]._id,
         totalAmount: 480000,
@@ -432,7 +462,9 @@ const fullSpanishSeed = async () => {
           amount: 480000,
           category: 'maintenance'
         }],
-        notes: 'Pago de cuota mensual Torre A - Apt 301'
+        notes: 'Pago de cuota mensual Torre A - Apt 301',
+        tower: towers[0]._id,
+        apartment: apartments[1]._id
       },
       {
         owner: users[1]._id,
@@ -446,11 +478,18 @@ const fullSpanishSeed = async () => {
           amount: 400000,
           category: 'maintenance'
         }],
-        notes: 'Pago pendiente Torre B - Apt 102'
+        notes: 'Pago pendiente Torre B - Apt 102',
+        tower: towers[1]._id,
+        apartment: apartments[3]._id
       }
     ]);
     console.log(`✅ ${payments.length} pagos creados`);
 
+    // Chart of accounts (PUC) and the entries of the seeded payments
+    await LedgerAccount.ensureChart();
+    for (const payment of payments) await syncPaymentEntries(payment);
+    console.log('✅ Plan de cuentas y asientos contables creados');
+
     // 11. Create Notifications
     console.log('🔔 Creando notificaciones...');
     const notifications = await Notification.insertMany([
@@ -496,7 +535,7 @@ const fullSpanishSeed = async () => {
         endTime: new Date('2025-06-28T12:00:00.000Z'),
         eventType: 'birthday',
         reservedBy: {
-          userId: 12345, // Using number as required by model
+          userId: users[1]._id, // María García ObjectId
           userInfo: {
             fullName: 'María García López',
             apartmentNumber: '301',
@@ -526,7 +565,7 @@ const fullSpanishSeed = async () => {
         endTime: new Date('2025-06-30T22:00:00.000Z'),
         eventType: 'family_gathering',
         reservedBy: {
-          userId: 12346,
+          userId: users[2]._id, // Luis Martínez ObjectId
           userInfo: {
             fullName: 'Luis Martínez Rodríguez',
             apartmentNumber: '102',
@@ -557,12 +596,12 @@ const fullSpanishSeed = async () => {
         endTime: new Date('2025-06-26T21:00:00.000Z'),
         eventType: 'meeting',
         reservedBy: {
-          userId: 12347,
+          userId: users[2]._id, // Luis Martínez ObjectId
           userInfo: {
-            fullName: 'Isabella Fernández Torres',
-            apartmentNumber: '202',
+            fullName: 'Luis Martínez Rodríguez',
+            apartmentNumber: '102',
             towerName: 'Torre B',
-            phone: '3186667777'
+            phone: '3157891234'
           }
         },
         attendees: {
@@ -593,7 +632,7 @@ const fullSpanishSeed = async () => {
         endTime: new Date('2025-07-02T07:30:00.000Z'),
         eventType: 'exercise',
         reservedBy: {
-          userId: 12348,
+          userId: users[3]._id, // Jorge Morales ObjectId
           userInfo: {
             fullName: 'Jorge Morales Vigilante',
             apartmentNumber: 'Personal',
@@ -863,7 +902,7 @@ const fullSpanishSeed = async () => {
     console.log('\n🎉 ¡Datos completos en español creados exitosamente!');
     console.log('\n📊 RESUMEN COMPLETO:');
     console.log(`   👤 Usuarios: ${users.length} (admin, propietarios, vigilante)`);
-    console.log(`   🏢 Torres: ${towers.length} con ${towers.reduce((acc, t) => acc + t.apartments.length, 0)} apartamentos`);
+    console.log(`   🏢 Torres: ${towers.length} con ${apartments.length} apartamentos`);
     console.log(`   🚗 Parqueaderos: ${parkingSpaces.length} espacios`);
     console.log(`   📝 PQRS: ${pqrsRecords.length} registros`);
     console.log(`   💳 Pagos: ${payments.length} transacciones`);
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { connectMongoDB } from '../src/config/database.js';
+
+import Tower from '../src/models/Tower.js';
+import Apartment from '../src/models/Apartment.js';
+
+dotenv.config();
+
+// =====================================
+// APARTMENT SPLIT MIGRATION
+// =====================================
+// Moves the apartments embedded in `towers.apartments` into the `apartments`
+// collection. Each apartment keeps its subdocument _id, so ids already stored
+// elsewhere (e.g. Payment.apartment) stay valid. The embedded array is removed
+// from a tower only once all of its apartments were written; apartments that
+// already exist are left as they are, which makes re-runs safe.
+//
+// Usage: node scripts/migrate-apartments.js [--dry-run]
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const floorOf = (apartment) => {
+  const floor = apartment.details && apartment.details.floor;
+  return floor || Math.max(1, Math.floor(Number(apartment.number) / 100) || 1);
+};
+
+const toApartment = (tower, apartment) => {
+  const { floor, ...details } = apartment.details || {};
+
+  return {
+    _id: apartment._id,
+    tower: tower._id,
+    number: apartment.number,
+    floor: floorOf(apartment),
+    status: apartment.status || 'available',
+    ownerId: apartment.ownerId || null,
+    ownerInfo: apartment.ownerInfo,
+    details,
+    financial: apartment.financial,
+    occupancyHistory: apartment.occupancyHistory || [],
+    isActive: true,
+    createdAt: apartment.createdAt || tower.createdAt || new Date(),
+    updatedAt: apartment.updatedAt || new Date()
+  };
+};
+
+const migrateApartments = async () => {
+  try {
+    console.log(`🔄 Splitting tower apartments${DRY_RUN ? ' (dry run)' : ''}...`);
+    await connectMongoDB();
+
+    if (!DRY_RUN) await Apartment.createIndexes();
+
+    const stats = { towers: 0, apartments: 0, failedTowers: 0 };
+    const cursor = Tower.collection.find({ apartments: { $exists: true } });
+
+    for await (const tower of cursor) {
+      const apartments = (tower.apartments || []).map(apartment => toApartment(tower, apartment));
+      stats.towers++;
+      stats.apartments += apartments.length;
+
+      if (DRY_RUN) {
+        console.log(`🏢 ${tower.name}: ${apartments.length} apartments`);
+        continue;
+      }
+
+      try {
+        if (apartments.length > 0) {
+          await Apartment.collection.bulkWrite(apartments.map(apartment => ({
+            updateOne: {
+              filter: { _id: apartment._id },
+              update: { $setOnInsert: apartment },
+              upsert: true
+            }
+          })), { ordered: false });
+        }
+
+        await Tower.collection.updateOne({ _id: tower._id }, { $unset: { apartments: '' } });
+        await Tower.syncApartmentTotal(tower._id);
+        console.log(`🏢 ${tower.name}: ${apartments.length} apartments moved`);
+      } catch (error) {
+        stats.failedTowers++;
+        console.warn(`   ⚠️ ${tower.name}: ${error.message} (embedded apartments kept)`);
+      }
+    }
+
+    console.log(`📦 ${stats.towers} towers, ${stats.apartments} apartments`);
+    return stats.failedTowers;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+migrateApartments()
+  .then((failed) => {
+    if (failed > 0) {
+      console.log('\n⚠️ Some towers could not be split; fix the duplicated apartment numbers and re-run');
+      process.exit(1);
+    }
+    console.log(`\n🎉 Apartments ${DRY_RUN ? 'checked' : 'migrated'} successfully`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n💥 Apartment migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,258 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import dbManager, { connectMongoDB, connectMySQL } from '../src/config/database.js';
+import { STEPS, legacyObjectId } from './sql-migration/steps.js';
+
+dotenv.config();
+
+// =====================================
+// MYSQL -> MONGODB MIGRATION
+// =====================================
+// Copies the legacy `vallhalladb` tables into the MongoDB collections, step
+// by step (see sql-migration/steps.js for the table mappings).
+//
+// - Idempotent: every document gets an _id derived from its legacy key, so a
+//   re-run updates the documents it created instead of duplicating them.
+// - Resumable: the last migrated key of each step is checkpointed in
+//   `migration_checkpoints`; an interrupted run continues where it stopped
+//   and finished steps are skipped.
+// - Rows that fail validation are counted and reported, not fatal.
+// - A reconciliation summary compares source row counts (tables and embedded
+//   child tables) with what is stored in MongoDB.
+//
+// Usage: node scripts/migrate-from-sql.js [--dry-run] [--only=users,towers]
+//                                         [--reset] [--batch=500]
+//
+// --dry-run maps and validates every row without writing anything.
+// --reset ignores the checkpoints of the selected steps and migrates them again.
+//
+// Writes skip the audit trail: migrated data is not a user change.
+
+const readOption = (name) => {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+};
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const RESET = process.argv.includes('--reset');
+const ONLY = readOption('only') ? readOption('only').split(',').map(name => name.trim()) : null;
+const BATCH_SIZE = Number(readOption('batch')) || 500;
+const MAX_RECORDED_ERRORS = 50;
+
+const checkpoints = () => mongoose.connection.collection('migration_checkpoints');
+
+// =====================================
+// MIGRATION CONTEXT
+// =====================================
+// Shared by the steps: SQL access and a per-run cache for lookup tables
+const createContext = (mysqlConnection) => {
+  const cache = new Map();
+
+  return {
+    query: async (sql, params = []) => {
+      const [rows] = await mysqlConnection.query(sql, params);
+      return rows;
+    },
+    cache: (key, load) => {
+      if (!cache.has(key)) cache.set(key, load());
+      return cache.get(key);
+    }
+  };
+};
+
+// =====================================
+// STEP EXECUTION
+// =====================================
+const writeDocument = async (step, _id, data, counts) => {
+  const existing = await step.model.findById(_id);
+  const doc = existing || new step.model({ _id });
+  doc.set(data);
+  doc.$locals.audit = false;
+
+  // Validation runs separately so legacy-only exceptions can be skipped
+  await doc.validate({ pathsToSkip: step.skipValidation });
+  if (!DRY_RUN) await doc.save({ validateBeforeSave: false });
+
+  counts[existing ? 'updated' : 'inserted']++;
+};
+
+const saveCheckpoint = async (step, checkpoint) => {
+  if (DRY_RUN) return;
+  await checkpoints().updateOne(
+    { _id: step.name },
+    { $set: { ...checkpoint, updatedAt: new Date() } },
+    { upsert: true }
+  );
+};
+
+const runStep = async (step, ctx) => {
+  // A dry run always checks the whole table
+  const saved = RESET || DRY_RUN ? null : await checkpoints().findOne({ _id: step.name });
+  if (saved && saved.status === 'done') {
+    console.log(`⏭️  ${step.name}: already migrated (use --reset to run it again)`);
+    return saved;
+  }
+
+  const checkpoint = {
+    status: 'running',
+    lastId: saved ? saved.lastId : null,
+    counts: saved ? saved.counts : { read: 0, inserted: 0, updated: 0, failed: 0 },
+    errors: saved ? saved.errors : []
+  };
+  if (checkpoint.lastId !== null) {
+    console.log(`↩️  ${step.name}: resuming after ${step.key} ${checkpoint.lastId}`);
+  }
+
+  const keyColumn = `${step.alias}.${step.key}`;
+
+  while (true) {
+    const where = checkpoint.lastId !== null ? `WHERE ${keyColumn} > ?` : '';
+    const params = checkpoint.lastId !== null ? [checkpoint.lastId] : [];
+    const rows = await ctx.query(
+      `${step.select} ${where} ORDER BY ${keyColumn} LIMIT ${BATCH_SIZE}`,
+      params
+    );
+    if (rows.length === 0) break;
+
+    const related = step.related ? await step.related(rows, ctx) : {};
+
+    for (const row of rows) {
+      checkpoint.counts.read++;
+      const units = step.expand ? step.expand(row, related) : [{ legacyKey: row.id, row }];
+
+      for (const unit of units) {
+        try {
+          const data = step.map(unit.row, related);
+          await writeDocument(step, legacyObjectId(step.table, unit.legacyKey), data, checkpoint.counts);
+        } catch (error) {
+          checkpoint.counts.failed++;
+          if (checkpoint.errors.length < MAX_RECORDED_ERRORS) {
+            checkpoint.errors.push({ key: String(unit.legacyKey), message: error.message });
+          }
+        }
+      }
+    }
+
+    checkpoint.lastId = rows[rows.length - 1].id;
+    await saveCheckpoint(step, checkpoint);
+  }
+
+  checkpoint.status = 'done';
+  await saveCheckpoint(step, checkpoint);
+
+  const { read, inserted, updated, failed } = checkpoint.counts;
+  const verb = DRY_RUN ? 'would be ' : '';
+  console.log(`📦 ${step.name}: ${read} rows read, ${inserted} ${verb}inserted, ${updated} ${verb}updated, ${failed} failed`);
+  checkpoint.errors.slice(0, 5).forEach(error => {
+    console.warn(`   ⚠️ ${step.key} ${error.key}: ${error.message}`);
+  });
+  if (checkpoint.errors.length > 5) {
+    console.warn(`   ⚠️ ... ${checkpoint.errors.length - 5} more in migration_checkpoints`);
+  }
+
+  return checkpoint;
+};
+
+// =====================================
+// RECONCILIATION
+// =====================================
+// Compares the source rows with the documents carrying their deterministic
+// ids, and each embedded child table with the summed array sizes
+const reconcileStep = async (step, ctx) => {
+  const keys = await ctx.query(step.sourceKeys || `SELECT ${step.key} AS id FROM ${step.table}`);
+  const result = {
+    step: step.name,
+    source: keys.length,
+    migrated: 0,
+    children: (step.children || []).map(child => ({ ...child, source: 0, migrated: 0 }))
+  };
+
+  for (const child of result.children) {
+    const [{ total }] = await ctx.query(`SELECT COUNT(*) AS total FROM ${child.table}`);
+    child.source = Number(total);
+  }
+
+  for (let i = 0; i < keys.length; i += BATCH_SIZE) {
+    const ids = keys.slice(i, i + BATCH_SIZE).map(row => legacyObjectId(step.table, row.id));
+    result.migrated += await step.model.countDocuments({ _id: { $in: ids } });
+
+    for (const child of result.children) {
+      const [sizes] = await step.model.aggregate([
+        { $match: { _id: { $in: ids } } },
+        { $group: { _id: null, total: { $sum: { $size: { $ifNull: [`$${child.path}`, []] } } } } }
+      ]);
+      child.migrated += sizes ? sizes.total : 0;
+    }
+  }
+
+  return result;
+};
+
+const printReconciliation = (results) => {
+  console.log('\n📊 Reconciliation (source rows -> MongoDB):');
+  let mismatches = 0;
+
+  const line = (label, source, migrated) => {
+    const ok = source === migrated;
+    if (!ok) mismatches++;
+    console.log(`   ${ok ? '✅' : '❌'} ${label}: ${source} -> ${migrated}${ok ? '' : ` (${source - migrated} missing)`}`);
+  };
+
+  for (const result of results) {
+    line(result.step, result.source, result.migrated);
+    result.children.forEach(child => line(`  ${child.table} (${child.path})`, child.source, child.migrated));
+  }
+
+  return mismatches;
+};
+
+// =====================================
+// RUNNER
+// =====================================
+const migrateFromSql = async () => {
+  const steps = ONLY ? STEPS.filter(step => ONLY.includes(step.name)) : STEPS;
+  if (ONLY && steps.length !== ONLY.length) {
+    const known = STEPS.map(step => step.name);
+    throw new Error(`Unknown step(s): ${ONLY.filter(name => !known.includes(name)).join(', ')}. Steps: ${known.join(', ')}`);
+  }
+
+  try {
+    console.log(`🔄 Migrating MySQL data to MongoDB${DRY_RUN ? ' (dry run)' : ''}...`);
+    await connectMongoDB();
+    const ctx = createContext(await connectMySQL());
+
+    if (!DRY_RUN) {
+      for (const step of steps) await step.model.createIndexes();
+    }
+
+    let failed = 0;
+    for (const step of steps) {
+      const checkpoint = await runStep(step, ctx);
+      failed += checkpoint.counts.failed;
+    }
+
+    // Nothing was written on a dry run, so there is nothing to reconcile
+    if (DRY_RUN) return { failed, mismatches: 0 };
+
+    const results = [];
+    for (const step of steps) results.push(await reconcileStep(step, ctx));
+
+    return { failed, mismatches: printReconciliation(results) };
+  } finally {
+    await dbManager.disconnect();
+  }
+};
+
+migrateFromSql()
+  .then(({ failed, mismatches }) => {
+    if (failed > 0 || mismatches > 0) {
+      console.log(`\n⚠️ Migration finished with ${failed} failed rows and ${mismatches} count mismatches; fix the data and re-run with --reset --only=<step>`);
+      process.exit(1);
+    }
+    console.log(`\n🎉 MySQL data ${DRY_RUN ? 'checked' : 'migrated'} successfully`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n💥 MySQL migration failed:', error);
+    process.exit(1);
+  });
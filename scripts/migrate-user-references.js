@@ -0,0 +1,208 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { connectMongoDB } from '../src/config/database.js';
+
+import User from '../src/models/User.js';
+import Tower from '../src/models/Tower.js';
+import Apartment from '../src/models/Apartment.js';
+import Parking from '../src/models/Parking.js';
+import PQRS from '../src/models/PQRS.js';
+import Notification from '../src/models/Notification.js';
+import Reservation from '../src/models/Reservation.js';
+import Survey from '../src/models/Survey.js';
+
+dotenv.config();
+
+// =====================================
+// USER REFERENCE MIGRATION
+// =====================================
+// Converts legacy numeric (MySQL) user ids into User ObjectIds, resolving
+// them through `User.legacyId`. `0` was used for "system" and becomes null.
+// Ids without a matching user are left untouched and reported, so the
+// script can be re-run after the missing `legacyId`s are filled in; values
+// that are already ObjectIds are skipped, which makes re-runs safe.
+//
+// Usage: node scripts/migrate-user-references.js [--dry-run]
+//
+// Writes go through the raw collections: the documents do not pass schema
+// casting until they are migrated.
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const BATCH_SIZE = 500;
+
+const REFERENCES = [
+  {
+    // Towers not yet split by migrate-apartments.js
+    model: Tower,
+    paths: ['apartments.ownerId', 'apartments.occupancyHistory.ownerId']
+  },
+  {
+    model: Apartment,
+    paths: ['ownerId', 'occupancyHistory.ownerId']
+  },
+  {
+    model: Parking,
+    paths: ['reservations.userId', 'usageHistory.userId']
+  },
+  {
+    model: Notification,
+    paths: [
+      'targetUserId',
+      'recipients.userId',
+      'createdBy.userId',
+      'approval.approvedBy.userId',
+      'approval.rejectedBy.userId'
+    ]
+  },
+  {
+    model: Reservation,
+    paths: [
+      'reservedBy.userId',
+      'approval.approvedBy.userId',
+      'approval.rejectedBy.userId',
+      'cancellation.cancelledBy.userId',
+      'checkIn.checkedInBy.userId',
+      'checkOut.checkedOutBy.userId',
+      'internalNotes.addedBy.userId'
+    ]
+  },
+  {
+    model: PQRS,
+    paths: [
+      'answer.answeredBy.userId',
+      'tracking.userId',
+      'assignedTo.userId',
+      'resolution.resolvedBy.userId',
+      'communications.sentBy.userId',
+      'communications.sentTo.userId',
+      'archivedBy.userId'
+    ]
+  },
+  {
+    model: Survey,
+    paths: ['settings.access.allowedUsers', 'lifecycle.publishedBy.userId', 'archivedBy.userId']
+  }
+];
+
+const loadLegacyMap = async () => {
+  const users = await User.find({ legacyId: { $type: 'number' } }).select('legacyId').lean();
+  return new Map(users.map(user => [user.legacyId, user._id]));
+};
+
+// Replaces numeric ids at `segments` (arrays are walked element by element).
+// Returns true when anything changed.
+const convertPath = (container, segments, legacyMap, stats) => {
+  if (Array.isArray(container)) {
+    return container
+      .map(item => convertPath(item, segments, legacyMap, stats))
+      .some(Boolean);
+  }
+  if (!container || typeof container !== 'object') return false;
+
+  const [key, ...rest] = segments;
+  if (rest.length > 0) return convertPath(container[key], rest, legacyMap, stats);
+
+  const convert = (value) => {
+    if (typeof value !== 'number') return value;
+    if (value === 0) {
+      stats.converted++;
+      return null;
+    }
+    if (legacyMap.has(value)) {
+      stats.converted++;
+      return legacyMap.get(value);
+    }
+    stats.unresolved.add(value);
+    return value;
+  };
+
+  // Arrays of ids (Survey allowedUsers) drop system ids instead of keeping null
+  const current = container[key];
+  const next = Array.isArray(current)
+    ? current.map(convert).filter(value => value !== null)
+    : convert(current);
+  const changed = Array.isArray(current)
+    ? next.length !== current.length || next.some((value, i) => value !== current[i])
+    : next !== current;
+
+  if (changed) container[key] = next;
+  return changed;
+};
+
+const migrateModel = async ({ model, paths }, legacyMap) => {
+  const stats = { scanned: 0, updated: 0, converted: 0, unresolved: new Set() };
+  const filter = { $or: paths.map(path => ({ [path]: { $type: 'number' } })) };
+  const cursor = model.collection.find(filter);
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    if (!DRY_RUN) await model.collection.bulkWrite(operations, { ordered: false });
+    operations = [];
+  };
+
+  for await (const doc of cursor) {
+    stats.scanned++;
+    const $set = {};
+
+    for (const path of paths) {
+      const segments = path.split('.');
+      if (convertPath(doc, segments, legacyMap, stats)) {
+        $set[segments[0]] = doc[segments[0]];
+      }
+    }
+
+    if (Object.keys($set).length > 0) {
+      stats.updated++;
+      operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set } } });
+      if (operations.length >= BATCH_SIZE) await flush();
+    }
+  }
+
+  await flush();
+  return stats;
+};
+
+const migrateUserReferences = async () => {
+  try {
+    console.log(`🔄 Migrating user references${DRY_RUN ? ' (dry run)' : ''}...`);
+    await connectMongoDB();
+
+    if (!DRY_RUN) await User.createIndexes();
+
+    const legacyMap = await loadLegacyMap();
+    console.log(`👤 ${legacyMap.size} users with legacyId`);
+    if (legacyMap.size === 0) {
+      console.warn('⚠️ No user has a legacyId: only system ids (0) can be converted');
+    }
+
+    let unresolvedTotal = 0;
+    for (const reference of REFERENCES) {
+      const stats = await migrateModel(reference, legacyMap);
+      unresolvedTotal += stats.unresolved.size;
+
+      console.log(`📦 ${reference.model.modelName}: ${stats.scanned} scanned, ${stats.updated} updated, ${stats.converted} references converted`);
+      if (stats.unresolved.size > 0) {
+        console.warn(`   ⚠️ Unresolved legacy ids: ${[...stats.unresolved].sort((a, b) => a - b).join(', ')}`);
+      }
+    }
+
+    return unresolvedTotal;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+migrateUserReferences()
+  .then((unresolved) => {
+    if (unresolved > 0) {
+      console.log('\n⚠️ Migration finished with unresolved ids; set the missing User.legacyId values and re-run');
+      process.exit(1);
+    }
+    console.log(`\n🎉 User references ${DRY_RUN ? 'checked' : 'migrated'} successfully`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n💥 User reference migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,39 @@
+import dotenv from 'dotenv';
+import { getGateway } from '../src/services/gateways/index.js';
+
+dotenv.config();
+
+// =====================================
+// MOCK GATEWAY CUSTOMER
+// =====================================
+// Plays the customer and the gateway in development: moves a mock checkout
+// to a new status and posts the signed webhook to the running API.
+//
+// Usage: node scripts/mock-gateway.js <checkoutId> [succeeded|authorized|failed|expired]
+//          [--url=http://localhost:3000]
+
+const STATUSES = ['succeeded', 'authorized', 'failed', 'expired'];
+
+const [checkoutId, status = 'succeeded'] = process.argv.slice(2).filter(value => !value.startsWith('--'));
+const urlArg = process.argv.find(value => value.startsWith('--url='));
+const baseUrl = urlArg ? urlArg.slice('--url='.length) : `http://localhost:${process.env.PORT || 3000}`;
+
+const run = async () => {
+  if (!checkoutId || !STATUSES.includes(status)) {
+    throw new Error(`Usage: mock-gateway.js <checkoutId> [${STATUSES.join('|')}]`);
+  }
+
+  const gateway = getGateway('mock');
+  const { body, headers } = await gateway.simulate(checkoutId, status);
+
+  const response = await fetch(`${baseUrl}/api/payments/webhook`, { method: 'POST', headers, body });
+  console.log(`📨 ${status} webhook for ${checkoutId}: HTTP ${response.status}`);
+  console.log(JSON.stringify(await response.json(), null, 2));
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('\n💥 Mock gateway failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { connectMongoDB } from '../src/config/database.js';
+import { reconcilePayments } from '../src/services/paymentGatewayService.js';
+
+dotenv.config();
+
+// =====================================
+// GATEWAY RECONCILIATION JOB
+// =====================================
+// Asks the gateway about checkouts that stayed pending (lost webhooks) and
+// applies its answer; meant to run from cron every hour or so.
+//
+// Usage: node scripts/reconcile-payments.js [--dry-run]
+
+const dryRun = process.argv.includes('--dry-run');
+
+const reconcile = async () => {
+  try {
+    console.log(`🔄 Reconciling pending checkouts${dryRun ? ' (dry run)' : ''}...`);
+    await connectMongoDB();
+
+    const summary = await reconcilePayments({ dryRun });
+    for (const entry of summary.payments) {
+      console.log(`   ${entry.reference}  ${entry.checkoutId}  ${entry.result}${entry.status ? ` (${entry.status})` : ''}`);
+    }
+    console.log(`📦 ${summary.checked} checked, ${summary.applied} applied, ${summary.pending} still pending, ${summary.missing} missing`);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+reconcile()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('\n💥 Reconciliation failed:', error);
+    process.exit(1);
+  });
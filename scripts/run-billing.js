@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { connectMongoDB } from '../src/config/database.js';
+import { currentPeriod, runBilling } from '../src/services/billingService.js';
+
+dotenv.config();
+
+// =====================================
+// MONTHLY BILLING JOB
+// =====================================
+// Creates the invoices of a period; meant to run from cron at the start of
+// every month. Re-running a period only bills apartments that were missed.
+//
+// Usage: node scripts/run-billing.js [--period=YYYY-MM] [--tower=<id>] [--dry-run]
+
+const argValue = (name) => {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+};
+
+const period = argValue('period') || currentPeriod();
+const tower = argValue('tower');
+const dryRun = process.argv.includes('--dry-run');
+
+const billing = async () => {
+  try {
+    console.log(`🧾 Billing ${period}${dryRun ? ' (dry run)' : ''}...`);
+    await connectMongoDB();
+
+    const summary = await runBilling(period, { tower, dryRun });
+
+    for (const entry of summary.apartments) {
+      const detail = entry.reason || entry.error || `$${entry.totalAmount}`;
+      console.log(`   ${entry.status.padEnd(8)} ${entry.number}  ${detail}`);
+    }
+    console.log(`📦 ${summary.created} created, ${summary.skipped} skipped, ${summary.failed} failed, total $${summary.totalAmount}`);
+    return summary;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+billing()
+  .then((summary) => process.exit(summary.failed > 0 ? 1 : 0))
+  .catch((error) => {
+    console.error('\n💥 Billing run failed:', error);
+    process.exit(1);
+  });
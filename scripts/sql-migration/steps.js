@@ -0,0 +1,613 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+import User from '../../src/models/User.js';
+import Tower from '../../src/models/Tower.js';
+import Apartment from '../../src/models/Apartment.js';
+import Parking from '../../src/models/Parking.js';
+import PQRS from '../../src/models/PQRS.js';
+import Notification from '../../src/models/Notification.js';
+import Reservation from '../../src/models/Reservation.js';
+import Survey from '../../src/models/Survey.js';
+import { Payment } from '../../src/models/Payment.js';
+import { Permission, Module, Role } from '../../src/models/Permission.js';
+
+// =====================================
+// LEGACY TABLE -> DOCUMENT MAPPINGS
+// =====================================
+// One step per top-level collection, in dependency order. Each step reads
+// its main table in primary-key pages (`select` + `alias`.`key`), loads the
+// child tables it embeds with `related`, and turns each row into a document
+// with `map`. Column names follow the legacy `vallhalladb` schema and are
+// aliased in SQL, so a differing dump only needs its SELECTs adjusted.
+//
+// Optional step fields:
+// - expand:          turns one row into several documents ({ legacyKey, row })
+// - skipValidation:  schema paths not validated for legacy data
+// - sourceKeys:      SQL listing every legacy key, when not `key` of `table`
+// - children:        embedded tables ({ table, path }) checked by reconciliation
+//
+// Documents get a deterministic _id derived from (table, legacy id): re-runs
+// update the same documents and references resolve without lookups.
+
+export const legacyObjectId = (table, id) => {
+  if (id === null || id === undefined) return null;
+  const hash = crypto.createHash('md5').update(`${table}:${id}`).digest('hex');
+  return new mongoose.Types.ObjectId(hash.slice(0, 24));
+};
+
+const userRef = (id) => (id ? legacyObjectId('users', id) : null);
+
+// =====================================
+// VALUE NORMALIZATION
+// =====================================
+const normalizeKey = (value) => String(value ?? '')
+  .trim()
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[̀-ͯ]/g, '')
+  .replace(/[\s-]+/g, '_');
+
+// Maps a legacy label (Spanish or English) onto a schema enum value
+const enumValue = (value, dictionary, fallback) => {
+  const key = normalizeKey(value);
+  if (dictionary[key]) return dictionary[key];
+  return Object.values(dictionary).includes(key) ? key : fallback;
+};
+
+const toBoolean = (value) => value === true || value === 1 || value === '1' || normalizeKey(value) === 'true';
+
+const toDate = (value) => (value ? new Date(value) : undefined);
+
+const truncate = (value, length) => (value ? String(value).trim().slice(0, length) : value);
+
+// Apartment 301 is on floor 3
+const apartmentFloor = (number) => Math.min(50, Math.max(1, Math.floor(Number(number) / 100) || 1));
+
+const groupBy = (rows, field) => {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row[field])) groups.set(row[field], []);
+    groups.get(row[field]).push(row);
+  }
+  return groups;
+};
+
+const USER_STATUS = { activo: 'active', inactivo: 'inactive', suspendido: 'suspended', pendiente: 'pending', bloqueado: 'blocked' };
+const DOCUMENT_TYPES = { cc: 'CC', cedula: 'CC', ce: 'CE', cedula_de_extranjeria: 'CE', ti: 'TI', tarjeta_de_identidad: 'TI', pp: 'PP', pasaporte: 'PP', nit: 'NIT' };
+const ROLE_TYPES = { administrador: 'admin', super_administrador: 'admin', administrator: 'admin', gerente: 'manager', vigilante: 'guard', seguridad: 'guard', propietario: 'owner', residente: 'resident', invitado: 'guest' };
+const ROLE_LEVELS = { admin: 1, manager: 3, owner: 5, resident: 6, guard: 8, guest: 10 };
+const ACTIONS = { crear: 'create', create: 'create', leer: 'read', ver: 'read', read: 'read', view: 'read', actualizar: 'update', editar: 'update', update: 'update', edit: 'update', eliminar: 'delete', borrar: 'delete', delete: 'delete', gestionar: 'manage', aprobar: 'approve', rechazar: 'reject' };
+const MODULE_CATEGORIES = { usuarios: 'user', users: 'user', apartamentos: 'apartment', torres: 'apartment', parqueaderos: 'parking', pqrs: 'pqrs', reservas: 'reservation', notificaciones: 'notification', pagos: 'payment', encuestas: 'survey' };
+const APARTMENT_STATUS = { disponible: 'available', ocupado: 'occupied', mantenimiento: 'maintenance', reservado: 'reserved' };
+const PARKING_STATUS = { disponible: 'available', ocupado: 'occupied', reservado: 'reserved', mantenimiento: 'maintenance', fuera_de_servicio: 'out_of_service' };
+const PARKING_TYPES = { cubierto: 'covered', moto: 'motorcycle', motocicleta: 'motorcycle', discapacitados: 'disabled', visitante: 'visitor', visitantes: 'visitor', electrico: 'electric' };
+const VEHICLE_TYPES = { carro: 'car', automovil: 'car', moto: 'motorcycle', motocicleta: 'motorcycle', camion: 'truck', camioneta: 'suv', furgon: 'van', bicicleta: 'bicycle' };
+const PQRS_CATEGORIES = { petition: 'peticion', complaint: 'queja', claim: 'reclamo', suggestion: 'sugerencia' };
+const PQRS_STATUS = { abierto: 'received', recibido: 'received', open: 'received', en_revision: 'in_review', en_proceso: 'in_progress', pendiente: 'pending_info', resuelto: 'resolved', cerrado: 'closed', rechazado: 'rejected' };
+const PRIORITIES = { baja: 'low', media: 'medium', alta: 'high', urgente: 'urgent', critica: 'critical' };
+const RESERVATION_TYPES = { piscina: 'pool', bbq: 'bbq_area', zona_bbq: 'bbq_area', sala_de_reuniones: 'meeting_room', gimnasio: 'gym', salon_social: 'party_room', salon_de_fiestas: 'party_room', parque_infantil: 'playground', cancha_de_tenis: 'tennis_court', salon_multiple: 'multipurpose_room' };
+const RESERVATION_STATUS = { pendiente: 'pending', confirmada: 'confirmed', cancelada: 'cancelled', completada: 'completed', no_asistio: 'no_show', en_curso: 'in_progress' };
+const NOTIFICATION_TYPES = { pago: 'payment', mantenimiento: 'maintenance', seguridad: 'security', comunidad: 'community', emergencia: 'emergency', reserva: 'reservation' };
+const SURVEY_STATUS = { borrador: 'draft', activa: 'active', activo: 'active', pausada: 'paused', completada: 'completed', cerrada: 'closed', archivada: 'archived' };
+const QUESTION_TYPES = { texto: 'text', parrafo: 'textarea', opcion_multiple: 'multiple_choice', seleccion_unica: 'single_choice', calificacion: 'rating', escala: 'scale', si_no: 'yes_no', fecha: 'date', numero: 'number' };
+const PAYMENT_STATUS = { pendiente: 'pending', pagado: 'completed', completado: 'completed', fallido: 'failed', cancelado: 'cancelled', reembolsado: 'refunded' };
+const PAYMENT_METHODS = { efectivo: 'cash', tarjeta_de_credito: 'credit_card', tarjeta_credito: 'credit_card', tarjeta_de_debito: 'debit_card', tarjeta_debito: 'debit_card', transferencia: 'bank_transfer', pse: 'online', cheque: 'check' };
+
+// =====================================
+// SHARED LOOKUPS
+// =====================================
+// Denormalized user details (userInfo blocks) and owner -> user ids, loaded
+// once per run
+const loadPeople = (ctx) => ctx.cache('people', async () => {
+  const rows = await ctx.query(`
+    SELECT u.Users_id AS id, p.Profile_fullName AS fullName, p.Profile_document_number AS documentNumber,
+           p.Profile_telephone_number AS phone, u.Users_email AS email,
+           a.Apartment_number AS apartmentNumber, t.Tower_name AS towerName
+    FROM users u
+    LEFT JOIN profile p ON p.User_FK_ID = u.Users_id
+    LEFT JOIN owner o ON o.User_FK_ID = u.Users_id
+    LEFT JOIN apartment a ON a.Owner_FK_ID = o.Owner_id
+    LEFT JOIN tower t ON t.Tower_id = a.Tower_FK_ID`);
+
+  const people = new Map();
+  for (const row of rows) {
+    if (!people.has(row.id)) people.set(row.id, row);
+  }
+  return people;
+});
+
+const loadOwnerUsers = (ctx) => ctx.cache('ownerUsers', async () => {
+  const rows = await ctx.query('SELECT Owner_id AS ownerId, User_FK_ID AS userId FROM owner');
+  return new Map(rows.map(row => [row.ownerId, row.userId]));
+});
+
+const personInfo = (people, userId) => {
+  const person = people.get(userId) || {};
+  return {
+    fullName: person.fullName || 'Unknown',
+    documentNumber: person.documentNumber || undefined,
+    phone: person.phone || 'N/A',
+    email: person.email || undefined,
+    apartmentNumber: person.apartmentNumber || 'N/A',
+    towerName: person.towerName || undefined
+  };
+};
+
+// =====================================
+// STEPS
+// =====================================
+export const STEPS = [
+  {
+    name: 'modules',
+    table: 'module',
+    alias: 'm',
+    key: 'module_id',
+    model: Module,
+    select: 'SELECT m.module_id AS id, m.module_name AS name, m.module_description AS description FROM module m',
+    map: (row) => ({
+      name: truncate(row.name, 30),
+      description: row.description || row.name,
+      path: `/${normalizeKey(row.name)}`
+    })
+  },
+
+  {
+    // Legacy permissions are actions granted per module through
+    // permissions_modules_roles; each (module, permission) pair becomes an
+    // `<action>_<resource>` Permission
+    name: 'permissions',
+    table: 'permissions',
+    alias: 'p',
+    key: 'Permissions_id',
+    model: Permission,
+    sourceKeys: `
+      SELECT DISTINCT CONCAT(Module_FK_ID, ':', Permissions_FK_ID) AS id
+      FROM permissions_modules_roles`,
+    select: 'SELECT p.Permissions_id AS id, p.Permissions_name AS name, p.Permissions_description AS description FROM permissions p',
+    related: async (rows, ctx) => ({
+      modules: groupBy(await ctx.query(`
+        SELECT DISTINCT pmr.Permissions_FK_ID AS permissionId, m.module_id AS moduleId, m.module_name AS moduleName
+        FROM permissions_modules_roles pmr
+        JOIN module m ON m.module_id = pmr.Module_FK_ID
+        WHERE pmr.Permissions_FK_ID IN (?)`, [rows.map(row => row.id)]), 'permissionId')
+    }),
+    // One row expands into one document per module it is granted on
+    expand: (row, related) => (related.modules.get(row.id) || []).map(grant => ({
+      legacyKey: `${grant.moduleId}:${row.id}`,
+      row: { ...row, ...grant }
+    })),
+    map: (row) => {
+      const action = enumValue(row.name, ACTIONS, 'manage');
+      const resource = normalizeKey(row.moduleName);
+      return {
+        name: truncate(`${action}_${resource}`, 30),
+        description: row.description || `${row.name} ${row.moduleName}`,
+        category: MODULE_CATEGORIES[resource] || 'system',
+        action,
+        resource
+      };
+    }
+  },
+
+  {
+    name: 'roles',
+    table: 'roles',
+    alias: 'r',
+    key: 'Role_id',
+    model: Role,
+    select: 'SELECT r.Role_id AS id, r.Role_name AS name, r.Role_description AS description FROM roles r',
+    related: async (rows, ctx) => ({
+      grants: groupBy(await ctx.query(`
+        SELECT Role_FK_ID AS roleId, Module_FK_ID AS moduleId, Permissions_FK_ID AS permissionId
+        FROM permissions_modules_roles
+        WHERE Role_FK_ID IN (?)`, [rows.map(row => row.id)]), 'roleId')
+    }),
+    map: (row, related) => {
+      const type = enumValue(row.name, ROLE_TYPES, 'guest');
+      const modules = new Map();
+      for (const grant of related.grants.get(row.id) || []) {
+        if (!modules.has(grant.moduleId)) modules.set(grant.moduleId, []);
+        modules.get(grant.moduleId).push(legacyObjectId('permissions', `${grant.moduleId}:${grant.permissionId}`));
+      }
+
+      return {
+        name: truncate(row.name, 30),
+        description: row.description || row.name,
+        type,
+        level: ROLE_LEVELS[type],
+        modules: [...modules].map(([moduleId, permissions]) => ({
+          module: legacyObjectId('module', moduleId),
+          permissions
+        }))
+      };
+    }
+  },
+
+  {
+    name: 'users',
+    table: 'users',
+    alias: 'u',
+    key: 'Users_id',
+    model: User,
+    children: [{ table: 'pet', path: 'ownerInfo.pets' }],
+    select: `
+      SELECT u.Users_id AS id, u.Users_name AS username, u.Users_email AS email, u.Users_password AS password,
+             us.User_status_name AS status, u.Role_FK_ID AS roleId, r.Role_name AS roleName, u.Users_createdAt AS createdAt,
+             p.Profile_fullName AS fullName, p.Profile_document_type AS documentType,
+             p.Profile_document_number AS documentNumber, p.Profile_telephone_number AS phone, p.Profile_photo AS photo
+      FROM users u
+      LEFT JOIN user_status us ON us.User_status_id = u.User_status_FK_ID
+      LEFT JOIN roles r ON r.Role_id = u.Role_FK_ID
+      LEFT JOIN profile p ON p.User_FK_ID = u.Users_id`,
+    related: async (rows, ctx) => {
+      const ids = rows.map(row => row.id);
+      const owners = await ctx.query(`
+        SELECT Owner_id AS id, User_FK_ID AS userId, Owner_is_tenant AS isTenant, Owner_birth_date AS birthDate
+        FROM owner WHERE User_FK_ID IN (?)`, [ids]);
+      const ownerIds = owners.length > 0 ? owners.map(owner => owner.id) : [0];
+
+      return {
+        owners: groupBy(owners, 'userId'),
+        guards: groupBy(await ctx.query(`
+          SELECT User_FK_ID AS userId, Guard_arl AS arl, Guard_eps AS eps, Guard_shift AS shift
+          FROM guard WHERE User_FK_ID IN (?)`, [ids]), 'userId'),
+        pets: groupBy(await ctx.query(`
+          SELECT Owner_FK_ID AS ownerId, Pet_name AS name, Pet_species AS species, Pet_Breed AS breed,
+                 Pet_vaccination_card AS vaccinationCard, Pet_Photo AS photo
+          FROM pet WHERE Owner_FK_ID IN (?)`, [ownerIds]), 'ownerId'),
+        apartments: groupBy(await ctx.query(`
+          SELECT a.Owner_FK_ID AS ownerId, a.Apartment_id AS apartmentId, a.Apartment_number AS apartmentNumber,
+                 t.Tower_name AS towerName
+          FROM apartment a JOIN tower t ON t.Tower_id = a.Tower_FK_ID
+          WHERE a.Owner_FK_ID IN (?)`, [ownerIds]), 'ownerId')
+      };
+    },
+    map: (row, related) => {
+      const roleType = enumValue(row.roleName, ROLE_TYPES, 'resident');
+      const [owner] = related.owners.get(row.id) || [];
+      const [guard] = related.guards.get(row.id) || [];
+
+      const doc = {
+        legacyId: row.id,
+        username: truncate(row.username, 30),
+        email: row.email || undefined,
+        password: row.password,
+        status: enumValue(row.status, USER_STATUS, 'inactive'),
+        role: legacyObjectId('roles', row.roleId),
+        roleType,
+        profile: {
+          fullName: row.fullName,
+          documentType: enumValue(row.documentType, DOCUMENT_TYPES, 'CC'),
+          documentNumber: row.documentNumber,
+          telephoneNumber: row.phone,
+          photo: row.photo || null
+        },
+        createdAt: toDate(row.createdAt)
+      };
+
+      if (owner) {
+        doc.ownerInfo = {
+          isTenant: toBoolean(owner.isTenant),
+          birthDate: toDate(owner.birthDate),
+          pets: (related.pets.get(owner.id) || []).map(pet => ({
+            name: pet.name,
+            species: pet.species,
+            breed: pet.breed,
+            vaccinationCard: pet.vaccinationCard || null,
+            photo: pet.photo || null
+          })),
+          apartments: (related.apartments.get(owner.id) || []).map(apartment => ({
+            apartmentId: legacyObjectId('apartment', apartment.apartmentId),
+            apartmentNumber: apartment.apartmentNumber,
+            towerName: apartment.towerName,
+            isOwner: !toBoolean(owner.isTenant),
+            isTenant: toBoolean(owner.isTenant)
+          }))
+        };
+      }
+
+      if (guard) {
+        doc.guardInfo = {
+          arl: guard.arl,
+          eps: guard.eps,
+          shift: enumValue(guard.shift, { manana: 'morning', tarde: 'afternoon', noche: 'night', rotativo: 'rotating' }, undefined)
+        };
+      }
+
+      return doc;
+    }
+  },
+
+  {
+    name: 'towers',
+    table: 'tower',
+    alias: 't',
+    key: 'Tower_id',
+    model: Tower,
+    select: 'SELECT t.Tower_id AS id, t.Tower_name AS name FROM tower t',
+    related: async (rows, ctx) => ({
+      apartments: groupBy(await ctx.query(`
+        SELECT Tower_FK_ID AS towerId, Apartment_number AS number
+        FROM apartment WHERE Tower_FK_ID IN (?)`, [rows.map(row => row.id)]), 'towerId')
+    }),
+    map: (row, related) => {
+      const perFloor = new Map();
+      const apartments = related.apartments.get(row.id) || [];
+      apartments.forEach(apartment => {
+        const floor = apartmentFloor(apartment.number);
+        perFloor.set(floor, (perFloor.get(floor) || 0) + 1);
+      });
+
+      return {
+        name: truncate(row.name, 30),
+        details: {
+          totalFloors: Math.max(1, ...perFloor.keys()),
+          apartmentsPerFloor: Math.min(20, Math.max(1, ...perFloor.values())),
+          totalApartments: apartments.length
+        }
+      };
+    }
+  },
+
+  {
+    name: 'apartments',
+    table: 'apartment',
+    alias: 'a',
+    key: 'Apartment_id',
+    model: Apartment,
+    select: `
+      SELECT a.Apartment_id AS id, a.Tower_FK_ID AS towerId, a.Apartment_number AS number,
+             s.Apartment_status_name AS status, o.User_FK_ID AS ownerUserId
+      FROM apartment a
+      LEFT JOIN apartment_status s ON s.Apartment_status_id = a.Apartment_status_FK_ID
+      LEFT JOIN owner o ON o.Owner_id = a.Owner_FK_ID`,
+    related: async (rows, ctx) => ({ people: await loadPeople(ctx) }),
+    map: (row, related) => {
+      const owner = row.ownerUserId ? related.people.get(row.ownerUserId) : null;
+
+      return {
+        tower: legacyObjectId('tower', row.towerId),
+        number: truncate(String(row.number), 4),
+        floor: apartmentFloor(row.number),
+        status: enumValue(row.status, APARTMENT_STATUS, row.ownerUserId ? 'occupied' : 'available'),
+        ownerId: userRef(row.ownerUserId),
+        ownerInfo: owner
+          ? { fullName: owner.fullName, documentNumber: owner.documentNumber, phone: owner.phone, email: owner.email }
+          : undefined
+      };
+    }
+  },
+
+  {
+    name: 'parking',
+    table: 'parking',
+    alias: 'pk',
+    key: 'Parking_id',
+    model: Parking,
+    // The legacy schema has no license plates for occupied spots
+    skipValidation: ['vehicle.plate'],
+    select: `
+      SELECT pk.Parking_id AS id, pk.Parking_number AS number, s.Parking_status_name AS status,
+             ty.Parking_type_name AS type, vt.Vehicle_type_name AS vehicleType, pk.User_FK_ID AS userId
+      FROM parking pk
+      LEFT JOIN parking_status s ON s.Parking_status_id = pk.Parking_status_ID_FK
+      LEFT JOIN parking_type ty ON ty.Parking_type_id = pk.Parking_type_ID_FK
+      LEFT JOIN vehicle_type vt ON vt.Vehicle_type_id = pk.Vehicle_type_ID_FK`,
+    related: async (rows, ctx) => ({ people: await loadPeople(ctx) }),
+    map: (row, related) => {
+      const info = row.userId ? personInfo(related.people, row.userId) : null;
+      return {
+        number: truncate(String(row.number), 5),
+        status: enumValue(row.status, PARKING_STATUS, 'available'),
+        type: enumValue(row.type, PARKING_TYPES, 'regular'),
+        assignedUserId: userRef(row.userId),
+        assignedUserInfo: info
+          ? { fullName: info.fullName, documentNumber: info.documentNumber, phone: info.phone, apartmentNumber: info.apartmentNumber, towerName: info.towerName }
+          : undefined,
+        vehicle: row.vehicleType ? { type: enumValue(row.vehicleType, VEHICLE_TYPES, 'car') } : undefined,
+        details: { floor: 1 }
+      };
+    }
+  },
+
+  {
+    name: 'pqrs',
+    table: 'pqrs',
+    alias: 'q',
+    key: 'PQRS_id',
+    model: PQRS,
+    children: [{ table: 'pqrs_tracking', path: 'tracking' }],
+    select: `
+      SELECT q.PQRS_id AS id, q.Owner_FK_ID AS ownerId, c.PQRS_category_name AS category, q.PQRS_subject AS title,
+             q.PQRS_description AS description, q.PQRS_priority AS priority, q.PQRS_file AS file,
+             q.PQRS_answer AS answer, q.PQRS_createdAt AS createdAt
+      FROM pqrs q
+      LEFT JOIN pqrs_category c ON c.PQRS_category_id = q.PQRS_category_FK_ID`,
+    related: async (rows, ctx) => ({
+      people: await loadPeople(ctx),
+      ownerUsers: await loadOwnerUsers(ctx),
+      tracking: groupBy(await ctx.query(`
+        SELECT tr.PQRS_tracking_id AS id, tr.PQRS_FK_ID AS pqrsId, tr.User_FK_ID AS userId,
+               s.PQRS_tracking_status_name AS status, tr.PQRS_tracking_date_update AS dateUpdate
+        FROM pqrs_tracking tr
+        LEFT JOIN pqrs_tracking_status s ON s.PQRS_tracking_status_id = tr.PQRS_tracking_status_FK_ID
+        WHERE tr.PQRS_FK_ID IN (?)
+        ORDER BY tr.PQRS_tracking_date_update, tr.PQRS_tracking_id`, [rows.map(row => row.id)]), 'pqrsId')
+    }),
+    map: (row, related) => {
+      const userId = related.ownerUsers.get(row.ownerId);
+      const info = personInfo(related.people, userId);
+      const createdAt = toDate(row.createdAt) || new Date();
+      const priority = enumValue(row.priority, PRIORITIES, 'medium');
+      const tracking = (related.tracking.get(row.id) || []).map(entry => ({
+        _id: legacyObjectId('pqrs_tracking', entry.id),
+        userId: userRef(entry.userId),
+        userInfo: entry.userId ? { fullName: personInfo(related.people, entry.userId).fullName } : undefined,
+        status: enumValue(entry.status, PQRS_STATUS, 'received'),
+        dateUpdate: toDate(entry.dateUpdate)
+      }));
+      const fileName = row.file ? String(row.file).split('/').pop() : null;
+
+      return {
+        category: enumValue(row.category, PQRS_CATEGORIES, 'peticion'),
+        title: truncate(row.title || row.description, 100),
+        description: truncate(row.description || row.title, 2000),
+        priority,
+        files: fileName
+          ? [{ filename: fileName, originalName: fileName, size: 0, mimetype: 'application/octet-stream', url: row.file }]
+          : [],
+        answer: row.answer ? { content: truncate(row.answer, 2000) } : undefined,
+        createdBy: {
+          userId: userRef(userId),
+          userInfo: {
+            fullName: info.fullName,
+            documentNumber: info.documentNumber,
+            phone: info.phone,
+            email: info.email,
+            apartmentNumber: info.apartmentNumber,
+            towerName: info.towerName
+          }
+        },
+        tracking,
+        currentStatus: tracking.length > 0 ? tracking[tracking.length - 1].status : 'received',
+        sla: PQRS.slaDeadlines(priority, createdAt),
+        createdAt
+      };
+    }
+  },
+
+  {
+    name: 'reservations',
+    table: 'reservation',
+    alias: 'rv',
+    key: 'Reservation_id',
+    model: Reservation,
+    // Historical reservations are in the past by definition
+    skipValidation: ['reservationDate'],
+    select: `
+      SELECT rv.Reservation_id AS id, rv.Owner_FK_ID AS ownerId, ty.Reservation_type_name AS type,
+             s.Reservation_status_name AS status, rv.Reservation_start_time AS startTime,
+             rv.Reservation_end_time AS endTime, rv.Reservation_description AS description
+      FROM reservation rv
+      LEFT JOIN reservation_type ty ON ty.Reservation_type_id = rv.Reservation_type_FK_ID
+      LEFT JOIN reservation_status s ON s.Reservation_status_id = rv.Reservation_status_FK_ID`,
+    related: async (rows, ctx) => ({
+      people: await loadPeople(ctx),
+      ownerUsers: await loadOwnerUsers(ctx)
+    }),
+    map: (row, related) => {
+      const userId = related.ownerUsers.get(row.ownerId);
+      const startTime = toDate(row.startTime);
+      const info = personInfo(related.people, userId);
+
+      return {
+        type: enumValue(row.type, RESERVATION_TYPES, 'multipurpose_room'),
+        status: enumValue(row.status, RESERVATION_STATUS, 'pending'),
+        reservationDate: startTime,
+        startTime,
+        endTime: toDate(row.endTime),
+        title: truncate(row.description || row.type || 'Reservation', 100),
+        description: truncate(row.description, 500),
+        reservedBy: {
+          userId: userRef(userId),
+          userInfo: {
+            fullName: info.fullName,
+            documentNumber: info.documentNumber,
+            phone: info.phone,
+            email: info.email,
+            apartmentNumber: info.apartmentNumber,
+            towerName: info.towerName
+          }
+        },
+        attendees: { expectedCount: 1 },
+        cost: { baseFee: 0, total: 0 }
+      };
+    }
+  },
+
+  {
+    name: 'notifications',
+    table: 'notification',
+    alias: 'n',
+    key: 'Notification_id',
+    model: Notification,
+    select: `
+      SELECT n.Notification_id AS id, ty.Notification_type_name AS type, n.Notification_description AS description,
+             n.Notification_User_FK_ID AS userId, n.Notification_createdAt AS createdAt
+      FROM notification n
+      LEFT JOIN notification_type ty ON ty.Notification_type_id = n.Notification_type_FK_ID`,
+    map: (row) => ({
+      type: enumValue(row.type, NOTIFICATION_TYPES, 'general'),
+      title: truncate(row.description, 100) || 'Notification',
+      description: truncate(row.description, 1000) || 'Notification',
+      targetUserId: userRef(row.userId),
+      status: 'sent',
+      createdAt: toDate(row.createdAt)
+    })
+  },
+
+  {
+    name: 'surveys',
+    table: 'survey',
+    alias: 's',
+    key: 'Survey_id',
+    model: Survey,
+    children: [{ table: 'question', path: 'questions' }],
+    select: 'SELECT s.Survey_id AS id, s.Survey_title AS title, s.Survey_status AS status, s.Survey_createdAt AS createdAt FROM survey s',
+    related: async (rows, ctx) => ({
+      fallbackCreator: await ctx.cache('fallbackCreator', () => User.findOne({ roleType: 'admin' }).select('_id').lean().exec()),
+      questions: groupBy(await ctx.query(`
+        SELECT q.Question_id AS id, q.Survey_FK_ID AS surveyId, q.Question_title AS title,
+               ty.Question_type_name AS type, q.Question_options AS options
+        FROM question q
+        LEFT JOIN question_type ty ON ty.Question_type_id = q.Question_type_FK_ID
+        WHERE q.Survey_FK_ID IN (?)
+        ORDER BY q.Question_id`, [rows.map(row => row.id)]), 'surveyId')
+    }),
+    map: (row, related) => ({
+      name: truncate(`survey_${row.id}`, 100),
+      title: truncate(row.title, 200),
+      description: truncate(row.title, 1000),
+      category: 'feedback',
+      lifecycle: { status: enumValue(row.status, SURVEY_STATUS, 'closed') },
+      createdBy: { userId: related.fallbackCreator ? related.fallbackCreator._id : null },
+      questions: (related.questions.get(row.id) || []).map((question, index) => {
+        const options = question.options ? String(question.options).split(/[,;|]/).map(o => o.trim()).filter(Boolean) : [];
+        return {
+          _id: legacyObjectId('question', question.id),
+          type: enumValue(question.type, QUESTION_TYPES, options.length > 0 ? 'single_choice' : 'text'),
+          title: truncate(question.title, 200),
+          config: { options: options.map((option, order) => ({ value: option, label: option, order })) },
+          order: index
+        };
+      }),
+      createdAt: toDate(row.createdAt)
+    })
+  },
+
+  {
+    name: 'payments',
+    table: 'payment',
+    alias: 'pm',
+    key: 'Payment_id',
+    model: Payment,
+    select: `
+      SELECT pm.Payment_id AS id, pm.Owner_ID_FK AS ownerId, pm.Payment_total_payment AS totalAmount,
+             s.Payment_status_name AS status, pm.Payment_date AS paymentDate, pm.Payment_method AS method,
+             pm.Payment_reference_number AS referenceNumber
+      FROM payment pm
+      LEFT JOIN payment_status s ON s.Payment_status_id = pm.Payment_Status_ID_FK`,
+    related: async (rows, ctx) => ({ ownerUsers: await loadOwnerUsers(ctx) }),
+    map: (row, related) => ({
+      owner: userRef(related.ownerUsers.get(row.ownerId)),
+      totalAmount: Number(row.totalAmount),
+      paymentStatus: enumValue(row.status, PAYMENT_STATUS, 'pending'),
+      paymentMethod: enumValue(row.method, PAYMENT_METHODS, 'cash'),
+      referenceNumber: truncate(row.referenceNumber, 50) || undefined,
+      paymentDate: toDate(row.paymentDate)
+    })
+  }
+];
+
+export default STEPS;
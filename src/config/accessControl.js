@@ -0,0 +1,37 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// =====================================
+// ACCESS CONTROL CONFIGURATION
+// =====================================
+
+// Route groups exposed under /api and how they map onto Module documents.
+// `modules` lists accepted module names/paths (normalized, without leading
+// slash) so both English and the seeded Spanish module names resolve;
+// `category` is the Permission category that also grants access to the group.
+export const ROUTE_GROUPS = {
+  users: { modules: ['users', 'usuarios'], category: 'user' },
+  towers: { modules: ['towers', 'torres', 'apartments', 'apartamentos'], category: 'apartment' },
+  apartments: { modules: ['apartments', 'apartamentos'], category: 'apartment' },
+  leases: { modules: ['leases', 'arriendos', 'apartments', 'apartamentos'], category: 'apartment' },
+  parking: { modules: ['parking', 'parqueaderos'], category: 'parking' },
+  pqrs: { modules: ['pqrs'], category: 'pqrs' },
+  reservations: { modules: ['reservations', 'reservas'], category: 'reservation' },
+  notifications: { modules: ['notifications', 'notificaciones'], category: 'notification' },
+  surveys: { modules: ['surveys', 'encuestas'], category: 'survey' },
+  payments: { modules: ['payments', 'pagos'], category: 'payment' },
+  ledger: { modules: ['accounting', 'contabilidad', 'payments', 'pagos'], category: 'payment' },
+  permissions: { modules: ['permissions', 'permisos'], category: 'system' },
+  roles: { modules: ['roles'], category: 'system' },
+  modules: { modules: ['modules', 'modulos'], category: 'system' },
+  audit: { modules: ['audit', 'auditoria'], category: 'system' }
+};
+
+// Permission that grants every check
+export const SUPERUSER_PERMISSION = 'manage_system';
+
+// How long a role's effective permission set stays cached (milliseconds)
+export const PERMISSION_CACHE_TTL = parseInt(process.env.PERMISSION_CACHE_TTL, 10) || 5 * 60 * 1000;
+
+export default { ROUTE_GROUPS, SUPERUSER_PERMISSION, PERMISSION_CACHE_TTL };
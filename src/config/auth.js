@@ -0,0 +1,27 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// =====================================
+// AUTHENTICATION CONFIGURATION
+// =====================================
+const authConfig = {
+  accessToken: {
+    secret: process.env.JWT_SECRET,
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  },
+
+  refreshToken: {
+    secret: process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
+    expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d',
+    // Maximum refresh tokens kept per user (one per device/session)
+    maxPerUser: parseInt(process.env.JWT_REFRESH_MAX_PER_USER, 10) || 5
+  },
+
+  bcryptSaltRounds: parseInt(process.env.BCRYPT_SALT_ROUNDS, 10) || 12,
+
+  // Role type assigned to self-registered users
+  registrationRoleType: process.env.REGISTRATION_ROLE_TYPE || 'owner'
+};
+
+export default authConfig;
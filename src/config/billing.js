@@ -0,0 +1,34 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// =====================================
+// BILLING CONFIGURATION
+// =====================================
+const billingConfig = {
+  // Day of the billed month the invoices are due
+  dueDay: parseInt(process.env.BILLING_DUE_DAY, 10) || 10,
+
+  // Late-payment policy (services/lateFeeService.js)
+  lateFees: {
+    // Days after the due date before anything is charged; interest still
+    // counts from the due date
+    graceDays: parseInt(process.env.LATE_FEE_GRACE_DAYS, 10) || 5,
+    monthlyInterestRate: parseFloat(process.env.LATE_FEE_MONTHLY_RATE) || 0.015,
+    // Certified usury rate (effective annual); the monthly rate is capped at
+    // its monthly equivalent. Update it whenever a new rate is certified.
+    usuryAnnualRate: parseFloat(process.env.LATE_FEE_USURY_ANNUAL_RATE) || 0.25,
+    // Charged once per overdue invoice
+    flatPenalty: parseFloat(process.env.LATE_FEE_FLAT_PENALTY) || 0
+  },
+
+  // Payment agreements (services/paymentPlanService.js)
+  paymentPlans: {
+    // Days an installment may stay unpaid after its due date before the
+    // plan is broken
+    graceDays: parseInt(process.env.PAYMENT_PLAN_GRACE_DAYS, 10) || 5,
+    maxInstallments: parseInt(process.env.PAYMENT_PLAN_MAX_INSTALLMENTS, 10) || 36
+  }
+};
+
+export default billingConfig;
@@ -139,7 +139,7 @@ const dbManager = new DatabaseManager();
 // Export instance methods as named exports for convenience
 export const connectMongoDB = () => dbManager.connectMongoDB();
 export const connectMySQL = () => dbManager.connectMySQL();
-export const closeConnections = () => dbManager.closeConnections();
+export const closeConnections = () => dbManager.disconnect();
 
 // Export the instance as default
 export default dbManager;
@@ -0,0 +1,29 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// =====================================
+// DOCUMENTS CONFIGURATION
+// =====================================
+const documentsConfig = {
+  // Printed in the header of receipts and invoices
+  organization: {
+    name: process.env.ORGANIZATION_NAME || 'Valhalla',
+    taxId: process.env.ORGANIZATION_TAX_ID || '',
+    address: process.env.ORGANIZATION_ADDRESS || '',
+    phone: process.env.ORGANIZATION_PHONE || ''
+  },
+
+  locale: process.env.DOCUMENTS_LOCALE || 'es-CO',
+  currency: process.env.DOCUMENTS_CURRENCY || 'COP',
+
+  // Base URL of the API as seen from outside; receipt QR codes point to
+  // <publicUrl>/api/payments/verify/<receiptNumber>
+  publicUrl: (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, ''),
+
+  // Signs the verification links so receipt numbers cannot be enumerated.
+  // Without it (or JWT_SECRET) receipts answer 503
+  verificationSecret: process.env.RECEIPT_VERIFICATION_SECRET || process.env.JWT_SECRET
+};
+
+export default documentsConfig;
@@ -0,0 +1,31 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// =====================================
+// PAYMENT GATEWAY CONFIGURATION
+// =====================================
+const paymentGatewayConfig = {
+  // Registered provider to use (services/gateways/); 'mock' keeps checkouts
+  // in a local JSON file
+  provider: process.env.PAYMENT_GATEWAY_PROVIDER || 'mock',
+  apiKey: process.env.PAYMENT_GATEWAY_API_KEY || null,
+  // Signs and verifies webhooks; required, there is no default
+  secret: process.env.PAYMENT_GATEWAY_SECRET || null,
+  // The mock provider is refused outside development
+  environment: process.env.NODE_ENV || 'development',
+
+  currency: process.env.PAYMENT_GATEWAY_CURRENCY || 'COP',
+  // Minutes a checkout stays payable
+  checkoutTtlMinutes: parseInt(process.env.PAYMENT_GATEWAY_CHECKOUT_TTL, 10) || 30,
+  // Webhooks signed longer ago than this (seconds) are rejected as replays
+  webhookTolerance: parseInt(process.env.PAYMENT_GATEWAY_WEBHOOK_TOLERANCE, 10) || 300,
+  // Pending checkouts older than this (minutes) are checked by reconciliation
+  orphanAfterMinutes: parseInt(process.env.PAYMENT_GATEWAY_ORPHAN_MINUTES, 10) || 60,
+
+  mock: {
+    storeFile: process.env.PAYMENT_GATEWAY_MOCK_FILE || './data/mock-gateway.json'
+  }
+};
+
+export default paymentGatewayConfig;
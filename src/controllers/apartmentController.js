@@ -0,0 +1,56 @@
+import Apartment from '../models/Apartment.js';
+import asyncHandler from '../middleware/asyncHandler.js';
+import { createCrudController } from './crudFactory.js';
+import { moveIn as moveInService, moveOut as moveOutService } from '../services/occupancyService.js';
+import { getOccupants } from '../services/leaseService.js';
+import { sendSuccess } from '../utils/response.js';
+
+const apartmentController = createCrudController(Apartment, {
+  name: 'Apartment',
+  filters: {
+    tower: { field: 'tower', type: 'objectId' },
+    number: { field: 'number' },
+    floor: { field: 'floor', type: 'number' },
+    status: { field: 'status' },
+    ownerId: { field: 'ownerId', type: 'objectId' },
+    paymentStatus: { field: 'financial.paymentStatus' },
+    isActive: { field: 'isActive', type: 'boolean' }
+  },
+  defaultSort: { tower: 1, number: 1 },
+  populate: [
+    { path: 'tower', select: 'name' },
+    { path: 'ownerId', select: 'username profile.fullName' }
+  ],
+  // Residents change through move-in/move-out only
+  readOnlyFields: ['ownerId', 'occupancyHistory', 'charges']
+});
+
+export const { list, get, create, update, remove } = apartmentController;
+
+// POST /api/apartments/:id/move-in
+export const moveIn = asyncHandler(async (req, res) => {
+  const result = await moveInService({ ...req.body, apartmentId: req.params.id });
+  sendSuccess(res, result, 'Resident moved in');
+});
+
+// POST /api/apartments/:id/move-out
+export const moveOut = asyncHandler(async (req, res) => {
+  const result = await moveOutService({ ...req.body, apartmentId: req.params.id });
+  sendSuccess(res, result, 'Resident moved out');
+});
+
+// POST /api/apartments/:id/charges
+export const addCharge = asyncHandler(async (req, res) => {
+  const apartment = await apartmentController.findDocument(req.params.id);
+  apartment.charges.push(req.body);
+  await apartment.save();
+  sendSuccess(res, apartment.charges[apartment.charges.length - 1], 'Charge added to the next invoice', 201);
+});
+
+// GET /api/apartments/:id/occupants
+export const occupants = asyncHandler(async (req, res) => {
+  const result = await getOccupants(req.params.id);
+  sendSuccess(res, result, 'Apartment occupants retrieved');
+});
+
+export default apartmentController;
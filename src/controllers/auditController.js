@@ -0,0 +1,21 @@
+import AuditLog from '../models/AuditLog.js';
+import { createCrudController } from './crudFactory.js';
+
+// Audit logs are written by the model layer only; the API is read-only
+const auditController = createCrudController(AuditLog, {
+  name: 'Audit log',
+  filters: {
+    entity: { field: 'entity' },
+    entityId: { field: 'entityId', type: 'objectId' },
+    action: { field: 'action' },
+    actor: { field: 'actor.user', type: 'objectId' },
+    requestId: { field: 'requestId' },
+    dateFrom: { field: 'createdAt', type: 'date', op: '$gte' },
+    dateTo: { field: 'createdAt', type: 'date', op: '$lte' }
+  },
+  populate: { path: 'actor.user', select: 'username profile.fullName' }
+});
+
+export const { list, get } = auditController;
+
+export default auditController;
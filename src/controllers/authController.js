@@ -0,0 +1,37 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import * as authService from '../services/authService.js';
+import { sendSuccess } from '../utils/response.js';
+
+const requestContext = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
+// POST /api/auth/login
+export const login = asyncHandler(async (req, res) => {
+  const { user, tokens } = await authService.login(req.body, requestContext(req));
+  sendSuccess(res, { user, ...tokens }, 'Login successful');
+});
+
+// POST /api/auth/register
+export const register = asyncHandler(async (req, res) => {
+  const user = await authService.register(req.body);
+  sendSuccess(res, { user }, 'Registration received, pending activation', 201);
+});
+
+// POST /api/auth/refresh
+export const refresh = asyncHandler(async (req, res) => {
+  const { user, tokens } = await authService.refresh(req.body.refreshToken, requestContext(req));
+  sendSuccess(res, { user, ...tokens }, 'Token refreshed');
+});
+
+// POST /api/auth/logout
+export const logout = asyncHandler(async (req, res) => {
+  await authService.logout(req.body.refreshToken, { allSessions: req.body.allSessions === true });
+  sendSuccess(res, null, 'Logged out');
+});
+
+// GET /api/auth/me
+export const me = asyncHandler(async (req, res) => {
+  sendSuccess(res, { user: req.user });
+});
@@ -0,0 +1,49 @@
+import BankStatement from '../models/BankStatement.js';
+import asyncHandler from '../middleware/asyncHandler.js';
+import { createCrudController } from './crudFactory.js';
+import { confirmDeposit, ignoreDeposit, importStatement, unmatchedDeposits } from '../services/bankReconciliationService.js';
+import { sendSuccess } from '../utils/response.js';
+
+const bankStatementController = createCrudController(BankStatement, {
+  name: 'Bank statement',
+  filters: {
+    format: { field: 'format' },
+    bankAccount: { field: 'bankAccount' },
+    dateFrom: { field: 'createdAt', type: 'date', op: '$gte' },
+    dateTo: { field: 'createdAt', type: 'date', op: '$lte' }
+  },
+  populate: [
+    { path: 'importedBy', select: 'username profile.fullName' },
+    { path: 'lines.proposal.payment', select: 'referenceNumber billingPeriod totalAmount amountPaid paymentStatus owner apartment' },
+    { path: 'lines.payment', select: 'referenceNumber billingPeriod totalAmount paymentStatus' }
+  ]
+});
+
+export const { list, get } = bankStatementController;
+
+// POST /api/bank-statements (multipart: file, format?, bankAccount?)
+export const create = asyncHandler(async (req, res) => {
+  const statement = await importStatement(req.file, req.body, req.user._id);
+  const { proposed, unmatched, duplicates } = statement.summary;
+  sendSuccess(res, statement, `Statement imported: ${proposed} matches proposed, ${unmatched} unmatched, ${duplicates} already imported`, 201);
+});
+
+// GET /api/bank-statements/unmatched
+export const unmatched = asyncHandler(async (req, res) => {
+  const report = await unmatchedDeposits(req.query);
+  sendSuccess(res, report, `${report.count} deposits pending`);
+});
+
+// POST /api/bank-statements/:id/lines/:lineId/confirm
+export const confirm = asyncHandler(async (req, res) => {
+  const { statement, deposit, receipt } = await confirmDeposit(req.params.id, req.params.lineId, req.body, req.user._id);
+  sendSuccess(res, { deposit, receipt, summary: statement.summary }, 'Deposit confirmed');
+});
+
+// POST /api/bank-statements/:id/lines/:lineId/ignore
+export const ignore = asyncHandler(async (req, res) => {
+  const { statement, deposit } = await ignoreDeposit(req.params.id, req.params.lineId, req.body, req.user._id);
+  sendSuccess(res, { deposit, summary: statement.summary }, 'Deposit ignored');
+});
+
+export default bankStatementController;
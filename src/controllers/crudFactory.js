@@ -0,0 +1,145 @@
+import mongoose from 'mongoose';
+import asyncHandler from '../middleware/asyncHandler.js';
+import { sendSuccess } from '../utils/response.js';
+import { BadRequestError, NotFoundError } from '../utils/errors.js';
+import { buildFilter, parsePagination, parseProjection, parseSort } from '../utils/queryBuilder.js';
+import { runInTransaction } from '../utils/transaction.js';
+
+// Fields clients can never write through the generic endpoints
+const PROTECTED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const stripFields = (body, fields) => {
+  const data = { ...body };
+  fields.forEach(field => delete data[field]);
+  return data;
+};
+
+// =====================================
+// CRUD CONTROLLER FACTORY
+// =====================================
+// options:
+// - name:            label used in messages ('User')
+// - filters:         query param -> field map (see utils/queryBuilder.buildFilter)
+// - textSearch:      map `?q=` to the model's text index
+// - defaultSort:     sort when `?sort=` is absent
+// - populate:        populate spec applied to list/get
+// - hiddenFields:    never returned or sortable (e.g. password)
+// - readOnlyFields:  ignored on create/update (hidden fields stay writable)
+// - afterWrite:      async (doc, action, req, session) hook after
+//                    create/update/delete
+// - transactional:   create/update/delete and afterWrite run in one
+//                    transaction (session is null otherwise)
+export const createCrudController = (Model, options = {}) => {
+  const {
+    name = Model.modelName,
+    filters = {},
+    textSearch = false,
+    defaultSort = { createdAt: -1 },
+    populate = null,
+    hiddenFields = [],
+    readOnlyFields = [],
+    afterWrite = null,
+    transactional = false
+  } = options;
+
+  const blockedFields = [...PROTECTED_FIELDS, ...readOnlyFields];
+
+  const findDocument = async (id, session = null) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new BadRequestError('Invalid ID format');
+    }
+
+    const doc = await Model.findById(id).session(session);
+    if (!doc) {
+      throw new NotFoundError(`${name} not found`);
+    }
+    return doc;
+  };
+
+  // A retried transaction runs `work` again, so it builds the document anew
+  const write = (work) => (transactional ? runInTransaction(work) : work(null));
+
+  const runAfterWrite = async (doc, action, req, session) => {
+    if (afterWrite) await afterWrite(doc, action, req, session);
+  };
+
+  const list = asyncHandler(async (req, res) => {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = buildFilter(req.query, filters);
+
+    if (textSearch && req.query.q) {
+      filter.$text = { $search: String(req.query.q) };
+    }
+
+    const query = Model.find(filter)
+      .sort(parseSort(req.query.sort, defaultSort, hiddenFields))
+      .skip(skip)
+      .limit(limit);
+
+    const projection = parseProjection(req.query.fields, hiddenFields);
+    if (projection) query.select(projection);
+    if (populate) query.populate(populate);
+
+    const [items, total] = await Promise.all([query, Model.countDocuments(filter)]);
+
+    sendSuccess(res, items, `${name} list retrieved`, 200, {
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  });
+
+  const get = asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      throw new BadRequestError('Invalid ID format');
+    }
+
+    const query = Model.findById(req.params.id);
+    const projection = parseProjection(req.query.fields, hiddenFields);
+    if (projection) query.select(projection);
+    if (populate) query.populate(populate);
+
+    const doc = await query;
+    if (!doc) {
+      throw new NotFoundError(`${name} not found`);
+    }
+
+    sendSuccess(res, doc, `${name} retrieved`);
+  });
+
+  // Documents are written through save()/deleteOne() so schema middleware runs
+  const create = asyncHandler(async (req, res) => {
+    const doc = await write(async (session) => {
+      const created = new Model(stripFields(req.body, blockedFields));
+      await created.save({ session });
+      await runAfterWrite(created, 'create', req, session);
+      return created;
+    });
+    sendSuccess(res, doc, `${name} created`, 201);
+  });
+
+  const update = asyncHandler(async (req, res) => {
+    const doc = await write(async (session) => {
+      const current = await findDocument(req.params.id, session);
+      // Partial nested objects ({ profile: { fullName } }) keep their other
+      // fields; arrays are still replaced as a whole
+      current.set(stripFields(req.body, blockedFields), undefined, { merge: true });
+      await current.save({ session });
+      await runAfterWrite(current, 'update', req, session);
+      return current;
+    });
+    sendSuccess(res, doc, `${name} updated`);
+  });
+
+  const remove = asyncHandler(async (req, res) => {
+    const doc = await write(async (session) => {
+      const current = await findDocument(req.params.id, session);
+      await current.deleteOne({ session });
+      await runAfterWrite(current, 'delete', req, session);
+      return current;
+    });
+    sendSuccess(res, { id: doc._id }, `${name} deleted`);
+  });
+
+  return { list, get, create, update, remove, findDocument };
+};
+
+export default createCrudController;
@@ -0,0 +1,44 @@
+import Lease from '../models/Lease.js';
+import asyncHandler from '../middleware/asyncHandler.js';
+import { createCrudController } from './crudFactory.js';
+import { createLease, renewLease, terminateLease } from '../services/leaseService.js';
+import { sendSuccess } from '../utils/response.js';
+
+const leaseController = createCrudController(Lease, {
+  name: 'Lease',
+  filters: {
+    apartment: { field: 'apartment', type: 'objectId' },
+    owner: { field: 'owner', type: 'objectId' },
+    tenant: { field: 'tenant', type: 'objectId' },
+    status: { field: 'status' },
+    feesPaidBy: { field: 'feesPaidBy' }
+  },
+  defaultSort: { startDate: -1 },
+  populate: [
+    { path: 'apartment', select: 'number tower', populate: { path: 'tower', select: 'name' } },
+    { path: 'owner', select: 'username profile.fullName' },
+    { path: 'tenant', select: 'username profile.fullName' }
+  ]
+});
+
+export const { list, get, update } = leaseController;
+
+// POST /api/leases
+export const create = asyncHandler(async (req, res) => {
+  const lease = await createLease(req.body);
+  sendSuccess(res, lease, 'Lease created', 201);
+});
+
+// POST /api/leases/:id/renew
+export const renew = asyncHandler(async (req, res) => {
+  const lease = await renewLease(req.params.id, req.body);
+  sendSuccess(res, lease, 'Lease renewed', 201);
+});
+
+// POST /api/leases/:id/terminate
+export const terminate = asyncHandler(async (req, res) => {
+  const lease = await terminateLease(req.params.id, { ...req.body, terminatedBy: req.user._id });
+  sendSuccess(res, lease, 'Lease terminated');
+});
+
+export default leaseController;
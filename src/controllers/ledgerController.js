@@ -0,0 +1,51 @@
+import { JournalEntry, LedgerAccount } from '../models/Ledger.js';
+import asyncHandler from '../middleware/asyncHandler.js';
+import { createCrudController } from './crudFactory.js';
+import { incomeStatement as buildIncomeStatement, postEntry, trialBalance as buildTrialBalance } from '../services/ledgerService.js';
+import { BadRequestError } from '../utils/errors.js';
+import { sendSuccess } from '../utils/response.js';
+
+const accountController = createCrudController(LedgerAccount, {
+  name: 'Account',
+  filters: {
+    type: { field: 'type' },
+    isActive: { field: 'isActive', type: 'boolean' }
+  },
+  defaultSort: { code: 1 },
+  readOnlyFields: ['isSystem']
+});
+
+const entryController = createCrudController(JournalEntry, {
+  name: 'Journal entry',
+  filters: {
+    account: { field: 'lines.account' },
+    sourceType: { field: 'source.type' },
+    sourceId: { field: 'source.id', type: 'objectId' },
+    dateFrom: { field: 'date', type: 'date', op: '$gte' },
+    dateTo: { field: 'date', type: 'date', op: '$lte' }
+  },
+  defaultSort: { date: -1 },
+  populate: { path: 'createdBy', select: 'username profile.fullName' }
+});
+
+export const { list: listAccounts, create: createAccount, update: updateAccount } = accountController;
+export const { list: listEntries, get: getEntry } = entryController;
+
+// POST /api/ledger/entries - manual entry (adjustments, opening balances)
+export const createEntry = asyncHandler(async (req, res) => {
+  const entry = await postEntry({ ...req.body, source: { type: 'manual' }, createdBy: req.user._id });
+  if (!entry) {
+    throw new BadRequestError('An entry needs at least two lines with an amount');
+  }
+  sendSuccess(res, entry, 'Journal entry posted', 201);
+});
+
+// GET /api/ledger/reports/trial-balance
+export const trialBalance = asyncHandler(async (req, res) => {
+  sendSuccess(res, await buildTrialBalance(req.query));
+});
+
+// GET /api/ledger/reports/income-statement
+export const incomeStatement = asyncHandler(async (req, res) => {
+  sendSuccess(res, await buildIncomeStatement(req.query));
+});
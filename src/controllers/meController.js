@@ -0,0 +1,29 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import { buildMenu } from '../services/menuService.js';
+import { ownerStatement } from '../services/accountService.js';
+import { createCheckout } from '../services/paymentGatewayService.js';
+import { renderPaymentPdf } from '../services/receiptPdfService.js';
+import { sendPdf, sendSuccess } from '../utils/response.js';
+
+// GET /api/me/menu
+export const getMenu = asyncHandler(async (req, res) => {
+  const menu = await buildMenu(req.user.role);
+  sendSuccess(res, menu, 'Menu retrieved');
+});
+
+// GET /api/me/statement
+export const getStatement = asyncHandler(async (req, res) => {
+  const statement = await ownerStatement(req.user._id, req.query);
+  sendSuccess(res, statement, 'Account statement retrieved');
+});
+
+// POST /api/me/payments/:id/checkout - pay one of your own payments online
+export const createPaymentCheckout = asyncHandler(async (req, res) => {
+  const payment = await createCheckout(req.params.id, { owner: req.user._id });
+  sendSuccess(res, payment.gateway, 'Checkout ready');
+});
+
+// GET /api/me/payments/:id/receipt.pdf - receipt or invoice of your own payment
+export const getPaymentPdf = asyncHandler(async (req, res) => {
+  sendPdf(res, await renderPaymentPdf(req.params.id, { owner: req.user._id }));
+});
@@ -0,0 +1,27 @@
+import Notification from '../models/Notification.js';
+import { createCrudController } from './crudFactory.js';
+
+const notificationController = createCrudController(Notification, {
+  name: 'Notification',
+  filters: {
+    type: { field: 'type' },
+    priority: { field: 'priority' },
+    status: { field: 'status' },
+    isRead: { field: 'isRead', type: 'boolean' },
+    targetUserId: { field: 'targetUserId', type: 'objectId' },
+    targetRole: { field: 'targetRole' },
+    sourceModule: { field: 'metadata.sourceModule' },
+    relatedEntityId: { field: 'metadata.relatedEntityId' },
+    relatedEntityType: { field: 'metadata.relatedEntityType' },
+    scheduledBefore: { field: 'scheduledFor', type: 'date', op: '$lte' },
+    createdFrom: { field: 'createdAt', type: 'date', op: '$gte' },
+    createdTo: { field: 'createdAt', type: 'date', op: '$lte' }
+  },
+  textSearch: true,
+  populate: { path: 'targetUserId', select: 'username profile.fullName' },
+  readOnlyFields: ['deliveryStats']
+});
+
+export const { list, get, create, update, remove } = notificationController;
+
+export default notificationController;
@@ -0,0 +1,21 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import { applyCredit as applyCreditService, ownerBalance, ownerStatement } from '../services/accountService.js';
+import { sendSuccess } from '../utils/response.js';
+
+// GET /api/owners/:id/statement
+export const statement = asyncHandler(async (req, res) => {
+  const result = await ownerStatement(req.params.id, req.query);
+  sendSuccess(res, result, 'Account statement retrieved');
+});
+
+// GET /api/owners/:id/balance
+export const balance = asyncHandler(async (req, res) => {
+  const result = await ownerBalance(req.params.id);
+  sendSuccess(res, result, 'Account balance retrieved');
+});
+
+// POST /api/owners/:id/apply-credit
+export const applyCredit = asyncHandler(async (req, res) => {
+  const payments = await applyCreditService(req.params.id);
+  sendSuccess(res, { payments }, `Credit applied to ${payments.length} payments`);
+});
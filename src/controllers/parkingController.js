@@ -0,0 +1,43 @@
+import Parking from '../models/Parking.js';
+import asyncHandler from '../middleware/asyncHandler.js';
+import { createCrudController } from './crudFactory.js';
+import { postMaintenance } from '../services/ledgerService.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { NotFoundError } from '../utils/errors.js';
+import { sendSuccess } from '../utils/response.js';
+
+const parkingController = createCrudController(Parking, {
+  name: 'Parking',
+  filters: {
+    number: { field: 'number' },
+    status: { field: 'status' },
+    type: { field: 'type' },
+    assignedUserId: { field: 'assignedUserId', type: 'objectId' },
+    floor: { field: 'details.floor', type: 'number' },
+    section: { field: 'details.section' },
+    plate: { field: 'vehicle.plate' },
+    isActive: { field: 'isActive', type: 'boolean' }
+  },
+  defaultSort: { number: 1 },
+  populate: { path: 'assignedUserId', select: 'username profile.fullName' }
+});
+
+export const { list, get, create, update, remove } = parkingController;
+
+// POST /api/parking/:id/maintenance - its cost is booked as an expense
+export const addMaintenance = asyncHandler(async (req, res) => {
+  const parking = await runInTransaction(async (session) => {
+    const space = await Parking.findById(req.params.id).session(session);
+    if (!space) {
+      throw new NotFoundError('Parking not found');
+    }
+
+    await space.addMaintenanceRecord(req.body);
+    await postMaintenance(space, space.maintenance[space.maintenance.length - 1], session);
+    return space;
+  });
+
+  sendSuccess(res, parking, 'Maintenance recorded', 201);
+});
+
+export default parkingController;
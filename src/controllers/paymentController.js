@@ -0,0 +1,101 @@
+import { Payment } from '../models/Payment.js';
+import asyncHandler from '../middleware/asyncHandler.js';
+import { createCrudController } from './crudFactory.js';
+import { runBilling } from '../services/billingService.js';
+import { refreshPaymentStatus } from '../services/accountService.js';
+import { accrueLateFees } from '../services/lateFeeService.js';
+import { postPaymentCancelled, syncPaymentEntries } from '../services/ledgerService.js';
+import { createCheckout, handleWebhook, reconcilePayments } from '../services/paymentGatewayService.js';
+import { renderPaymentPdf, verifyReceipt } from '../services/receiptPdfService.js';
+import { sendPdf, sendSuccess } from '../utils/response.js';
+
+const paymentController = createCrudController(Payment, {
+  name: 'Payment',
+  filters: {
+    owner: { field: 'owner', type: 'objectId' },
+    status: { field: 'paymentStatus' },
+    method: { field: 'paymentMethod' },
+    category: { field: 'items.category' },
+    referenceNumber: { field: 'referenceNumber' },
+    tower: { field: 'tower', type: 'objectId' },
+    apartment: { field: 'apartment', type: 'objectId' },
+    dateFrom: { field: 'paymentDate', type: 'date', op: '$gte' },
+    dateTo: { field: 'paymentDate', type: 'date', op: '$lte' },
+    dueBefore: { field: 'dueDate', type: 'date', op: '$lte' },
+    billingPeriod: { field: 'billingPeriod' }
+  },
+  defaultSort: { paymentDate: -1 },
+  populate: [
+    { path: 'owner', select: 'username profile.fullName email' },
+    { path: 'tower', select: 'name' },
+    { path: 'apartment', select: 'number floor' }
+  ],
+  readOnlyFields: ['receiptNumber', 'billingPeriod', 'lateFees', 'amountPaid', 'refundedAmount', 'gateway', 'paymentPlan'],
+  // A payment completed here takes its receipt number, and its ledger
+  // entries are posted, in the same transaction
+  transactional: true,
+  // Paying or cancelling an invoice changes the apartment's payment status
+  // and is posted to the ledger
+  afterWrite: async (payment, action, req, session) => {
+    if (action === 'delete') {
+      await postPaymentCancelled(payment, session);
+    } else {
+      await syncPaymentEntries(payment, session);
+    }
+    if (payment.apartment) await refreshPaymentStatus(payment.apartment, session);
+  }
+});
+
+export const { list, get, create, update, remove } = paymentController;
+
+// POST /api/payments/billing-run
+export const billingRun = asyncHandler(async (req, res) => {
+  const { period, ...options } = req.body;
+  const summary = await runBilling(period, options);
+  const message = summary.dryRun
+    ? `Billing preview for ${period}`
+    : `${summary.created} invoices created for ${period}`;
+  sendSuccess(res, summary, message, summary.created > 0 ? 201 : 200);
+});
+
+// POST /api/payments/late-fees/run
+export const lateFeeRun = asyncHandler(async (req, res) => {
+  const summary = await accrueLateFees(req.body);
+  const message = summary.dryRun
+    ? 'Late fee preview'
+    : `Late fees charged on ${summary.charged} payments`;
+  sendSuccess(res, summary, message);
+});
+
+// POST /api/payments/:id/checkout
+export const checkout = asyncHandler(async (req, res) => {
+  const payment = await createCheckout(req.params.id);
+  sendSuccess(res, payment.gateway, 'Checkout ready');
+});
+
+// POST /api/payments/webhook - called by the gateway, authenticated by its
+// signature. Unmatched events are acknowledged too, so the gateway stops
+// retrying them.
+export const webhook = asyncHandler(async (req, res) => {
+  const result = await handleWebhook(req.rawBody, req.headers);
+  sendSuccess(res, result, result.duplicate ? 'Event already processed' : `Event ${result.outcome}`);
+});
+
+// POST /api/payments/gateway/reconcile
+export const reconcile = asyncHandler(async (req, res) => {
+  const summary = await reconcilePayments(req.body);
+  sendSuccess(res, summary, `${summary.checked} pending checkouts checked`);
+});
+
+// GET /api/payments/:id/receipt.pdf - receipt once completed, invoice before
+export const receiptPdf = asyncHandler(async (req, res) => {
+  sendPdf(res, await renderPaymentPdf(req.params.id));
+});
+
+// GET /api/payments/verify/:receiptNumber?code= - public, from the receipt QR code
+export const verify = asyncHandler(async (req, res) => {
+  const receipt = await verifyReceipt(req.params.receiptNumber, req.query.code);
+  sendSuccess(res, receipt, 'Receipt is valid');
+});
+
+export default paymentController;
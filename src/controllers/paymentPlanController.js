@@ -0,0 +1,49 @@
+import PaymentPlan from '../models/PaymentPlan.js';
+import asyncHandler from '../middleware/asyncHandler.js';
+import { createCrudController } from './crudFactory.js';
+import { cancelPaymentPlan, checkPaymentPlans, createPaymentPlan, getPaymentPlan } from '../services/paymentPlanService.js';
+import { sendSuccess } from '../utils/response.js';
+
+const paymentPlanController = createCrudController(PaymentPlan, {
+  name: 'Payment plan',
+  filters: {
+    status: { field: 'status' },
+    owner: { field: 'owner', type: 'objectId' },
+    dateFrom: { field: 'startDate', type: 'date', op: '$gte' },
+    dateTo: { field: 'startDate', type: 'date', op: '$lte' }
+  },
+  populate: [
+    { path: 'owner', select: 'username profile.fullName' }
+  ]
+});
+
+export const { list } = paymentPlanController;
+
+// GET /api/payment-plans/:id (installments filled with what was paid so far)
+export const get = asyncHandler(async (req, res) => {
+  const { plan, progress } = await getPaymentPlan(req.params.id);
+  sendSuccess(res, { ...plan.toObject(), progress });
+});
+
+// POST /api/payment-plans
+export const create = asyncHandler(async (req, res) => {
+  const plan = await createPaymentPlan(req.body, req.user._id);
+  sendSuccess(res, plan, `Payment plan created with ${plan.installments.length} installments`, 201);
+});
+
+// POST /api/payment-plans/:id/cancel
+export const cancel = asyncHandler(async (req, res) => {
+  const plan = await cancelPaymentPlan(req.params.id, req.body, req.user._id);
+  sendSuccess(res, plan, 'Payment plan cancelled');
+});
+
+// POST /api/payment-plans/check
+export const check = asyncHandler(async (req, res) => {
+  const summary = await checkPaymentPlans(req.body);
+  const message = summary.dryRun
+    ? 'Payment plan preview'
+    : `${summary.checked} plans checked: ${summary.completed} completed, ${summary.broken} broken`;
+  sendSuccess(res, summary, message);
+});
+
+export default paymentPlanController;
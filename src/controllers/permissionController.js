@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import { Permission, Module, Role } from '../models/Permission.js';
+import asyncHandler from '../middleware/asyncHandler.js';
+import { createCrudController } from './crudFactory.js';
+import { clearPermissionCache, getPermissionTree } from '../services/permissionService.js';
+import { sendSuccess } from '../utils/response.js';
+import { BadRequestError, NotFoundError } from '../utils/errors.js';
+
+export const permissionController = createCrudController(Permission, {
+  name: 'Permission',
+  filters: {
+    name: { field: 'name' },
+    category: { field: 'category' },
+    action: { field: 'action' },
+    resource: { field: 'resource' },
+    isActive: { field: 'isActive', type: 'boolean' }
+  },
+  defaultSort: { category: 1, name: 1 },
+  // Any role may hold the changed permission
+  afterWrite: async () => clearPermissionCache()
+});
+
+export const moduleController = createCrudController(Module, {
+  name: 'Module',
+  filters: {
+    name: { field: 'name' },
+    parentModule: { field: 'parentModule', type: 'objectId' },
+    isActive: { field: 'isActive', type: 'boolean' },
+    isVisible: { field: 'isVisible', type: 'boolean' }
+  },
+  defaultSort: { order: 1, name: 1 },
+  populate: { path: 'parentModule', select: 'name path' },
+  afterWrite: async () => clearPermissionCache()
+});
+
+export const roleController = createCrudController(Role, {
+  name: 'Role',
+  filters: {
+    name: { field: 'name' },
+    type: { field: 'type' },
+    level: { field: 'level', type: 'number' },
+    isActive: { field: 'isActive', type: 'boolean' },
+    module: { field: 'modules.module', type: 'objectId' },
+    parentRole: { field: 'parentRole', type: 'objectId' }
+  },
+  defaultSort: { level: 1, name: 1 },
+  populate: [
+    { path: 'modules.module', select: 'name path' },
+    { path: 'modules.permissions', select: 'name category action' },
+    { path: 'parentRole', select: 'name level' }
+  ],
+  // Child roles inherit from this one, so every cached set may be stale
+  afterWrite: async () => clearPermissionCache()
+});
+
+// GET /api/roles/:id/permissions
+export const getRolePermissionTree = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new BadRequestError('Invalid ID format');
+  }
+
+  const tree = await getPermissionTree(req.params.id);
+  if (!tree) {
+    throw new NotFoundError('Role not found');
+  }
+
+  sendSuccess(res, tree, 'Role permission tree retrieved');
+});
+
+export const { list, get, create, update, remove } = permissionController;
+
+export default permissionController;
@@ -0,0 +1,29 @@
+import PQRS from '../models/PQRS.js';
+import { createCrudController } from './crudFactory.js';
+
+const pqrsController = createCrudController(PQRS, {
+  name: 'PQRS',
+  filters: {
+    status: { field: 'currentStatus' },
+    category: { field: 'category' },
+    priority: { field: 'priority' },
+    department: { field: 'assignedTo.department' },
+    assignedTo: { field: 'assignedTo.userId', type: 'objectId' },
+    createdBy: { field: 'createdBy.userId', type: 'objectId' },
+    tags: { field: 'tags' },
+    isArchived: { field: 'isArchived', type: 'boolean' },
+    resolveBefore: { field: 'sla.resolveBy', type: 'date', op: '$lte' },
+    createdFrom: { field: 'createdAt', type: 'date', op: '$gte' },
+    createdTo: { field: 'createdAt', type: 'date', op: '$lte' }
+  },
+  textSearch: true,
+  populate: [
+    { path: 'createdBy.userId', select: 'username profile.fullName' },
+    { path: 'assignedTo.userId', select: 'username profile.fullName' }
+  ],
+  readOnlyFields: ['sla']
+});
+
+export const { list, get, create, update, remove } = pqrsController;
+
+export default pqrsController;
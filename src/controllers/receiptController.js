@@ -0,0 +1,31 @@
+import Receipt from '../models/Receipt.js';
+import asyncHandler from '../middleware/asyncHandler.js';
+import { createCrudController } from './crudFactory.js';
+import { recordReceipt } from '../services/accountService.js';
+import { sendSuccess } from '../utils/response.js';
+
+const receiptController = createCrudController(Receipt, {
+  name: 'Receipt',
+  filters: {
+    owner: { field: 'owner', type: 'objectId' },
+    method: { field: 'method' },
+    payment: { field: 'allocations.payment', type: 'objectId' },
+    dateFrom: { field: 'receivedAt', type: 'date', op: '$gte' },
+    dateTo: { field: 'receivedAt', type: 'date', op: '$lte' }
+  },
+  defaultSort: { receivedAt: -1 },
+  populate: [
+    { path: 'owner', select: 'username profile.fullName' },
+    { path: 'allocations.payment', select: 'billingPeriod totalAmount amountPaid paymentStatus dueDate' }
+  ]
+});
+
+export const { list, get } = receiptController;
+
+// POST /api/receipts
+export const create = asyncHandler(async (req, res) => {
+  const { receipt, payments } = await recordReceipt(req.body, req.user._id);
+  sendSuccess(res, { receipt, payments }, `Receipt allocated to ${payments.length} payments`, 201);
+});
+
+export default receiptController;
@@ -0,0 +1,46 @@
+import Refund from '../models/Refund.js';
+import asyncHandler from '../middleware/asyncHandler.js';
+import { createCrudController } from './crudFactory.js';
+import { approveRefund, rejectRefund, requestRefund } from '../services/refundService.js';
+import { sendSuccess } from '../utils/response.js';
+
+const refundController = createCrudController(Refund, {
+  name: 'Refund',
+  filters: {
+    status: { field: 'status' },
+    owner: { field: 'owner', type: 'objectId' },
+    payment: { field: 'payment', type: 'objectId' },
+    reservation: { field: 'reservation', type: 'objectId' },
+    origin: { field: 'origin' },
+    dateFrom: { field: 'createdAt', type: 'date', op: '$gte' },
+    dateTo: { field: 'createdAt', type: 'date', op: '$lte' }
+  },
+  populate: [
+    { path: 'owner', select: 'username profile.fullName' },
+    { path: 'payment', select: 'billingPeriod totalAmount refundedAmount paymentStatus' },
+    { path: 'reservation', select: 'type title reservationDate cost.total cost.payment' },
+    { path: 'review.by', select: 'username profile.fullName' }
+  ]
+});
+
+export const { list, get } = refundController;
+
+// POST /api/refunds
+export const create = asyncHandler(async (req, res) => {
+  const refund = await requestRefund(req.body, { requestedBy: req.user._id });
+  sendSuccess(res, refund, 'Refund requested', 201);
+});
+
+// POST /api/refunds/:id/approve
+export const approve = asyncHandler(async (req, res) => {
+  const refund = await approveRefund(req.params.id, req.body, req.user._id);
+  sendSuccess(res, refund, 'Refund approved');
+});
+
+// POST /api/refunds/:id/reject
+export const reject = asyncHandler(async (req, res) => {
+  const refund = await rejectRefund(req.params.id, req.body, req.user._id);
+  sendSuccess(res, refund, 'Refund rejected');
+});
+
+export default refundController;
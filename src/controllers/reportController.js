@@ -0,0 +1,10 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import { financeReport } from '../services/financeReportService.js';
+import { sendSuccess } from '../utils/response.js';
+
+// GET /api/reports/finance
+export const finance = asyncHandler(async (req, res) => {
+  sendSuccess(res, await financeReport(req.query));
+});
+
+export default { finance };
@@ -0,0 +1,43 @@
+import Reservation from '../models/Reservation.js';
+import asyncHandler from '../middleware/asyncHandler.js';
+import { createCrudController } from './crudFactory.js';
+import { cancelReservation, payReservation } from '../services/reservationService.js';
+import { sendSuccess } from '../utils/response.js';
+
+const reservationController = createCrudController(Reservation, {
+  name: 'Reservation',
+  filters: {
+    type: { field: 'type' },
+    status: { field: 'status' },
+    userId: { field: 'reservedBy.userId', type: 'objectId' },
+    approvalRequired: { field: 'approval.required', type: 'boolean' },
+    parentReservationId: { field: 'recurring.parentReservationId', type: 'objectId' },
+    dateFrom: { field: 'reservationDate', type: 'date', op: '$gte' },
+    dateTo: { field: 'reservationDate', type: 'date', op: '$lte' }
+  },
+  defaultSort: { reservationDate: -1 },
+  populate: { path: 'reservedBy.userId', select: 'username profile.fullName' },
+  readOnlyFields: ['duration']
+});
+
+export const { list, get, create, update, remove } = reservationController;
+
+// POST /api/reservations/:id/pay
+export const pay = asyncHandler(async (req, res) => {
+  const reservation = await payReservation(req.params.id, req.body);
+  sendSuccess(res, reservation, 'Reservation payment recorded');
+});
+
+// POST /api/reservations/:id/cancel - what was paid is refunded per the
+// cancellation policy once the refund is approved
+export const cancel = asyncHandler(async (req, res) => {
+  const cancelledBy = {
+    userId: req.user._id,
+    fullName: req.user.profile?.fullName,
+    role: req.permissions.roleName
+  };
+  const { reservation, refund } = await cancelReservation(req.params.id, req.body, cancelledBy);
+  sendSuccess(res, { reservation, refund }, refund ? 'Reservation cancelled, refund requested' : 'Reservation cancelled');
+});
+
+export default reservationController;
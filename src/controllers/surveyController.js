@@ -0,0 +1,44 @@
+import Survey from '../models/Survey.js';
+import asyncHandler from '../middleware/asyncHandler.js';
+import { createCrudController } from './crudFactory.js';
+import { sendSuccess } from '../utils/response.js';
+import { ConflictError } from '../utils/errors.js';
+
+const surveyController = createCrudController(Survey, {
+  name: 'Survey',
+  filters: {
+    status: { field: 'lifecycle.status' },
+    category: { field: 'category' },
+    createdBy: { field: 'createdBy.userId', type: 'objectId' },
+    respondent: { field: 'responses.respondent.userId', type: 'objectId' },
+    tags: { field: 'metadata.tags' },
+    isArchived: { field: 'isArchived', type: 'boolean' },
+    startsFrom: { field: 'lifecycle.startsAt', type: 'date', op: '$gte' },
+    endsTo: { field: 'lifecycle.endsAt', type: 'date', op: '$lte' }
+  },
+  textSearch: true,
+  populate: { path: 'createdBy.userId', select: 'username profile.fullName' },
+  readOnlyFields: ['analytics']
+});
+
+export const { list, get, create, update, remove } = surveyController;
+
+// POST /api/surveys/:id/responses
+export const addResponse = asyncHandler(async (req, res) => {
+  const survey = await surveyController.findDocument(req.params.id);
+
+  if (!survey.isActive) {
+    throw new ConflictError('Survey is not accepting responses', 'SURVEY_NOT_ACTIVE');
+  }
+
+  const { allowMultiple, responsesPerUser } = survey.settings.responses;
+  const previous = survey.responses.filter(r => r.respondent.userId.equals(req.body.respondent.userId));
+  if (!allowMultiple && previous.length >= (responsesPerUser || 1)) {
+    throw new ConflictError('Response limit reached for this user', 'SURVEY_RESPONSE_LIMIT');
+  }
+
+  await survey.addResponse(req.body);
+  sendSuccess(res, survey.responses[survey.responses.length - 1], 'Response recorded', 201);
+});
+
+export default surveyController;
@@ -0,0 +1,74 @@
+import Tower from '../models/Tower.js';
+import Apartment from '../models/Apartment.js';
+import asyncHandler from '../middleware/asyncHandler.js';
+import { createCrudController } from './crudFactory.js';
+import { applyFees as applyFeesService, previewFees as previewFeesService } from '../services/feeService.js';
+import { sendSuccess } from '../utils/response.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+
+const towerController = createCrudController(Tower, {
+  name: 'Tower',
+  filters: {
+    name: { field: 'name' },
+    isActive: { field: 'isActive', type: 'boolean' }
+  },
+  defaultSort: { name: 1 }
+});
+
+export const { list, get, create, update, remove } = towerController;
+
+// POST /api/towers/:id/apartments
+export const addApartment = asyncHandler(async (req, res) => {
+  const tower = await towerController.findDocument(req.params.id);
+
+  if (await Apartment.exists({ tower: tower._id, number: req.body.number })) {
+    throw new ConflictError(`Apartment ${req.body.number} already exists in ${tower.name}`);
+  }
+
+  const apartment = new Apartment({ ...req.body, tower: tower._id });
+  await apartment.save();
+
+  sendSuccess(res, apartment, 'Apartment created', 201);
+});
+
+// PUT /api/towers/:id/apartments/:number
+export const updateApartment = asyncHandler(async (req, res) => {
+  const tower = await towerController.findDocument(req.params.id);
+  const apartment = await Apartment.findOne({ tower: tower._id, number: req.params.number });
+
+  if (!apartment) {
+    throw new NotFoundError(`Apartment ${req.params.number} not found in ${tower.name}`);
+  }
+
+  apartment.set(req.body, undefined, { merge: true });
+  await apartment.save();
+
+  sendSuccess(res, apartment, 'Apartment updated');
+});
+
+// POST /api/towers/:id/generate
+export const generateLayout = asyncHandler(async (req, res) => {
+  const tower = await towerController.findDocument(req.params.id);
+  const { created, skipped } = await tower.generateLayout(req.body);
+
+  sendSuccess(res, {
+    tower,
+    created: created.length,
+    skipped,
+    apartments: created
+  }, `${created.length} apartments generated`, 201);
+});
+
+// GET /api/towers/:id/fees
+export const previewFees = asyncHandler(async (req, res) => {
+  const report = await previewFeesService(req.params.id, req.query);
+  sendSuccess(res, report, `${report.changed} apartment fees would change`);
+});
+
+// POST /api/towers/:id/fees/apply
+export const applyFees = asyncHandler(async (req, res) => {
+  const report = await applyFeesService(req.params.id, req.body);
+  sendSuccess(res, report, `${report.applied} apartment fees updated`);
+});
+
+export default towerController;
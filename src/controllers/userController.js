@@ -0,0 +1,25 @@
+import User from '../models/User.js';
+import { createCrudController } from './crudFactory.js';
+
+const userController = createCrudController(User, {
+  name: 'User',
+  filters: {
+    status: { field: 'status' },
+    role: { field: 'role', type: 'objectId' },
+    roleType: { field: 'roleType' },
+    ownerActive: { field: 'ownerInfo.isActive', type: 'boolean' },
+    username: { field: 'username' },
+    email: { field: 'email' },
+    documentNumber: { field: 'profile.documentNumber' },
+    legacyId: { field: 'legacyId', type: 'number' },
+    createdFrom: { field: 'createdAt', type: 'date', op: '$gte' },
+    createdTo: { field: 'createdAt', type: 'date', op: '$lte' }
+  },
+  populate: { path: 'role', select: 'name type level' },
+  hiddenFields: ['password', 'refreshTokens'],
+  readOnlyFields: ['refreshTokens', 'lastLogin', 'legacyId']
+});
+
+export const { list, get, create, update, remove } = userController;
+
+export default userController;
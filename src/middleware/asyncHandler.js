@@ -0,0 +1,6 @@
+// Wraps an async route handler so rejected promises reach the global error handler
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+export default asyncHandler;
@@ -0,0 +1,37 @@
+import User from '../models/User.js';
+import { verifyAccessToken } from '../services/authService.js';
+import { AuthenticationError } from '../utils/errors.js';
+
+// =====================================
+// AUTHENTICATION MIDDLEWARE
+// =====================================
+const extractBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Requires a valid access token and loads the user into req.user
+export const authenticate = async (req, res, next) => {
+  try {
+    const token = extractBearerToken(req);
+    if (!token) {
+      throw new AuthenticationError('Missing Authorization bearer token', 'TOKEN_MISSING');
+    }
+
+    const payload = verifyAccessToken(token);
+    const user = await User.findById(payload.sub);
+
+    if (!user) {
+      throw new AuthenticationError('User no longer exists', 'INVALID_TOKEN');
+    }
+
+    req.user = user;
+    req.auth = payload;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default authenticate;
@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+import { authenticate } from './auth.js';
+import User from '../models/User.js';
+import { Role } from '../models/Permission.js';
+import {
+  canGrantLevel,
+  getEffectivePermissions,
+  hasPermission,
+  hasModuleAccess
+} from '../services/permissionService.js';
+import { canBookAmenities } from '../services/leaseService.js';
+import { AuthenticationError, BadRequestError, ForbiddenError } from '../utils/errors.js';
+
+// =====================================
+// PERMISSION MIDDLEWARE
+// =====================================
+// Both guards expect `authenticate` to have run first. The caller's effective
+// permission set is resolved once per request and exposed as req.permissions.
+
+const loadPermissions = async (req) => {
+  if (!req.user) {
+    throw new AuthenticationError();
+  }
+
+  if (!req.permissions) {
+    const effective = await getEffectivePermissions(req.user.role);
+
+    if (!effective || !effective.isActive) {
+      throw new ForbiddenError('Your role is inactive or no longer exists', 'ROLE_INACTIVE', {
+        role: effective ? effective.roleName : null
+      });
+    }
+
+    req.permissions = effective;
+  }
+
+  return req.permissions;
+};
+
+// Passes when the role holds ANY of the given permissions
+export const requirePermission = (...permissionNames) => {
+  return async (req, res, next) => {
+    try {
+      const effective = await loadPermissions(req);
+
+      if (!permissionNames.some(name => hasPermission(effective, name))) {
+        throw new ForbiddenError('Insufficient permissions', 'PERMISSION_DENIED', {
+          required: permissionNames,
+          role: effective.roleName
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+export const requireModule = (moduleName) => {
+  return async (req, res, next) => {
+    try {
+      const effective = await loadPermissions(req);
+
+      if (!hasModuleAccess(effective, moduleName)) {
+        throw new ForbiddenError(`No access to module '${moduleName}'`, 'MODULE_ACCESS_DENIED', {
+          module: moduleName,
+          role: effective.roleName
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// =====================================
+// ROLE HIERARCHY GUARDS
+// =====================================
+const assertGrantable = (effective, role, action) => {
+  if (!canGrantLevel(effective, role.level)) {
+    throw new ForbiddenError(
+      `Cannot ${action} role '${role.name}' at or above your own level`,
+      'ROLE_LEVEL_DENIED',
+      { role: role.name, level: role.level, yourLevel: effective.level }
+    );
+  }
+};
+
+// User create/update: the assigned role (req.body.role) and, on update, the
+// target user's current role must both be below the caller's level
+export const guardRoleAssignment = async (req, res, next) => {
+  try {
+    const effective = await loadPermissions(req);
+
+    if (req.params.id) {
+      const target = await User.findById(req.params.id).select('role').populate('role', 'name level');
+      if (target && target.role) assertGrantable(effective, target.role, 'manage users with');
+    }
+
+    if (req.body.role) {
+      const role = await Role.findById(req.body.role).select('name level');
+      if (!role) throw new BadRequestError('Role not found');
+      assertGrantable(effective, role, 'grant');
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Role create/update: both the edited role and the requested level must be
+// below the caller's level
+export const guardRoleLevel = async (req, res, next) => {
+  try {
+    const effective = await loadPermissions(req);
+
+    if (req.params.id && mongoose.Types.ObjectId.isValid(req.params.id)) {
+      const existing = await Role.findById(req.params.id).select('name level');
+      if (existing) assertGrantable(effective, existing, 'modify');
+    }
+
+    if (req.body.level !== undefined || !req.params.id) {
+      const level = req.body.level !== undefined ? req.body.level : Role.schema.path('level').defaultValue;
+      assertGrantable(effective, { name: req.body.name || 'requested', level }, 'create or assign');
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =====================================
+// AMENITY BOOKING GUARD
+// =====================================
+// Reservation create/update: the resident it is booked for must hold amenity access
+// (an owner whose lease gives it to the tenant loses it, see models/Lease.js)
+export const guardAmenityBooking = async (req, res, next) => {
+  try {
+    const userId = req.body.reservedBy && req.body.reservedBy.userId;
+    if (userId && !(await canBookAmenities(userId))) {
+      throw new ForbiddenError('This resident cannot book amenities', 'AMENITY_BOOKING_DENIED', { userId });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Convenience chain for an /api route group: authenticate + module access
+export const protect = (routeGroup) => [authenticate, requireModule(routeGroup)];
+
+export default { requirePermission, requireModule, protect, guardRoleAssignment, guardRoleLevel, guardAmenityBooking };
@@ -0,0 +1,24 @@
+import crypto from 'crypto';
+import { runWithContext } from '../utils/requestContext.js';
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Assigns a request id (reusing a well-formed incoming X-Request-Id) and
+// opens the request context for the rest of the middleware chain. The actor
+// is read lazily because `authenticate` sets req.user further down the chain.
+export const requestContext = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  runWithContext({
+    requestId: req.id,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    get actor() {
+      return req.user ? { user: req.user._id, username: req.user.username } : null;
+    }
+  }, next);
+};
+
+export default requestContext;
@@ -0,0 +1,39 @@
+import multer from 'multer';
+import { BadRequestError } from '../utils/errors.js';
+
+// =====================================
+// FILE UPLOADS
+// =====================================
+// Files kept in memory for handlers that read them right away (imports);
+// nothing is written to UPLOAD_PATH.
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE, 10) || 5 * 1024 * 1024;
+
+// Accepts one file in `field` with one of the given extensions; reports
+// multer's errors (too large, unexpected field) as 400s
+export const singleFile = (field, extensions) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+    fileFilter: (req, file, callback) => {
+      const extension = (file.originalname.split('.').pop() || '').toLowerCase();
+      if (!extensions.includes(extension)) {
+        return callback(new BadRequestError(`Only ${extensions.join(', ')} files are accepted`));
+      }
+      callback(null, true);
+    }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return next(new BadRequestError(error.message, { field: error.field, code: error.code }));
+      }
+      if (error) return next(error);
+      if (!req.file) return next(new BadRequestError(`A file is required in the '${field}' field`));
+      next();
+    });
+  };
+};
+
+export default { singleFile };
@@ -0,0 +1,38 @@
+import { RequestValidationError } from '../utils/errors.js';
+
+const SOURCES = ['body', 'query', 'params'];
+
+// =====================================
+// JOI REQUEST VALIDATION
+// =====================================
+// Validates req[source] against a Joi schema and replaces it with the
+// converted value (numbers, booleans and dates cast, defaults applied).
+export const validate = (schema, source = 'body') => {
+  if (!SOURCES.includes(source)) {
+    throw new Error(`validate(): unknown request source '${source}'`);
+  }
+
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req[source], {
+      abortEarly: false,
+      convert: true,
+      errors: { wrap: { label: false } }
+    });
+
+    if (error) {
+      const errors = {};
+      for (const detail of error.details) {
+        const path = detail.path.join('.') || source;
+        if (!errors[path]) {
+          errors[path] = { path, message: detail.message };
+        }
+      }
+      return next(new RequestValidationError(errors));
+    }
+
+    req[source] = value;
+    next();
+  };
+};
+
+export default validate;
@@ -0,0 +1,284 @@
+import mongoose from 'mongoose';
+import audit from './plugins/audit.js';
+
+// =====================================
+// APARTMENT SCHEMA (replaces apartment table)
+// =====================================
+const apartmentSchema = new mongoose.Schema({
+  tower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tower',
+    required: [true, 'Tower is required'],
+    index: true
+  },
+
+  number: {
+    type: String,
+    required: [true, 'Apartment number is required'],
+    trim: true,
+    maxlength: [4, 'Apartment number cannot exceed 4 characters']
+  },
+
+  floor: {
+    type: Number,
+    required: [true, 'Floor is required'],
+    min: 1,
+    max: 50
+  },
+
+  // Apartment status (embedded instead of apartment_status table)
+  status: {
+    type: String,
+    required: true,
+    enum: {
+      values: ['available', 'occupied', 'maintenance', 'reserved'],
+      message: 'Status must be: available, occupied, maintenance, or reserved'
+    },
+    default: 'available',
+    index: true
+  },
+
+  // Owner information
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+
+  ownerInfo: {
+    fullName: String,
+    documentNumber: String,
+    phone: String,
+    email: String
+  },
+
+  // Apartment details
+  details: {
+    bedrooms: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: 2
+    },
+    bathrooms: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: 2
+    },
+    area: {
+      type: Number, // Square meters
+      min: 20,
+      max: 500
+    },
+    balcony: {
+      type: Boolean,
+      default: false
+    },
+    parking: {
+      hasParking: { type: Boolean, default: false },
+      parkingNumber: String,
+      parkingType: {
+        type: String,
+        enum: ['regular', 'covered', 'motorcycle'],
+        default: 'regular'
+      }
+    }
+  },
+
+  // Financial information
+  financial: {
+    // Ownership coefficient: share of the tower's private area (details.area),
+    // computed by the fee engine
+    coefficient: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    monthlyFee: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    administrationFee: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    lastPaymentDate: Date,
+    // payment_plan: the only past-due debt is under an active payment plan
+    paymentStatus: {
+      type: String,
+      enum: ['current', 'overdue', 'partial', 'payment_plan'],
+      default: 'current'
+    }
+  },
+
+  // One-off charges (fines, amenity damages...) waiting for the next
+  // billing run; `payment` is set once they are invoiced
+  charges: [{
+    description: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [100, 'Charge description cannot exceed 100 characters']
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Charge amount cannot be negative']
+    },
+    category: {
+      type: String,
+      enum: ['fine', 'amenities', 'other'],
+      default: 'fine'
+    },
+    chargedAt: {
+      type: Date,
+      default: Date.now
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      default: null
+    }
+  }],
+
+  // Occupancy history
+  occupancyHistory: [{
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    ownerName: String,
+    moveInDate: Date,
+    moveOutDate: Date,
+    reason: String,
+    isTenant: { type: Boolean, default: false }
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+
+}, {
+  timestamps: true
+});
+
+// =====================================
+// INDEXES
+// =====================================
+apartmentSchema.index({ tower: 1, number: 1 }, { unique: true });
+apartmentSchema.index({ tower: 1, status: 1 });
+
+// =====================================
+// MIDDLEWARE
+// =====================================
+apartmentSchema.pre('validate', async function() {
+  if (!this.tower || !(this.isNew || this.isModified('tower'))) return;
+
+  const exists = await mongoose.model('Tower').exists({ _id: this.tower }).session(this.$session());
+  if (!exists) this.invalidate('tower', 'Tower not found');
+});
+
+// Keep the towers' details.totalApartments in step with their apartments
+apartmentSchema.pre('save', async function() {
+  if (this.isNew) {
+    this.$locals.syncTowers = [this.tower];
+  } else if (this.isModified('tower')) {
+    const stored = await this.constructor.findById(this._id).select('tower').session(this.$session()).lean();
+    this.$locals.syncTowers = [this.tower, stored && stored.tower].filter(Boolean);
+  }
+});
+
+apartmentSchema.post('save', async function(doc) {
+  const towers = doc.$locals.syncTowers || [];
+  delete doc.$locals.syncTowers;
+
+  const Tower = mongoose.model('Tower');
+  for (const towerId of towers) await Tower.syncApartmentTotal(towerId, doc.$session());
+});
+
+apartmentSchema.post('deleteOne', { document: true, query: false }, async function(doc) {
+  await mongoose.model('Tower').syncApartmentTotal(doc.tower, doc.$session());
+});
+
+// =====================================
+// INSTANCE METHODS
+// =====================================
+apartmentSchema.methods.updateStatus = function(newStatus) {
+  this.status = newStatus;
+  return this.save();
+};
+
+// Occupancy entry of the current resident (no moveOutDate yet)
+apartmentSchema.methods.currentOccupancy = function() {
+  return this.occupancyHistory.find(entry => !entry.moveOutDate) || null;
+};
+
+// Any open occupancy entry is closed before the new one starts
+apartmentSchema.methods.assignOwner = function(ownerData) {
+  const moveInDate = ownerData.moveInDate || new Date();
+  const open = this.currentOccupancy();
+  if (open) {
+    open.moveOutDate = moveInDate;
+    open.reason = open.reason || 'replaced';
+  }
+
+  this.ownerId = ownerData.ownerId;
+  this.ownerInfo = ownerData.ownerInfo;
+  this.status = 'occupied';
+  this.occupancyHistory.push({
+    ownerId: ownerData.ownerId,
+    ownerName: ownerData.ownerInfo.fullName,
+    moveInDate,
+    isTenant: ownerData.isTenant || false
+  });
+  return this.save();
+};
+
+apartmentSchema.methods.unassignOwner = function({ moveOutDate = new Date(), reason } = {}) {
+  const open = this.currentOccupancy();
+  if (open) {
+    open.moveOutDate = moveOutDate;
+    if (reason) open.reason = reason;
+  }
+
+  this.ownerId = null;
+  this.ownerInfo = {};
+  this.status = 'available';
+  return this.save();
+};
+
+// =====================================
+// STATIC METHODS
+// =====================================
+apartmentSchema.statics.findAvailable = function(towerId = null) {
+  const filter = { status: 'available', isActive: true };
+  if (towerId) filter.tower = towerId;
+  return this.find(filter).sort({ number: 1 });
+};
+
+apartmentSchema.statics.findByOwner = function(ownerId) {
+  return this.find({ ownerId }).populate('tower', 'name');
+};
+
+// { towerId: { total, available, occupied, maintenance, reserved } }
+apartmentSchema.statics.countByTower = async function(towerIds) {
+  const rows = await this.aggregate([
+    { $match: { tower: { $in: towerIds } } },
+    { $group: { _id: { tower: '$tower', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const counts = {};
+  for (const { _id, count } of rows) {
+    const key = _id.tower.toString();
+    counts[key] = counts[key] || { total: 0 };
+    counts[key][_id.status] = count;
+    counts[key].total += count;
+  }
+  return counts;
+};
+
+apartmentSchema.plugin(audit);
+
+export default mongoose.model('Apartment', apartmentSchema);
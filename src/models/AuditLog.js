@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+// =====================================
+// AUDIT LOG
+// =====================================
+// Written by the audit plugin (models/plugins/audit.js) on every create,
+// update and delete of an audited model. `changes` holds one entry per
+// changed dot-path with its value before and after the write (null on
+// create/delete respectively).
+const auditLogSchema = new mongoose.Schema({
+  // Model name (User, Tower, ...)
+  entity: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  action: {
+    type: String,
+    required: true,
+    enum: ['create', 'update', 'delete']
+  },
+
+  // Null for changes made outside an authenticated request (seeds, scripts)
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    username: {
+      type: String,
+      default: null
+    }
+  },
+
+  requestId: {
+    type: String,
+    default: null
+  },
+
+  ipAddress: {
+    type: String,
+    default: null
+  },
+
+  userAgent: {
+    type: String,
+    default: null
+  },
+
+  changes: [{
+    _id: false,
+    path: {
+      type: String,
+      required: true
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false,
+  collection: 'audit_logs'
+});
+
+// =====================================
+// INDEXES
+// =====================================
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.user': 1, createdAt: -1 });
+auditLogSchema.index({ requestId: 1 });
+auditLogSchema.index({ 'changes.path': 1 });
+auditLogSchema.index({ createdAt: -1 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
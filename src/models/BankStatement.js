@@ -0,0 +1,187 @@
+import mongoose from 'mongoose';
+import audit from './plugins/audit.js';
+
+// =====================================
+// BANK STATEMENTS COLLECTION
+// =====================================
+// An imported bank statement (CSV or OFX) and its deposits. Each deposit is
+// proposed a payment by services/bankReconciliationService.js; an admin
+// confirms it (recording a receipt) or ignores it.
+
+const LINE_STATUSES = ['unmatched', 'proposed', 'confirmed', 'ignored'];
+
+const lineSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, 'Deposit date is required']
+  },
+
+  amount: {
+    type: Number,
+    required: [true, 'Deposit amount is required'],
+    min: [0.01, 'Deposit amount must be greater than zero']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+
+  // Payer's document number as the bank reports it
+  payerDocument: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Payer document cannot exceed 20 characters']
+  },
+
+  // Bank's own transaction id (OFX FITID), when there is one
+  bankId: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Bank transaction id cannot exceed 100 characters']
+  },
+
+  // Identifies the deposit across imports, so a statement imported twice
+  // (or overlapping periods) does not bring the same deposit back
+  key: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: LINE_STATUSES,
+    default: 'unmatched'
+  },
+
+  // Best candidate found at import
+  proposal: {
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    score: Number,
+    // What matched: 'reference', 'document', 'amount'
+    reasons: [String]
+  },
+
+  // Set once confirmed: the payment it paid and the receipt recorded for it
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  receipt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Receipt'
+  },
+
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+});
+
+const bankStatementSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: [true, 'File name is required'],
+    trim: true,
+    maxlength: [200, 'File name cannot exceed 200 characters']
+  },
+
+  format: {
+    type: String,
+    required: true,
+    enum: ['csv', 'ofx']
+  },
+
+  // Account number from the file (OFX) or given at import
+  bankAccount: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Bank account cannot exceed 50 characters']
+  },
+
+  // First and last deposit date
+  period: {
+    from: Date,
+    to: Date
+  },
+
+  lines: [lineSchema],
+
+  // duplicates and skipped (debits, zero amounts) are counted at import;
+  // the rest follow the lines (see refreshSummary)
+  summary: {
+    deposits: { type: Number, default: 0 },
+    totalAmount: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    unmatched: { type: Number, default: 0 },
+    proposed: { type: Number, default: 0 },
+    confirmed: { type: Number, default: 0 },
+    ignored: { type: Number, default: 0 },
+    confirmedAmount: { type: Number, default: 0 }
+  },
+
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+
+}, {
+  timestamps: true,
+  collection: 'bank_statements'
+});
+
+// =====================================
+// INDEXES
+// =====================================
+bankStatementSchema.index({ 'lines.key': 1 });
+bankStatementSchema.index({ 'lines.status': 1, 'lines.date': -1 });
+bankStatementSchema.index({ createdAt: -1 });
+
+// =====================================
+// INSTANCE METHODS
+// =====================================
+bankStatementSchema.methods.refreshSummary = function() {
+  const round = (value) => Math.round(value * 100) / 100;
+  const summary = this.summary;
+
+  summary.deposits = this.lines.length;
+  summary.totalAmount = round(this.lines.reduce((sum, line) => sum + line.amount, 0));
+  for (const status of LINE_STATUSES) {
+    summary[status] = this.lines.filter(line => line.status === status).length;
+  }
+  summary.confirmedAmount = round(this.lines
+    .filter(line => line.status === 'confirmed')
+    .reduce((sum, line) => sum + line.amount, 0));
+
+  const dates = this.lines.map(line => line.date.getTime());
+  this.period = dates.length > 0
+    ? { from: new Date(Math.min(...dates)), to: new Date(Math.max(...dates)) }
+    : {};
+  return summary;
+};
+
+// Whole-array diffs of the lines would be huge; who resolved each deposit is
+// kept on the line, and the receipts it created are audited themselves
+bankStatementSchema.plugin(audit, { ignoredPaths: ['lines', 'summary', 'period'] });
+
+const BankStatement = mongoose.model('BankStatement', bankStatementSchema);
+
+export default BankStatement;
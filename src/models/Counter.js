@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// =====================================
+// COUNTERS COLLECTION
+// =====================================
+// Named sequences (e.g. receipt numbers per tower and year). A number taken
+// inside a transaction is returned to the sequence if the transaction aborts,
+// so documents numbered that way have no gaps.
+const counterSchema = new mongoose.Schema({
+  // Sequence name, e.g. 'receipt:<towerId>:2025'
+  _id: {
+    type: String,
+    required: true
+  },
+
+  seq: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  collection: 'counters'
+});
+
+// Next value of the sequence (the first one is 1)
+counterSchema.statics.next = async function(key, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
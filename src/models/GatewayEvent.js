@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+// =====================================
+// GATEWAY EVENTS COLLECTION
+// =====================================
+// Every webhook (and reconciliation result) handled from the payment gateway.
+// The unique provider + eventId index is what makes redelivered webhooks
+// harmless: the second copy is recognised and not applied again.
+const gatewayEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+
+  eventId: {
+    type: String,
+    required: true
+  },
+
+  type: String,
+
+  checkoutId: String,
+
+  reference: {
+    type: String,
+    index: true
+  },
+
+  status: String,
+
+  amount: Number,
+
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    index: true
+  },
+
+  // applied: the payment changed; ignored: stale or out-of-order event;
+  // unmatched: no payment has the reference
+  outcome: {
+    type: String,
+    enum: ['applied', 'ignored', 'unmatched'],
+    required: true
+  },
+
+  source: {
+    type: String,
+    enum: ['webhook', 'reconciliation'],
+    default: 'webhook'
+  }
+
+}, {
+  timestamps: true,
+  collection: 'gateway_events'
+});
+
+gatewayEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+export default mongoose.model('GatewayEvent', gatewayEventSchema);
@@ -0,0 +1,157 @@
+import mongoose from 'mongoose';
+import audit from './plugins/audit.js';
+
+// =====================================
+// LEASE SCHEMA
+// =====================================
+// An owner renting their apartment to a tenant. Only one lease per apartment
+// can be active; a renewal marks the current lease 'renewed' and starts a new
+// one at its end date, linked through renewedFrom/renewedTo. A renewed lease
+// still covers the apartment until its own end date.
+const leaseSchema = new mongoose.Schema({
+  apartment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Apartment',
+    required: [true, 'Apartment is required'],
+    index: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Tenant is required'],
+    index: true,
+    validate: {
+      validator: function(tenant) {
+        return !this.owner || !tenant.equals(this.owner);
+      },
+      message: 'Tenant and owner must be different users'
+    }
+  },
+
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+    validate: {
+      validator: function(endDate) {
+        return !this.startDate || endDate > this.startDate;
+      },
+      message: 'End date must be after start date'
+    }
+  },
+
+  monthlyRent: {
+    type: Number,
+    required: [true, 'Monthly rent is required'],
+    min: [0, 'Monthly rent cannot be negative']
+  },
+
+  deposit: {
+    amount: { type: Number, min: 0, default: 0 },
+    status: {
+      type: String,
+      enum: ['held', 'returned', 'applied'],
+      default: 'held'
+    }
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'renewed', 'terminated'],
+    default: 'active',
+    index: true
+  },
+
+  // Who receives the administration-fee bills of the apartment
+  feesPaidBy: {
+    type: String,
+    enum: ['owner', 'tenant'],
+    default: 'owner'
+  },
+
+  // Who may book amenities on behalf of the apartment
+  amenityAccess: {
+    type: String,
+    enum: ['tenant', 'owner', 'both'],
+    default: 'tenant'
+  },
+
+  renewedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lease',
+    default: null
+  },
+
+  renewedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lease',
+    default: null
+  },
+
+  termination: {
+    date: Date,
+    reason: { type: String, trim: true, maxlength: [200, 'Reason cannot exceed 200 characters'] },
+    terminatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+
+}, {
+  timestamps: true
+});
+
+// =====================================
+// INDEXES
+// =====================================
+leaseSchema.index(
+  { apartment: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' }, name: 'one_active_lease_per_apartment' }
+);
+leaseSchema.index({ tenant: 1, status: 1 });
+
+// =====================================
+// INSTANCE METHODS
+// =====================================
+// Not terminated and within its dates
+leaseSchema.methods.isCurrent = function(at = new Date()) {
+  return this.status !== 'terminated' && this.startDate <= at && this.endDate > at;
+};
+
+leaseSchema.methods.tenantBooksAmenities = function() {
+  return this.amenityAccess === 'tenant' || this.amenityAccess === 'both';
+};
+
+leaseSchema.methods.ownerBooksAmenities = function() {
+  return this.amenityAccess === 'owner' || this.amenityAccess === 'both';
+};
+
+// =====================================
+// STATIC METHODS
+// =====================================
+leaseSchema.statics.currentFilter = function(at = new Date()) {
+  return { status: { $in: ['active', 'renewed'] }, startDate: { $lte: at }, endDate: { $gt: at } };
+};
+
+leaseSchema.statics.findCurrentForApartment = function(apartmentId, at = new Date()) {
+  return this.findOne({ apartment: apartmentId, ...this.currentFilter(at) });
+};
+
+leaseSchema.plugin(audit);
+
+export default mongoose.model('Lease', leaseSchema);
@@ -0,0 +1,224 @@
+import mongoose from 'mongoose';
+import audit from './plugins/audit.js';
+
+// =====================================
+// CHART OF ACCOUNTS (PUC)
+// =====================================
+// Subset of the Colombian PUC used by a horizontal property. Entries refer
+// to accounts by code; codes are stable across installations.
+export const DEFAULT_CHART = [
+  { code: '110505', name: 'Caja general', type: 'asset' },
+  { code: '111005', name: 'Bancos - cuenta corriente', type: 'asset' },
+  { code: '130505', name: 'Cuotas de administración por cobrar', type: 'asset' },
+  { code: '233595', name: 'Otros costos y gastos por pagar', type: 'liability' },
+  { code: '280505', name: 'Anticipos recibidos de propietarios', type: 'liability' },
+  { code: '280510', name: 'Depósitos recibidos', type: 'liability' },
+  { code: '370505', name: 'Excedentes acumulados', type: 'equity' },
+  { code: '417005', name: 'Cuotas de administración', type: 'income' },
+  { code: '417010', name: 'Parqueaderos', type: 'income' },
+  { code: '417015', name: 'Zonas comunes y reservas', type: 'income' },
+  { code: '417020', name: 'Multas y sanciones', type: 'income' },
+  { code: '417095', name: 'Otros ingresos', type: 'income' },
+  { code: '417505', name: 'Devoluciones y reembolsos', type: 'income', nature: 'debit' },
+  { code: '421005', name: 'Intereses de mora', type: 'income' },
+  { code: '514510', name: 'Mantenimiento y reparaciones', type: 'expense' }
+];
+
+const NATURE_BY_TYPE = {
+  asset: 'debit',
+  expense: 'debit',
+  liability: 'credit',
+  equity: 'credit',
+  income: 'credit'
+};
+
+const ledgerAccountSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Account code is required'],
+    unique: true,
+    trim: true,
+    match: [/^\d{1,10}$/, 'Account code must be numeric']
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Account name is required'],
+    trim: true,
+    maxlength: [100, 'Account name cannot exceed 100 characters']
+  },
+
+  type: {
+    type: String,
+    required: true,
+    enum: ['asset', 'liability', 'equity', 'income', 'expense']
+  },
+
+  // Side that increases the balance; contra accounts (e.g. returns) differ
+  // from their type's default
+  nature: {
+    type: String,
+    enum: ['debit', 'credit']
+  },
+
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+
+}, {
+  timestamps: true,
+  collection: 'ledger_accounts'
+});
+
+ledgerAccountSchema.pre('validate', function() {
+  if (!this.nature) this.nature = NATURE_BY_TYPE[this.type];
+
+  // Automatic postings rely on the system accounts
+  if (this.isSystem && !this.isActive) {
+    this.invalidate('isActive', 'System accounts cannot be deactivated');
+  }
+});
+
+// Missing default accounts are created; existing ones are left untouched
+ledgerAccountSchema.statics.ensureChart = async function() {
+  await this.bulkWrite(DEFAULT_CHART.map(account => ({
+    updateOne: {
+      filter: { code: account.code },
+      update: {
+        $setOnInsert: {
+          ...account,
+          nature: account.nature || NATURE_BY_TYPE[account.type],
+          isSystem: true,
+          isActive: true,
+          createdAt: new Date(),
+          updatedAt: new Date()
+        }
+      },
+      upsert: true
+    }
+  })));
+};
+
+// =====================================
+// JOURNAL ENTRIES
+// =====================================
+const journalLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true
+  },
+  debit: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  credit: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  }
+}, { _id: false });
+
+const journalEntrySchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, 'Entry date is required'],
+    index: true
+  },
+
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+
+  // What produced the entry
+  source: {
+    type: {
+      type: String,
+      enum: ['payment', 'receipt', 'late_fee', 'reservation', 'refund', 'maintenance', 'manual'],
+      required: true
+    },
+    id: mongoose.Schema.Types.ObjectId
+  },
+
+  // Identifies the business event ('payment:<id>:issued'); an event is
+  // posted at most once
+  sourceKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+
+  lines: {
+    type: [journalLineSchema],
+    validate: {
+      validator: lines => lines.length >= 2,
+      message: 'An entry needs at least two lines'
+    }
+  },
+
+  total: {
+    type: Number,
+    min: 0
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+
+}, {
+  timestamps: true,
+  collection: 'journal_entries'
+});
+
+journalEntrySchema.index({ 'lines.account': 1, date: 1 });
+journalEntrySchema.index({ 'source.type': 1, 'source.id': 1 });
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Double entry: every line is one-sided, debits equal credits, and every
+// account exists and is active
+journalEntrySchema.pre('validate', async function() {
+  const oneSided = this.lines.every(line => (line.debit > 0) !== (line.credit > 0));
+  if (!oneSided) {
+    this.invalidate('lines', 'Each line must have either a debit or a credit');
+    return;
+  }
+
+  const debits = round(this.lines.reduce((sum, line) => sum + line.debit, 0));
+  const credits = round(this.lines.reduce((sum, line) => sum + line.credit, 0));
+  if (debits !== credits) {
+    this.invalidate('lines', `Debits (${debits}) and credits (${credits}) must be equal`);
+    return;
+  }
+  this.total = debits;
+
+  const codes = [...new Set(this.lines.map(line => line.account))];
+  const found = await mongoose.model('LedgerAccount')
+    .countDocuments({ code: { $in: codes }, isActive: true })
+    .session(this.$session());
+  if (found !== codes.length) {
+    this.invalidate('lines', 'Unknown or inactive account in entry');
+  }
+});
+
+journalEntrySchema.plugin(audit);
+
+export const LedgerAccount = mongoose.model('LedgerAccount', ledgerAccountSchema);
+export const JournalEntry = mongoose.model('JournalEntry', journalEntrySchema);
+
+export default { LedgerAccount, JournalEntry };
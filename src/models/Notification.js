@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import audit from './plugins/audit.js';
 
 // =====================================
 // NOTIFICATIONS COLLECTION
@@ -48,7 +49,8 @@ const notificationSchema = new mongoose.Schema({
 
   // Target audience
   targetUserId: {
-    type: Number, // Reference to User (MySQL ID)
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
     default: null // null means broadcast to all users
   },
 
@@ -137,7 +139,7 @@ const notificationSchema = new mongoose.Schema({
 
   // Individual delivery tracking
   recipients: [{
-    userId: Number,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     userInfo: {
       fullName: String,
       email: String,
@@ -205,7 +207,7 @@ const notificationSchema = new mongoose.Schema({
 
   // Creator information
   createdBy: {
-    userId: Number,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     fullName: String,
     role: String
   },
@@ -214,13 +216,13 @@ const notificationSchema = new mongoose.Schema({
   approval: {
     required: { type: Boolean, default: false },
     approvedBy: {
-      userId: Number,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
       fullName: String,
       role: String
     },
     approvedAt: Date,
     rejectedBy: {
-      userId: Number,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
       fullName: String,
       role: String,
       reason: String
@@ -296,7 +298,7 @@ notificationSchema.virtual('readRate').get(function() {
 notificationSchema.methods.markAsRead = function(userId = null, readAt = new Date()) {
   if (userId) {
     // Mark as read for specific user
-    const recipient = this.recipients.find(r => r.userId === userId);
+    const recipient = this.recipients.find(r => r.userId && r.userId.equals(userId));
     if (recipient) {
       recipient.read = true;
       recipient.readAt = readAt;
@@ -312,7 +314,7 @@ notificationSchema.methods.markAsRead = function(userId = null, readAt = new Dat
 };
 
 notificationSchema.methods.markAsClicked = function(userId, actionIndex = null) {
-  const recipient = this.recipients.find(r => r.userId === userId);
+  const recipient = this.recipients.find(r => r.userId && r.userId.equals(userId));
   if (recipient) {
     recipient.clicked = true;
     recipient.clickedAt = new Date();
@@ -444,4 +446,6 @@ notificationSchema.pre('save', function(next) {
   next();
 });
 
+notificationSchema.plugin(audit);
+
 export default mongoose.model('Notification', notificationSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import audit from './plugins/audit.js';
 
 // =====================================
 // PQRS COLLECTION (Enhanced from pqrs + pqrs_tracking + pqrs_category)
@@ -64,7 +65,7 @@ const pqrsSchema = new mongoose.Schema({
       maxlength: [2000, 'Answer cannot exceed 2000 characters']
     },
     answeredBy: {
-      userId: Number,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
       fullName: String,
       role: String
     },
@@ -106,9 +107,11 @@ const pqrsSchema = new mongoose.Schema({
   tracking: [{
     _id: { type: mongoose.Schema.Types.ObjectId, auto: true },
     
+    // null for entries recorded by the system
     userId: {
-      type: Number,
-      required: true
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
     },
     
     userInfo: {
@@ -175,7 +178,7 @@ const pqrsSchema = new mongoose.Schema({
       enum: ['administration', 'maintenance', 'security', 'cleaning', 'legal', 'finance'],
       default: 'administration'
     },
-    userId: Number,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     fullName: String,
     assignedAt: Date
   },
@@ -183,7 +186,7 @@ const pqrsSchema = new mongoose.Schema({
   // Resolution information
   resolution: {
     resolvedBy: {
-      userId: Number,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
       fullName: String,
       role: String
     },
@@ -250,11 +253,11 @@ const pqrsSchema = new mongoose.Schema({
     },
     content: String,
     sentBy: {
-      userId: Number,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
       fullName: String
     },
     sentTo: {
-      userId: Number,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
       fullName: String,
       contact: String // email or phone
     },
@@ -318,7 +321,7 @@ const pqrsSchema = new mongoose.Schema({
 
   archivedAt: Date,
   archivedBy: {
-    userId: Number,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     fullName: String
   }
 
@@ -429,7 +432,7 @@ pqrsSchema.methods.close = function(resolutionData) {
   
   // Add final tracking entry
   this.tracking.push({
-    userId: resolutionData.resolvedBy?.userId || 0,
+    userId: resolutionData.resolvedBy?.userId || null,
     userInfo: {
       fullName: resolutionData.resolvedBy?.fullName || 'System',
       role: resolutionData.resolvedBy?.role || 'system'
@@ -445,6 +448,25 @@ pqrsSchema.methods.close = function(resolutionData) {
 // =====================================
 // STATIC METHODS
 // =====================================
+// SLA targets in hours per priority
+const SLA_HOURS = {
+  critical: { acknowledge: 1, respond: 4, resolve: 24 },
+  urgent: { acknowledge: 2, respond: 8, resolve: 72 },
+  high: { acknowledge: 4, respond: 24, resolve: 168 },
+  medium: { acknowledge: 8, respond: 48, resolve: 336 },
+  low: { acknowledge: 24, respond: 120, resolve: 720 }
+};
+
+pqrsSchema.statics.slaDeadlines = function(priority, from = new Date()) {
+  const sla = SLA_HOURS[priority] || SLA_HOURS.medium;
+  const after = (hours) => new Date(from.getTime() + hours * 60 * 60 * 1000);
+  return {
+    acknowledgeBy: after(sla.acknowledge),
+    respondBy: after(sla.respond),
+    resolveBy: after(sla.resolve)
+  };
+};
+
 pqrsSchema.statics.findByUser = function(userId) {
   return this.find({ 'createdBy.userId': userId })
     .sort({ createdAt: -1 });
@@ -491,20 +513,8 @@ pqrsSchema.statics.getStatistics = function() {
 // =====================================
 pqrsSchema.pre('save', function(next) {
   // Set SLA dates based on priority
-  if (this.isNew) {
-    const now = new Date();
-    const slaHours = {
-      critical: { acknowledge: 1, respond: 4, resolve: 24 },
-      urgent: { acknowledge: 2, respond: 8, resolve: 72 },
-      high: { acknowledge: 4, respond: 24, resolve: 168 },
-      medium: { acknowledge: 8, respond: 48, resolve: 336 },
-      low: { acknowledge: 24, respond: 120, resolve: 720 }
-    };
-    
-    const sla = slaHours[this.priority];
-    this.sla.acknowledgeBy = new Date(now.getTime() + sla.acknowledge * 60 * 60 * 1000);
-    this.sla.respondBy = new Date(now.getTime() + sla.respond * 60 * 60 * 1000);
-    this.sla.resolveBy = new Date(now.getTime() + sla.resolve * 60 * 60 * 1000);
+  if (this.isNew && !this.sla.resolveBy) {
+    Object.assign(this.sla, this.constructor.slaDeadlines(this.priority));
   }
   
   // Check for SLA breaches
@@ -522,4 +532,6 @@ pqrsSchema.pre('save', function(next) {
   next();
 });
 
+pqrsSchema.plugin(audit);
+
 export default mongoose.model('PQRS', pqrsSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import audit from './plugins/audit.js';
 
 // =====================================
 // PARKING COLLECTION (Enhanced from parking table)
@@ -164,7 +165,7 @@ const parkingSchema = new mongoose.Schema({
 
   // Reservation system
   reservations: [{
-    userId: Number,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     userInfo: {
       fullName: String,
       phone: String,
@@ -196,7 +197,7 @@ const parkingSchema = new mongoose.Schema({
 
   // Usage history
   usageHistory: [{
-    userId: Number,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     userInfo: {
       fullName: String,
       apartmentNumber: String
@@ -402,4 +403,6 @@ parkingSchema.statics.getOccupancyStats = function() {
   ]);
 };
 
+parkingSchema.plugin(audit);
+
 export default mongoose.model('Parking', parkingSchema);
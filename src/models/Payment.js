@@ -1,4 +1,9 @@
 import mongoose from 'mongoose';
+import Apartment from './Apartment.js';
+import Counter from './Counter.js';
+import Tower from './Tower.js';
+import audit from './plugins/audit.js';
+import { runInTransaction } from '../utils/transaction.js';
 
 // Payment Status Schema (Simple lookup)
 const paymentStatusSchema = new mongoose.Schema({
@@ -8,7 +13,7 @@ const paymentStatusSchema = new mongoose.Schema({
     trim: true,
     maxlength: [30, 'Payment status name cannot exceed 30 characters'],
     unique: true,
-    enum: ['pending', 'completed', 'failed', 'cancelled', 'refunded']
+    enum: ['pending', 'partial', 'completed', 'failed', 'cancelled', 'refunded']
   },
   description: {
     type: String,
@@ -49,14 +54,31 @@ const paymentSchema = new mongoose.Schema({
   paymentStatus: {
     type: String,
     required: [true, 'Payment status is required'],
-    enum: ['pending', 'completed', 'failed', 'cancelled', 'refunded'],
+    enum: ['pending', 'partial', 'completed', 'failed', 'cancelled', 'refunded'],
     default: 'pending',
     index: true
   },
   
+  // Sum of the receipt allocations (services/accountService.js); drives the
+  // pending -> partial -> completed transitions
+  amountPaid: {
+    type: Number,
+    min: [0, 'Amount paid cannot be negative'],
+    default: 0
+  },
+
+  // Returned to the owner by approved refunds; reaching totalAmount moves
+  // the payment to refunded
+  refundedAmount: {
+    type: Number,
+    min: [0, 'Refunded amount cannot be negative'],
+    default: 0
+  },
+
+  // Invoices from the billing run get their method once they are paid
   paymentMethod: {
     type: String,
-    required: [true, 'Payment method is required'],
+    required: [function() { return !this.billingPeriod || this.paymentStatus === 'completed'; }, 'Payment method is required'],
     trim: true,
     maxlength: [30, 'Payment method cannot exceed 30 characters'],
     enum: ['cash', 'credit_card', 'debit_card', 'bank_transfer', 'online', 'check'],
@@ -111,7 +133,8 @@ const paymentSchema = new mongoose.Schema({
     maxlength: [500, 'Notes cannot exceed 500 characters']
   },
   
-  // Receipt/invoice information
+  // Receipt/invoice information. Numbered per tower and year without gaps
+  // (REC-<tower>-<year>-<sequence>) when the payment is completed
   receiptNumber: {
     type: String,
     trim: true,
@@ -130,6 +153,57 @@ const paymentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Tower',
     index: true
+  },
+
+  // Late-payment charges added by the accrual job as `fine` items.
+  // accruedThrough is the end of the last charged day range; principal is
+  // the unpaid amount the last accrual charged interest on.
+  lateFees: {
+    principal: Number,
+    accruedThrough: Date,
+    penaltyApplied: { type: Boolean, default: false },
+    total: { type: Number, default: 0 },
+    accruals: [{
+      _id: false,
+      from: Date,
+      to: Date,
+      days: Number,
+      monthlyRate: Number,
+      principal: Number,
+      interest: Number,
+      penalty: Number,
+      accruedAt: { type: Date, default: Date.now }
+    }]
+  },
+
+  // Active payment plan covering this payment; late fees are paused while
+  // it is set (services/paymentPlanService.js)
+  paymentPlan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentPlan'
+  },
+
+  // Month billed by the billing run ('YYYY-MM'); manual payments have none
+  billingPeriod: {
+    type: String,
+    match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Billing period must be YYYY-MM']
+  },
+
+  // Online checkout at the payment gateway (services/paymentGatewayService.js).
+  // Webhooks find the payment by referenceNumber.
+  gateway: {
+    provider: String,
+    checkoutId: String,
+    checkoutUrl: String,
+    status: {
+      type: String,
+      enum: ['pending', 'authorized', 'succeeded', 'failed', 'expired', 'refunded']
+    },
+    amount: Number,
+    transactionId: String,
+    expiresAt: Date,
+    createdAt: Date,
+    updatedAt: Date
   }
 }, {
   timestamps: true,
@@ -141,6 +215,14 @@ paymentSchema.index({ owner: 1, paymentDate: -1 });
 paymentSchema.index({ paymentStatus: 1, paymentDate: -1 });
 paymentSchema.index({ paymentMethod: 1, createdAt: -1 });
 paymentSchema.index({ 'items.category': 1, paymentDate: -1 });
+// One invoice per apartment and billing period
+paymentSchema.index(
+  { apartment: 1, billingPeriod: 1 },
+  { unique: true, partialFilterExpression: { billingPeriod: { $type: 'string' } } }
+);
+
+// Checkouts still waiting for the gateway (reconciliation)
+paymentSchema.index({ 'gateway.status': 1, 'gateway.createdAt': 1 });
 
 // Virtuals
 paymentSchema.virtual('isOverdue').get(function() {
@@ -155,19 +237,29 @@ paymentSchema.virtual('daysSinceDue').get(function() {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
 
+// Amount still owed
+paymentSchema.virtual('balance').get(function() {
+  if (!['pending', 'partial', 'failed'].includes(this.paymentStatus)) return 0;
+  return Math.max(0, this.totalAmount - this.amountPaid);
+});
+
 paymentSchema.virtual('totalItemsAmount').get(function() {
   return this.items.reduce((total, item) => total + item.amount, 0);
 });
 
+// Tower name without accents, spaces or symbols ('Torre Á' -> 'TORREA')
+const receiptPrefix = (tower) => {
+  const tag = tower ? tower.name.normalize('NFD').replace(/[^A-Za-z0-9]/g, '').toUpperCase().slice(0, 10) : '';
+  return tag || 'GEN';
+};
+
 // Pre-save middleware
 paymentSchema.pre('save', function(next) {
-  // Generate receipt number if payment is completed and no receipt exists
-  if (this.paymentStatus === 'completed' && !this.receiptNumber) {
-    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-    const random = Math.random().toString(36).substr(2, 6).toUpperCase();
-    this.receiptNumber = `REC-${date}-${random}`;
+  // Allocations settle the payment step by step
+  if (this.isModified('amountPaid') && this.amountPaid > 0 && ['pending', 'partial', 'failed'].includes(this.paymentStatus)) {
+    this.paymentStatus = this.amountPaid >= this.totalAmount ? 'completed' : 'partial';
   }
-  
+
   // Validate total amount matches items sum if items exist
   if (this.items && this.items.length > 0) {
     const itemsTotal = this.totalItemsAmount;
@@ -179,6 +271,25 @@ paymentSchema.pre('save', function(next) {
   next();
 });
 
+// Runs after the checks above so a rejected save does not use up a number.
+// The counter is bumped in the payment's session: if the transaction aborts,
+// the number is taken again by the next receipt.
+paymentSchema.pre('save', async function() {
+  if (this.paymentStatus !== 'completed' || this.receiptNumber) return;
+
+  const session = this.$session();
+  let towerId = this.tower;
+  if (!towerId && this.apartment) {
+    const apartment = await Apartment.findById(this.apartment).select('tower').session(session);
+    towerId = apartment && apartment.tower;
+  }
+  const tower = towerId ? await Tower.findById(towerId).select('name').session(session) : null;
+
+  const year = new Date().getFullYear();
+  const seq = await Counter.next(`receipt:${tower ? tower._id : 'general'}:${year}`, session);
+  this.receiptNumber = `REC-${receiptPrefix(tower)}-${year}-${String(seq).padStart(6, '0')}`;
+});
+
 // Static methods
 paymentSchema.statics.findByOwner = function(ownerId, options = {}) {
   const query = this.find({ owner: ownerId });
@@ -233,7 +344,7 @@ paymentSchema.statics.getOverduePayments = function() {
   const today = new Date();
   return this.find({
     dueDate: { $lt: today },
-    paymentStatus: { $in: ['pending', 'failed'] }
+    paymentStatus: { $in: ['pending', 'partial', 'failed'] }
   })
   .populate('owner', 'name email phone')
   .populate('apartment', 'number')
@@ -242,10 +353,19 @@ paymentSchema.statics.getOverduePayments = function() {
 };
 
 // Instance methods
-paymentSchema.methods.markAsCompleted = function() {
+// Without a session the save gets a transaction of its own, so a failed save
+// gives its receipt number back
+paymentSchema.methods.markAsCompleted = function(session = null) {
   this.paymentStatus = 'completed';
   this.paymentDate = new Date();
-  return this.save();
+  if (session) return this.save({ session });
+
+  // A retried transaction has to number the receipt again
+  const { receiptNumber } = this;
+  return runInTransaction((transaction) => {
+    this.receiptNumber = receiptNumber;
+    return this.save({ session: transaction });
+  });
 };
 
 paymentSchema.methods.addPaymentItem = function(description, amount, category) {
@@ -254,19 +374,35 @@ paymentSchema.methods.addPaymentItem = function(description, amount, category) {
   return this.save();
 };
 
+// Everything a receipt or invoice shows (services/receiptPdfService.js).
+// owner, apartment and tower are whatever is loaded: ids or populated docs.
 paymentSchema.methods.generateReceiptData = function() {
+  const lateFees = this.lateFees || {};
   return {
+    type: this.receiptNumber ? 'receipt' : 'invoice',
     receiptNumber: this.receiptNumber,
+    referenceNumber: this.referenceNumber,
+    billingPeriod: this.billingPeriod,
+    paymentStatus: this.paymentStatus,
+    issuedAt: this.createdAt,
+    dueDate: this.dueDate,
     paymentDate: this.paymentDate,
     owner: this.owner,
     totalAmount: this.totalAmount,
+    amountPaid: this.amountPaid,
+    refundedAmount: this.refundedAmount,
+    lateFees: lateFees.total || 0,
+    balance: this.balance,
     paymentMethod: this.paymentMethod,
-    items: this.items,
+    items: this.items.map(item => ({ description: item.description, category: item.category, amount: item.amount })),
     apartment: this.apartment,
-    tower: this.tower
+    tower: this.tower,
+    notes: this.notes
   };
 };
 
+paymentSchema.plugin(audit);
+
 // Payment Status Model
 export const PaymentStatus = mongoose.model('PaymentStatus', paymentStatusSchema);
 
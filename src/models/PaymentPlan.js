@@ -0,0 +1,186 @@
+import mongoose from 'mongoose';
+import billingConfig from '../config/billing.js';
+import audit from './plugins/audit.js';
+
+// =====================================
+// PAYMENT PLANS COLLECTION
+// =====================================
+// A repayment agreement with a delinquent owner: the balance of their overdue
+// payments is spread over installments with their own due dates. The
+// payments stay as they are (receipts still settle them); the plan measures
+// what was paid on them since it started against the installment schedule.
+// While the plan is active its payments carry `paymentPlan` and accrue no
+// late fees (services/paymentPlanService.js).
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const paymentPlanSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'broken', 'cancelled'],
+    default: 'active',
+    index: true
+  },
+
+  // The consolidated payments, what they owed when the plan started and
+  // what had been paid on them before
+  payments: [{
+    _id: false,
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      required: true
+    },
+    balance: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    paidBefore: {
+      type: Number,
+      min: 0,
+      default: 0
+    }
+  }],
+
+  totalAmount: {
+    type: Number,
+    required: [true, 'Total amount is required'],
+    min: [0.01, 'Total amount must be greater than zero']
+  },
+
+  installments: [{
+    _id: false,
+    number: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    dueDate: {
+      type: Date,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01
+    },
+    paidAmount: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    paidAt: Date,
+    status: {
+      type: String,
+      enum: ['pending', 'paid', 'missed'],
+      default: 'pending'
+    }
+  }],
+
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Set when the plan stops being active
+  endedAt: Date,
+  endReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'End reason cannot exceed 500 characters']
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+
+}, {
+  timestamps: true,
+  collection: 'payment_plans'
+});
+
+// =====================================
+// INDEXES
+// =====================================
+// One active plan per owner
+paymentPlanSchema.index({ owner: 1 }, { unique: true, partialFilterExpression: { status: 'active' }, name: 'owner_active_plan' });
+paymentPlanSchema.index({ status: 1, 'installments.dueDate': 1 });
+
+// =====================================
+// VALIDATION
+// =====================================
+paymentPlanSchema.pre('validate', function(next) {
+  const scheduled = round(this.installments.reduce((sum, installment) => sum + installment.amount, 0));
+  if (this.installments.length > 0 && Math.abs(scheduled - this.totalAmount) > 0.01) {
+    return next(new Error('Installments must add up to the plan total'));
+  }
+  next();
+});
+
+// =====================================
+// INSTANCE METHODS
+// =====================================
+// Fills the installments, in order, with what was paid on the plan's
+// payments (documents or lean objects); a completed payment counts as paid
+// in full. An installment still short graceDays after its due date is
+// missed. Updates the installments in memory and returns the totals.
+paymentPlanSchema.methods.applyProgress = function(payments, asOf = new Date()) {
+  const byId = new Map(payments.map(payment => [payment._id.toString(), payment]));
+
+  const paid = round(this.payments.reduce((sum, entry) => {
+    const payment = byId.get(entry.payment._id.toString());
+    if (!payment || payment.paymentStatus === 'completed') return sum + entry.balance;
+    return sum + Math.min(entry.balance, Math.max(0, payment.amountPaid - entry.paidBefore));
+  }, 0));
+
+  const graceDays = billingConfig.paymentPlans.graceDays;
+  let available = paid;
+  for (const installment of this.installments) {
+    installment.paidAmount = round(Math.min(installment.amount, available));
+    available = round(available - installment.paidAmount);
+
+    if (installment.paidAmount >= installment.amount) {
+      if (installment.status !== 'paid') installment.paidAt = asOf;
+      installment.status = 'paid';
+    } else {
+      installment.paidAt = undefined;
+      const late = asOf.getTime() > installment.dueDate.getTime() + graceDays * DAY;
+      installment.status = late ? 'missed' : 'pending';
+    }
+  }
+
+  const next = this.installments.find(installment => installment.status !== 'paid');
+  return {
+    paid,
+    remaining: round(this.totalAmount - paid),
+    missed: this.installments.filter(installment => installment.status === 'missed').length,
+    nextInstallment: next ? { number: next.number, dueDate: next.dueDate, amount: round(next.amount - next.paidAmount) } : null
+  };
+};
+
+paymentPlanSchema.plugin(audit);
+
+const PaymentPlan = mongoose.model('PaymentPlan', paymentPlanSchema);
+
+export default PaymentPlan;
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import audit from './plugins/audit.js';
+import systemProtection, { touches } from './plugins/systemProtection.js';
+import { SUPERUSER_PERMISSION } from '../config/accessControl.js';
 
 // Permission Schema
 const permissionSchema = new mongoose.Schema({
@@ -46,6 +49,12 @@ const permissionSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
     index: true
+  },
+
+  // Seeded permission (cannot be deleted, renamed or deactivated)
+  isSystem: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true,
@@ -148,6 +157,14 @@ const roleSchema = new mongoose.Schema({
     enum: ['admin', 'manager', 'guard', 'owner', 'resident', 'guest'],
     index: true
   },
+
+  // Parent role whose module permissions are inherited (must not be more
+  // privileged, i.e. its level must be >= this role's level)
+  parentRole: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role',
+    default: null
+  },
   
   // Module access
   modules: [{
@@ -221,6 +238,7 @@ moduleSchema.index({ parentModule: 1, order: 1 });
 roleSchema.index({ name: 1, isActive: 1 });
 roleSchema.index({ type: 1, level: 1 });
 roleSchema.index({ 'modules.module': 1 });
+roleSchema.index({ parentRole: 1 });
 
 // Virtuals
 moduleSchema.virtual('fullPath').get(function() {
@@ -271,14 +289,34 @@ roleSchema.statics.findWithPermissions = function(roleId) {
   return this.findById(roleId)
     .populate({
       path: 'modules.module',
-      select: 'name description path icon'
+      select: 'name description path icon isActive'
     })
     .populate({
       path: 'modules.permissions',
-      select: 'name description category action resource'
+      select: 'name description category action resource isActive'
     });
 };
 
+// Returns [role, parent, grandparent, ...] populated like findWithPermissions.
+// Stops at the first inactive or missing ancestor and guards against cycles.
+roleSchema.statics.getInheritanceChain = async function(roleId, maxDepth = 10) {
+  const chain = [];
+  const seen = new Set();
+  let currentId = roleId;
+
+  while (currentId && chain.length < maxDepth && !seen.has(currentId.toString())) {
+    seen.add(currentId.toString());
+
+    const role = await this.findWithPermissions(currentId);
+    if (!role || (chain.length > 0 && !role.isActive)) break;
+
+    chain.push(role);
+    currentId = role.parentRole;
+  }
+
+  return chain;
+};
+
 // Instance methods for Role
 roleSchema.methods.hasPermission = function(permissionName) {
   for (const module of this.modules) {
@@ -293,6 +331,11 @@ roleSchema.methods.hasModuleAccess = function(moduleName) {
   return this.modules.some(module => module.module.name === moduleName);
 };
 
+// Lower level = more privileged; a role may only grant strictly lower-privileged roles
+roleSchema.methods.canGrant = function(targetRole) {
+  return targetRole.level > this.level;
+};
+
 roleSchema.methods.addModulePermissions = function(moduleId, permissionIds) {
   const existingModule = this.modules.find(m => m.module.toString() === moduleId.toString());
   
@@ -338,15 +381,92 @@ roleSchema.methods.removeModulePermissions = function(moduleId, permissionIds =
   return this.save();
 };
 
+// Validate the inheritance link: no self-reference, no cycles, and no
+// inheriting from a more privileged role
+roleSchema.pre('validate', async function() {
+  if (!this.parentRole || !(this.isNew || this.isModified('parentRole') || this.isModified('level'))) {
+    return;
+  }
+
+  if (this.parentRole.equals(this._id)) {
+    this.invalidate('parentRole', 'A role cannot inherit from itself');
+    return;
+  }
+
+  const Role = this.constructor;
+  const parent = await Role.findById(this.parentRole).select('name level parentRole');
+  if (!parent) {
+    this.invalidate('parentRole', 'Parent role not found');
+    return;
+  }
+
+  if (parent.level < this.level) {
+    this.invalidate('parentRole', `Cannot inherit from more privileged role '${parent.name}'`);
+    return;
+  }
+
+  const seen = new Set([this._id.toString()]);
+  let ancestor = parent;
+  while (ancestor) {
+    if (seen.has(ancestor._id.toString())) {
+      this.invalidate('parentRole', 'Role inheritance cannot contain cycles');
+      return;
+    }
+    seen.add(ancestor._id.toString());
+    ancestor = ancestor.parentRole
+      ? await Role.findById(ancestor.parentRole).select('parentRole')
+      : null;
+  }
+});
+
 // Pre-save middleware
+const SYSTEM_ROLE_NAMES = ['super_admin', 'admin', 'owner'];
+
 roleSchema.pre('save', function(next) {
-  // Ensure system roles cannot have their isSystem flag changed
-  if (this.isModified('isSystem') && this.isSystem === false && this.name in ['super_admin', 'admin', 'owner']) {
+  // Built-in role names are always system roles
+  if (SYSTEM_ROLE_NAMES.includes(this.name)) {
     this.isSystem = true;
   }
   next();
 });
 
+// System protection: system roles and permissions cannot be deleted, renamed
+// or deactivated, and system roles holding manage_system cannot lose it
+const holdsPermission = (modules, permissionId) => {
+  return (modules || []).some(entry =>
+    (entry.permissions || []).some(perm => (perm._id || perm).toString() === permissionId)
+  );
+};
+
+roleSchema.plugin(systemProtection, {
+  label: 'role',
+  lockedFields: ['name'],
+  requiredTrueFields: ['isActive', 'isSystem'],
+  check: async ({ original, changes }) => {
+    if (!touches(changes, 'modules')) return null;
+
+    const superuser = await mongoose.model('Permission')
+      .findOne({ name: SUPERUSER_PERMISSION })
+      .select('_id')
+      .lean();
+    if (!superuser) return null;
+
+    const permissionId = superuser._id.toString();
+    if (!holdsPermission(original.modules, permissionId)) return null;
+    if (Array.isArray(changes.modules) && holdsPermission(changes.modules, permissionId)) return null;
+
+    return `System role '${original.name}' cannot lose the ${SUPERUSER_PERMISSION} permission`;
+  }
+});
+
+permissionSchema.plugin(systemProtection, {
+  label: 'permission',
+  lockedFields: ['name'],
+  requiredTrueFields: ['isActive', 'isSystem']
+});
+
+roleSchema.plugin(audit);
+
 // Create models
 export const Permission = mongoose.model('Permission', permissionSchema);
 export const Module = mongoose.model('Module', moduleSchema);
@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+import audit from './plugins/audit.js';
+
+// =====================================
+// RECEIPTS COLLECTION
+// =====================================
+// Money received from an owner. It is allocated against their open payments
+// (invoices); whatever is left over stays on the receipt as credit and is
+// used by later allocations (see services/accountService.js).
+const receiptSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than zero']
+  },
+
+  method: {
+    type: String,
+    required: [true, 'Payment method is required'],
+    enum: ['cash', 'credit_card', 'debit_card', 'bank_transfer', 'online', 'check']
+  },
+
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Reference cannot exceed 50 characters']
+  },
+
+  allocations: [{
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01
+    },
+    allocatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Amount not allocated yet
+  credit: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  registeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+
+}, {
+  timestamps: true
+});
+
+// =====================================
+// INDEXES
+// =====================================
+receiptSchema.index({ owner: 1, receivedAt: 1 });
+receiptSchema.index({ 'allocations.payment': 1 });
+receiptSchema.index({ 'allocations.allocatedAt': 1 });
+receiptSchema.index({ owner: 1, credit: 1 });
+
+// =====================================
+// MIDDLEWARE
+// =====================================
+receiptSchema.pre('validate', function() {
+  const allocated = this.allocations.reduce((sum, allocation) => sum + allocation.amount, 0);
+  if (allocated + this.credit > this.amount + 0.01) {
+    this.invalidate('allocations', 'Allocations cannot exceed the received amount');
+  }
+});
+
+// =====================================
+// VIRTUAL FIELDS
+// =====================================
+receiptSchema.virtual('allocatedAmount').get(function() {
+  return this.allocations.reduce((sum, allocation) => sum + allocation.amount, 0);
+});
+
+receiptSchema.plugin(audit);
+
+export default mongoose.model('Receipt', receiptSchema);
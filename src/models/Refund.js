@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+import audit from './plugins/audit.js';
+
+// =====================================
+// REFUNDS COLLECTION
+// =====================================
+// Money returned for a completed payment or a paid reservation. A refund is
+// requested (by staff or automatically when a reservation is cancelled) and
+// takes effect only when someone with approve_payment approves it; see
+// services/refundService.js for the status transitions it triggers.
+const refundSchema = new mongoose.Schema({
+  // Exactly one of payment / reservation
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    index: true
+  },
+
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    index: true
+  },
+
+  // Who receives the money
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than zero']
+  },
+
+  // Full when it returns everything still refundable at request time
+  type: {
+    type: String,
+    enum: ['full', 'partial'],
+    required: true
+  },
+
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+
+  method: {
+    type: String,
+    required: [true, 'Refund method is required'],
+    enum: ['cash', 'credit_card', 'debit_card', 'bank_transfer', 'online', 'check']
+  },
+
+  status: {
+    type: String,
+    // processing: approved, the money is on its way (services/refundService.js)
+    enum: ['pending', 'processing', 'approved', 'rejected'],
+    default: 'pending',
+    index: true
+  },
+
+  origin: {
+    type: String,
+    enum: ['manual', 'reservation_cancellation'],
+    default: 'manual'
+  },
+
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  review: {
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: Date,
+    notes: { type: String, trim: true, maxlength: 500 }
+  },
+
+  // Transfer or voucher number of the money sent back
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Reference cannot exceed 50 characters']
+  }
+
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ status: 1, createdAt: -1 });
+refundSchema.index({ status: 1, 'review.at': 1 });
+
+refundSchema.pre('validate', function() {
+  if (Boolean(this.payment) === Boolean(this.reservation)) {
+    this.invalidate('payment', 'A refund belongs to either a payment or a reservation');
+  }
+});
+
+refundSchema.plugin(audit);
+
+export default mongoose.model('Refund', refundSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import audit from './plugins/audit.js';
 
 // =====================================
 // RESERVATIONS COLLECTION (Enhanced from reservation tables)
@@ -84,7 +85,8 @@ const reservationSchema = new mongoose.Schema({
   // WHO made the reservation (owner/resident)
   reservedBy: {
     userId: {
-      type: Number,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
       required: [true, 'User ID is required']
     },
     userInfo: {
@@ -302,14 +304,14 @@ const reservationSchema = new mongoose.Schema({
       default: true
     },
     approvedBy: {
-      userId: Number,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
       fullName: String,
       role: String,
       notes: String
     },
     approvedAt: Date,
     rejectedBy: {
-      userId: Number,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
       fullName: String,
       role: String,
       reason: String
@@ -320,7 +322,7 @@ const reservationSchema = new mongoose.Schema({
   // Cancellation information
   cancellation: {
     cancelledBy: {
-      userId: Number,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
       fullName: String,
       role: String
     },
@@ -343,7 +345,7 @@ const reservationSchema = new mongoose.Schema({
   // Check-in/Check-out
   checkIn: {
     checkedInBy: {
-      userId: Number,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
       fullName: String,
       role: String
     },
@@ -358,7 +360,7 @@ const reservationSchema = new mongoose.Schema({
 
   checkOut: {
     checkedOutBy: {
-      userId: Number,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
       fullName: String,
       role: String
     },
@@ -433,7 +435,7 @@ const reservationSchema = new mongoose.Schema({
       required: true
     },
     addedBy: {
-      userId: Number,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
       fullName: String,
       role: String
     },
@@ -687,4 +689,6 @@ reservationSchema.pre('save', function(next) {
   next();
 });
 
+reservationSchema.plugin(audit);
+
 export default mongoose.model('Reservation', reservationSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import audit from './plugins/audit.js';
 
 // =====================================
 // SURVEYS COLLECTION (Enhanced from survey + questions + question_type)
@@ -268,7 +269,7 @@ const surveySchema = new mongoose.Schema({
         type: String,
         enum: ['admin', 'owner', 'guard', 'resident', 'maintenance']
       }],
-      allowedUsers: [Number], // specific user IDs
+      allowedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // specific users
       allowedBuildings: [String]
     },
 
@@ -331,7 +332,7 @@ const surveySchema = new mongoose.Schema({
     // Publishing information
     publishedAt: Date,
     publishedBy: {
-      userId: Number,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
       fullName: String,
       role: String
     },
@@ -432,7 +433,7 @@ const surveySchema = new mongoose.Schema({
   isArchived: { type: Boolean, default: false },
   archivedAt: Date,
   archivedBy: {
-    userId: Number,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     fullName: String
   }
 
@@ -643,4 +644,7 @@ surveySchema.statics.getStatistics = function() {
   ]);
 };
 
+// Audit trail: submitted responses and derived analytics are not audited
+surveySchema.plugin(audit, { ignoredPaths: ['responses', 'analytics'] });
+
 export default mongoose.model('Survey', surveySchema);
@@ -1,7 +1,10 @@
 import mongoose from 'mongoose';
+import Apartment from './Apartment.js';
+import audit from './plugins/audit.js';
+import { BadRequestError, ConflictError } from '../utils/errors.js';
 
 // =====================================
-// TOWERS & APARTMENTS COLLECTION
+// TOWERS COLLECTION
 // =====================================
 const towerSchema = new mongoose.Schema({
   name: {
@@ -12,118 +15,6 @@ const towerSchema = new mongoose.Schema({
     maxlength: [30, 'Tower name cannot exceed 30 characters']
   },
 
-  // EMBEDDED APARTMENTS (replaces apartment table)
-  apartments: [{
-    number: {
-      type: String,
-      required: [true, 'Apartment number is required'],
-      trim: true,
-      maxlength: [4, 'Apartment number cannot exceed 4 characters']
-    },
-
-    // Apartment status (embedded instead of apartment_status table)
-    status: {
-      type: String,
-      required: true,
-      enum: {
-        values: ['available', 'occupied', 'maintenance', 'reserved'],
-        message: 'Status must be: available, occupied, maintenance, or reserved'
-      },
-      default: 'available'
-    },
-
-    // Owner information
-    ownerId: {
-      type: Number, // Reference to User (MySQL ID)
-      required: false
-    },
-
-    ownerInfo: {
-      fullName: String,
-      documentNumber: String,
-      phone: String,
-      email: String
-    },
-
-    // Apartment details
-    details: {
-      bedrooms: {
-        type: Number,
-        min: 1,
-        max: 10,
-        default: 2
-      },
-      bathrooms: {
-        type: Number,
-        min: 1,
-        max: 10,
-        default: 2
-      },
-      area: {
-        type: Number, // Square meters
-        min: 20,
-        max: 500
-      },
-      floor: {
-        type: Number,
-        min: 1,
-        max: 50
-      },
-      balcony: {
-        type: Boolean,
-        default: false
-      },
-      parking: {
-        hasParking: { type: Boolean, default: false },
-        parkingNumber: String,
-        parkingType: {
-          type: String,
-          enum: ['regular', 'covered', 'motorcycle'],
-          default: 'regular'
-        }
-      }
-    },
-
-    // Financial information
-    financial: {
-      monthlyFee: {
-        type: Number,
-        min: 0,
-        default: 0
-      },
-      administrationFee: {
-        type: Number,
-        min: 0,
-        default: 0
-      },
-      lastPaymentDate: Date,
-      paymentStatus: {
-        type: String,
-        enum: ['current', 'overdue', 'partial'],
-        default: 'current'
-      }
-    },
-
-    // Occupancy history
-    occupancyHistory: [{
-      ownerId: Number,
-      ownerName: String,
-      moveInDate: Date,
-      moveOutDate: Date,
-      reason: String,
-      isTenant: { type: Boolean, default: false }
-    }],
-
-    createdAt: {
-      type: Date,
-      default: Date.now
-    },
-    updatedAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
-
   // Tower details
   details: {
     totalFloors: {
@@ -138,9 +29,11 @@ const towerSchema = new mongoose.Schema({
       min: 1,
       max: 20
     },
+    // Kept in sync with the apartments collection
     totalApartments: {
       type: Number,
-      required: true
+      min: 0,
+      default: 0
     },
     elevators: {
       type: Number,
@@ -156,6 +49,18 @@ const towerSchema = new mongoose.Schema({
     }
   },
 
+  // Administration budget, split over the apartments by coefficient
+  // (see services/feeService.js)
+  financial: {
+    annualBudget: {
+      type: Number,
+      min: [0, 'Annual budget cannot be negative'],
+      default: 0
+    },
+    budgetYear: Number,
+    feesUpdatedAt: Date
+  },
+
   // Amenities
   amenities: [{
     name: {
@@ -182,79 +87,134 @@ const towerSchema = new mongoose.Schema({
   }
 
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true, id: false },
+  toObject: { virtuals: true, id: false }
 });
 
 // =====================================
 // INDEXES
 // =====================================
 towerSchema.index({ name: 1 }, { unique: true });
-towerSchema.index({ 'apartments.number': 1, name: 1 });
-towerSchema.index({ 'apartments.ownerId': 1 });
-towerSchema.index({ 'apartments.status': 1 });
 
 // =====================================
 // VIRTUAL FIELDS
 // =====================================
-towerSchema.virtual('occupiedApartments').get(function() {
-  return this.apartments.filter(apt => apt.status === 'occupied').length;
-});
+// Apartments live in their own collection; the counts are aggregated when
+// towers are loaded (see attachApartmentCounts)
+const apartmentCount = (status) => function() {
+  const counts = this.$locals.apartmentCounts;
+  if (!counts) return undefined;
+  return status ? counts[status] || 0 : counts.total || 0;
+};
 
-towerSchema.virtual('availableApartments').get(function() {
-  return this.apartments.filter(apt => apt.status === 'available').length;
-});
+towerSchema.virtual('apartmentCount').get(apartmentCount(null));
+towerSchema.virtual('occupiedApartments').get(apartmentCount('occupied'));
+towerSchema.virtual('availableApartments').get(apartmentCount('available'));
 
 // =====================================
-// INSTANCE METHODS
+// LAYOUT GENERATION
 // =====================================
-towerSchema.methods.addApartment = function(apartmentData) {
-  this.apartments.push(apartmentData);
-  return this.save();
+// Apartment number for a floor and a unit position on it (both 1-based)
+export const NUMBERING_SCHEMES = {
+  // 101, 102 ... 1204
+  floor_unit: (floor, unit) => `${floor}${String(unit).padStart(2, '0')}`,
+  // 1, 2, 3 ... counted floor by floor
+  sequential: (floor, unit, perFloor) => String((floor - 1) * perFloor + unit)
 };
 
-towerSchema.methods.updateApartmentStatus = function(apartmentNumber, newStatus) {
-  const apartment = this.apartments.find(apt => apt.number === apartmentNumber);
-  if (apartment) {
-    apartment.status = newStatus;
-    apartment.updatedAt = new Date();
-    return this.save();
+// Creates every unit of details.totalFloors x details.apartmentsPerFloor,
+// with `defaults` (status, details, financial) applied to each. Numbers that
+// already exist in the tower are skipped and reported, never duplicated.
+towerSchema.methods.generateLayout = async function({ numberingScheme = 'floor_unit', defaults = {} } = {}) {
+  const numberFor = NUMBERING_SCHEMES[numberingScheme];
+  if (!numberFor) {
+    throw new BadRequestError(`Unknown numbering scheme '${numberingScheme}'`, {
+      schemes: Object.keys(NUMBERING_SCHEMES)
+    });
   }
-  throw new Error('Apartment not found');
-};
 
-towerSchema.methods.assignOwner = function(apartmentNumber, ownerData) {
-  const apartment = this.apartments.find(apt => apt.number === apartmentNumber);
-  if (apartment) {
-    apartment.ownerId = ownerData.ownerId;
-    apartment.ownerInfo = ownerData.ownerInfo;
-    apartment.status = 'occupied';
-    apartment.occupancyHistory.push({
-      ownerId: ownerData.ownerId,
-      ownerName: ownerData.ownerInfo.fullName,
-      moveInDate: new Date(),
-      isTenant: ownerData.isTenant || false
-    });
-    return this.save();
+  const { totalFloors, apartmentsPerFloor } = this.details;
+  const maxFloor = Apartment.schema.path('floor').options.max;
+  if (totalFloors > maxFloor) {
+    throw new BadRequestError(`Layouts can be generated for up to ${maxFloor} floors`);
+  }
+
+  const existing = new Set(await Apartment.distinct('number', { tower: this._id }));
+  const apartments = [];
+  const skipped = [];
+
+  for (let floor = 1; floor <= totalFloors; floor++) {
+    for (let unit = 1; unit <= apartmentsPerFloor; unit++) {
+      const number = numberFor(floor, unit, apartmentsPerFloor);
+      if (existing.has(number)) {
+        skipped.push(number);
+      } else {
+        apartments.push({ ...defaults, tower: this._id, number, floor });
+      }
+    }
+  }
+
+  try {
+    const created = apartments.length > 0 ? await Apartment.insertMany(apartments) : [];
+    await Apartment.auditInserted(created);
+    return { created, skipped };
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ConflictError('Some apartments were created meanwhile; run the generator again', 'APARTMENT_EXISTS');
+    }
+    throw error;
+  } finally {
+    this.details.totalApartments = await this.constructor.syncApartmentTotal(this._id);
   }
-  throw new Error('Apartment not found');
 };
 
 // =====================================
 // STATIC METHODS
 // =====================================
-towerSchema.statics.findAvailableApartments = function() {
-  return this.find({
-    'apartments.status': 'available'
-  }, {
-    name: 1,
-    'apartments.$': 1
-  });
+// details.totalApartments always mirrors the apartments collection
+towerSchema.statics.syncApartmentTotal = async function(towerId, session = null) {
+  const total = await Apartment.countDocuments({ tower: towerId }).session(session);
+  await this.updateOne({ _id: towerId }, { $set: { 'details.totalApartments': total } }, { session });
+  return total;
 };
 
-towerSchema.statics.findByOwner = function(ownerId) {
-  return this.find({
-    'apartments.ownerId': ownerId
+towerSchema.statics.attachApartmentCounts = async function(towers) {
+  const docs = towers.filter(tower => tower instanceof mongoose.Document);
+  if (docs.length === 0) return towers;
+
+  const counts = await Apartment.countByTower(docs.map(tower => tower._id));
+  docs.forEach(tower => {
+    tower.$locals.apartmentCounts = counts[tower._id.toString()] || { total: 0 };
   });
+  return towers;
+};
+
+towerSchema.statics.findWithAvailableApartments = async function() {
+  const towerIds = await Apartment.distinct('tower', { status: 'available', isActive: true });
+  return this.find({ _id: { $in: towerIds } });
 };
 
+// =====================================
+// MIDDLEWARE
+// =====================================
+// Hydrated query results get their apartment counts (lean reads are skipped)
+towerSchema.post('find', async function(towers) {
+  await this.model.attachApartmentCounts(towers);
+});
+
+towerSchema.post('findOne', async function(tower) {
+  if (tower) await this.model.attachApartmentCounts([tower]);
+});
+
+// A tower cannot be deleted while it still has apartments
+towerSchema.pre('deleteOne', { document: true, query: false }, async function() {
+  const apartments = await Apartment.countDocuments({ tower: this._id });
+  if (apartments > 0) {
+    throw new ConflictError(`Tower '${this.name}' still has ${apartments} apartment(s)`, 'TOWER_NOT_EMPTY', { apartments });
+  }
+});
+
+towerSchema.plugin(audit);
+
 export default mongoose.model('Tower', towerSchema);
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import authConfig from '../config/auth.js';
+import audit from './plugins/audit.js';
 
 // =====================================
 // USER SCHEMA (Enhanced from SQL users table)
@@ -159,9 +162,9 @@ const userSchema = new mongoose.Schema({
       }
     }],
 
-    // Apartment associations
+    // Apartment associations (move-in/move-out, see services/occupancyService.js)
     apartments: [{
-      apartmentId: Number,
+      apartmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Apartment' },
       apartmentNumber: String,
       towerName: String,
       isOwner: { type: Boolean, default: true },
@@ -214,13 +217,38 @@ const userSchema = new mongoose.Schema({
   isVerified: {
     type: Boolean,
     default: false
-  }
+  },
+
+  // MySQL users.id, kept to resolve legacy numeric references
+  legacyId: {
+    type: Number,
+    default: null
+  },
+
+  // Active refresh tokens (rotated on every refresh)
+  refreshTokens: [{
+    tokenId: {
+      type: String,
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    userAgent: String,
+    ipAddress: String
+  }]
 
 }, {
   timestamps: true,
   toJSON: {
     transform: function(doc, ret) {
       delete ret.password;
+      delete ret.refreshTokens;
       delete ret.__v;
       return ret;
     }
@@ -236,6 +264,8 @@ userSchema.index({ email: 1 }, { unique: true, sparse: true });
 userSchema.index({ role: 1, status: 1 });
 userSchema.index({ 'ownerInfo.isActive': 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ 'refreshTokens.tokenId': 1 });
+userSchema.index({ legacyId: 1 }, { unique: true, partialFilterExpression: { legacyId: { $type: 'number' } } });
 
 // =====================================
 // VIRTUAL FIELDS
@@ -268,9 +298,18 @@ userSchema.methods.removePet = function(petId) {
   }
 };
 
+userSchema.methods.comparePassword = function(candidatePassword) {
+  if (!this.password || !candidatePassword) return Promise.resolve(false);
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
 // =====================================
 // STATIC METHODS
 // =====================================
+userSchema.statics.findByLegacyId = function(legacyId) {
+  return this.findOne({ legacyId: Number(legacyId) });
+};
+
 userSchema.statics.findByRole = function(role) {
   return this.find({ role: role, status: 'active' });
 };
@@ -313,6 +352,39 @@ userSchema.pre('save', function(next) {
   next();
 });
 
+// =====================================
+// PASSWORD HASHING
+// =====================================
+// Values that are already bcrypt hashes (e.g. migrated accounts) are kept as-is
+const isBcryptHash = (value) => /^\$2[aby]\$\d{2}\$/.test(value);
+
+const hashPassword = (password) => {
+  if (!password || isBcryptHash(password)) return Promise.resolve(password);
+  return bcrypt.hash(password, authConfig.bcryptSaltRounds);
+};
+
+userSchema.pre('save', function(next) {
+  if (!this.isModified('password')) return next();
+
+  hashPassword(this.password)
+    .then(hash => {
+      this.password = hash;
+      next();
+    })
+    .catch(next);
+});
+
+// insertMany (used by the seed scripts) bypasses save middleware
+userSchema.pre('insertMany', function(next, docs) {
+  const list = Array.isArray(docs) ? docs : [docs];
+
+  Promise.all(list.map(async doc => {
+    doc.password = await hashPassword(doc.password);
+  }))
+    .then(() => next())
+    .catch(next);
+});
+
 // Static methods for role-based queries
 userSchema.statics.findByRole = function(roleId) {
   return this.find({ role: roleId, status: 'active' })
@@ -348,4 +420,7 @@ userSchema.methods.canAccess = function(resource, action) {
   return this.hasPermission(permissionName);
 };
 
+// Audit trail: login bookkeeping (lastLogin, refresh tokens) is not audited
+userSchema.plugin(audit, { ignoredPaths: ['lastLogin', 'refreshTokens'] });
+
 export default mongoose.model('User', userSchema);
@@ -0,0 +1,218 @@
+import mongoose from 'mongoose';
+import AuditLog from '../AuditLog.js';
+import { getRequestContext } from '../../utils/requestContext.js';
+import logger from '../../utils/logger.js';
+
+// =====================================
+// AUDIT TRAIL PLUGIN
+// =====================================
+// Records an AuditLog entry for every create, update and delete, with the
+// actor, request id and IP from the request context and the before/after
+// value of each changed path.
+//
+// options:
+// - entity:        name stored in the log (defaults to the model name)
+// - redact:        paths whose values are replaced by REDACTED (`password`
+//                  is always redacted)
+// - ignoredPaths:  paths left out of the diff; a write that only touches
+//                  them is not logged (e.g. lastLogin)
+//
+// Covered: save, findOneAndUpdate/updateOne/updateMany, and document and
+// query deletes. insertMany and `Model.collection` writes are not audited;
+// code that inserts in bulk logs the creates with `Model.auditInserted(docs)`.
+// Pass `{ audit: false }` as a query option, or set `doc.$locals.audit =
+// false`, to skip a write.
+//
+// Inside a transaction a failed log write aborts the transaction with the
+// audited write; outside one the write has already happened, so the failure
+// is logged instead.
+
+export const REDACTED = '[REDACTED]';
+
+const ALWAYS_REDACTED = ['password'];
+const ALWAYS_IGNORED = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Query state kept between pre and post hooks
+const BEFORE = Symbol('auditBefore');
+const MULTI_OPS = ['updateMany', 'deleteMany'];
+
+const matchesPath = (path, paths) => {
+  return paths.some(candidate => path === candidate || path.startsWith(`${candidate}.`));
+};
+
+// Arrays, dates and ObjectIds are compared as whole values
+const isLeaf = (value) => {
+  return value === null ||
+    typeof value !== 'object' ||
+    Array.isArray(value) ||
+    value instanceof Date ||
+    Boolean(value._bsontype);
+};
+
+// { contact: { email: 'a' } } -> { 'contact.email': 'a' }
+const flatten = (value, prefix = '', out = {}) => {
+  for (const [key, child] of Object.entries(value || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isLeaf(child) || Object.keys(child).length === 0) {
+      out[path] = child;
+    } else {
+      flatten(child, path, out);
+    }
+  }
+  return out;
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const plainDocument = (doc) => doc.toObject({ depopulate: true, virtuals: false, getters: false, transform: false });
+
+const audit = (schema, options = {}) => {
+  const redact = [...ALWAYS_REDACTED, ...(options.redact || [])];
+  const ignored = [...ALWAYS_IGNORED, ...(options.ignoredPaths || [])];
+
+  const buildEntry = (entityName, action, original, current) => {
+    const before = original ? flatten(original) : null;
+    const after = current ? flatten(current) : null;
+    const paths = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+      .filter(path => !matchesPath(path, ignored))
+      .filter(path => !sameValue(before && before[path], after && after[path]))
+      .sort();
+
+    if (paths.length === 0) return null;
+
+    const valueAt = (values, path) => {
+      if (!values || !(path in values)) return null;
+      return matchesPath(path, redact) ? REDACTED : values[path];
+    };
+
+    const context = getRequestContext();
+    const actor = context && context.actor;
+
+    return {
+      entity: options.entity || entityName,
+      entityId: (current || original)._id,
+      action,
+      actor: {
+        user: actor ? actor.user : null,
+        username: actor ? actor.username : null
+      },
+      requestId: context ? context.requestId : null,
+      ipAddress: context ? context.ipAddress : null,
+      userAgent: context ? context.userAgent : null,
+      changes: paths.map(path => ({
+        path,
+        before: valueAt(before, path),
+        after: valueAt(after, path)
+      }))
+    };
+  };
+
+  const record = async (entityName, action, pairs, session = null) => {
+    const entries = pairs
+      .map(([original, current]) => buildEntry(entityName, action, original, current))
+      .filter(Boolean);
+    if (entries.length === 0) return;
+
+    try {
+      await AuditLog.insertMany(entries, { session });
+    } catch (error) {
+      if (session) throw error;
+      logger.error(`Audit log write failed for ${entityName} ${action}:`, error.message);
+    }
+  };
+
+  // save: the document as loaded (or as last saved) is kept in $locals and
+  // diffed against the saved document. Paths left out by a projection are
+  // missing from both sides, so they never show up as changes.
+  schema.post('init', function() {
+    this.$locals.auditOriginal = plainDocument(this);
+  });
+
+  schema.pre('save', function() {
+    if (this.$locals.audit === false) return;
+
+    this.$locals.auditAction = this.isNew ? 'create' : 'update';
+  });
+
+  schema.post('save', async function(doc) {
+    const { auditAction, auditOriginal } = doc.$locals;
+    delete doc.$locals.auditAction;
+    const current = plainDocument(doc);
+    doc.$locals.auditOriginal = current;
+
+    if (doc.$locals.audit === false || !auditAction) return;
+
+    const before = auditAction === 'create' ? null : auditOriginal || null;
+    await record(doc.constructor.modelName, auditAction, [[before, current]], doc.$session());
+  });
+
+  // Documents a query will write: single-document operations only touch the
+  // first match
+  const snapshot = async function() {
+    if (this.getOptions().audit === false) return;
+
+    const query = this.model.find(this.getFilter()).session(this.getOptions().session || null).lean();
+    if (!MULTI_OPS.includes(this.op)) {
+      const { sort } = this.getOptions();
+      if (sort) query.sort(sort);
+      query.limit(1);
+    }
+    this[BEFORE] = await query;
+  };
+
+  // query updates: snapshot the matched documents, reload them afterwards
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], { document: false, query: true }, snapshot);
+
+  schema.post(['findOneAndUpdate', 'updateOne', 'updateMany'], { document: false, query: true }, async function() {
+    const originals = this[BEFORE];
+    if (!originals || originals.length === 0) return;
+
+    const { session = null } = this.getOptions();
+    const updated = await this.model.find({ _id: { $in: originals.map(doc => doc._id) } }).session(session).lean();
+    const byId = new Map(updated.map(doc => [doc._id.toString(), doc]));
+
+    await record(this.model.modelName, 'update', originals
+      .filter(doc => byId.has(doc._id.toString()))
+      .map(doc => [doc, byId.get(doc._id.toString())]), session);
+  });
+
+  // insertMany bypasses the save hooks
+  schema.statics.auditInserted = function(docs, session = null) {
+    return record(this.modelName, 'create', docs.map(doc => [null, plainDocument(doc)]), session);
+  };
+
+  // Name stored in the log, listed by auditedEntities()
+  schema.statics.auditEntity = function() {
+    return options.entity || this.modelName;
+  };
+
+  // document deletes
+  schema.pre('deleteOne', { document: true, query: false }, function() {
+    if (this.$locals.audit !== false) this.$locals.auditBefore = plainDocument(this);
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    if (!doc.$locals.auditBefore) return;
+    await record(doc.constructor.modelName, 'delete', [[doc.$locals.auditBefore, null]], doc.$session());
+  });
+
+  // query deletes
+  schema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, snapshot);
+
+  schema.post(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, async function() {
+    const originals = this[BEFORE];
+    if (!originals || originals.length === 0) return;
+
+    await record(this.model.modelName, 'delete', originals.map(doc => [doc, null]), this.getOptions().session);
+  });
+};
+
+// Entities of the registered models that use this plugin, for filtering the
+// audit trail
+export const auditedEntities = () => mongoose.modelNames()
+  .map(name => mongoose.model(name))
+  .filter(model => typeof model.auditEntity === 'function')
+  .map(model => model.auditEntity())
+  .sort();
+
+export default audit;
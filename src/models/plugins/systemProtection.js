@@ -0,0 +1,117 @@
+import { SystemProtectedError } from '../../utils/errors.js';
+
+// =====================================
+// SYSTEM DOCUMENT PROTECTION PLUGIN
+// =====================================
+// Documents flagged `isSystem: true` cannot be deleted, cannot change their
+// `lockedFields`, and cannot turn any of `requiredTrueFields` off. `check`
+// adds schema-specific rules: async ({ original, changes }) => message | null.
+//
+// Enforced for save, findOneAndUpdate/updateOne/updateMany, and
+// deleteOne/deleteMany/findOneAndDelete (document and query middleware).
+// Maintenance scripts that must wipe the collection go through
+// `Model.collection` directly.
+
+// Flattens an update document into { path: value }. Paths touched by array or
+// numeric operators map to the OPERATOR marker since their result is unknown.
+export const OPERATOR = Symbol('operator');
+
+const collectUpdateChanges = (update = {}) => {
+  const changes = {};
+
+  for (const [key, value] of Object.entries(update)) {
+    if (!key.startsWith('$')) {
+      changes[key] = value;
+    } else if (key === '$set') {
+      Object.assign(changes, value);
+    } else if (key === '$unset') {
+      Object.keys(value).forEach(path => { changes[path] = undefined; });
+    } else if (value && typeof value === 'object') {
+      Object.keys(value).forEach(path => { changes[path] = OPERATOR; });
+    }
+  }
+
+  return changes;
+};
+
+// Changes touching `field` or any of its sub-paths
+export const touches = (changes, field) => {
+  return Object.keys(changes).some(path => path === field || path.startsWith(`${field}.`));
+};
+
+const systemProtection = (schema, options = {}) => {
+  const {
+    label = 'document',
+    lockedFields = [],
+    requiredTrueFields = [],
+    check = null
+  } = options;
+
+  const violation = async (original, changes) => {
+    for (const field of lockedFields) {
+      if (touches(changes, field) && changes[field] !== original[field]) {
+        return `System ${label} '${original.name}' cannot change its ${field}`;
+      }
+    }
+
+    for (const field of requiredTrueFields) {
+      if (touches(changes, field) && changes[field] !== true) {
+        return `System ${label} '${original.name}' cannot change ${field} to false`;
+      }
+    }
+
+    return check ? check({ original, changes }) : null;
+  };
+
+  const fail = (message, original) => {
+    return new SystemProtectedError(message, { id: original._id, name: original.name });
+  };
+
+  // save: compare modified top-level paths against the stored document
+  schema.pre('save', async function() {
+    if (this.isNew) return;
+
+    const original = await this.constructor.findById(this._id).lean();
+    if (!original || !original.isSystem) return;
+
+    const changes = {};
+    for (const path of this.modifiedPaths()) {
+      const root = path.split('.')[0];
+      if (!(root in changes)) {
+        const value = this.get(root);
+        changes[root] = value && typeof value.toObject === 'function' ? value.toObject() : value;
+      }
+    }
+
+    const message = await violation(original, changes);
+    if (message) throw fail(message, original);
+  });
+
+  // query updates: check every system document the filter matches
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], { document: false, query: true }, async function() {
+    const changes = collectUpdateChanges(this.getUpdate());
+    if (Object.keys(changes).length === 0) return;
+
+    const originals = await this.model.find({ ...this.getFilter(), isSystem: true }).lean();
+    for (const original of originals) {
+      const message = await violation(original, changes);
+      if (message) throw fail(message, original);
+    }
+  });
+
+  // deletes
+  schema.pre('deleteOne', { document: true, query: false }, function() {
+    if (this.isSystem) {
+      throw fail(`System ${label} '${this.name}' cannot be deleted`, this);
+    }
+  });
+
+  schema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, async function() {
+    const original = await this.model.findOne({ ...this.getFilter(), isSystem: true }).lean();
+    if (original) {
+      throw fail(`System ${label} '${original.name}' cannot be deleted`, original);
+    }
+  });
+};
+
+export default systemProtection;
@@ -0,0 +1,26 @@
+import express from 'express';
+import * as apartmentController from '../controllers/apartmentController.js';
+import { protect, requirePermission } from '../middleware/permissions.js';
+import { validate } from '../middleware/validate.js';
+import { idParams } from '../validators/common.js';
+import schemas from '../validators/apartmentValidator.js';
+
+const router = express.Router();
+
+router.use(protect('apartments'));
+
+router.get('/', requirePermission('read_apartment'), validate(schemas.query, 'query'), apartmentController.list);
+router.post('/', requirePermission('create_apartment'), validate(schemas.create), apartmentController.create);
+router.get('/:id', requirePermission('read_apartment'), validate(idParams, 'params'), apartmentController.get);
+router.get('/:id/occupants', requirePermission('read_apartment'), validate(idParams, 'params'), apartmentController.occupants);
+router.put('/:id', requirePermission('update_apartment'), validate(idParams, 'params'), validate(schemas.update), apartmentController.update);
+router.delete('/:id', requirePermission('delete_apartment'), validate(idParams, 'params'), apartmentController.remove);
+
+// Move-in/move-out update the apartment, the resident and their parking together
+router.post('/:id/move-in', requirePermission('update_apartment'), validate(idParams, 'params'), validate(schemas.moveIn), apartmentController.moveIn);
+router.post('/:id/move-out', requirePermission('update_apartment'), validate(idParams, 'params'), validate(schemas.moveOut), apartmentController.moveOut);
+
+// Fines and other one-off charges, invoiced by the next billing run
+router.post('/:id/charges', requirePermission('update_apartment'), validate(idParams, 'params'), validate(schemas.charge), apartmentController.addCharge);
+
+export default router;
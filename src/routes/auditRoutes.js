@@ -0,0 +1,15 @@
+import express from 'express';
+import * as auditController from '../controllers/auditController.js';
+import { protect, requirePermission } from '../middleware/permissions.js';
+import { validate } from '../middleware/validate.js';
+import { idParams } from '../validators/common.js';
+import schemas from '../validators/auditValidator.js';
+
+const router = express.Router();
+
+router.use(protect('audit'), requirePermission('read_audit'));
+
+router.get('/', validate(schemas.query, 'query'), auditController.list);
+router.get('/:id', validate(idParams, 'params'), auditController.get);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import * as authController from '../controllers/authController.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import schemas from '../validators/authValidator.js';
+
+const router = express.Router();
+
+router.post('/login', validate(schemas.login), authController.login);
+router.post('/register', validate(schemas.register), authController.register);
+router.post('/refresh', validate(schemas.refresh), authController.refresh);
+router.post('/logout', validate(schemas.logout), authController.logout);
+router.get('/me', authenticate, authController.me);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import * as bankStatementController from '../controllers/bankStatementController.js';
+import { protect, requirePermission } from '../middleware/permissions.js';
+import { singleFile } from '../middleware/upload.js';
+import { validate } from '../middleware/validate.js';
+import { idParams } from '../validators/common.js';
+import schemas from '../validators/bankStatementValidator.js';
+
+const router = express.Router();
+
+// Bank statements belong to the payments module; confirming a deposit
+// records a receipt, so it needs the same permission as approving refunds
+router.use(protect('payments'));
+
+router.get('/', requirePermission('read_payment'), validate(schemas.query, 'query'), bankStatementController.list);
+router.post('/', requirePermission('create_payment'), singleFile('file', ['csv', 'txt', 'ofx', 'qfx']), validate(schemas.importStatement), bankStatementController.create);
+router.get('/unmatched', requirePermission('read_payment'), validate(schemas.unmatchedQuery, 'query'), bankStatementController.unmatched);
+router.get('/:id', requirePermission('read_payment'), validate(idParams, 'params'), bankStatementController.get);
+router.post('/:id/lines/:lineId/confirm', requirePermission('approve_payment'), validate(schemas.lineParams, 'params'), validate(schemas.confirm), bankStatementController.confirm);
+router.post('/:id/lines/:lineId/ignore', requirePermission('approve_payment'), validate(schemas.lineParams, 'params'), validate(schemas.ignore), bankStatementController.ignore);
+
+export default router;
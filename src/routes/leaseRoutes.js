@@ -0,0 +1,21 @@
+import express from 'express';
+import * as leaseController from '../controllers/leaseController.js';
+import { protect, requirePermission } from '../middleware/permissions.js';
+import { validate } from '../middleware/validate.js';
+import { idParams } from '../validators/common.js';
+import schemas from '../validators/leaseValidator.js';
+
+const router = express.Router();
+
+// Leases are part of apartment management and use its permissions
+router.use(protect('leases'));
+
+router.get('/', requirePermission('read_apartment'), validate(schemas.query, 'query'), leaseController.list);
+router.post('/', requirePermission('update_apartment'), validate(schemas.create), leaseController.create);
+router.get('/:id', requirePermission('read_apartment'), validate(idParams, 'params'), leaseController.get);
+router.put('/:id', requirePermission('update_apartment'), validate(idParams, 'params'), validate(schemas.update), leaseController.update);
+
+router.post('/:id/renew', requirePermission('update_apartment'), validate(idParams, 'params'), validate(schemas.renew), leaseController.renew);
+router.post('/:id/terminate', requirePermission('update_apartment'), validate(idParams, 'params'), validate(schemas.terminate), leaseController.terminate);
+
+export default router;
@@ -0,0 +1,25 @@
+import express from 'express';
+import * as ledgerController from '../controllers/ledgerController.js';
+import { protect, requirePermission } from '../middleware/permissions.js';
+import { validate } from '../middleware/validate.js';
+import { idParams } from '../validators/common.js';
+import schemas from '../validators/ledgerValidator.js';
+
+const router = express.Router();
+
+// Journal entries are never edited or deleted; mistakes are corrected with
+// a manual entry that reverses them
+router.use(protect('ledger'));
+
+router.get('/accounts', requirePermission('read_payment'), validate(schemas.accountQuery, 'query'), ledgerController.listAccounts);
+router.post('/accounts', requirePermission('create_payment'), validate(schemas.createAccount), ledgerController.createAccount);
+router.put('/accounts/:id', requirePermission('update_payment'), validate(idParams, 'params'), validate(schemas.updateAccount), ledgerController.updateAccount);
+
+router.get('/entries', requirePermission('read_payment'), validate(schemas.entryQuery, 'query'), ledgerController.listEntries);
+router.post('/entries', requirePermission('create_payment'), validate(schemas.createEntry), ledgerController.createEntry);
+router.get('/entries/:id', requirePermission('read_payment'), validate(idParams, 'params'), ledgerController.getEntry);
+
+router.get('/reports/trial-balance', requirePermission('read_payment'), validate(schemas.reportQuery, 'query'), ledgerController.trialBalance);
+router.get('/reports/income-statement', requirePermission('read_payment'), validate(schemas.reportQuery, 'query'), ledgerController.incomeStatement);
+
+export default router;
@@ -0,0 +1,17 @@
+import express from 'express';
+import * as meController from '../controllers/meController.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { idParams } from '../validators/common.js';
+import receiptSchemas from '../validators/receiptValidator.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/menu', meController.getMenu);
+router.get('/statement', validate(receiptSchemas.statementQuery, 'query'), meController.getStatement);
+router.post('/payments/:id/checkout', validate(idParams, 'params'), meController.createPaymentCheckout);
+router.get('/payments/:id/receipt.pdf', validate(idParams, 'params'), meController.getPaymentPdf);
+
+export default router;
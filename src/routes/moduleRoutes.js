@@ -0,0 +1,15 @@
+import express from 'express';
+import { moduleController } from '../controllers/permissionController.js';
+import { protect, requirePermission } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+router.use(protect('modules'), requirePermission('manage_system'));
+
+router.get('/', moduleController.list);
+router.post('/', moduleController.create);
+router.get('/:id', moduleController.get);
+router.put('/:id', moduleController.update);
+router.delete('/:id', moduleController.remove);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import * as notificationController from '../controllers/notificationController.js';
+import { protect, requirePermission } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+router.use(protect('notifications'));
+
+router.get('/', requirePermission('read_notification'), notificationController.list);
+router.post('/', requirePermission('create_notification'), notificationController.create);
+router.get('/:id', requirePermission('read_notification'), notificationController.get);
+router.put('/:id', requirePermission('update_notification'), notificationController.update);
+router.delete('/:id', requirePermission('delete_notification'), notificationController.remove);
+
+export default router;
@@ -0,0 +1,17 @@
+import express from 'express';
+import * as ownerController from '../controllers/ownerController.js';
+import { protect, requirePermission } from '../middleware/permissions.js';
+import { validate } from '../middleware/validate.js';
+import { idParams } from '../validators/common.js';
+import receiptSchemas from '../validators/receiptValidator.js';
+
+const router = express.Router();
+
+// Owner accounts: payments (charges) and receipts of one user
+router.use(protect('payments'));
+
+router.get('/:id/statement', requirePermission('read_payment'), validate(idParams, 'params'), validate(receiptSchemas.statementQuery, 'query'), ownerController.statement);
+router.get('/:id/balance', requirePermission('read_payment'), validate(idParams, 'params'), ownerController.balance);
+router.post('/:id/apply-credit', requirePermission('update_payment'), validate(idParams, 'params'), ownerController.applyCredit);
+
+export default router;
@@ -0,0 +1,19 @@
+import express from 'express';
+import * as parkingController from '../controllers/parkingController.js';
+import { protect, requirePermission } from '../middleware/permissions.js';
+import { validate } from '../middleware/validate.js';
+import { idParams } from '../validators/common.js';
+import schemas from '../validators/parkingValidator.js';
+
+const router = express.Router();
+
+router.use(protect('parking'));
+
+router.get('/', requirePermission('read_parking'), validate(schemas.query, 'query'), parkingController.list);
+router.post('/', requirePermission('create_parking'), validate(schemas.create), parkingController.create);
+router.get('/:id', requirePermission('read_parking'), validate(idParams, 'params'), parkingController.get);
+router.put('/:id', requirePermission('update_parking'), validate(idParams, 'params'), validate(schemas.update), parkingController.update);
+router.post('/:id/maintenance', requirePermission('update_parking'), validate(idParams, 'params'), validate(schemas.maintenance), parkingController.addMaintenance);
+router.delete('/:id', requirePermission('delete_parking'), validate(idParams, 'params'), parkingController.remove);
+
+export default router;
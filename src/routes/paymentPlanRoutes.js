@@ -0,0 +1,19 @@
+import express from 'express';
+import * as paymentPlanController from '../controllers/paymentPlanController.js';
+import { protect, requirePermission } from '../middleware/permissions.js';
+import { validate } from '../middleware/validate.js';
+import { idParams } from '../validators/common.js';
+import schemas from '../validators/paymentPlanValidator.js';
+
+const router = express.Router();
+
+// Payment plans belong to the payments module
+router.use(protect('payments'));
+
+router.get('/', requirePermission('read_payment'), validate(schemas.query, 'query'), paymentPlanController.list);
+router.post('/', requirePermission('create_payment'), validate(schemas.create), paymentPlanController.create);
+router.post('/check', requirePermission('update_payment'), validate(schemas.check), paymentPlanController.check);
+router.get('/:id', requirePermission('read_payment'), validate(idParams, 'params'), paymentPlanController.get);
+router.post('/:id/cancel', requirePermission('update_payment'), validate(idParams, 'params'), validate(schemas.cancel), paymentPlanController.cancel);
+
+export default router;
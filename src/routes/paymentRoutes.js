@@ -0,0 +1,33 @@
+import express from 'express';
+import * as paymentController from '../controllers/paymentController.js';
+import { protect, requirePermission } from '../middleware/permissions.js';
+import { validate } from '../middleware/validate.js';
+import { idParams } from '../validators/common.js';
+import schemas from '../validators/paymentValidator.js';
+
+const router = express.Router();
+
+// Gateway callbacks carry no token; the signature authenticates them
+router.post('/webhook', paymentController.webhook);
+// Linked from the QR code on printed receipts; the code in the link is the key
+router.get('/verify/:receiptNumber', validate(schemas.verifyParams, 'params'), validate(schemas.verifyQuery, 'query'), paymentController.verify);
+
+router.use(protect('payments'));
+
+router.get('/', requirePermission('read_payment'), validate(schemas.query, 'query'), paymentController.list);
+router.post('/', requirePermission('create_payment'), validate(schemas.create), paymentController.create);
+// Monthly invoices for every occupied apartment (idempotent per period)
+router.post('/billing-run', requirePermission('create_payment'), validate(schemas.billingRun), paymentController.billingRun);
+// Interest and penalties on overdue payments (each day is charged once)
+router.post('/late-fees/run', requirePermission('update_payment'), validate(schemas.lateFeeRun), paymentController.lateFeeRun);
+
+// Pending checkouts whose webhook never arrived
+router.post('/gateway/reconcile', requirePermission('update_payment'), validate(schemas.reconcile), paymentController.reconcile);
+
+router.post('/:id/checkout', requirePermission('update_payment'), validate(idParams, 'params'), paymentController.checkout);
+router.get('/:id/receipt.pdf', requirePermission('read_payment'), validate(idParams, 'params'), paymentController.receiptPdf);
+router.get('/:id', requirePermission('read_payment'), validate(idParams, 'params'), paymentController.get);
+router.put('/:id', requirePermission('update_payment'), validate(idParams, 'params'), validate(schemas.update), paymentController.update);
+router.delete('/:id', requirePermission('delete_payment'), validate(idParams, 'params'), paymentController.remove);
+
+export default router;
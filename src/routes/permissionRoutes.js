@@ -0,0 +1,16 @@
+import express from 'express';
+import { permissionController } from '../controllers/permissionController.js';
+import { protect, requirePermission } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+// Access control administration is limited to system managers
+router.use(protect('permissions'), requirePermission('manage_system'));
+
+router.get('/', permissionController.list);
+router.post('/', permissionController.create);
+router.get('/:id', permissionController.get);
+router.put('/:id', permissionController.update);
+router.delete('/:id', permissionController.remove);
+
+export default router;
@@ -0,0 +1,18 @@
+import express from 'express';
+import * as pqrsController from '../controllers/pqrsController.js';
+import { protect, requirePermission } from '../middleware/permissions.js';
+import { validate } from '../middleware/validate.js';
+import { idParams } from '../validators/common.js';
+import schemas from '../validators/pqrsValidator.js';
+
+const router = express.Router();
+
+router.use(protect('pqrs'));
+
+router.get('/', requirePermission('read_pqrs'), validate(schemas.query, 'query'), pqrsController.list);
+router.post('/', requirePermission('create_pqrs'), validate(schemas.create), pqrsController.create);
+router.get('/:id', requirePermission('read_pqrs'), validate(idParams, 'params'), pqrsController.get);
+router.put('/:id', requirePermission('update_pqrs'), validate(idParams, 'params'), validate(schemas.update), pqrsController.update);
+router.delete('/:id', requirePermission('delete_pqrs'), validate(idParams, 'params'), pqrsController.remove);
+
+export default router;
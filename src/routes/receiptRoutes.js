@@ -0,0 +1,18 @@
+import express from 'express';
+import * as receiptController from '../controllers/receiptController.js';
+import { protect, requirePermission } from '../middleware/permissions.js';
+import { validate } from '../middleware/validate.js';
+import { idParams } from '../validators/common.js';
+import schemas from '../validators/receiptValidator.js';
+
+const router = express.Router();
+
+// Receipts belong to the payments module. They are never edited or deleted:
+// allocations have already settled the payments.
+router.use(protect('payments'));
+
+router.get('/', requirePermission('read_payment'), validate(schemas.query, 'query'), receiptController.list);
+router.post('/', requirePermission('create_payment'), validate(schemas.create), receiptController.create);
+router.get('/:id', requirePermission('read_payment'), validate(idParams, 'params'), receiptController.get);
+
+export default router;
@@ -0,0 +1,19 @@
+import express from 'express';
+import * as refundController from '../controllers/refundController.js';
+import { protect, requirePermission } from '../middleware/permissions.js';
+import { validate } from '../middleware/validate.js';
+import { idParams } from '../validators/common.js';
+import schemas from '../validators/refundValidator.js';
+
+const router = express.Router();
+
+// Refunds belong to the payments module; only approval moves money
+router.use(protect('payments'));
+
+router.get('/', requirePermission('read_payment'), validate(schemas.query, 'query'), refundController.list);
+router.post('/', requirePermission('create_payment'), validate(schemas.create), refundController.create);
+router.get('/:id', requirePermission('read_payment'), validate(idParams, 'params'), refundController.get);
+router.post('/:id/approve', requirePermission('approve_payment'), validate(idParams, 'params'), validate(schemas.approve), refundController.approve);
+router.post('/:id/reject', requirePermission('approve_payment'), validate(idParams, 'params'), validate(schemas.reject), refundController.reject);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import * as reportController from '../controllers/reportController.js';
+import { protect, requirePermission } from '../middleware/permissions.js';
+import { validate } from '../middleware/validate.js';
+import schemas from '../validators/reportValidator.js';
+
+const router = express.Router();
+
+// Financial reports read payments, so they belong to the payments module
+router.use(protect('payments'));
+
+router.get('/finance', requirePermission('read_payment'), validate(schemas.financeQuery, 'query'), reportController.finance);
+
+export default router;
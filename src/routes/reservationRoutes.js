@@ -0,0 +1,20 @@
+import express from 'express';
+import * as reservationController from '../controllers/reservationController.js';
+import { guardAmenityBooking, protect, requirePermission } from '../middleware/permissions.js';
+import { validate } from '../middleware/validate.js';
+import { idParams } from '../validators/common.js';
+import schemas from '../validators/reservationValidator.js';
+
+const router = express.Router();
+
+router.use(protect('reservations'));
+
+router.get('/', requirePermission('read_reservation'), validate(schemas.query, 'query'), reservationController.list);
+router.post('/', requirePermission('create_reservation'), validate(schemas.create), guardAmenityBooking, reservationController.create);
+router.get('/:id', requirePermission('read_reservation'), validate(idParams, 'params'), reservationController.get);
+router.put('/:id', requirePermission('update_reservation'), validate(idParams, 'params'), validate(schemas.update), guardAmenityBooking, reservationController.update);
+router.post('/:id/pay', requirePermission('update_reservation'), validate(idParams, 'params'), validate(schemas.pay), reservationController.pay);
+router.post('/:id/cancel', requirePermission('update_reservation'), validate(idParams, 'params'), validate(schemas.cancel), reservationController.cancel);
+router.delete('/:id', requirePermission('delete_reservation'), validate(idParams, 'params'), reservationController.remove);
+
+export default router;
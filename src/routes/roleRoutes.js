@@ -0,0 +1,16 @@
+import express from 'express';
+import { roleController, getRolePermissionTree } from '../controllers/permissionController.js';
+import { guardRoleLevel, protect, requirePermission } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+router.use(protect('roles'), requirePermission('manage_system'));
+
+router.get('/', roleController.list);
+router.post('/', guardRoleLevel, roleController.create);
+router.get('/:id', roleController.get);
+router.get('/:id/permissions', getRolePermissionTree);
+router.put('/:id', guardRoleLevel, roleController.update);
+router.delete('/:id', guardRoleLevel, roleController.remove);
+
+export default router;
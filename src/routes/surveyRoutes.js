@@ -0,0 +1,27 @@
+import express from 'express';
+import * as surveyController from '../controllers/surveyController.js';
+import { protect, requirePermission } from '../middleware/permissions.js';
+import { validate } from '../middleware/validate.js';
+import { idParams } from '../validators/common.js';
+import schemas from '../validators/surveyValidator.js';
+
+const router = express.Router();
+
+router.use(protect('surveys'));
+
+router.get('/', requirePermission('read_survey'), validate(schemas.query, 'query'), surveyController.list);
+router.post('/', requirePermission('create_survey'), surveyController.create);
+router.get('/:id', requirePermission('read_survey'), validate(idParams, 'params'), surveyController.get);
+router.put('/:id', requirePermission('update_survey'), validate(idParams, 'params'), surveyController.update);
+router.delete('/:id', requirePermission('delete_survey'), validate(idParams, 'params'), surveyController.remove);
+
+// Anyone who can see a survey may answer it
+router.post(
+  '/:id/responses',
+  requirePermission('read_survey'),
+  validate(idParams, 'params'),
+  validate(schemas.response),
+  surveyController.addResponse
+);
+
+export default router;
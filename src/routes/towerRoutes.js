@@ -0,0 +1,60 @@
+import express from 'express';
+import * as towerController from '../controllers/towerController.js';
+import { protect, requirePermission } from '../middleware/permissions.js';
+import { validate } from '../middleware/validate.js';
+import { idParams } from '../validators/common.js';
+import schemas from '../validators/towerValidator.js';
+import apartmentSchemas from '../validators/apartmentValidator.js';
+
+const router = express.Router();
+
+router.use(protect('towers'));
+
+router.get('/', requirePermission('read_apartment'), validate(schemas.query, 'query'), towerController.list);
+router.post('/', requirePermission('create_apartment'), validate(schemas.create), towerController.create);
+router.get('/:id', requirePermission('read_apartment'), validate(idParams, 'params'), towerController.get);
+router.put('/:id', requirePermission('update_apartment'), validate(idParams, 'params'), validate(schemas.update), towerController.update);
+router.delete('/:id', requirePermission('delete_apartment'), validate(idParams, 'params'), towerController.remove);
+
+// Creates every apartment from details.totalFloors x details.apartmentsPerFloor
+router.post(
+  '/:id/generate',
+  requirePermission('create_apartment'),
+  validate(idParams, 'params'),
+  validate(schemas.generate),
+  towerController.generateLayout
+);
+
+// Administration fees from the annual budget and the apartment coefficients
+router.get(
+  '/:id/fees',
+  requirePermission('read_apartment'),
+  validate(idParams, 'params'),
+  validate(schemas.feesPreview, 'query'),
+  towerController.previewFees
+);
+router.post(
+  '/:id/fees/apply',
+  requirePermission('update_apartment'),
+  validate(idParams, 'params'),
+  validate(schemas.applyFees),
+  towerController.applyFees
+);
+
+// Apartments addressed by tower and number
+router.post(
+  '/:id/apartments',
+  requirePermission('create_apartment'),
+  validate(idParams, 'params'),
+  validate(apartmentSchemas.createInTower),
+  towerController.addApartment
+);
+router.put(
+  '/:id/apartments/:number',
+  requirePermission('update_apartment'),
+  validate(apartmentSchemas.towerParams, 'params'),
+  validate(apartmentSchemas.updateInTower),
+  towerController.updateApartment
+);
+
+export default router;
@@ -0,0 +1,18 @@
+import express from 'express';
+import * as userController from '../controllers/userController.js';
+import { guardRoleAssignment, protect, requirePermission } from '../middleware/permissions.js';
+import { validate } from '../middleware/validate.js';
+import { idParams } from '../validators/common.js';
+import schemas from '../validators/userValidator.js';
+
+const router = express.Router();
+
+router.use(protect('users'));
+
+router.get('/', requirePermission('read_user'), validate(schemas.query, 'query'), userController.list);
+router.post('/', requirePermission('create_user'), validate(schemas.create), guardRoleAssignment, userController.create);
+router.get('/:id', requirePermission('read_user'), validate(idParams, 'params'), userController.get);
+router.put('/:id', requirePermission('update_user'), validate(idParams, 'params'), validate(schemas.update), guardRoleAssignment, userController.update);
+router.delete('/:id', requirePermission('delete_user'), validate(idParams, 'params'), guardRoleAssignment, userController.remove);
+
+export default router;
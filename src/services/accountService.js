@@ -0,0 +1,343 @@
+import Apartment from '../models/Apartment.js';
+import PaymentPlan from '../models/PaymentPlan.js';
+import Receipt from '../models/Receipt.js';
+import Refund from '../models/Refund.js';
+import User from '../models/User.js';
+import { Payment } from '../models/Payment.js';
+import { postCreditApplied, postReceipt } from './ledgerService.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { BadRequestError, ConflictError, NotFoundError } from '../utils/errors.js';
+
+// =====================================
+// OWNER ACCOUNTS
+// =====================================
+// Payments are the charges (invoices) of an owner and receipts the money
+// they paid. Each receipt is allocated against open payments, oldest due
+// date first unless the caller says otherwise; the unallocated rest is
+// credit that later allocations use before asking for new money.
+
+const OPEN_STATUSES = ['pending', 'partial', 'failed'];
+const DAY = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const balanceOf = (payment) => round(payment.totalAmount - payment.amountPaid);
+
+const openPayments = (ownerId, session) => {
+  return Payment.find({ owner: ownerId, paymentStatus: { $in: OPEN_STATUSES } })
+    .sort({ dueDate: 1, createdAt: 1 })
+    .session(session);
+};
+
+// apartment.financial.paymentStatus: overdue while a due payment is unpaid,
+// payment_plan while the unpaid ones are under a plan, partial while one is
+// partly paid, current otherwise
+export const refreshPaymentStatus = async (apartmentId, session = null) => {
+  const open = await Payment.find({ apartment: apartmentId, paymentStatus: { $in: OPEN_STATUSES } })
+    .select('paymentStatus dueDate paymentPlan')
+    .session(session)
+    .lean();
+
+  // Past-due payments under an active payment plan are not overdue
+  const now = new Date();
+  let paymentStatus = 'current';
+  if (open.some(payment => payment.dueDate && payment.dueDate < now && !payment.paymentPlan)) {
+    paymentStatus = 'overdue';
+  } else if (open.some(payment => payment.paymentPlan)) {
+    paymentStatus = 'payment_plan';
+  } else if (open.some(payment => payment.paymentStatus === 'partial')) {
+    paymentStatus = 'partial';
+  }
+
+  await Apartment.updateOne({ _id: apartmentId }, { $set: { 'financial.paymentStatus': paymentStatus } }, { session });
+  return paymentStatus;
+};
+
+const refreshApartments = async (payments, session) => {
+  const apartments = new Set(payments.filter(payment => payment.apartment).map(payment => payment.apartment.toString()));
+  for (const apartmentId of apartments) await refreshPaymentStatus(apartmentId, session);
+};
+
+// =====================================
+// ALLOCATION
+// =====================================
+const allocate = async (receipt, payment, amount) => {
+  payment.amountPaid = round(payment.amountPaid + amount);
+  if (payment.amountPaid >= payment.totalAmount) {
+    payment.paymentMethod = payment.paymentMethod || receipt.method;
+    payment.paymentDate = receipt.receivedAt;
+  }
+  await payment.save();
+
+  receipt.allocations.push({ payment: payment._id, amount });
+  receipt.credit = round(receipt.credit - amount);
+};
+
+// Oldest first until the receipt's credit or the open payments run out
+const allocateOldestFirst = async (receipt, payments) => {
+  const touched = [];
+  for (const payment of payments) {
+    if (receipt.credit <= 0) break;
+
+    const amount = Math.min(balanceOf(payment), receipt.credit);
+    if (amount <= 0) continue;
+
+    await allocate(receipt, payment, amount);
+    touched.push(payment);
+  }
+  return touched;
+};
+
+// [{ payment, amount }] chosen by the caller
+const allocateExplicit = async (receipt, payments, requested) => {
+  const total = round(requested.reduce((sum, allocation) => sum + allocation.amount, 0));
+  if (total > receipt.credit) {
+    throw new BadRequestError('Allocations exceed the received amount', { allocated: total, amount: receipt.credit });
+  }
+
+  const touched = [];
+  for (const { payment: paymentId, amount } of requested) {
+    const payment = payments.find(candidate => candidate._id.equals(paymentId));
+    if (!payment) {
+      throw new ConflictError('Payment is not an open charge of this owner', 'PAYMENT_NOT_OPEN', { payment: paymentId });
+    }
+    if (amount > balanceOf(payment)) {
+      throw new BadRequestError('Allocation exceeds the payment balance', {
+        payment: paymentId,
+        balance: balanceOf(payment)
+      });
+    }
+
+    await allocate(receipt, payment, amount);
+    touched.push(payment);
+  }
+  return touched;
+};
+
+// Receipts with credit left are used, oldest first, on the open payments
+const distributeCredit = async (ownerId, session) => {
+  const receipts = await Receipt.find({ owner: ownerId, credit: { $gt: 0 } }).sort({ receivedAt: 1 }).session(session);
+  if (receipts.length === 0) return [];
+
+  const payments = await openPayments(ownerId, session);
+  const touched = [];
+  for (const receipt of receipts) {
+    const before = receipt.allocations.length;
+    const allocated = await allocateOldestFirst(receipt, payments.filter(payment => balanceOf(payment) > 0));
+    if (allocated.length > 0) {
+      await receipt.save();
+      for (const allocation of receipt.allocations.slice(before)) {
+        await postCreditApplied(receipt, allocation, session);
+      }
+      touched.push(...allocated);
+    }
+  }
+  return touched;
+};
+
+const saveReceipt = async ({ allocations, ...data }, registeredBy, session) => {
+  if (!(await User.exists({ _id: data.owner }).session(session))) {
+    throw new NotFoundError('Owner not found');
+  }
+
+  const receipt = new Receipt({ ...data, credit: data.amount, registeredBy });
+  const payments = await openPayments(data.owner, session);
+  const touched = allocations && allocations.length > 0
+    ? await allocateExplicit(receipt, payments, allocations)
+    : await allocateOldestFirst(receipt, payments);
+
+  await receipt.save({ session });
+  await postReceipt(receipt, session);
+  await refreshApartments(touched, session);
+
+  return { receipt, payments: touched };
+};
+
+// Pass a session to record the receipt inside the caller's transaction
+// (gateway webhooks do)
+export const recordReceipt = (data, registeredBy = null, session = null) => {
+  if (session) return saveReceipt(data, registeredBy, session);
+  return runInTransaction(txSession => saveReceipt(data, registeredBy, txSession));
+};
+
+// Uses the owner's credit on their open payments. Called by the billing run
+// with its session so new invoices are settled from credit right away.
+export const applyCredit = async (ownerId, session = null) => {
+  if (session) {
+    const touched = await distributeCredit(ownerId, session);
+    await refreshApartments(touched, session);
+    return touched;
+  }
+
+  return runInTransaction(session => applyCredit(ownerId, session));
+};
+
+// =====================================
+// BALANCES AND STATEMENTS
+// =====================================
+export const ownerBalance = async (ownerId) => {
+  const [payments, receipts] = await Promise.all([
+    Payment.find({ owner: ownerId, paymentStatus: { $in: OPEN_STATUSES } }).select('totalAmount amountPaid').lean(),
+    Receipt.find({ owner: ownerId, credit: { $gt: 0 } }).select('credit').lean()
+  ]);
+
+  const owed = round(payments.reduce((sum, payment) => sum + payment.totalAmount - payment.amountPaid, 0));
+  const credit = round(receipts.reduce((sum, receipt) => sum + receipt.credit, 0));
+  return { owed, credit, balance: round(owed - credit) };
+};
+
+// Charges: each payment when issued, its late fees when accrued.
+// Payments: receipts, plus payments completed directly (without receipts)
+// for the part no receipt covered. Each approved refund, partial or full,
+// appears on its approval date twice: as a credit for what it voids and as
+// a charge for the money sent back, which nets to zero.
+const statementLines = (payments, receipts, refunds) => {
+  const charges = [];
+  const credits = [];
+
+  for (const payment of payments) {
+    const lateFees = payment.lateFees || {};
+    charges.push({
+      date: payment.createdAt,
+      description: payment.billingPeriod ? `Invoice ${payment.billingPeriod}` : (payment.items[0] || {}).description || 'Charge',
+      amount: round(payment.totalAmount - (lateFees.total || 0)),
+      payment: payment._id,
+      apartment: payment.apartment
+    });
+
+    for (const accrual of lateFees.accruals || []) {
+      charges.push({
+        date: accrual.accruedAt,
+        description: `Late fees (${accrual.days} days)`,
+        amount: accrual.interest + accrual.penalty,
+        payment: payment._id,
+        apartment: payment.apartment
+      });
+    }
+
+    const settledDirectly = round(payment.totalAmount - payment.amountPaid);
+    if (['completed', 'refunded'].includes(payment.paymentStatus) && settledDirectly > 0) {
+      credits.push({
+        date: payment.paymentDate || payment.updatedAt,
+        description: `Payment (${payment.paymentMethod})`,
+        amount: settledDirectly,
+        payment: payment._id
+      });
+    }
+  }
+
+  for (const receipt of receipts) {
+    credits.push({
+      date: receipt.receivedAt,
+      description: `Receipt (${receipt.method})${receipt.reference ? ` ${receipt.reference}` : ''}`,
+      amount: receipt.amount,
+      receipt: receipt._id
+    });
+  }
+
+  for (const refund of refunds) {
+    const target = refund.payment ? { payment: refund.payment } : { reservation: refund.reservation };
+    credits.push({
+      date: refund.review.at,
+      description: `Refund: ${refund.reason}`,
+      amount: refund.amount,
+      refund: refund._id,
+      ...target
+    });
+    charges.push({
+      date: refund.review.at,
+      description: `Refund paid (${refund.method})${refund.reference ? ` ${refund.reference}` : ''}`,
+      amount: refund.amount,
+      refund: refund._id,
+      ...target
+    });
+  }
+
+  return { charges, credits };
+};
+
+// Plans in force at some point of the period, with their installments
+// filled from what was paid so far
+const statementPlans = async (ownerId, from, until) => {
+  const plans = await PaymentPlan.find({
+    owner: ownerId,
+    startDate: { $lt: until },
+    ...(from && { $or: [{ endedAt: null }, { endedAt: { $gte: from } }] })
+  }).sort({ startDate: 1 });
+
+  const ids = plans.flatMap(plan => plan.payments.map(entry => entry.payment));
+  const covered = await Payment.find({ _id: { $in: ids } }).select('paymentStatus amountPaid').lean();
+
+  return plans.map((plan) => {
+    const progress = plan.status === 'active' ? plan.applyProgress(covered) : null;
+    return {
+      _id: plan._id,
+      status: plan.status,
+      startDate: plan.startDate,
+      endedAt: plan.endedAt,
+      totalAmount: plan.totalAmount,
+      payments: plan.payments.map(entry => entry.payment),
+      installments: plan.installments,
+      ...(progress && { progress })
+    };
+  });
+};
+
+const sum = (lines) => round(lines.reduce((total, line) => total + line.amount, 0));
+const byDate = (a, b) => a.date - b.date;
+
+// Statement lines of everything recorded before `until`
+const accountLines = async (ownerId, until) => {
+  const [payments, receipts, refunds] = await Promise.all([
+    Payment.find({ owner: ownerId, paymentStatus: { $ne: 'cancelled' }, createdAt: { $lt: until } }).lean(),
+    Receipt.find({ owner: ownerId, receivedAt: { $lt: until } }).lean(),
+    Refund.find({ owner: ownerId, status: 'approved', 'review.at': { $lt: until } }).lean()
+  ]);
+  return statementLines(payments, receipts, refunds);
+};
+
+// The balance the owner's statement shows at `asOf` (inclusive): what was
+// charged minus what was paid up to that moment. Printed documents use it so
+// a document rendered again later shows the same figure.
+export const ownerBalanceAt = async (ownerId, asOf) => {
+  const until = new Date(new Date(asOf).getTime() + 1);
+  const { charges, credits } = await accountLines(ownerId, until);
+  const charged = sum(charges.filter(line => line.date < until));
+  const paid = sum(credits.filter(line => line.date < until));
+  return { asOf: new Date(asOf), charged, paid, balance: round(charged - paid) };
+};
+
+// `to` is inclusive (the whole day); without `from` the opening balance is 0
+export const ownerStatement = async (ownerId, { from, to } = {}) => {
+  const owner = await User.findById(ownerId).select('username email profile.fullName');
+  if (!owner) {
+    throw new NotFoundError('Owner not found');
+  }
+
+  const until = to ? new Date(new Date(to).getTime() + DAY) : new Date();
+  const { charges, credits } = await accountLines(owner._id, until);
+  const paymentPlans = await statementPlans(owner._id, from, until);
+  const inRange = (line) => line.date < until && (!from || line.date >= from);
+  const before = (line) => from && line.date < from;
+
+  const openingBalance = round(sum(charges.filter(before)) - sum(credits.filter(before)));
+  const periodCharges = charges.filter(inRange).sort(byDate);
+  const periodPayments = credits.filter(inRange).sort(byDate);
+  const totalCharges = sum(periodCharges);
+  const totalPayments = sum(periodPayments);
+
+  return {
+    owner,
+    from: from || null,
+    to: to || null,
+    openingBalance,
+    totalCharges,
+    totalPayments,
+    closingBalance: round(openingBalance + totalCharges - totalPayments),
+    charges: periodCharges,
+    payments: periodPayments,
+    paymentPlans
+  };
+};
+
+export default { refreshPaymentStatus, recordReceipt, applyCredit, ownerBalance, ownerBalanceAt, ownerStatement };
@@ -0,0 +1,229 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import authConfig from '../config/auth.js';
+import User from '../models/User.js';
+import { Role, UserStatus } from '../models/Permission.js';
+import { AppError, AuthenticationError, BadRequestError, ForbiddenError } from '../utils/errors.js';
+
+// =====================================
+// TOKEN HELPERS
+// =====================================
+const ensureSecret = (secret) => {
+  if (!secret) {
+    throw new AppError('JWT_SECRET is not configured', 500, 'AUTH_NOT_CONFIGURED');
+  }
+  return secret;
+};
+
+export const signAccessToken = (user) => {
+  return jwt.sign(
+    {
+      sub: user._id.toString(),
+      role: user.role?._id ? user.role._id.toString() : user.role?.toString(),
+      roleType: user.roleType,
+      type: 'access'
+    },
+    ensureSecret(authConfig.accessToken.secret),
+    { expiresIn: authConfig.accessToken.expiresIn }
+  );
+};
+
+const signRefreshToken = (user, tokenId) => {
+  return jwt.sign(
+    { sub: user._id.toString(), jti: tokenId, type: 'refresh' },
+    ensureSecret(authConfig.refreshToken.secret),
+    { expiresIn: authConfig.refreshToken.expiresIn }
+  );
+};
+
+export const verifyAccessToken = (token) => {
+  try {
+    const payload = jwt.verify(token, ensureSecret(authConfig.accessToken.secret));
+    if (payload.type !== 'access') {
+      throw new AuthenticationError('Invalid token type', 'INVALID_TOKEN');
+    }
+    return payload;
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    if (error.name === 'TokenExpiredError') {
+      throw new AuthenticationError('Access token expired', 'TOKEN_EXPIRED');
+    }
+    throw new AuthenticationError('Invalid access token', 'INVALID_TOKEN');
+  }
+};
+
+const verifyRefreshToken = (token) => {
+  try {
+    const payload = jwt.verify(token, ensureSecret(authConfig.refreshToken.secret));
+    if (payload.type !== 'refresh' || !payload.jti) {
+      throw new AuthenticationError('Invalid token type', 'INVALID_TOKEN');
+    }
+    return payload;
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    if (error.name === 'TokenExpiredError') {
+      throw new AuthenticationError('Refresh token expired', 'TOKEN_EXPIRED');
+    }
+    throw new AuthenticationError('Invalid refresh token', 'INVALID_TOKEN');
+  }
+};
+
+// Issues a new access/refresh pair and stores the refresh token id on the user.
+// The caller is responsible for saving the user document.
+const issueTokens = (user, context = {}) => {
+  const tokenId = crypto.randomUUID();
+  const refreshToken = signRefreshToken(user, tokenId);
+  const { exp } = jwt.decode(refreshToken);
+
+  const now = new Date();
+  user.refreshTokens = user.refreshTokens.filter(t => t.expiresAt > now);
+  user.refreshTokens.push({
+    tokenId,
+    expiresAt: new Date(exp * 1000),
+    userAgent: context.userAgent,
+    ipAddress: context.ipAddress
+  });
+
+  // Drop the oldest sessions beyond the per-user limit
+  const excess = user.refreshTokens.length - authConfig.refreshToken.maxPerUser;
+  if (excess > 0) {
+    user.refreshTokens.splice(0, excess);
+  }
+
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: authConfig.accessToken.expiresIn
+  };
+};
+
+// =====================================
+// LOGIN GATE
+// =====================================
+// UserStatus documents decide whether a status may log in. When the lookup
+// collection has no entry for the status, only 'active' users are let through.
+export const assertLoginAllowed = async (user) => {
+  const status = await UserStatus.findOne({ name: user.status });
+  const allowed = status ? status.isActive && status.allowLogin : user.status === 'active';
+
+  if (!allowed) {
+    throw new ForbiddenError(
+      `Login not allowed: account is ${user.status}`,
+      'ACCOUNT_LOGIN_DISABLED',
+      { status: user.status }
+    );
+  }
+};
+
+// =====================================
+// AUTH OPERATIONS
+// =====================================
+export const login = async ({ username, password }, context = {}) => {
+  if (!username || !password) {
+    throw new BadRequestError('Username and password are required');
+  }
+
+  const identifier = username.trim();
+  const user = await User.findOne({
+    $or: [{ username: identifier }, { email: identifier.toLowerCase() }]
+  });
+
+  if (!user || !(await user.comparePassword(password))) {
+    throw new AuthenticationError('Invalid username or password', 'INVALID_CREDENTIALS');
+  }
+
+  await assertLoginAllowed(user);
+
+  const tokens = issueTokens(user, context);
+  user.lastLogin = new Date();
+  await user.save();
+
+  return { user, tokens };
+};
+
+export const refresh = async (refreshToken, context = {}) => {
+  if (!refreshToken) {
+    throw new BadRequestError('Refresh token is required');
+  }
+
+  const payload = verifyRefreshToken(refreshToken);
+  const user = await User.findById(payload.sub);
+
+  if (!user) {
+    throw new AuthenticationError('Invalid refresh token', 'INVALID_TOKEN');
+  }
+
+  const stored = user.refreshTokens.find(t => t.tokenId === payload.jti);
+  if (!stored) {
+    // A validly signed token that is no longer stored has already been rotated:
+    // treat it as reuse and revoke every session of this user.
+    user.refreshTokens = [];
+    await user.save();
+    throw new AuthenticationError('Refresh token has been revoked', 'TOKEN_REVOKED');
+  }
+
+  await assertLoginAllowed(user);
+
+  user.refreshTokens.pull(stored._id);
+  const tokens = issueTokens(user, context);
+  await user.save();
+
+  return { user, tokens };
+};
+
+export const logout = async (refreshToken, { allSessions = false } = {}) => {
+  if (!refreshToken) {
+    throw new BadRequestError('Refresh token is required');
+  }
+
+  let payload;
+  try {
+    payload = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    // Expired or invalid tokens are already unusable
+    return;
+  }
+
+  const update = allSessions
+    ? { $set: { refreshTokens: [] } }
+    : { $pull: { refreshTokens: { tokenId: payload.jti } } };
+
+  await User.updateOne({ _id: payload.sub }, update);
+};
+
+export const register = async (data) => {
+  const role = await Role.findOne({ type: authConfig.registrationRoleType, isActive: true })
+    .sort({ level: -1 });
+
+  if (!role) {
+    throw new AppError(
+      `No active role of type '${authConfig.registrationRoleType}' available for registration`,
+      500,
+      'REGISTRATION_ROLE_MISSING'
+    );
+  }
+
+  // New accounts start as pending until an administrator activates them
+  const user = new User({
+    username: data.username,
+    email: data.email,
+    password: data.password,
+    profile: data.profile,
+    role: role._id,
+    roleType: role.type,
+    status: 'pending'
+  });
+
+  return user.save();
+};
+
+export default {
+  login,
+  refresh,
+  logout,
+  register,
+  signAccessToken,
+  verifyAccessToken,
+  assertLoginAllowed
+};
@@ -0,0 +1,223 @@
+import mongoose from 'mongoose';
+import BankStatement from '../models/BankStatement.js';
+import { Payment } from '../models/Payment.js';
+import { parseStatement } from './bankStatementParser.js';
+import { recordReceipt } from './accountService.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { BadRequestError, ConflictError, NotFoundError } from '../utils/errors.js';
+
+// =====================================
+// BANK RECONCILIATION
+// =====================================
+// Deposits from an imported statement are matched to open payments:
+// - reference: the payment's referenceNumber appears in the deposit
+// - document:  the payer's document is the payment owner's
+// - amount:    the deposit is exactly what the payment still owes
+// A match needs a reference, or a document plus the amount; an amount
+// alone is too common to mean anything. Confirming a deposit records a
+// bank_transfer receipt for the payment, which settles it like money taken
+// at the desk (ledger and apartment status included).
+
+const OPEN_STATUSES = ['pending', 'partial', 'failed'];
+const SCORES = { reference: 50, document: 30, amount: 30 };
+const MIN_SCORE = 50;
+
+const round = (value) => Math.round(value * 100) / 100;
+const compact = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+const balanceOf = (payment) => round(payment.totalAmount - payment.amountPaid);
+
+const score = (entry, payment) => {
+  const reasons = [];
+  const text = compact(`${entry.reference || ''} ${entry.description || ''}`);
+  const reference = compact(payment.referenceNumber);
+  const document = payment.owner && payment.owner.profile ? compact(payment.owner.profile.documentNumber) : '';
+
+  if (reference.length >= 4 && text.includes(reference)) reasons.push('reference');
+  if (document.length >= 5 && (compact(entry.payerDocument) === document || text.includes(document))) reasons.push('document');
+  if (Math.abs(entry.amount - balanceOf(payment)) < 0.01) reasons.push('amount');
+
+  return { score: reasons.reduce((sum, reason) => sum + SCORES[reason], 0), reasons };
+};
+
+// Best pairs first; a payment is proposed for one deposit only
+const propose = (entries, payments) => {
+  const pairs = [];
+  entries.forEach((entry, index) => {
+    for (const payment of payments) {
+      const match = score(entry, payment);
+      if (match.score >= MIN_SCORE) pairs.push({ index, payment, ...match });
+    }
+  });
+  pairs.sort((a, b) => b.score - a.score || (a.payment.dueDate || 0) - (b.payment.dueDate || 0));
+
+  const proposals = new Map();
+  const taken = new Set();
+  for (const pair of pairs) {
+    const paymentId = pair.payment._id.toString();
+    if (proposals.has(pair.index) || taken.has(paymentId)) continue;
+    proposals.set(pair.index, { payment: pair.payment._id, score: pair.score, reasons: pair.reasons });
+    taken.add(paymentId);
+  }
+  return proposals;
+};
+
+// file: { buffer, originalname } (multer); options: format, bankAccount
+export const importStatement = async (file, { format, bankAccount } = {}, importedBy = null) => {
+  const parsed = parseStatement(file.buffer, { fileName: file.originalname, format, bankAccount });
+
+  const keys = parsed.entries.map(entry => entry.key);
+  const known = await BankStatement.aggregate([
+    { $match: { 'lines.key': { $in: keys } } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.key': { $in: keys } } },
+    { $group: { _id: '$lines.key' } }
+  ]);
+  const imported = new Set(known.map(line => line._id));
+  const entries = parsed.entries.filter(entry => !imported.has(entry.key));
+
+  if (entries.length === 0) {
+    if (parsed.entries.length > 0) {
+      throw new ConflictError('Every deposit in this statement was already imported', 'STATEMENT_ALREADY_IMPORTED', {
+        duplicates: parsed.entries.length
+      });
+    }
+    throw new BadRequestError('The statement has no deposits', { skipped: parsed.skipped });
+  }
+
+  const payments = await Payment.find({ paymentStatus: { $in: OPEN_STATUSES } })
+    .select('owner totalAmount amountPaid referenceNumber dueDate')
+    .populate('owner', 'profile.documentNumber')
+    .lean();
+  const proposals = propose(entries, payments);
+
+  const statement = new BankStatement({
+    fileName: file.originalname,
+    format: parsed.format,
+    bankAccount: parsed.bankAccount,
+    importedBy,
+    lines: entries.map((entry, index) => {
+      const proposal = proposals.get(index);
+      return { ...entry, status: proposal ? 'proposed' : 'unmatched', proposal };
+    }),
+    summary: { duplicates: parsed.entries.length - entries.length, skipped: parsed.skipped }
+  });
+  statement.refreshSummary();
+  await statement.save();
+  return statement;
+};
+
+const loadLine = async (statementId, lineId, session) => {
+  const statement = await BankStatement.findById(statementId).session(session);
+  if (!statement) {
+    throw new NotFoundError('Bank statement not found');
+  }
+  const line = statement.lines.id(lineId);
+  if (!line) {
+    throw new NotFoundError('Deposit not found in this statement');
+  }
+  if (['confirmed', 'ignored'].includes(line.status)) {
+    throw new ConflictError('Deposit was already resolved', 'DEPOSIT_ALREADY_RESOLVED', { status: line.status });
+  }
+  return { statement, line };
+};
+
+// payment: reassigns the deposit to another payment; without it the
+// proposal is confirmed. A deposit larger than the balance leaves the rest
+// as the owner's credit.
+export const confirmDeposit = (statementId, lineId, { payment: paymentId, notes } = {}, confirmedBy = null) => {
+  return runInTransaction(async (session) => {
+    const { statement, line } = await loadLine(statementId, lineId, session);
+
+    const target = paymentId || (line.proposal && line.proposal.payment);
+    if (!target) {
+      throw new BadRequestError('No payment proposed for this deposit; choose one');
+    }
+    const payment = await Payment.findById(target).session(session);
+    if (!payment) {
+      throw new NotFoundError('Payment not found');
+    }
+    const balance = OPEN_STATUSES.includes(payment.paymentStatus) ? balanceOf(payment) : 0;
+    if (balance <= 0) {
+      throw new ConflictError('Payment has nothing left to pay', 'PAYMENT_NOT_OPEN', { paymentStatus: payment.paymentStatus });
+    }
+
+    const { receipt } = await recordReceipt({
+      owner: payment.owner,
+      amount: line.amount,
+      method: 'bank_transfer',
+      receivedAt: line.date,
+      reference: (line.reference || line.bankId || '').slice(0, 50) || undefined,
+      notes: `Bank statement ${statement.fileName}`,
+      allocations: [{ payment: payment._id, amount: Math.min(line.amount, balance) }]
+    }, confirmedBy, session);
+
+    line.set({
+      status: 'confirmed',
+      payment: payment._id,
+      receipt: receipt._id,
+      resolvedBy: confirmedBy,
+      resolvedAt: new Date(),
+      ...(notes && { notes })
+    });
+    statement.refreshSummary();
+    // Bumps the version, so two confirmations racing on the same statement
+    // cannot both record a receipt
+    statement.increment();
+    await statement.save({ session });
+
+    return { statement, deposit: line, receipt };
+  });
+};
+
+// Deposits that are not owners' payments (interest, transfers between accounts)
+export const ignoreDeposit = async (statementId, lineId, { notes }, ignoredBy = null) => {
+  const { statement, line } = await loadLine(statementId, lineId, null);
+
+  line.set({ status: 'ignored', resolvedBy: ignoredBy, resolvedAt: new Date(), notes });
+  statement.refreshSummary();
+  statement.increment();
+  await statement.save();
+  return { statement, deposit: line };
+};
+
+// Deposits still waiting for an admin, across statements. `to` is inclusive;
+// status: comma-separated line statuses
+export const unmatchedDeposits = async ({ from, to, status, statement } = {}) => {
+  const statuses = status ? status.split(',').map(value => value.trim()) : ['unmatched', 'proposed'];
+  const lineMatch = { 'lines.status': { $in: statuses } };
+  if (from || to) {
+    lineMatch['lines.date'] = {};
+    if (from) lineMatch['lines.date'].$gte = new Date(from);
+    if (to) lineMatch['lines.date'].$lt = new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  const deposits = await BankStatement.aggregate([
+    { $match: { ...lineMatch, ...(statement && { _id: new mongoose.Types.ObjectId(statement) }) } },
+    { $unwind: '$lines' },
+    { $match: lineMatch },
+    { $sort: { 'lines.date': 1 } },
+    {
+      $project: {
+        _id: '$lines._id',
+        statement: '$_id',
+        fileName: 1,
+        bankAccount: 1,
+        date: '$lines.date',
+        amount: '$lines.amount',
+        description: '$lines.description',
+        reference: '$lines.reference',
+        payerDocument: '$lines.payerDocument',
+        status: '$lines.status',
+        proposal: '$lines.proposal'
+      }
+    }
+  ]);
+
+  return {
+    count: deposits.length,
+    totalAmount: round(deposits.reduce((sum, deposit) => sum + deposit.amount, 0)),
+    deposits
+  };
+};
+
+export default { importStatement, confirmDeposit, ignoreDeposit, unmatchedDeposits };
@@ -0,0 +1,258 @@
+import crypto from 'crypto';
+import { BadRequestError } from '../utils/errors.js';
+
+// =====================================
+// BANK STATEMENT PARSING
+// =====================================
+// Turns a CSV or OFX bank statement into deposits:
+// { date, amount, description, reference, payerDocument, bankId, key }.
+// Debits and zero amounts are counted as skipped. Banks name their CSV
+// columns differently, so headers are matched against the aliases below
+// (case and accents ignored).
+
+const CSV_COLUMNS = {
+  date: ['date', 'fecha', 'fecha transaccion', 'fecha movimiento', 'fecha valor', 'posted date'],
+  amount: ['amount', 'valor', 'monto', 'importe'],
+  credit: ['credit', 'credito', 'abono', 'abonos', 'deposit', 'deposito'],
+  description: ['description', 'descripcion', 'concepto', 'detalle', 'memo'],
+  reference: ['reference', 'referencia', 'ref', 'referencia 1', 'no. documento'],
+  payerDocument: ['payer document', 'document', 'documento', 'nit', 'cedula', 'nit/cc', 'id pagador'],
+  bankId: ['transaction id', 'id', 'id transaccion', 'numero transaccion', 'no. transaccion']
+};
+
+// 'NIT 900123456', 'CC: 1.020.304.050', 'DOC#52345678'
+const DOCUMENT_PATTERN = /\b(?:NIT|C\.?C\.?|C\.?E\.?|DOC(?:UMENTO)?|CEDULA)\s*[:#.]?\s*(\d[\d.]{4,16}\d)/i;
+
+const normalizeHeader = (value) => value
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .toLowerCase();
+
+const clean = (value, max) => {
+  const text = String(value || '').replace(/\s+/g, ' ').trim();
+  return text ? text.slice(0, max) : undefined;
+};
+
+// '1.234.567,89', '1,234,567.89', '$ 150.000', '(2.500,00)', '-300'. A single
+// separator followed by exactly three digits is a thousands separator.
+export const parseAmount = (raw) => {
+  let text = String(raw || '').trim();
+  if (!text) return null;
+
+  const negative = /^\(.*\)$/.test(text) || /^-|-$/.test(text.replace(/[^\d.,-]/g, ''));
+  text = text.replace(/[^\d.,]/g, '');
+
+  const lastDot = text.lastIndexOf('.');
+  const lastComma = text.lastIndexOf(',');
+  let decimal = null;
+  if (lastDot >= 0 && lastComma >= 0) {
+    decimal = lastDot > lastComma ? '.' : ',';
+  } else if (lastDot >= 0 || lastComma >= 0) {
+    const separator = lastDot >= 0 ? '.' : ',';
+    const parts = text.split(separator);
+    decimal = parts.length === 2 && parts[1].length !== 3 ? separator : null;
+  }
+
+  const thousands = decimal === '.' ? ',' : decimal === ',' ? '.' : /[.,]/g;
+  text = text.split(thousands).join('').replace(/[.,]/g, decimal ? '.' : '');
+  const value = Number(text);
+  if (!text || !Number.isFinite(value)) return null;
+  return Math.round((negative ? -value : value) * 100) / 100;
+};
+
+// '2025-07-05', '05/07/2025' (day first), '20250705', OFX '20250705120000[-5:COT]'
+export const parseDate = (raw) => {
+  const text = String(raw || '').trim();
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/) || text.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (match) return validDate(match[1], match[2], match[3]);
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+  if (match) {
+    const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+    return validDate(year, match[2], match[1]);
+  }
+  return null;
+};
+
+const validDate = (year, month, day) => {
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  return date.getUTCDate() === Number(day) && date.getUTCMonth() === Number(month) - 1 ? date : null;
+};
+
+const documentIn = (text) => {
+  const match = String(text || '').match(DOCUMENT_PATTERN);
+  return match ? match[1].replace(/\./g, '') : undefined;
+};
+
+// =====================================
+// CSV
+// =====================================
+// Quoted fields may contain separators, doubled quotes and line breaks
+const parseCsvRows = (text, separator) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// The most frequent candidate in the first lines (title lines may have none)
+const detectSeparator = (text) => {
+  const sample = text.split(/\r?\n/).slice(0, 15).join('\n');
+  const counts = [';', ',', '\t', '|'].map(separator => [separator, sample.split(separator).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+};
+
+// Banks often put a few title lines before the header: the header is the
+// first row naming a date and an amount (or credit) column
+const findHeader = (rows) => {
+  for (let index = 0; index < Math.min(rows.length, 15); index++) {
+    const headers = rows[index].map(normalizeHeader);
+    const column = (name) => headers.findIndex(header => CSV_COLUMNS[name].includes(header));
+    const columns = Object.fromEntries(Object.keys(CSV_COLUMNS).map(name => [name, column(name)]));
+    if (columns.date >= 0 && (columns.amount >= 0 || columns.credit >= 0)) {
+      return { index, columns };
+    }
+  }
+  throw new BadRequestError('No header with a date and an amount column found in the CSV file', {
+    expected: { date: CSV_COLUMNS.date, amount: [...CSV_COLUMNS.amount, ...CSV_COLUMNS.credit] }
+  });
+};
+
+const parseCsv = (text) => {
+  const rows = parseCsvRows(text, detectSeparator(text));
+  const { index, columns } = findHeader(rows);
+
+  const cell = (cells, name) => (columns[name] >= 0 ? cells[columns[name]] : undefined);
+  const entries = [];
+  let skipped = 0;
+
+  for (const cells of rows.slice(index + 1)) {
+    const date = parseDate(cell(cells, 'date'));
+    // A credit column wins; otherwise positive amounts are deposits
+    const amount = columns.credit >= 0 ? parseAmount(cell(cells, 'credit')) : parseAmount(cell(cells, 'amount'));
+    if (!date || !amount || amount <= 0) {
+      skipped++;
+      continue;
+    }
+
+    const description = clean(cell(cells, 'description'), 300);
+    entries.push({
+      date,
+      amount,
+      description,
+      reference: clean(cell(cells, 'reference'), 100),
+      payerDocument: clean(cell(cells, 'payerDocument'), 20) || documentIn(description),
+      bankId: clean(cell(cells, 'bankId'), 100)
+    });
+  }
+
+  return { format: 'csv', bankAccount: undefined, entries, skipped };
+};
+
+// =====================================
+// OFX
+// =====================================
+// Both OFX 1.x (SGML, leaf tags not closed) and 2.x (XML) are read with the
+// same tag patterns
+const ofxValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : undefined;
+};
+
+const parseOfx = (text) => {
+  const transactions = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+  const entries = [];
+  let skipped = 0;
+
+  for (const block of transactions) {
+    const date = parseDate(ofxValue(block, 'DTPOSTED'));
+    const amount = parseAmount((ofxValue(block, 'TRNAMT') || '').replace(',', '.'));
+    if (!date || !amount || amount <= 0) {
+      skipped++;
+      continue;
+    }
+
+    const description = clean([ofxValue(block, 'NAME'), ofxValue(block, 'MEMO')].filter(Boolean).join(' - '), 300);
+    entries.push({
+      date,
+      amount,
+      description,
+      reference: clean(ofxValue(block, 'REFNUM') || ofxValue(block, 'CHECKNUM'), 100),
+      payerDocument: documentIn(description),
+      bankId: clean(ofxValue(block, 'FITID'), 100)
+    });
+  }
+
+  return { format: 'ofx', bankAccount: clean(ofxValue(text, 'ACCTID'), 50), entries, skipped };
+};
+
+// =====================================
+// ENTRY POINT
+// =====================================
+const detectFormat = (text, fileName) => {
+  if (/\.(ofx|qfx)$/i.test(fileName || '') || /OFXHEADER|<OFX>/i.test(text.slice(0, 2000))) return 'ofx';
+  return 'csv';
+};
+
+// Deposits with the bank's id are keyed by it; the rest by their content
+// plus how many identical deposits came before in the same file (two equal
+// transfers on one day are both real)
+const withKeys = (entries, bankAccount) => {
+  const seen = new Map();
+  return entries.map((entry) => {
+    if (entry.bankId) return { ...entry, key: `id:${bankAccount || ''}:${entry.bankId}` };
+
+    const content = [entry.date.toISOString().slice(0, 10), entry.amount, entry.reference || '', entry.description || ''].join('|');
+    const occurrence = (seen.get(content) || 0) + 1;
+    seen.set(content, occurrence);
+    const hash = crypto.createHash('sha1').update(content).digest('hex');
+    return { ...entry, key: `line:${bankAccount || ''}:${hash}:${occurrence}` };
+  });
+};
+
+// format: 'csv' | 'ofx' | undefined (detected from the name and content)
+export const parseStatement = (buffer, { fileName, format, bankAccount } = {}) => {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  if (!text.trim()) {
+    throw new BadRequestError('The statement file is empty');
+  }
+
+  const parsed = (format || detectFormat(text, fileName)) === 'ofx' ? parseOfx(text) : parseCsv(text);
+  const account = bankAccount || parsed.bankAccount;
+  return { ...parsed, bankAccount: account, entries: withKeys(parsed.entries, account) };
+};
+
+export default { parseStatement, parseAmount, parseDate };
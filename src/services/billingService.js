@@ -0,0 +1,158 @@
+import Apartment from '../models/Apartment.js';
+import Parking from '../models/Parking.js';
+import Lease from '../models/Lease.js';
+import { Payment } from '../models/Payment.js';
+import billingConfig from '../config/billing.js';
+import { feeRecipient } from './leaseService.js';
+import { applyCredit, refreshPaymentStatus } from './accountService.js';
+import { postPaymentIssued } from './ledgerService.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { BadRequestError } from '../utils/errors.js';
+
+// =====================================
+// MONTHLY BILLING RUN
+// =====================================
+// One pending Payment (invoice) per occupied apartment and period, with the
+// administration fee, the parking spaces of its residents and its unbilled
+// charges as items. Invoices are keyed by apartment + billingPeriod, so
+// running a period again only bills the apartments that were missed.
+
+const PERIOD_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+export const parsePeriod = (period) => {
+  const match = PERIOD_PATTERN.exec(period || '');
+  if (!match) {
+    throw new BadRequestError('Billing period must be YYYY-MM', { period });
+  }
+
+  const year = Number(match[1]);
+  const month = Number(match[2]) - 1;
+  return {
+    start: new Date(Date.UTC(year, month, 1)),
+    end: new Date(Date.UTC(year, month + 1, 1)),
+    dueDate: new Date(Date.UTC(year, month, billingConfig.dueDay))
+  };
+};
+
+export const currentPeriod = (date = new Date()) => date.toISOString().slice(0, 7);
+
+// Owner and tenant are both residents; a space is billed to this apartment
+// unless it is registered for another apartment number
+const residentParking = async (apartment, at) => {
+  const lease = await Lease.findCurrentForApartment(apartment._id, at).select('tenant');
+  const residents = [apartment.ownerId, lease && lease.tenant].filter(Boolean);
+
+  const spaces = await Parking.find({ assignedUserId: { $in: residents }, status: 'occupied', isActive: true });
+  return spaces.filter(space => {
+    const registered = space.assignedUserInfo && space.assignedUserInfo.apartmentNumber;
+    return !registered || registered === apartment.number;
+  });
+};
+
+export const buildInvoiceItems = async (apartment, period, at) => {
+  const items = [];
+
+  if (apartment.financial.administrationFee > 0) {
+    items.push({
+      description: `Administration fee ${period}`,
+      amount: apartment.financial.administrationFee,
+      category: 'maintenance'
+    });
+  }
+
+  for (const space of await residentParking(apartment, at)) {
+    if (space.monthlyFee > 0) {
+      items.push({ description: `Parking ${space.number} ${period}`, amount: space.monthlyFee, category: 'parking' });
+    }
+  }
+
+  const charges = apartment.charges.filter(charge => !charge.payment);
+  for (const charge of charges) {
+    items.push({ description: charge.description, amount: charge.amount, category: charge.category });
+  }
+
+  return { items, charges };
+};
+
+const billApartment = async (apartment, period, { dueDate, start }) => {
+  const owner = await feeRecipient(apartment._id, start);
+  if (!owner) return { status: 'skipped', reason: 'no_recipient' };
+
+  const { items, charges } = await buildInvoiceItems(apartment, period, start);
+  const totalAmount = items.reduce((sum, item) => sum + item.amount, 0);
+  if (totalAmount === 0) return { status: 'skipped', reason: 'nothing_to_bill' };
+
+  return runInTransaction(async (session) => {
+    const [payment] = await Payment.create([{
+      owner,
+      apartment: apartment._id,
+      tower: apartment.tower,
+      billingPeriod: period,
+      items,
+      totalAmount,
+      paymentStatus: 'pending',
+      paymentDate: null,
+      dueDate
+    }], { session });
+    await postPaymentIssued(payment, session);
+
+    if (charges.length > 0) {
+      charges.forEach(charge => { charge.payment = payment._id; });
+      await apartment.save({ session });
+    }
+
+    // Credit left from earlier overpayments settles the new invoice first
+    await applyCredit(owner, session);
+    await refreshPaymentStatus(apartment._id, session);
+    return { status: 'created', payment: payment._id, totalAmount };
+  });
+};
+
+// options: tower (only its apartments), dueDate (overrides the configured
+// due day), dryRun (reports without writing)
+export const runBilling = async (period, { tower, dueDate, dryRun = false } = {}) => {
+  const dates = parsePeriod(period);
+  if (dueDate) dates.dueDate = dueDate;
+
+  const filter = { status: 'occupied', isActive: true };
+  if (tower) filter.tower = tower;
+
+  const apartments = await Apartment.find(filter).sort({ tower: 1, number: 1 });
+  const billed = new Set((await Payment.find({
+    apartment: { $in: apartments.map(apartment => apartment._id) },
+    billingPeriod: period
+  }).select('apartment')).map(payment => payment.apartment.toString()));
+
+  const summary = { period, dueDate: dates.dueDate, dryRun, created: 0, skipped: 0, failed: 0, totalAmount: 0, apartments: [] };
+
+  for (const apartment of apartments) {
+    const entry = { apartment: apartment._id, number: apartment.number };
+    let result;
+
+    try {
+      if (billed.has(apartment._id.toString())) {
+        result = { status: 'skipped', reason: 'already_billed' };
+      } else if (dryRun) {
+        const { items } = await buildInvoiceItems(apartment, period, dates.start);
+        result = { status: 'preview', items, totalAmount: items.reduce((sum, item) => sum + item.amount, 0) };
+      } else {
+        result = await billApartment(apartment, period, dates);
+      }
+    } catch (error) {
+      // A concurrent run billed it first
+      result = error.code === 11000
+        ? { status: 'skipped', reason: 'already_billed' }
+        : { status: 'failed', error: error.message };
+    }
+
+    if (result.status === 'created') summary.created++;
+    if (result.status === 'skipped') summary.skipped++;
+    if (result.status === 'failed') summary.failed++;
+    if (result.totalAmount) summary.totalAmount += result.totalAmount;
+    summary.apartments.push({ ...entry, ...result });
+  }
+
+  return summary;
+};
+
+export default { parsePeriod, currentPeriod, buildInvoiceItems, runBilling };
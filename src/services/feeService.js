@@ -0,0 +1,130 @@
+import Tower from '../models/Tower.js';
+import Apartment from '../models/Apartment.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+
+// =====================================
+// COEFFICIENT FEE ENGINE
+// =====================================
+// Horizontal-property rules: each unit pays the share of the tower budget
+// given by its ownership coefficient, i.e. its private area (details.area)
+// over the private area of all active apartments of the tower.
+
+const COEFFICIENT_DECIMALS = 6;
+
+const roundTo = (value, decimals) => Number(value.toFixed(decimals));
+
+// Monthly fees in whole pesos. Rounding remainders go to the units with the
+// largest fractions so the fees always add up to the monthly budget.
+export const splitBudget = (monthlyBudget, areas) => {
+  const totalArea = areas.reduce((sum, area) => sum + area, 0);
+  const exact = areas.map(area => monthlyBudget * area / totalArea);
+  const fees = exact.map(Math.floor);
+
+  let remainder = monthlyBudget - fees.reduce((sum, fee) => sum + fee, 0);
+  const byFraction = exact
+    .map((value, index) => ({ index, fraction: value - fees[index] }))
+    .sort((a, b) => b.fraction - a.fraction);
+
+  for (const { index } of byFraction) {
+    if (remainder <= 0) break;
+    fees[index]++;
+    remainder--;
+  }
+
+  return {
+    totalArea,
+    coefficients: areas.map(area => roundTo(area / totalArea, COEFFICIENT_DECIMALS)),
+    fees
+  };
+};
+
+const buildReport = async (towerId, { annualBudget, session = null } = {}) => {
+  const tower = await Tower.findById(towerId).session(session);
+  if (!tower) {
+    throw new NotFoundError('Tower not found');
+  }
+
+  const budget = annualBudget !== undefined ? annualBudget : tower.financial.annualBudget;
+  if (!budget) {
+    throw new ConflictError(`${tower.name} has no annual budget`, 'TOWER_BUDGET_MISSING');
+  }
+
+  const apartments = await Apartment.find({ tower: tower._id, isActive: true })
+    .sort({ number: 1 })
+    .session(session);
+  if (apartments.length === 0) {
+    throw new ConflictError(`${tower.name} has no active apartments`, 'TOWER_EMPTY');
+  }
+
+  const missingArea = apartments.filter(apartment => !apartment.details.area).map(apartment => apartment.number);
+  if (missingArea.length > 0) {
+    throw new ConflictError('Every apartment needs details.area to compute coefficients', 'APARTMENT_AREA_MISSING', {
+      apartments: missingArea
+    });
+  }
+
+  const monthlyBudget = Math.round(budget / 12);
+  const { totalArea, coefficients, fees } = splitBudget(monthlyBudget, apartments.map(apartment => apartment.details.area));
+
+  const rows = apartments.map((apartment, index) => {
+    const current = apartment.financial.administrationFee || 0;
+    const proposed = fees[index];
+    const currentCoefficient = apartment.financial.coefficient;
+
+    return {
+      apartment: apartment._id,
+      number: apartment.number,
+      area: apartment.details.area,
+      coefficient: { current: currentCoefficient !== undefined ? currentCoefficient : null, proposed: coefficients[index] },
+      administrationFee: { current, proposed, difference: proposed - current },
+      changed: proposed !== current || currentCoefficient !== coefficients[index]
+    };
+  });
+
+  return {
+    tower,
+    apartments,
+    report: {
+      tower: { _id: tower._id, name: tower.name },
+      annualBudget: budget,
+      monthlyBudget,
+      totalArea,
+      currentMonthlyTotal: rows.reduce((sum, row) => sum + row.administrationFee.current, 0),
+      changed: rows.filter(row => row.changed).length,
+      apartments: rows
+    }
+  };
+};
+
+// Diff of the fees the tower would bill; `annualBudget` tries a budget
+// without storing it
+export const previewFees = async (towerId, { annualBudget } = {}) => {
+  const { report } = await buildReport(towerId, { annualBudget });
+  return report;
+};
+
+// Stores the budget (when given) and every recomputed coefficient and fee
+export const applyFees = (towerId, { annualBudget, budgetYear } = {}) => {
+  return runInTransaction(async (session) => {
+    const { tower, apartments, report } = await buildReport(towerId, { annualBudget, session });
+
+    for (const [index, row] of report.apartments.entries()) {
+      if (!row.changed) continue;
+
+      const apartment = apartments[index];
+      apartment.financial.coefficient = row.coefficient.proposed;
+      apartment.financial.administrationFee = row.administrationFee.proposed;
+      await apartment.save();
+    }
+
+    if (annualBudget !== undefined) tower.financial.annualBudget = annualBudget;
+    if (budgetYear !== undefined) tower.financial.budgetYear = budgetYear;
+    tower.financial.feesUpdatedAt = new Date();
+    await tower.save();
+
+    return { ...report, applied: report.changed };
+  });
+};
+
+export default { splitBudget, previewFees, applyFees };
@@ -0,0 +1,314 @@
+import mongoose from 'mongoose';
+import Parking from '../models/Parking.js';
+import Receipt from '../models/Receipt.js';
+import Refund from '../models/Refund.js';
+import Reservation from '../models/Reservation.js';
+import Tower from '../models/Tower.js';
+import User from '../models/User.js';
+import { Payment } from '../models/Payment.js';
+
+// =====================================
+// FINANCE DASHBOARD
+// =====================================
+// Aggregations behind GET /api/reports/finance. Every pipeline starts with a
+// $match an existing index can serve:
+// - collection rate: dueDate
+// - aging, top debtors: paymentStatus
+// - revenue by category, parking income: allocations.allocatedAt (receipts),
+//   paymentStatus + paymentDate (payments), status + review.at (refunds)
+// - reservations: status + reservationDate (Reservation.getUtilizationStats)
+// - parking spaces: isActive + status
+// Revenue is what was collected: receipt allocations on their allocation
+// date, plus what payments completed without a receipt were paid directly,
+// minus approved payment refunds on their approval date.
+
+const DAY = 24 * 60 * 60 * 1000;
+const OPEN_STATUSES = ['pending', 'partial', 'failed'];
+const CATEGORIES = ['maintenance', 'parking', 'amenities', 'fine', 'deposit', 'other'];
+const AGING_BUCKETS = ['0-30', '31-60', '61-90', '90+'];
+
+const round = (value) => Math.round(value * 100) / 100;
+const month = (field) => ({ $dateToString: { format: '%Y-%m', date: field } });
+const balance = { $subtract: ['$totalAmount', '$amountPaid'] };
+
+// `to` is inclusive (the whole day); by default the last twelve months
+const reportRange = ({ from, to } = {}) => {
+  const until = to ? new Date(new Date(to).getTime() + DAY) : new Date();
+  const start = from
+    ? new Date(from)
+    : new Date(Date.UTC(until.getUTCFullYear(), until.getUTCMonth() - 11, 1));
+  return { from: start, to: to ? new Date(to) : until, until };
+};
+
+// Billed vs collected per month of the due date. Refunded payments count as
+// collected: the refund is money going out, not an unpaid invoice.
+const collectionRate = async ({ from, until }, match) => {
+  const months = await Payment.aggregate([
+    { $match: { dueDate: { $gte: from, $lt: until }, paymentStatus: { $ne: 'cancelled' }, ...match } },
+    {
+      $group: {
+        _id: month('$dueDate'),
+        invoices: { $sum: 1 },
+        billed: { $sum: '$totalAmount' },
+        collected: {
+          $sum: { $cond: [{ $in: ['$paymentStatus', ['completed', 'refunded']] }, '$totalAmount', '$amountPaid'] }
+        }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return months.map(row => ({
+    month: row._id,
+    invoices: row.invoices,
+    billed: round(row.billed),
+    collected: round(row.collected),
+    outstanding: round(row.billed - row.collected),
+    rate: row.billed > 0 ? Math.round(row.collected / row.billed * 10000) / 10000 : null
+  }));
+};
+
+// Unpaid balance of past-due payments by days overdue, per tower
+const aging = async (now, match) => {
+  const days = { $divide: [{ $subtract: [now, '$dueDate'] }, DAY] };
+  const rows = await Payment.aggregate([
+    { $match: { paymentStatus: { $in: OPEN_STATUSES }, dueDate: { $lt: now }, ...match } },
+    {
+      $project: {
+        tower: 1,
+        balance,
+        bucket: {
+          $switch: {
+            branches: [
+              { case: { $lte: [days, 30] }, then: '0-30' },
+              { case: { $lte: [days, 60] }, then: '31-60' },
+              { case: { $lte: [days, 90] }, then: '61-90' }
+            ],
+            default: '90+'
+          }
+        }
+      }
+    },
+    { $match: { balance: { $gt: 0 } } },
+    { $group: { _id: { tower: '$tower', bucket: '$bucket' }, payments: { $sum: 1 }, amount: { $sum: '$balance' } } },
+    {
+      $group: {
+        _id: '$_id.tower',
+        buckets: { $push: { bucket: '$_id.bucket', payments: '$payments', amount: '$amount' } },
+        total: { $sum: '$amount' }
+      }
+    },
+    { $lookup: { from: Tower.collection.name, localField: '_id', foreignField: '_id', as: 'tower' } },
+    { $sort: { total: -1 } }
+  ]);
+
+  const towers = rows.map((row) => {
+    const buckets = Object.fromEntries(AGING_BUCKETS.map(name => [name, { payments: 0, amount: 0 }]));
+    for (const bucket of row.buckets) {
+      buckets[bucket.bucket] = { payments: bucket.payments, amount: round(bucket.amount) };
+    }
+    return {
+      tower: row._id,
+      name: row.tower.length > 0 ? row.tower[0].name : null,
+      buckets,
+      total: round(row.total)
+    };
+  });
+
+  const totals = Object.fromEntries(AGING_BUCKETS.map(name => [
+    name,
+    round(towers.reduce((sum, tower) => sum + tower.buckets[name].amount, 0))
+  ]));
+  return { asOf: now, towers, totals, total: round(towers.reduce((sum, tower) => sum + tower.total, 0)) };
+};
+
+// Spreads the `amount` of each row over the item categories of its `payment`,
+// in proportion to the item amounts (payments without items are 'other')
+const byPaymentCategory = (match) => [
+  { $lookup: { from: Payment.collection.name, localField: 'payment', foreignField: '_id', as: 'invoice' } },
+  { $unwind: '$invoice' },
+  ...(match.tower ? [{ $match: { 'invoice.tower': match.tower } }] : []),
+  {
+    $project: {
+      kind: 1,
+      date: 1,
+      amount: 1,
+      total: '$invoice.totalAmount',
+      items: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ['$invoice.items', []] } }, 0] },
+          '$invoice.items',
+          [{ category: 'other', amount: '$invoice.totalAmount' }]
+        ]
+      }
+    }
+  },
+  { $unwind: '$items' },
+  {
+    $group: {
+      _id: { kind: '$kind', category: '$items.category', month: month('$date') },
+      amount: { $sum: { $cond: [{ $gt: ['$total', 0] }, { $multiply: ['$amount', { $divide: ['$items.amount', '$total'] }] }, 0] } }
+    }
+  }
+];
+
+// Money collected and refunded in the range per kind, item category and month
+const collections = async ({ from, until }, match) => {
+  const range = { $gte: from, $lt: until };
+  const groups = await Promise.all([
+    Receipt.aggregate([
+      { $match: { 'allocations.allocatedAt': range } },
+      { $unwind: '$allocations' },
+      { $match: { 'allocations.allocatedAt': range } },
+      { $project: { kind: 'collected', payment: '$allocations.payment', amount: '$allocations.amount', date: '$allocations.allocatedAt' } },
+      ...byPaymentCategory(match)
+    ]),
+    // Completed without (or beyond) receipts
+    Payment.aggregate([
+      { $match: { paymentStatus: { $in: ['completed', 'refunded'] }, paymentDate: range, ...match } },
+      { $project: { kind: 'collected', payment: '$_id', amount: balance, date: '$paymentDate' } },
+      { $match: { amount: { $gt: 0 } } },
+      ...byPaymentCategory(match)
+    ]),
+    Refund.aggregate([
+      { $match: { status: 'approved', 'review.at': range, payment: { $ne: null } } },
+      { $project: { kind: 'refunded', payment: 1, amount: 1, date: '$review.at' } },
+      ...byPaymentCategory(match)
+    ])
+  ]);
+
+  return groups.flat().map(row => ({ ...row._id, amount: row.amount }));
+};
+
+// Collected minus refunded item amounts per category
+const revenueByCategory = (rows) => {
+  const categories = new Map();
+  for (const row of rows) {
+    if (!CATEGORIES.includes(row.category)) continue;
+    const category = categories.get(row.category) || { category: row.category, collected: 0, refunded: 0 };
+    category[row.kind] += row.amount;
+    categories.set(row.category, category);
+  }
+
+  const totals = [...categories.values()].map(category => ({
+    category: category.category,
+    collected: round(category.collected),
+    refunded: round(category.refunded),
+    amount: round(category.collected - category.refunded)
+  }));
+  const total = round(totals.reduce((sum, category) => sum + category.amount, 0));
+  return {
+    total,
+    categories: totals
+      .map(category => ({ ...category, share: total > 0 ? Math.round(category.amount / total * 10000) / 10000 : 0 }))
+      .sort((a, b) => b.amount - a.amount)
+  };
+};
+
+const topDebtors = async (now, limit, match) => {
+  const rows = await Payment.aggregate([
+    { $match: { paymentStatus: { $in: OPEN_STATUSES }, ...match } },
+    {
+      $group: {
+        _id: '$owner',
+        balance: { $sum: balance },
+        overdue: { $sum: { $cond: [{ $lt: ['$dueDate', now] }, balance, 0] } },
+        payments: { $sum: 1 },
+        oldestDueDate: { $min: '$dueDate' },
+        inPaymentPlan: { $max: { $cond: [{ $ifNull: ['$paymentPlan', false] }, true, false] } }
+      }
+    },
+    { $match: { balance: { $gt: 0 } } },
+    { $sort: { balance: -1 } },
+    { $limit: limit },
+    { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'owner' } },
+    { $project: { _id: 1, balance: 1, overdue: 1, payments: 1, oldestDueDate: 1, inPaymentPlan: 1, owner: { _id: 1, username: 1, email: 1, 'profile.fullName': 1 } } }
+  ]);
+
+  return rows.map(row => ({
+    owner: row.owner[0] || { _id: row._id },
+    balance: round(row.balance),
+    overdue: round(row.overdue),
+    payments: row.payments,
+    oldestDueDate: row.oldestDueDate,
+    inPaymentPlan: row.inPaymentPlan
+  }));
+};
+
+// Completed reservations in the range, per amenity
+const reservationRevenue = async ({ from, until }) => {
+  const rows = await Reservation.getUtilizationStats(from, new Date(until.getTime() - 1));
+  const types = rows
+    .map(row => ({
+      type: row._id,
+      reservations: row.totalReservations,
+      hours: round(row.totalHours || 0),
+      revenue: round(row.totalRevenue || 0)
+    }))
+    .sort((a, b) => b.revenue - a.revenue);
+  return { total: round(types.reduce((sum, type) => sum + type.revenue, 0)), types };
+};
+
+const parkingSpaces = () => Parking.aggregate([
+  { $match: { isActive: true } },
+  { $group: { _id: '$status', spaces: { $sum: 1 }, monthlyFees: { $sum: '$monthlyFee' } } }
+]);
+
+// Parking items collected (net of refunds) per month, and what the occupied
+// spaces bill monthly
+const parkingIncome = (rows, spaces) => {
+  const months = new Map();
+  for (const row of rows.filter(candidate => candidate.category === 'parking')) {
+    months.set(row.month, (months.get(row.month) || 0) + (row.kind === 'refunded' ? -row.amount : row.amount));
+  }
+
+  const occupied = spaces.find(row => row._id === 'occupied');
+  return {
+    collected: round([...months.values()].reduce((sum, amount) => sum + amount, 0)),
+    months: [...months.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([name, amount]) => ({ month: name, amount: round(amount) })),
+    spaces: {
+      total: spaces.reduce((sum, row) => sum + row.spaces, 0),
+      occupied: occupied ? occupied.spaces : 0,
+      expectedMonthly: occupied ? round(occupied.monthlyFees) : 0
+    }
+  };
+};
+
+// options: from, to, tower, top (debtors). The tower narrows the payment
+// figures; reservations and parking spaces are building-wide.
+export const financeReport = async ({ from, to, tower, top = 10 } = {}) => {
+  const range = reportRange({ from, to });
+  const now = new Date();
+  const match = tower ? { tower: new mongoose.Types.ObjectId(tower) } : {};
+
+  const [collection, agingReport, money, debtors, reservations, spaces] = await Promise.all([
+    collectionRate(range, match),
+    aging(now, match),
+    collections(range, match),
+    topDebtors(now, top, match),
+    reservationRevenue(range),
+    parkingSpaces()
+  ]);
+
+  const billed = collection.reduce((sum, row) => sum + row.billed, 0);
+  const collected = collection.reduce((sum, row) => sum + row.collected, 0);
+
+  return {
+    from: range.from,
+    to: range.to,
+    tower: tower || null,
+    collection: {
+      billed: round(billed),
+      collected: round(collected),
+      rate: billed > 0 ? Math.round(collected / billed * 10000) / 10000 : null,
+      months: collection
+    },
+    aging: agingReport,
+    revenue: revenueByCategory(money),
+    topDebtors: debtors,
+    reservations,
+    parking: parkingIncome(money, spaces)
+  };
+};
+
+export default { financeReport };
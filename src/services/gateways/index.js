@@ -0,0 +1,54 @@
+import paymentGatewayConfig from '../../config/paymentGateway.js';
+import createMockGateway from './mockGateway.js';
+import { GatewayUnavailableError } from '../../utils/errors.js';
+
+// =====================================
+// PAYMENT GATEWAY PROVIDERS
+// =====================================
+// A provider is an object with:
+//
+//   name
+//   createCheckout({ reference, amount, currency, description, expiresAt })
+//     -> { checkoutId, url, status, expiresAt }
+//   getCheckout(checkoutId)
+//     -> { checkoutId, reference, status, amount, transactionId } or null
+//   capture(checkoutId)
+//     -> { status, transactionId, amount }
+//   refund(transactionId, amount, { idempotencyKey })
+//     -> { refundId, status }
+//   verifyWebhook(rawBody, headers)
+//     -> { id, type, checkoutId, reference, status, amount, transactionId }
+//        (throws AuthenticationError when the signature does not match)
+//
+// Checkout statuses: pending, authorized, succeeded, failed, expired,
+// refunded. Providers translate their own states into these.
+
+const factories = {
+  mock: createMockGateway
+};
+
+const instances = new Map();
+
+export const registerGateway = (name, factory) => {
+  factories[name] = factory;
+  instances.delete(name);
+};
+
+// Built on first use by the checkout, webhook and refund paths. A missing
+// secret or an unusable provider only makes those fail (503), the rest of the
+// API runs without online payments.
+export const getGateway = (name = paymentGatewayConfig.provider) => {
+  if (!instances.has(name)) {
+    if (!paymentGatewayConfig.secret) {
+      throw new GatewayUnavailableError('PAYMENT_GATEWAY_SECRET is not set; webhooks cannot be verified without it');
+    }
+    const factory = factories[name];
+    if (!factory) {
+      throw new GatewayUnavailableError(`Unknown payment gateway '${name}' (available: ${Object.keys(factories).join(', ')})`);
+    }
+    instances.set(name, factory(paymentGatewayConfig));
+  }
+  return instances.get(name);
+};
+
+export default getGateway;
@@ -0,0 +1,167 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { SIGNATURE_HEADER, signPayload, verifySignature } from './signature.js';
+import { AuthenticationError, BadRequestError, GatewayError, GatewayUnavailableError } from '../../utils/errors.js';
+
+// =====================================
+// MOCK PAYMENT GATEWAY
+// =====================================
+// Development/test provider that keeps checkouts and refunds in a JSON file,
+// so they survive restarts and scripts can act as the customer. simulate()
+// moves a checkout to a new status and returns the signed webhook the real
+// gateway would send (scripts/mock-gateway.js posts it to the API). Anyone
+// can pay a mock checkout, so it only runs with NODE_ENV=development.
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+const createMockGateway = (config) => {
+  if (config.environment !== 'development') {
+    throw new GatewayUnavailableError(`The mock payment gateway only runs in development (NODE_ENV is '${config.environment}'); set PAYMENT_GATEWAY_PROVIDER`);
+  }
+
+  const storeFile = path.resolve(config.mock.storeFile);
+  const { secret } = config;
+
+  const load = async () => {
+    try {
+      return JSON.parse(await fs.readFile(storeFile, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return { checkouts: {}, refunds: {} };
+      throw error;
+    }
+  };
+
+  // Read-modify-write calls run one at a time
+  let queue = Promise.resolve();
+  const mutate = (change) => {
+    const run = queue.then(async () => {
+      const store = await load();
+      const result = await change(store);
+      await fs.mkdir(path.dirname(storeFile), { recursive: true });
+      await fs.writeFile(storeFile, JSON.stringify(store, null, 2));
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  // Pending checkouts past their expiry read as expired
+  const view = (checkout) => {
+    if (!checkout) return null;
+    const expired = checkout.status === 'pending' && new Date(checkout.expiresAt) < new Date();
+    return { ...checkout, status: expired ? 'expired' : checkout.status };
+  };
+
+  const findCheckout = (store, checkoutId) => {
+    const checkout = store.checkouts[checkoutId];
+    if (!checkout) {
+      throw new GatewayError('Unknown checkout', { checkoutId });
+    }
+    return checkout;
+  };
+
+  const createCheckout = ({ reference, amount, currency, description, expiresAt }) => mutate((store) => {
+    const checkoutId = randomId('mock_chk');
+    const checkout = {
+      checkoutId,
+      reference,
+      amount,
+      currency,
+      description,
+      status: 'pending',
+      transactionId: null,
+      refunded: 0,
+      url: `mock://checkout/${checkoutId}`,
+      expiresAt: new Date(expiresAt).toISOString(),
+      createdAt: new Date().toISOString()
+    };
+    store.checkouts[checkoutId] = checkout;
+    return { checkoutId, url: checkout.url, status: checkout.status, expiresAt: checkout.expiresAt };
+  });
+
+  const getCheckout = async (checkoutId) => {
+    const store = await load();
+    return view(store.checkouts[checkoutId]);
+  };
+
+  // Capturing twice returns the first result
+  const capture = (checkoutId) => mutate((store) => {
+    const checkout = findCheckout(store, checkoutId);
+    if (checkout.status === 'authorized') {
+      checkout.status = 'succeeded';
+      checkout.transactionId = checkout.transactionId || randomId('mock_txn');
+    }
+    if (checkout.status !== 'succeeded') {
+      throw new GatewayError(`Checkout cannot be captured (${view(checkout).status})`, { checkoutId });
+    }
+    return { status: checkout.status, transactionId: checkout.transactionId, amount: checkout.amount };
+  });
+
+  const refund = (transactionId, amount, { idempotencyKey } = {}) => mutate((store) => {
+    if (idempotencyKey && store.refunds[idempotencyKey]) {
+      return store.refunds[idempotencyKey];
+    }
+
+    const checkout = Object.values(store.checkouts).find(candidate => candidate.transactionId === transactionId);
+    if (!checkout || !['succeeded', 'refunded'].includes(checkout.status)) {
+      throw new GatewayError('Unknown or unpaid transaction', { transactionId });
+    }
+    if (checkout.refunded + amount > checkout.amount) {
+      throw new GatewayError('Refund exceeds the captured amount', { transactionId, refundable: checkout.amount - checkout.refunded });
+    }
+
+    checkout.refunded += amount;
+    if (checkout.refunded >= checkout.amount) checkout.status = 'refunded';
+
+    const result = { refundId: randomId('mock_ref'), status: 'succeeded', transactionId, amount };
+    store.refunds[idempotencyKey || result.refundId] = result;
+    return result;
+  });
+
+  const verifyWebhook = (rawBody, headers) => {
+    const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+    if (!verifySignature(secret, body, headers[SIGNATURE_HEADER], config.webhookTolerance)) {
+      throw new AuthenticationError('Invalid webhook signature', 'INVALID_SIGNATURE');
+    }
+
+    let event;
+    try {
+      event = JSON.parse(body);
+    } catch (error) {
+      throw new BadRequestError('Webhook body is not valid JSON');
+    }
+    if (!event.id || !event.data || !event.data.reference) {
+      throw new BadRequestError('Webhook event is incomplete');
+    }
+
+    return { id: event.id, type: event.type, ...event.data };
+  };
+
+  // Mock only: what the customer (or the gateway) does to a checkout
+  const simulate = (checkoutId, status) => mutate((store) => {
+    const checkout = findCheckout(store, checkoutId);
+    checkout.status = status;
+    if (status === 'succeeded') {
+      checkout.transactionId = checkout.transactionId || randomId('mock_txn');
+    }
+
+    const body = JSON.stringify({
+      id: randomId('evt'),
+      type: `checkout.${status}`,
+      created: new Date().toISOString(),
+      data: {
+        checkoutId,
+        reference: checkout.reference,
+        status,
+        amount: checkout.amount,
+        transactionId: checkout.transactionId
+      }
+    });
+    return { body, headers: { 'content-type': 'application/json', [SIGNATURE_HEADER]: signPayload(secret, body) } };
+  });
+
+  return { name: 'mock', createCheckout, getCheckout, capture, refund, verifyWebhook, simulate };
+};
+
+export default createMockGateway;
@@ -0,0 +1,158 @@
+import { Payment } from '../models/Payment.js';
+import billingConfig from '../config/billing.js';
+import { postLateFee } from './ledgerService.js';
+import { runInTransaction } from '../utils/transaction.js';
+
+// =====================================
+// LATE-FEE AND INTEREST ACCRUAL
+// =====================================
+// Overdue payments get simple daily interest on their unpaid principal
+// (never on earlier interest) plus a one-time flat penalty, both added as
+// `fine` items. Each accrual charges the day range
+// [lateFees.accruedThrough, today) and moves accruedThrough forward with a
+// conditional update, so no day is ever charged twice. Payments under an
+// active payment plan accrue nothing.
+//
+// Partial payments settle late fees before principal.
+
+const DAY = 24 * 60 * 60 * 1000;
+const UNPAID = ['pending', 'partial', 'failed'];
+
+const startOfDay = (date) => new Date(Math.floor(new Date(date).getTime() / DAY) * DAY);
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+export const lateFeePolicy = (overrides = {}) => {
+  const policy = { ...billingConfig.lateFees, ...overrides };
+  const usuryMonthlyRate = Number((Math.pow(1 + policy.usuryAnnualRate, 1 / 12) - 1).toFixed(6));
+
+  return {
+    ...policy,
+    usuryMonthlyRate,
+    effectiveMonthlyRate: Math.min(policy.monthlyInterestRate, usuryMonthlyRate)
+  };
+};
+
+// Charges due for `payment` up to the start of `asOf`'s day, or null
+export const computeAccrual = (payment, asOf = new Date(), policy = lateFeePolicy()) => {
+  if (!payment.dueDate || !UNPAID.includes(payment.paymentStatus) || payment.paymentPlan) return null;
+
+  const to = startOfDay(asOf);
+  const dueDay = startOfDay(payment.dueDate);
+  if (to.getTime() <= dueDay.getTime() + policy.graceDays * DAY) return null;
+
+  const lateFees = payment.lateFees || {};
+  const from = lateFees.accruedThrough ? startOfDay(lateFees.accruedThrough) : dueDay;
+  const days = Math.max(0, Math.round((to - from) / DAY));
+  const accrued = lateFees.total || 0;
+  const paidToPrincipal = Math.max(0, (payment.amountPaid || 0) - accrued);
+  const principal = Math.max(0, payment.totalAmount - accrued - paidToPrincipal);
+
+  const interest = Math.round(principal * policy.effectiveMonthlyRate * days / 30);
+  const penalty = lateFees.penaltyApplied ? 0 : policy.flatPenalty;
+
+  // Nothing to charge yet: the range stays open and is charged later as a whole
+  if (interest + penalty === 0) return null;
+
+  return { from, to, days, monthlyRate: policy.effectiveMonthlyRate, principal, interest, penalty };
+};
+
+const accrualItems = (accrual) => {
+  const items = [];
+  if (accrual.penalty > 0) {
+    items.push({ description: 'Late payment penalty', amount: accrual.penalty, category: 'fine' });
+  }
+  if (accrual.interest > 0) {
+    items.push({
+      description: `Late interest ${formatDay(accrual.from)} to ${formatDay(accrual.to)} (${accrual.days} days)`,
+      amount: accrual.interest,
+      category: 'fine'
+    });
+  }
+  return items;
+};
+
+// Returns false when another run charged the payment first
+const applyAccrual = async (payment, accrual, session) => {
+  const items = accrualItems(accrual);
+  const charged = accrual.interest + accrual.penalty;
+
+  // Payments created without items get one for their original amount, or the
+  // fee items alone would no longer add up to the total
+  const itemized = payment.items && payment.items.length > 0;
+  if (!itemized) {
+    items.unshift({ description: 'Original amount', amount: payment.totalAmount, category: 'other' });
+  }
+
+  const set = { 'lateFees.accruedThrough': accrual.to, 'lateFees.principal': accrual.principal };
+  if (accrual.penalty > 0) set['lateFees.penaltyApplied'] = true;
+
+  const result = await Payment.updateOne({
+    _id: payment._id,
+    paymentStatus: { $in: UNPAID },
+    paymentPlan: null,
+    ...(!itemized && { 'items.0': { $exists: false }, totalAmount: payment.totalAmount }),
+    'lateFees.accruedThrough': payment.lateFees && payment.lateFees.accruedThrough ? payment.lateFees.accruedThrough : null
+  }, {
+    $set: set,
+    $inc: { totalAmount: charged, 'lateFees.total': charged },
+    $push: { items: { $each: items }, 'lateFees.accruals': { ...accrual, accruedAt: new Date() } }
+  }, { session });
+
+  return result.modifiedCount === 1;
+};
+
+// The charge and its ledger entry are written together: a failed posting
+// leaves accruedThrough where it was, so the next run charges the days again
+const chargeAccrual = (payment, accrual) => runInTransaction(async (session) => {
+  if (!(await applyAccrual(payment, accrual, session))) return false;
+  await postLateFee(payment, accrual, session);
+  return true;
+});
+
+// Brings one payment's late fees up to `asOf`; returns the charged accrual
+// or null
+export const accruePayment = async (payment, asOf = new Date()) => {
+  const accrual = computeAccrual(payment, asOf);
+  if (!accrual || !(await chargeAccrual(payment, accrual))) return null;
+  return accrual;
+};
+
+export const accrueLateFees = async ({ asOf = new Date(), dryRun = false } = {}) => {
+  const policy = lateFeePolicy();
+  const overdueBefore = new Date(startOfDay(asOf).getTime() - policy.graceDays * DAY);
+
+  const payments = await Payment.find({
+    paymentStatus: { $in: UNPAID },
+    dueDate: { $lt: overdueBefore },
+    paymentPlan: null
+  }).sort({ dueDate: 1 });
+
+  const summary = { asOf, dryRun, policy, charged: 0, skipped: 0, totalCharged: 0, payments: [] };
+
+  for (const payment of payments) {
+    const accrual = computeAccrual(payment, asOf, policy);
+    const entry = { payment: payment._id, apartment: payment.apartment, dueDate: payment.dueDate };
+
+    if (!accrual) {
+      summary.skipped++;
+      summary.payments.push({ ...entry, status: 'skipped', reason: 'nothing_due' });
+      continue;
+    }
+
+    const amount = accrual.interest + accrual.penalty;
+    if (!dryRun && !(await chargeAccrual(payment, accrual))) {
+      summary.skipped++;
+      summary.payments.push({ ...entry, status: 'skipped', reason: 'changed_meanwhile' });
+      continue;
+    }
+
+    summary.charged++;
+    summary.totalCharged += amount;
+    summary.payments.push({ ...entry, status: dryRun ? 'preview' : 'charged', ...accrual, amount });
+  }
+
+  return summary;
+};
+
+export default { lateFeePolicy, computeAccrual, accruePayment, accrueLateFees };
@@ -0,0 +1,229 @@
+import Apartment from '../models/Apartment.js';
+import Lease from '../models/Lease.js';
+import User from '../models/User.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+
+// =====================================
+// LEASES
+// =====================================
+// The apartment keeps its owner in `ownerId`; a lease adds the tenant on top
+// of it. The tenant's ownerInfo.apartments link is opened when the lease is
+// created and closed when it is terminated, so user profiles keep showing
+// where each resident lives.
+
+// Staff book amenities for anybody
+const STAFF_ROLES = ['admin', 'manager', 'guard'];
+
+const loadLease = async (leaseId, session) => {
+  const lease = await Lease.findById(leaseId).session(session);
+  if (!lease) {
+    throw new NotFoundError('Lease not found');
+  }
+  return lease;
+};
+
+const assertActive = (lease) => {
+  if (lease.status !== 'active') {
+    throw new ConflictError(`Lease is ${lease.status}`, 'LEASE_NOT_ACTIVE', { status: lease.status });
+  }
+};
+
+const openTenantLink = (user, apartment, moveInDate) => {
+  user.ownerInfo.isActive = true;
+  user.ownerInfo.isTenant = true;
+  user.ownerInfo.apartments.push({
+    apartmentId: apartment._id,
+    apartmentNumber: apartment.number,
+    towerName: apartment.tower ? apartment.tower.name : undefined,
+    isOwner: false,
+    isTenant: true,
+    moveInDate
+  });
+};
+
+const closeTenantLink = (user, apartmentId, moveOutDate) => {
+  const link = user.ownerInfo.apartments.find(entry =>
+    entry.isTenant && entry.apartmentId && entry.apartmentId.equals(apartmentId) && !entry.moveOutDate
+  );
+  if (link) link.moveOutDate = moveOutDate;
+
+  user.ownerInfo.isTenant = user.ownerInfo.apartments.some(entry => entry.isTenant && !entry.moveOutDate);
+};
+
+export const createLease = (data) => {
+  return runInTransaction(async (session) => {
+    const apartment = await Apartment.findById(data.apartment).populate('tower', 'name').session(session);
+    if (!apartment) {
+      throw new NotFoundError('Apartment not found');
+    }
+    if (!apartment.ownerId) {
+      throw new ConflictError(`Apartment ${apartment.number} has no owner to lease it`, 'APARTMENT_HAS_NO_OWNER');
+    }
+
+    const owner = data.owner || apartment.ownerId;
+    if (!apartment.ownerId.equals(owner)) {
+      throw new ConflictError('Only the apartment owner can lease it', 'LEASE_OWNER_MISMATCH', {
+        ownerId: apartment.ownerId
+      });
+    }
+
+    const existing = await Lease.findOne({ apartment: apartment._id, status: 'active' }).session(session);
+    if (existing) {
+      throw new ConflictError(`Apartment ${apartment.number} already has an active lease`, 'LEASE_EXISTS', {
+        leaseId: existing._id
+      });
+    }
+
+    const tenant = await User.findById(data.tenant).session(session);
+    if (!tenant) {
+      throw new NotFoundError('Tenant not found');
+    }
+
+    const [lease] = await Lease.create([{ ...data, owner }], { session });
+
+    openTenantLink(tenant, apartment, lease.startDate);
+    await tenant.save();
+
+    return lease;
+  });
+};
+
+// The current lease is closed as 'renewed' and a new one continues from its
+// end date with the same parties and rules
+export const renewLease = (leaseId, { endDate, monthlyRent, notes }) => {
+  return runInTransaction(async (session) => {
+    const lease = await loadLease(leaseId, session);
+    assertActive(lease);
+
+    const renewal = new Lease({
+      apartment: lease.apartment,
+      owner: lease.owner,
+      tenant: lease.tenant,
+      startDate: lease.endDate,
+      endDate,
+      monthlyRent: monthlyRent !== undefined ? monthlyRent : lease.monthlyRent,
+      deposit: lease.deposit,
+      feesPaidBy: lease.feesPaidBy,
+      amenityAccess: lease.amenityAccess,
+      renewedFrom: lease._id,
+      notes
+    });
+
+    // Closed first: only one active lease per apartment is allowed
+    lease.status = 'renewed';
+    lease.renewedTo = renewal._id;
+    await lease.save();
+    await renewal.save({ session });
+
+    return renewal;
+  });
+};
+
+export const terminateLease = (leaseId, { date = new Date(), reason, depositStatus, terminatedBy }) => {
+  return runInTransaction(async (session) => {
+    const lease = await loadLease(leaseId, session);
+    assertActive(lease);
+
+    lease.status = 'terminated';
+    lease.termination = { date, reason, terminatedBy };
+    if (depositStatus) lease.deposit.status = depositStatus;
+    await lease.save();
+
+    // A renewal terminated before it starts also ends the term it renewed
+    if (lease.renewedFrom) {
+      const previous = await Lease.findById(lease.renewedFrom).session(session);
+      if (previous && previous.isCurrent(date)) {
+        previous.status = 'terminated';
+        previous.termination = { date, reason, terminatedBy };
+        await previous.save();
+      }
+    }
+
+    const tenant = await User.findById(lease.tenant).session(session);
+    if (tenant) {
+      closeTenantLink(tenant, lease.apartment, date);
+      await tenant.save();
+    }
+
+    return lease;
+  });
+};
+
+// =====================================
+// OCCUPANT ROLES
+// =====================================
+const personFields = 'username email roleType profile.fullName profile.telephoneNumber';
+
+// Owner (or the resident registered through move-in) plus the tenant of the
+// current lease, with what each of them is entitled to
+export const getOccupants = async (apartmentId) => {
+  const apartment = await Apartment.findById(apartmentId).populate('ownerId', personFields);
+  if (!apartment) {
+    throw new NotFoundError('Apartment not found');
+  }
+
+  const lease = await Lease.findCurrentForApartment(apartment._id).populate('tenant', personFields);
+  const occupants = [];
+
+  if (apartment.ownerId) {
+    const occupancy = apartment.currentOccupancy();
+    occupants.push({
+      user: apartment.ownerId,
+      role: occupancy && occupancy.isTenant ? 'tenant' : 'owner',
+      since: occupancy ? occupancy.moveInDate : null,
+      lease: null,
+      receivesFeeBills: !lease || lease.feesPaidBy === 'owner',
+      canBookAmenities: !lease || lease.ownerBooksAmenities()
+    });
+  }
+
+  if (lease) {
+    occupants.push({
+      user: lease.tenant,
+      role: 'tenant',
+      since: lease.startDate,
+      until: lease.endDate,
+      lease: lease._id,
+      receivesFeeBills: lease.feesPaidBy === 'tenant',
+      canBookAmenities: lease.tenantBooksAmenities()
+    });
+  }
+
+  return { apartment: { _id: apartment._id, number: apartment.number, tower: apartment.tower }, occupants };
+};
+
+// User the administration-fee bills of the apartment are addressed to
+export const feeRecipient = async (apartmentId, at = new Date()) => {
+  const lease = await Lease.findCurrentForApartment(apartmentId, at).select('tenant feesPaidBy');
+  if (lease && lease.feesPaidBy === 'tenant') return lease.tenant;
+
+  const apartment = await Apartment.findById(apartmentId).select('ownerId');
+  return apartment ? apartment.ownerId : null;
+};
+
+export const canBookAmenities = async (userId, at = new Date()) => {
+  const user = await User.findById(userId).select('roleType');
+  if (!user) return false;
+  if (STAFF_ROLES.includes(user.roleType)) return true;
+
+  const tenantLease = await Lease.findOne({
+    tenant: user._id,
+    amenityAccess: { $in: ['tenant', 'both'] },
+    ...Lease.currentFilter(at)
+  }).select('_id');
+  if (tenantLease) return true;
+
+  // Owners keep access to every apartment they have not leased away
+  const owned = await Apartment.find({ ownerId: user._id, isActive: true }).select('_id');
+  if (owned.length === 0) return false;
+
+  const restricted = await Lease.countDocuments({
+    apartment: { $in: owned.map(apartment => apartment._id) },
+    amenityAccess: 'tenant',
+    ...Lease.currentFilter(at)
+  });
+  return restricted < owned.length;
+};
+
+export default { createLease, renewLease, terminateLease, getOccupants, feeRecipient, canBookAmenities };
@@ -0,0 +1,356 @@
+import { JournalEntry, LedgerAccount } from '../models/Ledger.js';
+import { ConflictError } from '../utils/errors.js';
+
+// =====================================
+// LEDGER POSTING
+// =====================================
+// Accrual basis: a payment (invoice) is income and a receivable when it is
+// issued; money received settles the receivable, or becomes an advance when
+// nothing is owed. Every posting carries a sourceKey naming the business
+// event, so calling a posting function twice for the same event is harmless.
+
+export const ACCOUNTS = {
+  cash: '110505',
+  bank: '111005',
+  receivable: '130505',
+  payables: '233595',
+  advances: '280505',
+  depositsHeld: '280510',
+  refunds: '417505',
+  lateInterest: '421005',
+  maintenanceExpense: '514510'
+};
+
+// Payment item category -> income (or liability) account
+const CATEGORY_ACCOUNTS = {
+  maintenance: '417005',
+  parking: '417010',
+  amenities: '417015',
+  fine: '417020',
+  deposit: ACCOUNTS.depositsHeld,
+  other: '417095'
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Cash in hand for cash, the bank account for everything else
+export const moneyAccount = (method) => (method === 'cash' ? ACCOUNTS.cash : ACCOUNTS.bank);
+
+let chartReady = null;
+const ensureChart = () => {
+  if (!chartReady) {
+    chartReady = LedgerAccount.ensureChart().catch((error) => {
+      chartReady = null;
+      throw error;
+    });
+  }
+  return chartReady;
+};
+
+// Lines with a zero amount are dropped; lines on the same account and side
+// are merged
+const compactLines = (lines) => {
+  const merged = new Map();
+  for (const line of lines) {
+    const debit = round(line.debit || 0);
+    const credit = round(line.credit || 0);
+    if (debit === 0 && credit === 0) continue;
+
+    const key = `${line.account}:${debit > 0 ? 'D' : 'C'}`;
+    const existing = merged.get(key);
+    if (existing) {
+      existing.debit = round(existing.debit + debit);
+      existing.credit = round(existing.credit + credit);
+    } else {
+      merged.set(key, { account: line.account, debit, credit, description: line.description });
+    }
+  }
+  return [...merged.values()];
+};
+
+// Returns the stored entry for the sourceKey, or the new one; null when
+// there was nothing to post
+export const postEntry = async ({ sourceKey, lines, ...data }, session = null) => {
+  const compacted = compactLines(lines);
+  if (compacted.length < 2) return null;
+
+  await ensureChart();
+
+  if (sourceKey) {
+    const existing = await JournalEntry.findOne({ sourceKey }).session(session);
+    if (existing) return existing;
+  }
+
+  try {
+    const [entry] = await JournalEntry.create([{ ...data, sourceKey, lines: compacted }], { session });
+    return entry;
+  } catch (error) {
+    if (error.code === 11000 && sourceKey) {
+      return JournalEntry.findOne({ sourceKey }).session(session);
+    }
+    throw error;
+  }
+};
+
+// =====================================
+// PAYMENTS (invoices)
+// =====================================
+// Late fee items are appended to the payment as they accrue and are posted
+// with each accrual, so the issue entry only covers the original items
+const lateItemCount = (payment) => ((payment.lateFees && payment.lateFees.accruals) || [])
+  .reduce((count, accrual) => count + (accrual.penalty > 0 ? 1 : 0) + (accrual.interest > 0 ? 1 : 0), 0);
+
+const issuedLines = (payment) => {
+  const items = (payment.items || []).slice(0, (payment.items || []).length - lateItemCount(payment));
+  const credits = items.map(item => ({
+    account: CATEGORY_ACCOUNTS[item.category] || CATEGORY_ACCOUNTS.other,
+    credit: item.amount
+  }));
+  if (credits.length === 0) {
+    credits.push({ account: CATEGORY_ACCOUNTS.other, credit: payment.totalAmount - ((payment.lateFees && payment.lateFees.total) || 0) });
+  }
+
+  const total = credits.reduce((sum, line) => sum + line.credit, 0);
+  return [{ account: ACCOUNTS.receivable, debit: total }, ...credits];
+};
+
+export const postPaymentIssued = (payment, session = null) => postEntry({
+  date: payment.createdAt || new Date(),
+  description: payment.billingPeriod ? `Invoice ${payment.billingPeriod}` : 'Payment charge',
+  source: { type: 'payment', id: payment._id },
+  sourceKey: `payment:${payment._id}:issued`,
+  lines: issuedLines(payment)
+}, session);
+
+// Completed without (or beyond) receipts: the rest was collected directly
+export const postPaymentCompleted = (payment, session = null) => {
+  const collected = round(payment.totalAmount - (payment.amountPaid || 0));
+  return postEntry({
+    date: payment.paymentDate || new Date(),
+    description: `Payment collected (${payment.paymentMethod})`,
+    source: { type: 'payment', id: payment._id },
+    sourceKey: `payment:${payment._id}:completed`,
+    lines: [
+      { account: moneyAccount(payment.paymentMethod), debit: collected },
+      { account: ACCOUNTS.receivable, credit: collected }
+    ]
+  }, session);
+};
+
+// Reverses the issue and late fee entries of a cancelled or deleted payment
+export const postPaymentCancelled = async (payment, session = null) => {
+  const entries = await JournalEntry.find({
+    'source.id': payment._id,
+    'source.type': { $in: ['payment', 'late_fee'] },
+    sourceKey: { $regex: /:(issued|late:.*)$/ }
+  }).session(session);
+  if (entries.length === 0) return null;
+
+  return postEntry({
+    date: new Date(),
+    description: payment.billingPeriod ? `Cancelled invoice ${payment.billingPeriod}` : 'Cancelled payment charge',
+    source: { type: 'payment', id: payment._id },
+    sourceKey: `payment:${payment._id}:cancelled`,
+    lines: entries.flatMap(entry => entry.lines.map(line => ({
+      account: line.account,
+      debit: line.credit,
+      credit: line.debit
+    })))
+  }, session);
+};
+
+const lineKeys = (lines) => lines.map(line => `${line.account}:${round(line.debit || 0)}:${round(line.credit || 0)}`).sort().join('|');
+
+// Posts whatever the payment's current state calls for; safe to repeat.
+// What was issued is fixed: an edit that changes the invoice's amounts is
+// refused (rolling back the caller's transaction); cancel the payment and
+// issue a new one instead.
+export const syncPaymentEntries = async (payment, session = null) => {
+  if (payment.paymentStatus === 'cancelled') {
+    return postPaymentCancelled(payment, session);
+  }
+
+  const issued = await postPaymentIssued(payment, session);
+  if (issued && lineKeys(issued.lines) !== lineKeys(compactLines(issuedLines(payment)))) {
+    throw new ConflictError('The amounts of an issued payment cannot change; cancel it and issue a new one', 'PAYMENT_ALREADY_ISSUED');
+  }
+  if (payment.paymentStatus === 'completed') {
+    await postPaymentCompleted(payment, session);
+  }
+  return null;
+};
+
+export const postLateFee = (payment, accrual, session = null) => postEntry({
+  date: accrual.to,
+  description: `Late fees (${accrual.days} days)`,
+  source: { type: 'late_fee', id: payment._id },
+  sourceKey: `payment:${payment._id}:late:${accrual.to.toISOString()}`,
+  lines: [
+    { account: ACCOUNTS.receivable, debit: accrual.interest + accrual.penalty },
+    { account: ACCOUNTS.lateInterest, credit: accrual.interest },
+    { account: CATEGORY_ACCOUNTS.fine, credit: accrual.penalty }
+  ]
+}, session);
+
+// =====================================
+// RECEIPTS
+// =====================================
+// Allocations made when the receipt is recorded settle receivables; the
+// rest is an advance from the owner
+export const postReceipt = (receipt, session = null) => {
+  const allocated = round(receipt.allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+  return postEntry({
+    date: receipt.receivedAt,
+    description: `Receipt (${receipt.method})${receipt.reference ? ` ${receipt.reference}` : ''}`,
+    source: { type: 'receipt', id: receipt._id },
+    sourceKey: `receipt:${receipt._id}`,
+    lines: [
+      { account: moneyAccount(receipt.method), debit: receipt.amount },
+      { account: ACCOUNTS.receivable, credit: allocated },
+      { account: ACCOUNTS.advances, credit: round(receipt.amount - allocated) }
+    ]
+  }, session);
+};
+
+// Credit of an earlier receipt used on a payment
+export const postCreditApplied = (receipt, allocation, session = null) => postEntry({
+  date: allocation.allocatedAt || new Date(),
+  description: 'Owner credit applied',
+  source: { type: 'receipt', id: receipt._id },
+  sourceKey: `receipt:${receipt._id}:allocation:${allocation._id}`,
+  lines: [
+    { account: ACCOUNTS.advances, debit: allocation.amount },
+    { account: ACCOUNTS.receivable, credit: allocation.amount }
+  ]
+}, session);
+
+// =====================================
+// REFUNDS
+// =====================================
+// Approved refunds of payments and reservations reduce income
+export const postRefund = (refund, session = null) => postEntry({
+  date: (refund.review && refund.review.at) || new Date(),
+  description: `Refund: ${refund.reason}`.slice(0, 200),
+  source: { type: 'refund', id: refund._id },
+  sourceKey: `refund:${refund._id}`,
+  lines: [
+    { account: ACCOUNTS.refunds, debit: refund.amount },
+    { account: moneyAccount(refund.method), credit: refund.amount }
+  ]
+}, session);
+
+// =====================================
+// RESERVATIONS AND MAINTENANCE
+// =====================================
+// `amount` is what this call collected; the key uses the running total so
+// each installment of a reservation's payment is posted once
+export const postReservationPayment = (reservation, amount, session = null) => {
+  const { payment } = reservation.cost;
+  return postEntry({
+    date: payment.paidAt || new Date(),
+    description: `Reservation ${reservation.type} ${reservation.reservationDate.toISOString().slice(0, 10)}`,
+    source: { type: 'reservation', id: reservation._id },
+    sourceKey: `reservation:${reservation._id}:paid:${payment.paidAmount}`,
+    lines: [
+      { account: moneyAccount(payment.method), debit: amount },
+      { account: CATEGORY_ACCOUNTS.amenities, credit: amount }
+    ]
+  }, session);
+};
+
+// Maintenance costs are owed to the provider until paid outside the system
+export const postMaintenance = (parking, record, session = null) => postEntry({
+  date: record.startDate || new Date(),
+  description: `Parking ${parking.number} maintenance: ${record.type}`,
+  source: { type: 'maintenance', id: parking._id },
+  sourceKey: `maintenance:${record._id}`,
+  lines: [
+    { account: ACCOUNTS.maintenanceExpense, debit: record.cost || 0 },
+    { account: ACCOUNTS.payables, credit: record.cost || 0 }
+  ]
+}, session);
+
+// =====================================
+// REPORTS
+// =====================================
+const DAY = 24 * 60 * 60 * 1000;
+
+// `to` is inclusive (the whole day)
+const dateMatch = ({ from, to } = {}) => {
+  const date = {};
+  if (from) date.$gte = new Date(from);
+  if (to) date.$lt = new Date(new Date(to).getTime() + DAY);
+  return Object.keys(date).length > 0 ? { date } : {};
+};
+
+const accountTotals = async (range) => {
+  const rows = await JournalEntry.aggregate([
+    { $match: dateMatch(range) },
+    { $unwind: '$lines' },
+    { $group: { _id: '$lines.account', debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const accounts = await LedgerAccount.find({ code: { $in: rows.map(row => row._id) } }).lean();
+  const byCode = new Map(accounts.map(account => [account.code, account]));
+
+  return rows.map(row => {
+    const account = byCode.get(row._id) || { name: 'Unknown', type: null, nature: 'debit' };
+    const debit = round(row.debit);
+    const credit = round(row.credit);
+    return {
+      code: row._id,
+      name: account.name,
+      type: account.type,
+      nature: account.nature,
+      debit,
+      credit,
+      balance: account.nature === 'credit' ? round(credit - debit) : round(debit - credit)
+    };
+  });
+};
+
+export const trialBalance = async (range = {}) => {
+  const accounts = await accountTotals(range);
+  const totalDebit = round(accounts.reduce((sum, account) => sum + account.debit, 0));
+  const totalCredit = round(accounts.reduce((sum, account) => sum + account.credit, 0));
+
+  return { from: range.from || null, to: range.to || null, accounts, totalDebit, totalCredit, balanced: totalDebit === totalCredit };
+};
+
+export const incomeStatement = async (range = {}) => {
+  const accounts = await accountTotals(range);
+
+  // Contra-income accounts (debit nature) reduce income
+  const income = accounts.filter(account => account.type === 'income')
+    .map(account => ({ ...account, amount: account.nature === 'credit' ? account.balance : -account.balance }));
+  const expenses = accounts.filter(account => account.type === 'expense')
+    .map(account => ({ ...account, amount: account.balance }));
+
+  const totalIncome = round(income.reduce((sum, account) => sum + account.amount, 0));
+  const totalExpenses = round(expenses.reduce((sum, account) => sum + account.amount, 0));
+
+  return {
+    from: range.from || null,
+    to: range.to || null,
+    income,
+    expenses,
+    totalIncome,
+    totalExpenses,
+    netResult: round(totalIncome - totalExpenses)
+  };
+};
+
+export default {
+  ACCOUNTS,
+  postEntry,
+  syncPaymentEntries,
+  postLateFee,
+  postReceipt,
+  postCreditApplied,
+  postRefund,
+  postReservationPayment,
+  postMaintenance,
+  trialBalance,
+  incomeStatement
+};
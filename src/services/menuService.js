@@ -0,0 +1,79 @@
+import { Module } from '../models/Permission.js';
+import { SUPERUSER_PERMISSION } from '../config/accessControl.js';
+import { getEffectivePermissions, getPermissionTree, hasPermission } from './permissionService.js';
+
+// =====================================
+// NAVIGATION MENU
+// =====================================
+// Builds the caller's menu from the Module hierarchy: a module is shown when
+// the role (including inherited roles) grants it, and a parent is kept as a
+// container when any of its descendants is shown. Hidden or inactive modules
+// hide their whole subtree. Siblings are sorted by `order`, then name.
+
+const sortModules = (a, b) => ((a.order || 0) - (b.order || 0)) || a.name.localeCompare(b.name);
+
+// moduleId -> { actions, permissions } from the role's permission tree
+const collectGrants = (tree) => {
+  const grants = new Map();
+
+  for (const node of tree.modules) {
+    const active = node.permissions.filter(p => p.isActive);
+    grants.set(node.module.id.toString(), {
+      actions: [...new Set(active.map(p => p.action).filter(Boolean))].sort(),
+      permissions: active.map(p => p.name).sort()
+    });
+  }
+
+  return grants;
+};
+
+export const buildMenu = async (roleId) => {
+  const effective = await getEffectivePermissions(roleId);
+  if (!effective || !effective.isActive) return [];
+
+  const grants = collectGrants(await getPermissionTree(roleId));
+  const isSuperuser = hasPermission(effective, SUPERUSER_PERMISSION);
+  const modules = await Module.find({ isActive: true, isVisible: true })
+    .select('name description path icon order parentModule')
+    .lean();
+
+  const childrenOf = new Map();
+  for (const module of modules) {
+    const parentKey = module.parentModule ? module.parentModule.toString() : null;
+    if (!childrenOf.has(parentKey)) childrenOf.set(parentKey, []);
+    childrenOf.get(parentKey).push(module);
+  }
+
+  const buildLevel = (parentKey, parentPath) => {
+    const siblings = (childrenOf.get(parentKey) || []).sort(sortModules);
+    const nodes = [];
+
+    for (const module of siblings) {
+      const key = module._id.toString();
+      const fullPath = parentPath && module.path ? `${parentPath}${module.path}` : module.path;
+      const children = buildLevel(key, fullPath || parentPath);
+      const grant = grants.get(key) || (isSuperuser ? { actions: ['manage'], permissions: [SUPERUSER_PERMISSION] } : null);
+
+      if (!grant && children.length === 0) continue;
+
+      nodes.push({
+        id: module._id,
+        name: module.name,
+        description: module.description,
+        path: module.path,
+        fullPath,
+        icon: module.icon,
+        order: module.order,
+        actions: grant ? grant.actions : [],
+        permissions: grant ? grant.permissions : [],
+        children
+      });
+    }
+
+    return nodes;
+  };
+
+  return buildLevel(null, null);
+};
+
+export default { buildMenu };
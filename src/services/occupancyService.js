@@ -0,0 +1,131 @@
+import Apartment from '../models/Apartment.js';
+import User from '../models/User.js';
+import Parking from '../models/Parking.js';
+import Lease from '../models/Lease.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+
+// =====================================
+// MOVE-IN / MOVE-OUT
+// =====================================
+// Apartment, user and parking changes of a move are written in a single
+// transaction: either all of them apply or none does.
+
+const MOVE_IN_STATUSES = ['available', 'reserved'];
+
+const loadApartment = async (apartmentId, session) => {
+  const apartment = await Apartment.findById(apartmentId).populate('tower', 'name').session(session);
+  if (!apartment) {
+    throw new NotFoundError('Apartment not found');
+  }
+  return apartment;
+};
+
+const loadUser = async (userId, session) => {
+  const user = await User.findById(userId).session(session);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  return user;
+};
+
+export const moveIn = ({ apartmentId, userId, isTenant = false, moveInDate = new Date() }) => {
+  return runInTransaction(async (session) => {
+    const apartment = await loadApartment(apartmentId, session);
+
+    if (apartment.ownerId) {
+      throw new ConflictError(`Apartment ${apartment.number} is already occupied`, 'APARTMENT_OCCUPIED', {
+        ownerId: apartment.ownerId
+      });
+    }
+    if (!MOVE_IN_STATUSES.includes(apartment.status)) {
+      throw new ConflictError(`Apartment ${apartment.number} is not available (${apartment.status})`, 'APARTMENT_UNAVAILABLE', {
+        status: apartment.status
+      });
+    }
+
+    const user = await loadUser(userId, session);
+
+    await apartment.assignOwner({
+      ownerId: user._id,
+      ownerInfo: {
+        fullName: user.profile.fullName,
+        documentNumber: user.profile.documentNumber,
+        phone: user.profile.telephoneNumber,
+        email: user.email
+      },
+      isTenant,
+      moveInDate
+    });
+
+    user.ownerInfo.isActive = true;
+    user.ownerInfo.isTenant = isTenant;
+    user.ownerInfo.apartments.push({
+      apartmentId: apartment._id,
+      apartmentNumber: apartment.number,
+      towerName: apartment.tower ? apartment.tower.name : undefined,
+      isOwner: !isTenant,
+      isTenant,
+      moveInDate
+    });
+    await user.save();
+
+    return { apartment, user };
+  });
+};
+
+// Parking and pets are only released once the resident has no other
+// apartment left
+export const moveOut = ({ apartmentId, moveOutDate = new Date(), reason = 'move_out' }) => {
+  return runInTransaction(async (session) => {
+    const apartment = await loadApartment(apartmentId, session);
+
+    if (!apartment.ownerId) {
+      throw new ConflictError(`Apartment ${apartment.number} has no resident`, 'APARTMENT_NOT_OCCUPIED');
+    }
+
+    const lease = await Lease.findOne({ apartment: apartment._id, status: 'active' }).session(session);
+    if (lease) {
+      throw new ConflictError(`Apartment ${apartment.number} is leased; terminate the lease first`, 'APARTMENT_LEASED', {
+        leaseId: lease._id
+      });
+    }
+
+    const userId = apartment.ownerId;
+    await apartment.unassignOwner({ moveOutDate, reason });
+
+    const result = { apartment, user: null, releasedParking: [], deactivatedPets: 0 };
+
+    // A deleted user must not keep the apartment occupied
+    const user = await User.findById(userId).session(session);
+    if (!user) return result;
+    result.user = user;
+
+    const link = user.ownerInfo.apartments.find(entry =>
+      entry.apartmentId && entry.apartmentId.equals(apartment._id) && !entry.moveOutDate
+    );
+    if (link) link.moveOutDate = moveOutDate;
+
+    const stillResident = user.ownerInfo.apartments.some(entry => !entry.moveOutDate);
+    if (!stillResident) {
+      const spaces = await Parking.find({ assignedUserId: user._id, status: 'occupied' }).session(session);
+      for (const space of spaces) {
+        await space.unassignFromUser(reason, `Moved out of apartment ${apartment.number}`);
+        result.releasedParking.push(space._id);
+      }
+
+      user.ownerInfo.pets.forEach(pet => {
+        if (pet.isActive) {
+          pet.isActive = false;
+          result.deactivatedPets++;
+        }
+      });
+      user.ownerInfo.isActive = false;
+    }
+
+    await user.save();
+    return result;
+  });
+};
+
+export default { moveIn, moveOut };
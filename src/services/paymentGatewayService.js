@@ -0,0 +1,272 @@
+import GatewayEvent from '../models/GatewayEvent.js';
+import { Payment } from '../models/Payment.js';
+import paymentGatewayConfig from '../config/paymentGateway.js';
+import { getGateway } from './gateways/index.js';
+import { recordReceipt } from './accountService.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+
+// =====================================
+// ONLINE PAYMENTS
+// =====================================
+// An open payment gets a checkout at the gateway; the gateway reports the
+// outcome by webhook. Money received becomes an 'online' receipt allocated
+// to the payment, so allocation, ledger and apartment status work exactly as
+// for money taken at the desk. Each event is stored in gateway_events and
+// applied once.
+
+const OPEN_STATUSES = ['pending', 'partial', 'failed'];
+// Once money arrived, later news about the checkout does not change it
+const SETTLED = ['succeeded', 'refunded'];
+const MINUTE = 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// owner: when given, only that owner's payments are found (self-service)
+export const createCheckout = async (paymentId, { owner } = {}) => {
+  const payment = await Payment.findById(paymentId);
+  if (!payment || (owner && !payment.owner.equals(owner))) {
+    throw new NotFoundError('Payment not found');
+  }
+
+  const amount = round(payment.totalAmount - payment.amountPaid);
+  if (!OPEN_STATUSES.includes(payment.paymentStatus) || amount <= 0) {
+    throw new ConflictError('Payment has nothing left to pay', 'PAYMENT_NOT_OPEN', { paymentStatus: payment.paymentStatus });
+  }
+
+  const gateway = getGateway();
+  const current = payment.gateway || {};
+  if (current.status === 'authorized') {
+    throw new ConflictError('A checkout for this payment is being captured', 'CHECKOUT_IN_PROGRESS');
+  }
+  // The live checkout is reused while it is valid for the same amount
+  if (current.provider === gateway.name && current.status === 'pending' && current.amount === amount && current.expiresAt > new Date()) {
+    return payment;
+  }
+
+  if (!payment.referenceNumber) payment.referenceNumber = `VAL-${payment._id}`;
+
+  const checkout = await gateway.createCheckout({
+    reference: payment.referenceNumber,
+    amount,
+    currency: paymentGatewayConfig.currency,
+    description: payment.billingPeriod ? `Invoice ${payment.billingPeriod}` : (payment.items[0] || {}).description || 'Payment',
+    expiresAt: new Date(Date.now() + paymentGatewayConfig.checkoutTtlMinutes * MINUTE)
+  });
+
+  const now = new Date();
+  payment.gateway = {
+    provider: gateway.name,
+    checkoutId: checkout.checkoutId,
+    checkoutUrl: checkout.url,
+    status: checkout.status,
+    amount,
+    expiresAt: new Date(checkout.expiresAt),
+    createdAt: now,
+    updatedAt: now
+  };
+  await payment.save();
+  return payment;
+};
+
+// =====================================
+// EVENTS
+// =====================================
+// The payment whose current checkout the event is about; a reference shared
+// by several payments only matches through its checkout
+const findPayment = async (event, session = null) => {
+  const payments = await Payment.find({ referenceNumber: event.reference }).session(session);
+  return payments.find(payment => payment.gateway && payment.gateway.checkoutId === event.checkoutId)
+    || (payments.length === 1 ? payments[0] : null);
+};
+
+// Events that cannot change the payment
+const isIgnored = (payment, event) => {
+  const checkout = payment.gateway || {};
+  const isCurrent = checkout.checkoutId === event.checkoutId;
+
+  // Refunds go through the refund workflow (services/refundService.js), which
+  // sends online ones to the gateway itself; a refund reported here is stored
+  // as ignored so one made directly at the gateway shows up for review
+  if (event.status === 'refunded') return true;
+  if (isCurrent && SETTLED.includes(checkout.status)) return true;
+  // A superseded checkout only matters if it was paid anyway
+  return !isCurrent && event.status !== 'succeeded';
+};
+
+// What the gateway says about money the event reports, asked before the
+// transaction so a retried transaction never captures twice: authorized
+// checkouts are captured, succeeded ones confirmed. The money received is
+// what the gateway says, never the event body. Null when there is nothing
+// to confirm or the gateway does not confirm it.
+const confirmEvent = async (gateway, event) => {
+  if (event.status === 'authorized') {
+    const payment = await findPayment(event);
+    return payment && !isIgnored(payment, event) ? gateway.capture(event.checkoutId) : null;
+  }
+  if (event.status === 'succeeded') {
+    const checkout = await gateway.getCheckout(event.checkoutId);
+    if (!checkout || !SETTLED.includes(checkout.status) || checkout.reference !== event.reference) return null;
+    return { status: 'succeeded', amount: checkout.amount, transactionId: checkout.transactionId };
+  }
+  return null;
+};
+
+const receiveMoney = async (payment, { amount, transactionId }, session) => {
+  const balance = OPEN_STATUSES.includes(payment.paymentStatus) ? round(payment.totalAmount - payment.amountPaid) : 0;
+
+  // Anything beyond the balance stays as the owner's credit
+  await recordReceipt({
+    owner: payment.owner,
+    amount,
+    method: 'online',
+    reference: transactionId ? String(transactionId).slice(0, 50) : undefined,
+    notes: `Online payment ${payment.referenceNumber}`,
+    allocations: balance > 0 ? [{ payment: payment._id, amount: Math.min(amount, balance) }] : []
+  }, null, session);
+};
+
+// Returns the outcome stored with the event
+const applyEvent = async (payment, event, confirmed, session) => {
+  if (isIgnored(payment, event)) return 'ignored';
+
+  let { status, amount, transactionId } = event;
+  if (status === 'authorized' || status === 'succeeded') {
+    if (!confirmed) return 'ignored';
+    ({ status, amount, transactionId } = confirmed);
+  }
+
+  if (payment.gateway && payment.gateway.checkoutId === event.checkoutId) {
+    if (!['succeeded', 'failed', 'expired'].includes(status)) return 'ignored';
+
+    payment.gateway.status = status;
+    payment.gateway.updatedAt = new Date();
+    if (transactionId) payment.gateway.transactionId = transactionId;
+    if (status === 'failed' && payment.paymentStatus === 'pending') payment.paymentStatus = 'failed';
+    await payment.save();
+  }
+
+  if (status === 'succeeded') {
+    await receiveMoney(payment, { amount, transactionId }, session);
+  }
+  return 'applied';
+};
+
+const processEvent = async (gateway, event, source) => {
+  const seen = await GatewayEvent.findOne({ provider: gateway.name, eventId: event.id });
+  if (seen) return { duplicate: true, outcome: seen.outcome, payment: seen.payment };
+
+  const confirmed = await confirmEvent(gateway, event);
+
+  try {
+    return await runInTransaction(async (session) => {
+      const payment = await findPayment(event, session);
+      const outcome = payment ? await applyEvent(payment, event, confirmed, session) : 'unmatched';
+
+      await GatewayEvent.create([{
+        provider: gateway.name,
+        eventId: event.id,
+        type: event.type,
+        checkoutId: event.checkoutId,
+        reference: event.reference,
+        status: event.status,
+        amount: event.amount,
+        payment: payment ? payment._id : null,
+        outcome,
+        source
+      }], { session });
+
+      return { duplicate: false, outcome, payment: payment ? payment._id : null };
+    });
+  } catch (error) {
+    // The same event delivered twice at the same time
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.eventId) {
+      const first = await GatewayEvent.findOne({ provider: gateway.name, eventId: event.id });
+      return { duplicate: true, outcome: first.outcome, payment: first.payment };
+    }
+    throw error;
+  }
+};
+
+// rawBody: the exact bytes received (signatures cover them)
+export const handleWebhook = (rawBody, headers) => {
+  const gateway = getGateway();
+  const event = gateway.verifyWebhook(rawBody, headers);
+  return processEvent(gateway, event, 'webhook');
+};
+
+// =====================================
+// RECONCILIATION
+// =====================================
+// Checkouts still pending after orphanAfterMinutes most likely lost their
+// webhook: the gateway is asked directly and its answer applied like an
+// event. Checkouts the gateway does not know are marked expired so a new
+// one can be opened.
+export const reconcilePayments = async ({ olderThan, dryRun = false } = {}) => {
+  const gateway = getGateway();
+  const cutoff = olderThan || new Date(Date.now() - paymentGatewayConfig.orphanAfterMinutes * MINUTE);
+
+  const payments = await Payment.find({
+    'gateway.provider': gateway.name,
+    'gateway.status': { $in: ['pending', 'authorized'] },
+    'gateway.createdAt': { $lt: cutoff }
+  }).sort({ 'gateway.createdAt': 1 });
+
+  const summary = { cutoff, dryRun, checked: payments.length, applied: 0, pending: 0, missing: 0, payments: [] };
+
+  for (const payment of payments) {
+    const { checkoutId } = payment.gateway;
+    const entry = { payment: payment._id, reference: payment.referenceNumber, checkoutId };
+    const checkout = await gateway.getCheckout(checkoutId);
+
+    if (!checkout) {
+      summary.missing++;
+      if (!dryRun) {
+        await Payment.updateOne(
+          { _id: payment._id, 'gateway.checkoutId': checkoutId },
+          { $set: { 'gateway.status': 'expired', 'gateway.updatedAt': new Date() } }
+        );
+      }
+      summary.payments.push({ ...entry, result: 'missing' });
+      continue;
+    }
+
+    if (checkout.status === 'pending' || dryRun) {
+      if (checkout.status === 'pending') summary.pending++;
+      summary.payments.push({ ...entry, result: checkout.status === 'pending' ? 'pending' : 'preview', status: checkout.status });
+      continue;
+    }
+
+    const result = await processEvent(gateway, {
+      id: `reconcile:${checkoutId}:${checkout.status}`,
+      type: `reconciliation.${checkout.status}`,
+      checkoutId,
+      reference: payment.referenceNumber,
+      status: checkout.status,
+      amount: checkout.amount,
+      transactionId: checkout.transactionId
+    }, 'reconciliation');
+
+    if (result.outcome === 'applied' && !result.duplicate) summary.applied++;
+    summary.payments.push({ ...entry, result: result.outcome, status: checkout.status });
+  }
+
+  return summary;
+};
+
+// =====================================
+// REFUNDS
+// =====================================
+// Online refunds of gateway payments are sent back through the gateway;
+// returns the gateway's refund id, or null when the money goes back another way
+export const refundAtGateway = async (payment, refund) => {
+  const checkout = payment.gateway || {};
+  if (refund.method !== 'online' || !checkout.transactionId) return null;
+
+  const result = await getGateway(checkout.provider).refund(checkout.transactionId, refund.amount, {
+    idempotencyKey: refund._id.toString()
+  });
+  return result.refundId;
+};
+
+export default { createCheckout, handleWebhook, reconcilePayments, refundAtGateway };
@@ -0,0 +1,258 @@
+import PaymentPlan from '../models/PaymentPlan.js';
+import User from '../models/User.js';
+import billingConfig from '../config/billing.js';
+import { Payment } from '../models/Payment.js';
+import { accruePayment } from './lateFeeService.js';
+import { refreshPaymentStatus } from './accountService.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { BadRequestError, ConflictError, NotFoundError } from '../utils/errors.js';
+
+// =====================================
+// PAYMENT PLANS
+// =====================================
+// Consolidates an owner's overdue payments into installments. Late fees are
+// brought up to date when the plan starts and then paused: the payments are
+// marked with the plan, which the accrual job skips. Receipts keep settling
+// the payments as usual; the daily check compares what was paid with the
+// schedule and ends the plan as completed, or as broken once an installment
+// is missed past the grace days. A broken plan releases its payments and
+// interest resumes from that day.
+
+const DAY = 24 * 60 * 60 * 1000;
+const OPEN_STATUSES = ['pending', 'partial', 'failed'];
+
+const round = (value) => Math.round(value * 100) / 100;
+const startOfDay = (date) => new Date(Math.floor(new Date(date).getTime() / DAY) * DAY);
+
+// Same day `months` later; the 31st falls on the last day of shorter months
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+};
+
+// Equal monthly installments; rounding leftovers go to the last one
+const schedule = (total, count, firstDueDate) => {
+  const amount = Math.floor(total / count * 100) / 100;
+  return Array.from({ length: count }, (value, index) => ({
+    number: index + 1,
+    dueDate: addMonths(firstDueDate, index),
+    amount: index === count - 1 ? round(total - amount * (count - 1)) : amount
+  }));
+};
+
+const refreshApartments = async (payments, session) => {
+  const apartments = new Set(payments.filter(payment => payment.apartment).map(payment => payment.apartment.toString()));
+  for (const apartmentId of apartments) await refreshPaymentStatus(apartmentId, session);
+};
+
+const planPayments = (plan, session = null) => Payment.find({ _id: { $in: plan.payments.map(entry => entry.payment) } })
+  .select('paymentStatus totalAmount amountPaid apartment')
+  .session(session);
+
+// Without `payments` every overdue payment of the owner is included
+const choosePayments = async (owner, ids) => {
+  if (ids && ids.length > 0) {
+    const payments = await Payment.find({ _id: { $in: ids } });
+    if (payments.length !== new Set(ids.map(String)).size) {
+      throw new NotFoundError('Payment not found');
+    }
+    const foreign = payments.filter(payment => payment.owner.toString() !== owner.toString());
+    if (foreign.length > 0) {
+      throw new BadRequestError('Payments must belong to the plan owner', { payments: foreign.map(payment => payment._id) });
+    }
+    const closed = payments.filter(payment => !OPEN_STATUSES.includes(payment.paymentStatus));
+    if (closed.length > 0) {
+      throw new ConflictError('Only unpaid payments can be included', 'PAYMENT_NOT_OPEN', { payments: closed.map(payment => payment._id) });
+    }
+    return payments;
+  }
+
+  const payments = await Payment.find({
+    owner,
+    paymentStatus: { $in: OPEN_STATUSES },
+    dueDate: { $lt: new Date() },
+    paymentPlan: null
+  });
+  if (payments.length === 0) {
+    throw new BadRequestError('The owner has no overdue payments');
+  }
+  return payments;
+};
+
+// installments: how many; firstDueDate defaults to a month from today
+export const createPaymentPlan = async ({ owner, payments: paymentIds, installments, firstDueDate, notes }, createdBy = null) => {
+  if (!(await User.exists({ _id: owner }))) {
+    throw new NotFoundError('Owner not found');
+  }
+  if (installments > billingConfig.paymentPlans.maxInstallments) {
+    throw new BadRequestError(`A plan cannot have more than ${billingConfig.paymentPlans.maxInstallments} installments`);
+  }
+  if (await PaymentPlan.exists({ owner, status: 'active' })) {
+    throw new ConflictError('The owner already has an active payment plan', 'PLAN_ALREADY_ACTIVE');
+  }
+
+  // Interest up to today is part of what the plan consolidates
+  const chosen = await choosePayments(owner, paymentIds);
+  const now = new Date();
+  for (const payment of chosen) await accruePayment(payment, now);
+
+  return runInTransaction(async (session) => {
+    const payments = await Payment.find({ _id: { $in: chosen.map(payment => payment._id) } }).session(session);
+    const taken = payments.filter(payment => payment.paymentPlan);
+    if (taken.length > 0) {
+      throw new ConflictError('Some payments are already in a payment plan', 'PAYMENT_IN_PLAN', { payments: taken.map(payment => payment._id) });
+    }
+
+    const entries = payments
+      .filter(payment => OPEN_STATUSES.includes(payment.paymentStatus))
+      .map(payment => ({ payment: payment._id, balance: round(payment.totalAmount - payment.amountPaid), paidBefore: payment.amountPaid }))
+      .filter(entry => entry.balance > 0);
+    const totalAmount = round(entries.reduce((sum, entry) => sum + entry.balance, 0));
+    if (totalAmount <= 0) {
+      throw new BadRequestError('The payments have nothing left to pay');
+    }
+
+    const [plan] = await PaymentPlan.create([{
+      owner,
+      payments: entries,
+      totalAmount,
+      installments: schedule(totalAmount, installments, firstDueDate ? new Date(firstDueDate) : addMonths(startOfDay(now), 1)),
+      startDate: now,
+      notes,
+      createdBy
+    }], { session });
+
+    // A payment settled or planned meanwhile makes the count fall short
+    const result = await Payment.updateMany(
+      { _id: { $in: entries.map(entry => entry.payment) }, paymentStatus: { $in: OPEN_STATUSES }, paymentPlan: null },
+      { $set: { paymentPlan: plan._id } },
+      { session }
+    );
+    if (result.modifiedCount !== entries.length) {
+      throw new ConflictError('Payments changed while the plan was created; try again', 'PAYMENTS_CHANGED');
+    }
+
+    await refreshApartments(payments, session);
+    return plan;
+  });
+};
+
+// Frees the payments of an ended plan. Past-due ones accrue interest again
+// from `resumeFrom`, never for the days the plan was in force; the rest
+// accrue from their due date as usual.
+const releasePayments = async (plan, resumeFrom, session) => {
+  const payments = await planPayments(plan, session);
+  await Payment.updateMany(
+    { paymentPlan: plan._id, paymentStatus: { $in: OPEN_STATUSES }, dueDate: { $lt: startOfDay(resumeFrom) } },
+    { $unset: { paymentPlan: 1 }, $set: { 'lateFees.accruedThrough': startOfDay(resumeFrom) } },
+    { session }
+  );
+  await Payment.updateMany({ paymentPlan: plan._id }, { $unset: { paymentPlan: 1 } }, { session });
+  await refreshApartments(payments, session);
+};
+
+const endPlan = async (plan, { status, reason, endedBy = null, asOf = new Date() }, session) => {
+  plan.set({ status, endedAt: asOf, endReason: reason, endedBy });
+  await plan.save({ session });
+  await releasePayments(plan, asOf, session);
+  return plan;
+};
+
+export const cancelPaymentPlan = (id, { reason }, cancelledBy = null) => {
+  return runInTransaction(async (session) => {
+    const plan = await PaymentPlan.findById(id).session(session);
+    if (!plan) {
+      throw new NotFoundError('Payment plan not found');
+    }
+    if (plan.status !== 'active') {
+      throw new ConflictError('Payment plan is not active', 'PLAN_NOT_ACTIVE', { status: plan.status });
+    }
+    return endPlan(plan, { status: 'cancelled', reason, endedBy: cancelledBy }, session);
+  });
+};
+
+// A cancelled payment leaves the plan owing only what was paid on it: the
+// rest comes off the total and the installments are recomputed over the
+// same due dates. Changes the plan in memory; returns false once nothing
+// is left to pay for.
+const dropCancelled = (plan, payments) => {
+  const cancelled = new Map(payments
+    .filter(payment => payment.paymentStatus === 'cancelled')
+    .map(payment => [payment._id.toString(), payment]));
+
+  let removed = 0;
+  for (const entry of plan.payments) {
+    const payment = cancelled.get(entry.payment._id.toString());
+    if (!payment) continue;
+    const paid = round(Math.min(entry.balance, Math.max(0, payment.amountPaid - entry.paidBefore)));
+    removed = round(removed + entry.balance - paid);
+    entry.balance = paid;
+  }
+  if (removed === 0) return true;
+
+  const totalAmount = round(plan.totalAmount - removed);
+  if (totalAmount <= 0) return false;
+  plan.totalAmount = totalAmount;
+  plan.installments = schedule(totalAmount, plan.installments.length, plan.installments[0].dueDate);
+  return true;
+};
+
+const planOutcome = (plan, payments, asOf) => {
+  if (!dropCancelled(plan, payments)) return { status: 'cancelled', reason: 'All payments of the plan were cancelled' };
+
+  const progress = plan.applyProgress(payments, asOf);
+  if (progress.remaining <= 0) return { status: 'completed', reason: 'All installments paid', ...progress };
+
+  const missed = plan.installments.find(installment => installment.status === 'missed');
+  if (missed) return { status: 'broken', reason: `Installment ${missed.number} not paid`, ...progress };
+  return { status: 'active', ...progress };
+};
+
+// Daily job: fills the installments of every active plan and completes or
+// breaks it (or cancels it once all its payments were cancelled)
+export const checkPaymentPlans = async ({ asOf = new Date(), dryRun = false } = {}) => {
+  const plans = await PaymentPlan.find({ status: 'active' }).sort({ startDate: 1 });
+  const summary = { asOf, dryRun, checked: plans.length, completed: 0, broken: 0, cancelled: 0, plans: [] };
+
+  for (const plan of plans) {
+    const outcome = planOutcome(plan, await planPayments(plan), asOf);
+    summary.plans.push({ plan: plan._id, owner: plan.owner, ...outcome });
+    if (outcome.status !== 'active') summary[outcome.status]++;
+    if (dryRun) continue;
+
+    if (outcome.status === 'active') {
+      await plan.save();
+      continue;
+    }
+    // Checked again in the transaction: a receipt may have landed meanwhile
+    await runInTransaction(async (session) => {
+      const current = await PaymentPlan.findOne({ _id: plan._id, status: 'active' }).session(session);
+      if (!current) return;
+      const { status, reason } = planOutcome(current, await planPayments(current, session), asOf);
+      if (status === 'active') return current.save({ session });
+      await endPlan(current, { status, reason, asOf }, session);
+    });
+  }
+
+  return summary;
+};
+
+export const getPaymentPlan = async (id) => {
+  const plan = await PaymentPlan.findById(id)
+    .populate('owner', 'username profile.fullName')
+    .populate('payments.payment', 'billingPeriod dueDate totalAmount amountPaid paymentStatus apartment');
+  if (!plan) {
+    throw new NotFoundError('Payment plan not found');
+  }
+
+  const payments = plan.payments.map(entry => entry.payment).filter(Boolean);
+  const progress = plan.status === 'active' && dropCancelled(plan, payments) ? plan.applyProgress(payments) : null;
+  return { plan, progress };
+};
+
+export default { createPaymentPlan, cancelPaymentPlan, checkPaymentPlans, getPaymentPlan };
@@ -0,0 +1,181 @@
+import { Role } from '../models/Permission.js';
+import { ROUTE_GROUPS, SUPERUSER_PERMISSION, PERMISSION_CACHE_TTL } from '../config/accessControl.js';
+
+// =====================================
+// EFFECTIVE PERMISSION CACHE
+// =====================================
+// roleId -> { value, expiresAt }
+const cache = new Map();
+
+export const normalizeModuleKey = (value) => {
+  return (value || '').toString().trim().toLowerCase().replace(/^\/+/, '');
+};
+
+// Builds the effective permission set from an inheritance chain
+// ([role, parent, ...] as returned by Role.getInheritanceChain). Inherited
+// module permissions are merged into the role's own; inactive modules (with
+// every permission listed under them) and inactive permissions are ignored.
+export const buildPermissionSet = (chain) => {
+  const roles = Array.isArray(chain) ? chain : [chain];
+  const [role] = roles;
+  const permissions = new Set();
+  const modules = new Set();
+  const categories = new Set();
+
+  for (const source of roles) {
+    for (const entry of source.modules || []) {
+      const module = entry.module;
+      if (module && module.isActive === false) continue;
+
+      if (module && module.name) {
+        modules.add(normalizeModuleKey(module.name));
+        if (module.path) modules.add(normalizeModuleKey(module.path));
+      }
+
+      for (const permission of entry.permissions || []) {
+        if (!permission || !permission.name || permission.isActive === false) continue;
+        permissions.add(permission.name);
+        if (permission.category) categories.add(permission.category);
+      }
+    }
+  }
+
+  return {
+    roleId: role._id.toString(),
+    roleName: role.name,
+    roleType: role.type,
+    level: role.level,
+    isActive: role.isActive,
+    inheritsFrom: roles.slice(1).map(r => r.name),
+    permissions,
+    modules,
+    categories
+  };
+};
+
+// Module -> permissions tree for a role, marking where each grant comes from
+export const buildPermissionTree = (chain) => {
+  const [role] = chain;
+  const tree = new Map();
+
+  for (const source of chain) {
+    const inheritedFrom = source === role ? null : { id: source._id, name: source.name, level: source.level };
+
+    for (const entry of source.modules || []) {
+      const module = entry.module;
+      if (!module || !module._id) continue;
+
+      const key = module._id.toString();
+      if (!tree.has(key)) {
+        tree.set(key, {
+          module: { id: module._id, name: module.name, path: module.path, icon: module.icon, isActive: module.isActive !== false },
+          inheritedFrom,
+          permissions: []
+        });
+      }
+
+      const node = tree.get(key);
+      // Own grants take precedence over inherited ones
+      if (!inheritedFrom) node.inheritedFrom = null;
+
+      for (const permission of entry.permissions || []) {
+        if (!permission || !permission.name) continue;
+        if (node.permissions.some(p => p.name === permission.name)) continue;
+
+        node.permissions.push({
+          id: permission._id,
+          name: permission.name,
+          action: permission.action,
+          category: permission.category,
+          isActive: permission.isActive !== false,
+          inheritedFrom
+        });
+      }
+    }
+  }
+
+  return {
+    role: { id: role._id, name: role.name, type: role.type, level: role.level },
+    inheritanceChain: chain.map(r => ({ id: r._id, name: r.name, level: r.level })),
+    modules: [...tree.values()]
+  };
+};
+
+export const getEffectivePermissions = async (roleId) => {
+  if (!roleId) return null;
+
+  const key = roleId.toString();
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const chain = await Role.getInheritanceChain(roleId);
+  if (chain.length === 0) {
+    cache.delete(key);
+    return null;
+  }
+
+  const value = buildPermissionSet(chain);
+  cache.set(key, { value, expiresAt: Date.now() + PERMISSION_CACHE_TTL });
+  return value;
+};
+
+export const getPermissionTree = async (roleId) => {
+  const chain = await Role.getInheritanceChain(roleId);
+  return chain.length > 0 ? buildPermissionTree(chain) : null;
+};
+
+export const invalidateRole = (roleId) => {
+  if (roleId) cache.delete(roleId.toString());
+};
+
+export const clearPermissionCache = () => {
+  cache.clear();
+};
+
+// =====================================
+// CHECKS
+// =====================================
+// A permission is granted by its exact name, by `manage_<resource>` for the
+// same resource, or by the superuser permission.
+export const hasPermission = (effective, permissionName) => {
+  if (!effective) return false;
+  if (effective.permissions.has(SUPERUSER_PERMISSION)) return true;
+  if (effective.permissions.has(permissionName)) return true;
+
+  const resource = permissionName.split('_').slice(1).join('_');
+  return Boolean(resource) && effective.permissions.has(`manage_${resource}`);
+};
+
+// A module is granted when the role lists it (by name or path, including the
+// aliases configured for its route group) or holds any permission in the
+// route group's category.
+export const hasModuleAccess = (effective, moduleName) => {
+  if (!effective) return false;
+  if (effective.permissions.has(SUPERUSER_PERMISSION)) return true;
+
+  const key = normalizeModuleKey(moduleName);
+  const group = ROUTE_GROUPS[key];
+  const aliases = group ? group.modules : [key];
+
+  if (aliases.some(alias => effective.modules.has(alias))) return true;
+  return Boolean(group && effective.categories.has(group.category));
+};
+
+// Lower level = more privileged. Nobody may grant a role at or above their own level.
+export const canGrantLevel = (effective, targetLevel) => {
+  return Boolean(effective) && Number(targetLevel) > effective.level;
+};
+
+export default {
+  getEffectivePermissions,
+  getPermissionTree,
+  canGrantLevel,
+  invalidateRole,
+  clearPermissionCache,
+  buildPermissionSet,
+  buildPermissionTree,
+  hasPermission,
+  hasModuleAccess
+};
@@ -0,0 +1,261 @@
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import { Payment } from '../models/Payment.js';
+import documentsConfig from '../config/documents.js';
+import { ownerBalanceAt } from './accountService.js';
+import { NotFoundError, ServiceUnavailableError } from '../utils/errors.js';
+
+// =====================================
+// VERIFICATION
+// =====================================
+// The QR code on a receipt links to a public endpoint that confirms the
+// receipt exists and shows its amount. The link carries an HMAC of the
+// receipt number, so only someone holding the receipt can look it up.
+
+// Without a secret receipts cannot be printed or verified (503); invoices and
+// the rest of the API are not affected
+export const verificationCode = (receiptNumber) => {
+  if (!documentsConfig.verificationSecret) {
+    throw new ServiceUnavailableError(
+      'RECEIPT_VERIFICATION_SECRET is not set (nor JWT_SECRET); receipts cannot be signed or verified',
+      'RECEIPT_VERIFICATION_UNAVAILABLE'
+    );
+  }
+  return crypto.createHmac('sha256', documentsConfig.verificationSecret)
+    .update(receiptNumber)
+    .digest('hex')
+    .slice(0, 16);
+};
+
+export const verificationUrl = (receiptNumber) => {
+  const code = verificationCode(receiptNumber);
+  return `${documentsConfig.publicUrl}/api/payments/verify/${encodeURIComponent(receiptNumber)}?code=${code}`;
+};
+
+// Unknown receipts and wrong codes get the same answer
+export const verifyReceipt = async (receiptNumber, code) => {
+  const expected = Buffer.from(verificationCode(receiptNumber));
+  const given = Buffer.from(String(code || ''));
+  const matches = expected.length === given.length && crypto.timingSafeEqual(expected, given);
+
+  const payment = matches
+    ? await Payment.findOne({ receiptNumber })
+      .populate('tower', 'name')
+      .populate({ path: 'apartment', select: 'number tower', populate: { path: 'tower', select: 'name' } })
+    : null;
+  if (!payment) {
+    throw new NotFoundError('Receipt not found');
+  }
+
+  const tower = payment.tower || (payment.apartment && payment.apartment.tower);
+  return {
+    receiptNumber: payment.receiptNumber,
+    paymentStatus: payment.paymentStatus,
+    paymentDate: payment.paymentDate,
+    totalAmount: payment.totalAmount,
+    refundedAmount: payment.refundedAmount,
+    billingPeriod: payment.billingPeriod,
+    tower: tower ? tower.name : null,
+    apartment: payment.apartment ? payment.apartment.number : null
+  };
+};
+
+// =====================================
+// PDF RENDERING
+// =====================================
+const PAGE_MARGIN = 50;
+const CONTENT_WIDTH = 612 - PAGE_MARGIN * 2; // US Letter
+const BRAND_COLOR = '#1f3a5f';
+const MUTED_COLOR = '#666666';
+
+const money = (amount) => new Intl.NumberFormat(documentsConfig.locale, {
+  style: 'currency',
+  currency: documentsConfig.currency
+}).format(amount || 0);
+
+const day = (date) => (date ? new Date(date).toLocaleDateString(documentsConfig.locale) : '-');
+
+const label = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1).replace(/_/g, ' ') : '-');
+
+const ownerName = (owner) => (owner.profile && owner.profile.fullName) || owner.username;
+
+const header = (doc, data) => {
+  const { organization } = documentsConfig;
+  const title = data.type === 'receipt' ? 'PAYMENT RECEIPT' : 'INVOICE';
+  const number = data.receiptNumber || data.referenceNumber || '';
+
+  doc.rect(0, 0, 612, 8).fill(BRAND_COLOR);
+
+  doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(18).text(organization.name, PAGE_MARGIN, 30);
+  doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(9);
+  [organization.taxId && `NIT ${organization.taxId}`, organization.address, organization.phone]
+    .filter(Boolean)
+    .forEach(line => doc.text(line));
+
+  doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(14)
+    .text(title, PAGE_MARGIN, 30, { width: CONTENT_WIDTH, align: 'right' });
+  doc.fillColor('black').font('Helvetica').fontSize(10)
+    .text(number, { width: CONTENT_WIDTH, align: 'right' });
+
+  doc.moveTo(PAGE_MARGIN, 95).lineTo(PAGE_MARGIN + CONTENT_WIDTH, 95).strokeColor('#cccccc').stroke();
+};
+
+// Two columns of label/value pairs
+const details = (doc, left, right, top) => {
+  const columnWidth = CONTENT_WIDTH / 2;
+  const column = (rows, x) => {
+    let y = top;
+    for (const [name, value] of rows) {
+      doc.font('Helvetica-Bold').fontSize(9).fillColor(MUTED_COLOR).text(name, x, y, { width: 90 });
+      doc.font('Helvetica').fillColor('black').text(value || '-', x + 90, y, { width: columnWidth - 100 });
+      y = doc.y + 4;
+    }
+    return y;
+  };
+  return Math.max(column(left, PAGE_MARGIN), column(right, PAGE_MARGIN + columnWidth));
+};
+
+const itemsTable = (doc, data, top) => {
+  const columns = [
+    { title: 'Description', x: PAGE_MARGIN, width: 280 },
+    { title: 'Category', x: PAGE_MARGIN + 290, width: 100 },
+    { title: 'Amount', x: PAGE_MARGIN + 400, width: CONTENT_WIDTH - 400, align: 'right' }
+  ];
+  const row = (values, y, font = 'Helvetica') => {
+    doc.font(font).fontSize(9).fillColor('black');
+    const heights = columns.map((column, index) => {
+      doc.text(values[index], column.x, y, { width: column.width, align: column.align || 'left' });
+      return doc.y;
+    });
+    return Math.max(...heights) + 6;
+  };
+
+  doc.rect(PAGE_MARGIN, top, CONTENT_WIDTH, 18).fill('#eef2f7');
+  let y = row(columns.map(column => column.title), top + 5, 'Helvetica-Bold');
+
+  const items = data.items.length > 0
+    ? data.items
+    : [{ description: data.billingPeriod ? `Invoice ${data.billingPeriod}` : 'Payment', category: null, amount: data.totalAmount }];
+  for (const item of items) {
+    y = row([item.description, label(item.category), money(item.amount)], y);
+  }
+
+  doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + CONTENT_WIDTH, y).strokeColor('#cccccc').stroke();
+  return y + 8;
+};
+
+const totals = (doc, rows, top) => {
+  let y = top;
+  for (const [name, value, bold] of rows) {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor('black');
+    doc.text(name, PAGE_MARGIN + 250, y, { width: 150 });
+    doc.text(value, PAGE_MARGIN + 400, y, { width: CONTENT_WIDTH - 400, align: 'right' });
+    y = doc.y + 4;
+  }
+  return y;
+};
+
+// Collects the document as it is written; resolves once doc.end() is called
+const collect = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+});
+
+// Receipt for completed payments (they have a receipt number), invoice for
+// the rest. owner: when given, only that owner's payments are rendered.
+export const renderPaymentPdf = async (paymentId, { owner } = {}) => {
+  const payment = await Payment.findById(paymentId)
+    .populate('owner', 'username email profile.fullName profile.documentType profile.documentNumber')
+    .populate('tower', 'name')
+    .populate({ path: 'apartment', select: 'number floor tower', populate: { path: 'tower', select: 'name' } });
+  if (!payment || !payment.owner || (owner && !payment.owner._id.equals(owner))) {
+    throw new NotFoundError('Payment not found');
+  }
+
+  const data = payment.generateReceiptData();
+  const tower = data.tower || (data.apartment && data.apartment.tower);
+  // Receipts show the account right after the payment, invoices as of today.
+  // A payment completed when it was created can carry a paymentDate a moment
+  // before its own charge (createdAt), which must be included.
+  const paidAt = data.type === 'receipt' && data.paymentDate
+    ? new Date(Math.max(data.paymentDate, data.issuedAt || 0))
+    : new Date();
+  const account = await ownerBalanceAt(data.owner._id, paidAt);
+  const qrCode = data.type === 'receipt'
+    ? await QRCode.toBuffer(verificationUrl(data.receiptNumber), { margin: 1, width: 240 })
+    : null;
+
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: PAGE_MARGIN,
+    info: { Title: `${data.type === 'receipt' ? 'Receipt' : 'Invoice'} ${data.receiptNumber || data.referenceNumber || payment._id}`, Author: documentsConfig.organization.name }
+  });
+  const rendered = collect(doc);
+
+  header(doc, data);
+
+  const { profile = {} } = data.owner;
+  const unit = [tower && tower.name, data.apartment && `Apt ${data.apartment.number}`].filter(Boolean).join(' - ');
+  let y = details(doc, [
+    ['Owner', ownerName(data.owner)],
+    ['Document', profile.documentNumber && `${profile.documentType || ''} ${profile.documentNumber}`.trim()],
+    ['Email', data.owner.email],
+    ['Apartment', unit]
+  ], data.type === 'receipt' ? [
+    ['Payment date', day(data.paymentDate)],
+    ['Method', label(data.paymentMethod)],
+    ['Period', data.billingPeriod],
+    ['Reference', data.referenceNumber]
+  ] : [
+    ['Issued', day(data.issuedAt)],
+    ['Due date', day(data.dueDate)],
+    ['Period', data.billingPeriod],
+    ['Status', label(data.paymentStatus)]
+  ], 110);
+
+  y = itemsTable(doc, data, y + 15);
+
+  // Payments completed at the desk have no allocations: they were paid in full
+  const paid = ['completed', 'refunded'].includes(data.paymentStatus) ? data.totalAmount : data.amountPaid;
+  const rows = [['Total', money(data.totalAmount), true], ['Paid', money(paid)]];
+  if (data.lateFees > 0) rows.splice(1, 0, ['Includes late fees', money(data.lateFees)]);
+  if (data.refundedAmount > 0) rows.push(['Refunded', money(data.refundedAmount)]);
+  rows.push(['Balance on this document', money(data.balance), true]);
+  y = totals(doc, rows, y);
+
+  // The owner's whole account at that moment: everything charged minus
+  // everything paid
+  y += 10;
+  doc.rect(PAGE_MARGIN, y, CONTENT_WIDTH, 36).fill('#f7f7f7');
+  doc.fillColor('black').font('Helvetica-Bold').fontSize(10)
+    .text(`Account balance as of ${day(account.asOf)}: ${money(account.balance)}`, PAGE_MARGIN + 10, y + 7);
+  doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+    .text(`Charged ${money(account.charged)} - paid ${money(account.paid)}`, PAGE_MARGIN + 10);
+  y += 50;
+
+  if (data.notes) {
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR).text(`Notes: ${data.notes}`, PAGE_MARGIN, y, { width: CONTENT_WIDTH });
+    y = doc.y + 10;
+  }
+
+  if (qrCode) {
+    doc.image(qrCode, PAGE_MARGIN, y, { width: 90 });
+    doc.font('Helvetica-Bold').fontSize(9).fillColor('black')
+      .text('Verify this receipt', PAGE_MARGIN + 105, y + 20);
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+      .text('Scan the code to confirm it was issued by the administration.', PAGE_MARGIN + 105, doc.y + 2, { width: 300 });
+  }
+
+  doc.font('Helvetica').fontSize(7).fillColor(MUTED_COLOR)
+    .text(`Generated ${new Date().toLocaleString(documentsConfig.locale)}`, PAGE_MARGIN, 725, { width: CONTENT_WIDTH, align: 'center', lineBreak: false });
+
+  doc.end();
+  const buffer = await rendered;
+  const name = data.receiptNumber || `invoice-${data.referenceNumber || payment._id}`;
+  return { filename: `${name}.pdf`, buffer };
+};
+
+export default { verificationCode, verificationUrl, verifyReceipt, renderPaymentPdf };
@@ -0,0 +1,225 @@
+import Refund from '../models/Refund.js';
+import Reservation from '../models/Reservation.js';
+import { Payment } from '../models/Payment.js';
+import { refreshPaymentStatus } from './accountService.js';
+import { postRefund } from './ledgerService.js';
+import { refundAtGateway } from './paymentGatewayService.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { BadRequestError, ConflictError, NotFoundError } from '../utils/errors.js';
+
+// =====================================
+// REFUND WORKFLOW
+// =====================================
+// pending -> processing -> approved, or pending -> rejected. Approval is
+// when the money goes back, in three steps:
+// 1. the refund is marked processing and committed, which holds its amount;
+// 2. online refunds of gateway payments are sent to the gateway, outside any
+//    transaction so a retried transaction never sends them twice;
+// 3. the gateway's reference is recorded, the payment's refundedAmount (or
+//    the reservation's cost.payment) is updated, the status moves to
+//    refunded once everything was returned, and the refund is posted to the
+//    ledger, all in one transaction.
+// A refund left processing by a failure in step 2 or 3 is finished by
+// approving it again; the gateway call carries the refund id as its
+// idempotency key.
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Reservations record their own method names
+const RESERVATION_METHODS = {
+  cash: 'cash',
+  transfer: 'bank_transfer',
+  card: 'credit_card',
+  check: 'check',
+  online: 'online'
+};
+
+// Only completed payments can be refunded; partly paid ones are settled
+// through their receipts instead
+const paymentTarget = async (id, session) => {
+  const payment = await Payment.findById(id).session(session);
+  if (!payment) {
+    throw new NotFoundError('Payment not found');
+  }
+  if (payment.paymentStatus !== 'completed') {
+    throw new ConflictError('Only completed payments can be refunded', 'PAYMENT_NOT_REFUNDABLE', {
+      paymentStatus: payment.paymentStatus
+    });
+  }
+
+  return {
+    doc: payment,
+    owner: payment.owner,
+    method: payment.paymentMethod,
+    refundable: round(payment.totalAmount - payment.refundedAmount)
+  };
+};
+
+const reservationTarget = async (id, session) => {
+  const reservation = await Reservation.findById(id).session(session);
+  if (!reservation) {
+    throw new NotFoundError('Reservation not found');
+  }
+
+  const { payment } = reservation.cost;
+  return {
+    doc: reservation,
+    owner: reservation.reservedBy.userId,
+    method: RESERVATION_METHODS[payment.method],
+    refundable: round(payment.paidAmount - payment.refundedAmount)
+  };
+};
+
+const targetFilter = (refund) => (refund.payment ? { payment: refund.payment } : { reservation: refund.reservation });
+
+const loadTarget = (refund, session) => (refund.payment
+  ? paymentTarget(refund.payment, session)
+  : reservationTarget(refund.reservation, session));
+
+// Requests not yet paid out hold their amount
+const OPEN_STATUSES = ['pending', 'processing'];
+
+// What is still refundable once the other open requests are paid out
+const available = async (target, filter, session) => {
+  const pending = await Refund.find({ ...filter, status: { $in: OPEN_STATUSES } })
+    .select('amount')
+    .session(session)
+    .lean();
+  return round(target.refundable - pending.reduce((sum, refund) => sum + refund.amount, 0));
+};
+
+const createRefund = async ({ payment, reservation, amount, reason, method }, { requestedBy = null, origin = 'manual' }, session) => {
+  const filter = payment ? { payment } : { reservation };
+  const target = payment ? await paymentTarget(payment, session) : await reservationTarget(reservation, session);
+
+  const refundable = await available(target, filter, session);
+  if (refundable <= 0) {
+    throw new ConflictError('Nothing left to refund', 'NOTHING_TO_REFUND');
+  }
+
+  const refunded = amount === undefined ? refundable : amount;
+  if (refunded > refundable) {
+    throw new BadRequestError('Amount exceeds what can be refunded', { refundable });
+  }
+
+  const refundMethod = method || target.method;
+  if (!refundMethod) {
+    throw new BadRequestError('Refund method is required');
+  }
+
+  const [refund] = await Refund.create([{
+    ...filter,
+    owner: target.owner,
+    amount: refunded,
+    type: refunded >= target.refundable ? 'full' : 'partial',
+    reason,
+    method: refundMethod,
+    origin,
+    requestedBy
+  }], { session });
+  return refund;
+};
+
+// data: payment or reservation, amount (default: everything refundable),
+// reason, method (default: how it was paid)
+export const requestRefund = (data, options = {}, session = null) => {
+  if (session) return createRefund(data, options, session);
+  return runInTransaction(txSession => createRefund(data, options, txSession));
+};
+
+const loadRefund = async (id, statuses, session) => {
+  const refund = await Refund.findById(id).session(session);
+  if (!refund) {
+    throw new NotFoundError('Refund not found');
+  }
+  if (!statuses.includes(refund.status)) {
+    throw new ConflictError(`Refund is already ${refund.status}`, 'REFUND_NOT_PENDING', { status: refund.status });
+  }
+  return refund;
+};
+
+const returnPayment = async (payment, refund, session) => {
+  payment.refundedAmount = round(payment.refundedAmount + refund.amount);
+  if (payment.refundedAmount >= payment.totalAmount) payment.paymentStatus = 'refunded';
+  await payment.save();
+
+  if (payment.apartment) await refreshPaymentStatus(payment.apartment, session);
+};
+
+const returnReservation = async (reservation, refund) => {
+  const { payment } = reservation.cost;
+  payment.refundedAmount = round(payment.refundedAmount + refund.amount);
+  payment.refundedAt = refund.review.at;
+  payment.refundReason = refund.reason;
+  if (payment.refundedAmount >= payment.paidAmount) payment.status = 'refunded';
+  await reservation.save();
+};
+
+// Step 1: pending -> processing. A processing refund is returned as it is.
+const startRefund = (id, { method, reference, notes }, approvedBy) => runInTransaction(async (session) => {
+  const refund = await loadRefund(id, OPEN_STATUSES, session);
+  if (refund.status === 'processing') return refund;
+
+  // Something else may have been refunded since the request
+  const target = await loadTarget(refund, session);
+  const processing = await Refund.find({ ...targetFilter(refund), status: 'processing' })
+    .select('amount')
+    .session(session)
+    .lean();
+  const refundable = round(target.refundable - processing.reduce((sum, other) => sum + other.amount, 0));
+  if (refund.amount > refundable) {
+    throw new ConflictError('Refund exceeds what can still be refunded', 'REFUND_EXCEEDS_BALANCE', {
+      amount: refund.amount,
+      refundable
+    });
+  }
+
+  refund.status = 'processing';
+  refund.review = { by: approvedBy, at: new Date(), notes };
+  if (method) refund.method = method;
+  if (reference) refund.reference = reference;
+  await refund.save();
+  return refund;
+});
+
+// Step 3: processing -> approved, with the money's effects
+const finishRefund = (id, gatewayReference) => runInTransaction(async (session) => {
+  const refund = await loadRefund(id, ['processing'], session);
+  refund.status = 'approved';
+  if (gatewayReference) refund.reference = gatewayReference;
+  await refund.save();
+
+  // The money is gone already, so the payment is not checked again
+  if (refund.payment) {
+    await returnPayment(await Payment.findById(refund.payment).session(session), refund, session);
+  } else {
+    await returnReservation(await Reservation.findById(refund.reservation).session(session), refund);
+  }
+  await postRefund(refund, session);
+
+  return refund;
+});
+
+// { method, reference, notes }: method overrides the requested one
+export const approveRefund = async (id, { method, reference, notes } = {}, approvedBy = null) => {
+  const refund = await startRefund(id, { method, reference, notes }, approvedBy);
+
+  // Step 2
+  const gatewayReference = refund.payment
+    ? await refundAtGateway(await Payment.findById(refund.payment), refund)
+    : null;
+
+  return finishRefund(refund._id, gatewayReference);
+};
+
+export const rejectRefund = (id, { notes } = {}, rejectedBy = null) => {
+  return runInTransaction(async (session) => {
+    const refund = await loadRefund(id, ['pending'], session);
+    refund.status = 'rejected';
+    refund.review = { by: rejectedBy, at: new Date(), notes };
+    await refund.save();
+    return refund;
+  });
+};
+
+export default { requestRefund, approveRefund, rejectRefund };
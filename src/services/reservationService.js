@@ -0,0 +1,84 @@
+import Reservation from '../models/Reservation.js';
+import Refund from '../models/Refund.js';
+import { postReservationPayment } from './ledgerService.js';
+import { requestRefund } from './refundService.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { BadRequestError, ConflictError, NotFoundError } from '../utils/errors.js';
+
+// =====================================
+// RESERVATION PAYMENTS
+// =====================================
+// cost.payment tracks the money collected for a reservation and what was
+// returned. Payments are posted to the ledger in the same transaction;
+// money goes back through refund requests (services/refundService.js).
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const loadReservation = async (id, session) => {
+  const reservation = await Reservation.findById(id).session(session);
+  if (!reservation) {
+    throw new NotFoundError('Reservation not found');
+  }
+  return reservation;
+};
+
+// Without an amount the outstanding cost is collected
+export const payReservation = (id, { amount, method, transactionId }) => {
+  return runInTransaction(async (session) => {
+    const reservation = await loadReservation(id, session);
+    const { payment } = reservation.cost;
+
+    if (reservation.status === 'cancelled' || payment.status === 'refunded') {
+      throw new ConflictError('Reservation is cancelled or refunded', 'RESERVATION_NOT_PAYABLE');
+    }
+
+    const outstanding = round(reservation.cost.total - payment.paidAmount);
+    const charged = amount === undefined ? outstanding : amount;
+    if (outstanding <= 0) {
+      throw new ConflictError('Reservation is already paid', 'RESERVATION_ALREADY_PAID');
+    }
+    if (charged <= 0 || charged > outstanding) {
+      throw new BadRequestError('Amount exceeds the outstanding cost', { outstanding });
+    }
+
+    payment.paidAmount = round(payment.paidAmount + charged);
+    payment.status = payment.paidAmount >= reservation.cost.total ? 'paid' : 'partial';
+    payment.method = method;
+    payment.paidAt = new Date();
+    if (transactionId) payment.transactionId = transactionId;
+
+    await reservation.save();
+    await postReservationPayment(reservation, charged, session);
+    return reservation;
+  });
+};
+
+// Reservation.cancel() works out the refund from how early the cancellation
+// is; up to what was actually paid, it becomes a pending refund request
+export const cancelReservation = (id, { reason, notes }, cancelledBy) => {
+  return runInTransaction(async (session) => {
+    const reservation = await loadReservation(id, session);
+    if (reservation.status === 'cancelled') {
+      throw new ConflictError('Reservation is already cancelled', 'RESERVATION_ALREADY_CANCELLED');
+    }
+
+    await reservation.cancel(cancelledBy, reason, notes);
+
+    const { payment } = reservation.cost;
+    const amount = round(Math.min(reservation.cancellation.refundAmount, payment.paidAmount - payment.refundedAmount));
+    const requested = await Refund.exists({ reservation: reservation._id, status: { $in: ['pending', 'processing'] } }).session(session);
+
+    let refund = null;
+    if (amount > 0 && !requested) {
+      refund = await requestRefund({
+        reservation: reservation._id,
+        amount,
+        reason: `Reservation cancelled (${reason})`
+      }, { requestedBy: cancelledBy.userId, origin: 'reservation_cancellation' }, session);
+    }
+
+    return { reservation, refund };
+  });
+};
+
+export default { payReservation, cancelReservation };
@@ -0,0 +1,85 @@
+// =====================================
+// APPLICATION ERRORS
+// =====================================
+// Errors thrown from services and middleware carry an HTTP status and a
+// machine-readable code; the global error handler in app.js turns them into
+// JSON responses.
+
+export class AppError extends Error {
+  constructor(message, status = 500, code = 'INTERNAL_ERROR', details = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message = 'Bad request', details = null) {
+    super(message, 400, 'BAD_REQUEST', details);
+  }
+}
+
+export class AuthenticationError extends AppError {
+  constructor(message = 'Authentication required', code = 'AUTHENTICATION_ERROR') {
+    super(message, 401, code);
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'Access denied', code = 'FORBIDDEN', details = null) {
+    super(message, 403, code, details);
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Resource not found') {
+    super(message, 404, 'NOT_FOUND');
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = 'Conflict', code = 'CONFLICT', details = null) {
+    super(message, 409, code, details);
+  }
+}
+
+// The payment gateway failed or answered something unexpected
+export class GatewayError extends AppError {
+  constructor(message = 'Payment gateway error', details = null) {
+    super(message, 502, 'GATEWAY_ERROR', details);
+  }
+}
+
+// A feature whose configuration is missing; the rest of the API keeps working
+export class ServiceUnavailableError extends AppError {
+  constructor(message = 'Service unavailable', code = 'SERVICE_UNAVAILABLE', details = null) {
+    super(message, 503, code, details);
+  }
+}
+
+// No usable payment gateway is configured
+export class GatewayUnavailableError extends ServiceUnavailableError {
+  constructor(message = 'Payment gateway is not available', details = null) {
+    super(message, 'PAYMENT_GATEWAY_UNAVAILABLE', details);
+  }
+}
+
+// Shaped like a Mongoose ValidationError (name + `errors` keyed by path) so the
+// global handler formats request and schema validation failures the same way
+export class RequestValidationError extends AppError {
+  constructor(errors, message = 'Validation failed') {
+    super(message, 400, 'VALIDATION_ERROR');
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+// Raised by the model layer when a protected system document would be
+// deleted or changed in a forbidden way
+export class SystemProtectedError extends ConflictError {
+  constructor(message, details = null) {
+    super(message, 'SYSTEM_PROTECTED', details);
+  }
+}
@@ -0,0 +1,23 @@
+import { getRequestContext } from './requestContext.js';
+
+// =====================================
+// LOGGER
+// =====================================
+// Console logging with a timestamp and, while a request is being handled, its
+// request id, so a line written deep inside a service can be matched to the
+// request (and the X-Request-Id header) that caused it.
+const write = (method, level) => (message, ...details) => {
+  const context = getRequestContext();
+  const prefix = [new Date().toISOString(), level, context ? `[${context.requestId}]` : null]
+    .filter(Boolean)
+    .join(' ');
+  console[method](`${prefix} ${message}`, ...details);
+};
+
+export const logger = {
+  info: write('log', 'INFO'),
+  warn: write('warn', 'WARN'),
+  error: write('error', 'ERROR')
+};
+
+export default logger;
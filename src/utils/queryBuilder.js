@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+import { BadRequestError } from './errors.js';
+
+// =====================================
+// LIST QUERY PARSING (pagination, sort, projection, filters)
+// =====================================
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+const toArray = (value) => {
+  if (Array.isArray(value)) return value;
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+};
+
+const castValue = (raw, type, param) => {
+  switch (type) {
+    case 'number': {
+      const value = Number(raw);
+      if (!Number.isFinite(value)) throw new BadRequestError(`Query parameter '${param}' must be a number`);
+      return value;
+    }
+    case 'boolean':
+      if (raw === 'true' || raw === true) return true;
+      if (raw === 'false' || raw === false) return false;
+      throw new BadRequestError(`Query parameter '${param}' must be true or false`);
+    case 'objectId':
+      if (!mongoose.Types.ObjectId.isValid(raw)) {
+        throw new BadRequestError(`Query parameter '${param}' must be a valid id`);
+      }
+      return new mongoose.Types.ObjectId(raw);
+    case 'date': {
+      const value = new Date(raw);
+      if (Number.isNaN(value.getTime())) throw new BadRequestError(`Query parameter '${param}' must be a valid date`);
+      return value;
+    }
+    default:
+      return String(raw);
+  }
+};
+
+export const parsePagination = (query, maxLimit = MAX_LIMIT) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), maxLimit);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// "?sort=-createdAt,name" -> { createdAt: -1, name: 1 }
+export const parseSort = (sortParam, defaultSort = { createdAt: -1 }, hiddenFields = []) => {
+  if (!sortParam) return defaultSort;
+
+  const sort = {};
+  for (const token of toArray(sortParam)) {
+    const direction = token.startsWith('-') ? -1 : 1;
+    const field = token.replace(/^[-+]/, '');
+    if (!field || hiddenFields.includes(field)) continue;
+    sort[field] = direction;
+  }
+
+  return Object.keys(sort).length > 0 ? sort : defaultSort;
+};
+
+// "?fields=name,status" -> "name status" (hidden fields are always removed)
+export const parseProjection = (fieldsParam, hiddenFields = []) => {
+  const exclusion = hiddenFields.map(field => `-${field}`).join(' ');
+  if (!fieldsParam) return exclusion || undefined;
+
+  const fields = toArray(fieldsParam)
+    .map(field => field.replace(/^[-+]/, ''))
+    .filter(field => field && !hiddenFields.some(hidden => field === hidden || field.startsWith(`${hidden}.`)));
+
+  return fields.length > 0 ? fields.join(' ') : exclusion || undefined;
+};
+
+// Maps query parameters onto MongoDB conditions.
+// filterMap: { param: { field, type = 'string', op } }
+// - string params accept comma-separated lists ($in)
+// - `op` ($gte, $lte, ...) builds range conditions on the same field
+export const buildFilter = (query, filterMap = {}) => {
+  const filter = {};
+
+  for (const [param, spec] of Object.entries(filterMap)) {
+    const raw = query[param];
+    if (raw === undefined || raw === '') continue;
+
+    const { field, type = 'string', op } = spec;
+
+    if (op) {
+      filter[field] = { ...(filter[field] || {}), [op]: castValue(raw, type, param) };
+      continue;
+    }
+
+    const values = type === 'string' || type === 'objectId' ? toArray(raw) : [raw];
+    const cast = values.map(value => castValue(value, type, param));
+    filter[field] = cast.length > 1 ? { $in: cast } : cast[0];
+  }
+
+  return filter;
+};
+
+export default { parsePagination, parseSort, parseProjection, buildFilter };
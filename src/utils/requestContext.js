@@ -0,0 +1,15 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// =====================================
+// REQUEST CONTEXT
+// =====================================
+// Per-request values (request id, IP, authenticated user) that code without
+// access to `req` - such as model middleware - can read while the request is
+// being handled. Outside a request (seeds, scripts) the context is null.
+const storage = new AsyncLocalStorage();
+
+export const runWithContext = (context, callback) => storage.run(context, callback);
+
+export const getRequestContext = () => storage.getStore() || null;
+
+export default { runWithContext, getRequestContext };
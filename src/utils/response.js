@@ -0,0 +1,22 @@
+// Sends a response in the API's standard success envelope
+export const sendSuccess = (res, data = null, message = 'Operation completed successfully', status = 200, extra = {}) => {
+  return res.status(status).json({
+    success: true,
+    data,
+    message,
+    ...extra,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Sends a generated PDF for the browser to display
+export const sendPdf = (res, { filename, buffer }) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Content-Length': buffer.length
+  });
+  return res.send(buffer);
+};
+
+export default sendSuccess;
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// =====================================
+// MONGODB TRANSACTIONS
+// =====================================
+// Runs `work(session)` in a transaction and returns its result. Transactions
+// need a replica set (Atlas clusters are one). The callback can be retried on
+// transient errors, so it must (re)load everything it writes through the
+// session instead of reusing documents from outside.
+export const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+export default runInTransaction;
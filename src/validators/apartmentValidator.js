@@ -0,0 +1,91 @@
+import Joi from 'joi';
+import { enumList, listQueryKeys, objectId } from './common.js';
+
+const STATUSES = ['available', 'occupied', 'maintenance', 'reserved'];
+
+const apartmentKeys = {
+  tower: objectId(),
+  number: Joi.string().trim().max(4),
+  floor: Joi.number().integer().min(1).max(50),
+  status: Joi.string().valid(...STATUSES),
+  ownerInfo: Joi.object({
+    fullName: Joi.string(),
+    documentNumber: Joi.string(),
+    phone: Joi.string(),
+    email: Joi.string().email()
+  }),
+  details: Joi.object({
+    bedrooms: Joi.number().integer().min(1).max(10),
+    bathrooms: Joi.number().integer().min(1).max(10),
+    area: Joi.number().min(20).max(500),
+    balcony: Joi.boolean(),
+    parking: Joi.object({
+      hasParking: Joi.boolean(),
+      parkingNumber: Joi.string(),
+      parkingType: Joi.string().valid('regular', 'covered', 'motorcycle')
+    })
+  }),
+  financial: Joi.object({
+    monthlyFee: Joi.number().min(0),
+    administrationFee: Joi.number().min(0),
+    lastPaymentDate: Joi.date(),
+    paymentStatus: Joi.string().valid('current', 'overdue', 'partial', 'payment_plan')
+  }),
+  isActive: Joi.boolean()
+};
+
+// Values applied to every unit created by POST /api/towers/:id/generate
+export const layoutDefaults = Joi.object({
+  status: apartmentKeys.status,
+  details: apartmentKeys.details,
+  financial: apartmentKeys.financial
+});
+
+export const create = Joi.object({
+  ...apartmentKeys,
+  tower: apartmentKeys.tower.required(),
+  number: apartmentKeys.number.required(),
+  floor: apartmentKeys.floor.required()
+});
+
+export const update = Joi.object(apartmentKeys).min(1);
+
+// POST /api/towers/:id/apartments takes the tower from the URL
+export const createInTower = create.keys({ tower: Joi.forbidden() });
+
+export const updateInTower = update.keys({ tower: Joi.forbidden() });
+
+export const towerParams = Joi.object({
+  id: objectId().required(),
+  number: Joi.string().trim().max(4).required()
+});
+
+export const moveIn = Joi.object({
+  userId: objectId().required(),
+  isTenant: Joi.boolean(),
+  moveInDate: Joi.date()
+});
+
+export const moveOut = Joi.object({
+  moveOutDate: Joi.date(),
+  reason: Joi.string().trim().max(200)
+});
+
+export const charge = Joi.object({
+  description: Joi.string().trim().max(100).required(),
+  amount: Joi.number().greater(0).required(),
+  category: Joi.string().valid('fine', 'amenities', 'other')
+});
+
+export const query = Joi.object({
+  ...listQueryKeys,
+  tower: objectId(),
+  number: Joi.string(),
+  floor: Joi.number().integer().min(1),
+  status: enumList(STATUSES),
+  ownerId: objectId(),
+  paymentStatus: enumList(['current', 'overdue', 'partial', 'payment_plan']),
+  isActive: Joi.boolean()
+});
+
+export default { create, update, createInTower, updateInTower, towerParams, layoutDefaults, moveIn, moveOut, charge, query };
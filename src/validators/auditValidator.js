@@ -0,0 +1,18 @@
+import Joi from 'joi';
+import { enumList, listQueryKeys, objectId } from './common.js';
+import { auditedEntities } from '../models/plugins/audit.js';
+
+const ACTIONS = ['create', 'update', 'delete'];
+
+export const query = Joi.object({
+  ...listQueryKeys,
+  entity: enumList(auditedEntities),
+  entityId: objectId(),
+  action: enumList(ACTIONS),
+  actor: objectId(),
+  requestId: Joi.string().max(200),
+  dateFrom: Joi.date(),
+  dateTo: Joi.date()
+});
+
+export default { query };
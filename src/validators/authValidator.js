@@ -0,0 +1,25 @@
+import Joi from 'joi';
+import userSchemas from './userValidator.js';
+
+export const login = Joi.object({
+  username: Joi.string().trim().required(),
+  password: Joi.string().required()
+});
+
+export const register = Joi.object({
+  username: userSchemas.create.extract('username'),
+  email: userSchemas.create.extract('email'),
+  password: userSchemas.create.extract('password'),
+  profile: userSchemas.create.extract('profile')
+});
+
+export const refresh = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
+export const logout = Joi.object({
+  refreshToken: Joi.string().required(),
+  allSessions: Joi.boolean()
+});
+
+export default { login, register, refresh, logout };
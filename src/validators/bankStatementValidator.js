@@ -0,0 +1,42 @@
+import Joi from 'joi';
+import { enumList, listQueryKeys, objectId } from './common.js';
+
+const LINE_STATUSES = ['unmatched', 'proposed', 'confirmed', 'ignored'];
+
+// Multipart fields sent with the file
+export const importStatement = Joi.object({
+  format: Joi.string().valid('csv', 'ofx'),
+  bankAccount: Joi.string().trim().max(50)
+});
+
+export const lineParams = Joi.object({
+  id: objectId().required(),
+  lineId: objectId().required()
+});
+
+// Without payment the proposed match is confirmed
+export const confirm = Joi.object({
+  payment: objectId(),
+  notes: Joi.string().trim().max(500)
+});
+
+export const ignore = Joi.object({
+  notes: Joi.string().trim().max(500).required()
+});
+
+export const unmatchedQuery = Joi.object({
+  from: Joi.date(),
+  to: Joi.date().min(Joi.ref('from')),
+  status: enumList(LINE_STATUSES),
+  statement: objectId()
+});
+
+export const query = Joi.object({
+  ...listQueryKeys,
+  format: enumList(['csv', 'ofx']),
+  bankAccount: Joi.string().trim().max(50),
+  dateFrom: Joi.date(),
+  dateTo: Joi.date()
+});
+
+export default { importStatement, lineParams, confirm, ignore, unmatchedQuery, query };
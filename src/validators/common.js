@@ -0,0 +1,43 @@
+import Joi from 'joi';
+
+// =====================================
+// SHARED JOI BUILDING BLOCKS
+// =====================================
+export const objectId = () => Joi.string().hex().length(24).messages({
+  'string.hex': '{{#label}} must be a valid id',
+  'string.length': '{{#label}} must be a valid id'
+});
+
+export const idParams = Joi.object({
+  id: objectId().required()
+});
+
+// Parameters accepted by every list endpoint (see utils/queryBuilder.js)
+export const listQueryKeys = {
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100),
+  sort: Joi.string().max(200),
+  fields: Joi.string().max(500),
+  q: Joi.string().trim().max(200)
+};
+
+// Comma-separated list of enum values, e.g. "?status=pending,failed".
+// `values` can be a function, read when a request is validated.
+export const enumList = (values) => Joi.string().custom((value, helpers) => {
+  const allowed = typeof values === 'function' ? values() : values;
+  const invalid = value.split(',').map(v => v.trim()).filter(v => !allowed.includes(v));
+  if (invalid.length > 0) {
+    return helpers.message(`{{#label}} contains invalid values: ${invalid.join(', ')}`);
+  }
+  return value;
+});
+
+export const fileSchema = Joi.object({
+  filename: Joi.string().required(),
+  originalName: Joi.string().required(),
+  size: Joi.number().min(0).required(),
+  mimetype: Joi.string().required(),
+  url: Joi.string().required()
+});
+
+export default { objectId, idParams, listQueryKeys, enumList, fileSchema };
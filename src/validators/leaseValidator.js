@@ -0,0 +1,50 @@
+import Joi from 'joi';
+import { enumList, listQueryKeys, objectId } from './common.js';
+
+const STATUSES = ['active', 'renewed', 'terminated'];
+
+// Rules that can change during the lease; parties and dates cannot
+const ruleKeys = {
+  feesPaidBy: Joi.string().valid('owner', 'tenant'),
+  amenityAccess: Joi.string().valid('tenant', 'owner', 'both'),
+  notes: Joi.string().trim().max(500).allow('')
+};
+
+export const create = Joi.object({
+  ...ruleKeys,
+  apartment: objectId().required(),
+  // Defaults to the apartment's owner
+  owner: objectId(),
+  tenant: objectId().required(),
+  startDate: Joi.date().required(),
+  endDate: Joi.date().greater(Joi.ref('startDate')).required(),
+  monthlyRent: Joi.number().min(0).required(),
+  deposit: Joi.object({
+    amount: Joi.number().min(0)
+  })
+});
+
+export const update = Joi.object(ruleKeys).min(1);
+
+export const renew = Joi.object({
+  endDate: Joi.date().required(),
+  monthlyRent: Joi.number().min(0),
+  notes: ruleKeys.notes
+});
+
+export const terminate = Joi.object({
+  date: Joi.date(),
+  reason: Joi.string().trim().max(200).required(),
+  depositStatus: Joi.string().valid('held', 'returned', 'applied')
+});
+
+export const query = Joi.object({
+  ...listQueryKeys,
+  apartment: objectId(),
+  owner: objectId(),
+  tenant: objectId(),
+  status: enumList(STATUSES),
+  feesPaidBy: Joi.string().valid('owner', 'tenant')
+});
+
+export default { create, update, renew, terminate, query };
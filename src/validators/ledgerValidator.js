@@ -0,0 +1,53 @@
+import Joi from 'joi';
+import { enumList, listQueryKeys, objectId } from './common.js';
+
+const ACCOUNT_TYPES = ['asset', 'liability', 'equity', 'income', 'expense'];
+const SOURCE_TYPES = ['payment', 'receipt', 'late_fee', 'reservation', 'refund', 'maintenance', 'manual'];
+
+const accountCode = Joi.string().pattern(/^\d{1,10}$/).message('Account code must be numeric');
+
+export const createAccount = Joi.object({
+  code: accountCode.required(),
+  name: Joi.string().trim().max(100).required(),
+  type: Joi.string().valid(...ACCOUNT_TYPES).required(),
+  nature: Joi.string().valid('debit', 'credit')
+});
+
+export const updateAccount = Joi.object({
+  name: Joi.string().trim().max(100),
+  isActive: Joi.boolean()
+}).min(1);
+
+export const accountQuery = Joi.object({
+  ...listQueryKeys,
+  type: enumList(ACCOUNT_TYPES),
+  isActive: Joi.boolean()
+});
+
+// Manual entries: the model checks that debits equal credits
+export const createEntry = Joi.object({
+  date: Joi.date().default(() => new Date()),
+  description: Joi.string().trim().max(200).required(),
+  lines: Joi.array().items(Joi.object({
+    account: accountCode.required(),
+    debit: Joi.number().min(0).default(0),
+    credit: Joi.number().min(0).default(0),
+    description: Joi.string().trim().max(200)
+  })).min(2).required()
+});
+
+export const entryQuery = Joi.object({
+  ...listQueryKeys,
+  account: accountCode,
+  sourceType: enumList(SOURCE_TYPES),
+  sourceId: objectId(),
+  dateFrom: Joi.date(),
+  dateTo: Joi.date()
+});
+
+export const reportQuery = Joi.object({
+  from: Joi.date(),
+  to: Joi.date().min(Joi.ref('from'))
+});
+
+export default { createAccount, updateAccount, accountQuery, createEntry, entryQuery, reportQuery };
@@ -0,0 +1,106 @@
+import Joi from 'joi';
+import { enumList, listQueryKeys, objectId } from './common.js';
+
+const STATUSES = ['available', 'occupied', 'reserved', 'maintenance', 'out_of_service'];
+const TYPES = ['regular', 'covered', 'motorcycle', 'disabled', 'visitor', 'electric'];
+
+const documentSchema = Joi.object({
+  number: Joi.string(),
+  expiryDate: Joi.date(),
+  isValid: Joi.boolean()
+});
+
+const vehicleSchema = Joi.object({
+  type: Joi.string().valid('car', 'motorcycle', 'truck', 'van', 'suv', 'bicycle'),
+  plate: Joi.string().trim().uppercase().max(10),
+  brand: Joi.string().trim().max(30),
+  model: Joi.string().trim().max(30),
+  year: Joi.number().integer().min(1900).max(new Date().getFullYear() + 2),
+  color: Joi.string().trim().max(20),
+  engineCC: Joi.string().trim().max(30),
+  documents: Joi.object({
+    soat: documentSchema,
+    technicalReview: documentSchema,
+    registration: documentSchema
+  })
+});
+
+// Occupied spaces must identify the vehicle (mirrors the Mongoose rule)
+const occupiedVehicle = vehicleSchema.keys({
+  type: vehicleSchema.extract('type').required(),
+  plate: vehicleSchema.extract('plate').required()
+}).required();
+
+const detailsKeys = {
+  floor: Joi.number().integer().min(-5).max(10),
+  section: Joi.string().trim().max(5),
+  dimensions: Joi.object({
+    length: Joi.number().min(2).max(10),
+    width: Joi.number().min(1.5).max(5),
+    height: Joi.number().min(1.8).max(3)
+  }),
+  hasElectricCharging: Joi.boolean(),
+  hasCover: Joi.boolean(),
+  hasStorage: Joi.boolean(),
+  securityLevel: Joi.string().valid('basic', 'medium', 'high')
+};
+
+const baseKeys = {
+  number: Joi.string().trim().max(5),
+  status: Joi.string().valid(...STATUSES),
+  type: Joi.string().valid(...TYPES),
+  assignedUserId: objectId().allow(null),
+  assignedUserInfo: Joi.object({
+    fullName: Joi.string(),
+    documentNumber: Joi.string(),
+    phone: Joi.string(),
+    apartmentNumber: Joi.string(),
+    towerName: Joi.string()
+  }),
+  vehicle: Joi.when('status', { is: 'occupied', then: occupiedVehicle, otherwise: vehicleSchema }),
+  monthlyFee: Joi.number().min(0),
+  notes: Joi.string().max(1000),
+  isActive: Joi.boolean()
+};
+
+export const create = Joi.object({
+  ...baseKeys,
+  number: baseKeys.number.required(),
+  details: Joi.object({
+    ...detailsKeys,
+    floor: detailsKeys.floor.required()
+  }).required()
+});
+
+export const update = Joi.object({
+  ...baseKeys,
+  details: Joi.object(detailsKeys)
+}).min(1);
+
+export const maintenance = Joi.object({
+  type: Joi.string().valid('cleaning', 'repair', 'painting', 'electrical', 'security', 'other').required(),
+  description: Joi.string().trim().max(500).required(),
+  performedBy: Joi.object({
+    name: Joi.string().trim(),
+    company: Joi.string().trim(),
+    phone: Joi.string().trim()
+  }),
+  cost: Joi.number().min(0),
+  startDate: Joi.date().default(() => new Date()),
+  endDate: Joi.date().min(Joi.ref('startDate')),
+  status: Joi.string().valid('scheduled', 'in_progress', 'completed', 'cancelled')
+});
+
+export const query = Joi.object({
+  ...listQueryKeys,
+  number: Joi.string(),
+  status: enumList(STATUSES),
+  type: enumList(TYPES),
+  assignedUserId: objectId(),
+  floor: Joi.number().integer(),
+  section: Joi.string(),
+  plate: Joi.string(),
+  isActive: Joi.boolean()
+});
+
+export default { create, update, maintenance, query };
@@ -0,0 +1,33 @@
+import Joi from 'joi';
+import { enumList, listQueryKeys, objectId } from './common.js';
+
+const STATUSES = ['active', 'completed', 'broken', 'cancelled'];
+
+// Without payments every overdue payment of the owner is consolidated
+export const create = Joi.object({
+  owner: objectId().required(),
+  payments: Joi.array().items(objectId()).min(1).unique(),
+  installments: Joi.number().integer().min(1).required(),
+  firstDueDate: Joi.date().greater('now'),
+  notes: Joi.string().trim().max(500)
+});
+
+export const cancel = Joi.object({
+  reason: Joi.string().trim().max(500).required()
+});
+
+export const check = Joi.object({
+  // A future date would break plans whose installments are not due yet
+  asOf: Joi.date().max('now'),
+  dryRun: Joi.boolean().default(false)
+});
+
+export const query = Joi.object({
+  ...listQueryKeys,
+  status: enumList(STATUSES),
+  owner: objectId(),
+  dateFrom: Joi.date(),
+  dateTo: Joi.date()
+});
+
+export default { create, cancel, check, query };
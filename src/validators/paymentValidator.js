@@ -0,0 +1,94 @@
+import Joi from 'joi';
+import { enumList, listQueryKeys, objectId } from './common.js';
+
+const STATUSES = ['pending', 'partial', 'completed', 'failed', 'cancelled', 'refunded'];
+export const METHODS = ['cash', 'credit_card', 'debit_card', 'bank_transfer', 'online', 'check'];
+const CATEGORIES = ['maintenance', 'parking', 'amenities', 'fine', 'deposit', 'other'];
+
+const itemSchema = Joi.object({
+  description: Joi.string().trim().max(100).required(),
+  amount: Joi.number().min(0).required(),
+  category: Joi.string().valid(...CATEGORIES).required()
+});
+
+// Mirrors the pre-save rule: when items are sent, they must add up to the total
+const matchesItems = (value, helpers) => {
+  const { items } = helpers.state.ancestors[0];
+  if (Array.isArray(items) && items.length > 0) {
+    const itemsTotal = items.reduce((total, item) => total + Number(item.amount || 0), 0);
+    if (Math.abs(value - itemsTotal) > 0.01) {
+      return helpers.message('{{#label}} must match sum of items');
+    }
+  }
+  return value;
+};
+
+const baseKeys = {
+  owner: objectId(),
+  totalAmount: Joi.number().min(0).custom(matchesItems),
+  // Payments become refunded only through approved refunds
+  paymentStatus: Joi.string().valid(...STATUSES.filter(status => status !== 'refunded')),
+  paymentMethod: Joi.string().valid(...METHODS),
+  referenceNumber: Joi.string().trim().max(50),
+  items: Joi.array().items(itemSchema),
+  paymentDate: Joi.date(),
+  dueDate: Joi.date(),
+  notes: Joi.string().trim().max(500),
+  apartment: objectId(),
+  tower: objectId()
+};
+
+export const create = Joi.object({
+  ...baseKeys,
+  owner: baseKeys.owner.required(),
+  totalAmount: baseKeys.totalAmount.required(),
+  paymentMethod: baseKeys.paymentMethod.required()
+});
+
+export const update = Joi.object(baseKeys).min(1);
+
+export const billingRun = Joi.object({
+  period: Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])$/).required()
+    .messages({ 'string.pattern.base': 'period must be YYYY-MM' }),
+  tower: objectId(),
+  dueDate: Joi.date(),
+  dryRun: Joi.boolean().default(false)
+});
+
+export const lateFeeRun = Joi.object({
+  // A future date would charge interest that has not accrued yet, and
+  // accruedThrough cannot move back
+  asOf: Joi.date().max('now'),
+  dryRun: Joi.boolean().default(false)
+});
+
+export const reconcile = Joi.object({
+  olderThan: Joi.date(),
+  dryRun: Joi.boolean().default(false)
+});
+
+// GET /api/payments/verify/:receiptNumber?code= (link in the receipt QR code)
+export const verifyParams = Joi.object({
+  receiptNumber: Joi.string().trim().max(50).required()
+});
+
+export const verifyQuery = Joi.object({
+  code: Joi.string().hex().length(16).required()
+});
+
+export const query = Joi.object({
+  ...listQueryKeys,
+  owner: objectId(),
+  status: enumList(STATUSES),
+  method: enumList(METHODS),
+  category: enumList(CATEGORIES),
+  referenceNumber: Joi.string(),
+  tower: objectId(),
+  apartment: objectId(),
+  dateFrom: Joi.date(),
+  dateTo: Joi.date(),
+  dueBefore: Joi.date(),
+  billingPeriod: Joi.string().max(7)
+});
+
+export default { create, update, billingRun, lateFeeRun, reconcile, verifyParams, verifyQuery, query };
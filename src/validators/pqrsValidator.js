@@ -0,0 +1,76 @@
+import Joi from 'joi';
+import { enumList, fileSchema, listQueryKeys, objectId } from './common.js';
+
+const CATEGORIES = ['peticion', 'queja', 'reclamo', 'sugerencia'];
+const PRIORITIES = ['low', 'medium', 'high', 'urgent', 'critical'];
+const STATUSES = ['received', 'in_review', 'in_progress', 'pending_info', 'resolved', 'closed', 'rejected'];
+const DEPARTMENTS = ['administration', 'maintenance', 'security', 'cleaning', 'legal', 'finance'];
+
+const assignedToSchema = Joi.object({
+  department: Joi.string().valid(...DEPARTMENTS),
+  userId: objectId(),
+  fullName: Joi.string()
+});
+
+const notificationsSchema = Joi.object({
+  emailUpdates: Joi.boolean(),
+  smsUpdates: Joi.boolean(),
+  pushNotifications: Joi.boolean()
+});
+
+export const create = Joi.object({
+  category: Joi.string().valid(...CATEGORIES).required(),
+  title: Joi.string().trim().max(100).required(),
+  description: Joi.string().trim().max(2000).required(),
+  files: Joi.array().items(fileSchema),
+  createdBy: Joi.object({
+    userId: objectId().required(),
+    userInfo: Joi.object({
+      fullName: Joi.string().required(),
+      documentNumber: Joi.string(),
+      phone: Joi.string(),
+      email: Joi.string().email(),
+      apartmentNumber: Joi.string(),
+      towerName: Joi.string()
+    }).required(),
+    submissionMethod: Joi.string().valid('web', 'mobile', 'email', 'physical', 'phone')
+  }).required(),
+  priority: Joi.string().valid(...PRIORITIES),
+  assignedTo: assignedToSchema,
+  tags: Joi.array().items(Joi.string().trim().lowercase()),
+  notifications: notificationsSchema,
+  isPublic: Joi.boolean(),
+  isAnonymous: Joi.boolean()
+});
+
+export const update = Joi.object({
+  category: Joi.string().valid(...CATEGORIES),
+  title: Joi.string().trim().max(100),
+  description: Joi.string().trim().max(2000),
+  files: Joi.array().items(fileSchema),
+  currentStatus: Joi.string().valid(...STATUSES),
+  priority: Joi.string().valid(...PRIORITIES),
+  assignedTo: assignedToSchema,
+  tags: Joi.array().items(Joi.string().trim().lowercase()),
+  notifications: notificationsSchema,
+  isPublic: Joi.boolean(),
+  isAnonymous: Joi.boolean(),
+  isArchived: Joi.boolean()
+}).min(1);
+
+export const query = Joi.object({
+  ...listQueryKeys,
+  status: enumList(STATUSES),
+  category: enumList(CATEGORIES),
+  priority: enumList(PRIORITIES),
+  department: enumList(DEPARTMENTS),
+  assignedTo: Joi.number().integer(),
+  createdBy: objectId(),
+  tags: Joi.string(),
+  isArchived: Joi.boolean(),
+  resolveBefore: Joi.date(),
+  createdFrom: Joi.date(),
+  createdTo: Joi.date()
+});
+
+export default { create, update, query };
@@ -0,0 +1,33 @@
+import Joi from 'joi';
+import { enumList, listQueryKeys, objectId } from './common.js';
+import { METHODS } from './paymentValidator.js';
+
+export const create = Joi.object({
+  owner: objectId().required(),
+  amount: Joi.number().greater(0).required(),
+  method: Joi.string().valid(...METHODS).required(),
+  receivedAt: Joi.date(),
+  reference: Joi.string().trim().max(50),
+  notes: Joi.string().trim().max(500),
+  // Without allocations the amount goes to the oldest open payments
+  allocations: Joi.array().items(Joi.object({
+    payment: objectId().required(),
+    amount: Joi.number().greater(0).required()
+  })).unique((a, b) => a.payment === b.payment)
+});
+
+export const statementQuery = Joi.object({
+  from: Joi.date(),
+  to: Joi.date().min(Joi.ref('from'))
+});
+
+export const query = Joi.object({
+  ...listQueryKeys,
+  owner: objectId(),
+  method: enumList(METHODS),
+  payment: objectId(),
+  dateFrom: Joi.date(),
+  dateTo: Joi.date()
+});
+
+export default { create, statementQuery, query };
@@ -0,0 +1,38 @@
+import Joi from 'joi';
+import { enumList, listQueryKeys, objectId } from './common.js';
+import { METHODS } from './paymentValidator.js';
+
+const STATUSES = ['pending', 'processing', 'approved', 'rejected'];
+
+// Without an amount everything still refundable is requested; without a
+// method the money goes back the way it was paid
+export const create = Joi.object({
+  payment: objectId(),
+  reservation: objectId(),
+  amount: Joi.number().greater(0),
+  reason: Joi.string().trim().max(500).required(),
+  method: Joi.string().valid(...METHODS)
+}).xor('payment', 'reservation');
+
+export const approve = Joi.object({
+  method: Joi.string().valid(...METHODS),
+  reference: Joi.string().trim().max(50),
+  notes: Joi.string().trim().max(500)
+});
+
+export const reject = Joi.object({
+  notes: Joi.string().trim().max(500).required()
+});
+
+export const query = Joi.object({
+  ...listQueryKeys,
+  status: enumList(STATUSES),
+  owner: objectId(),
+  payment: objectId(),
+  reservation: objectId(),
+  origin: enumList(['manual', 'reservation_cancellation']),
+  dateFrom: Joi.date(),
+  dateTo: Joi.date()
+});
+
+export default { create, approve, reject, query };
@@ -0,0 +1,11 @@
+import Joi from 'joi';
+import { objectId } from './common.js';
+
+export const financeQuery = Joi.object({
+  from: Joi.date(),
+  to: Joi.date().min(Joi.ref('from')),
+  tower: objectId(),
+  top: Joi.number().integer().min(1).max(100).default(10)
+});
+
+export default { financeQuery };
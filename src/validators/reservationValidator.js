@@ -0,0 +1,146 @@
+import Joi from 'joi';
+import { enumList, listQueryKeys, objectId } from './common.js';
+
+const TYPES = ['pool', 'bbq_area', 'meeting_room', 'gym', 'party_room', 'playground', 'tennis_court', 'multipurpose_room'];
+const STATUSES = ['pending', 'confirmed', 'cancelled', 'completed', 'no_show', 'in_progress'];
+const EVENT_TYPES = ['birthday', 'meeting', 'exercise', 'family_gathering', 'business', 'celebration', 'other'];
+
+// Same rule as the Mongoose validator: today or later
+const notInPast = Joi.date().custom((value, helpers) => {
+  if (value < new Date().setHours(0, 0, 0, 0)) {
+    return helpers.message('{{#label}} cannot be in the past');
+  }
+  return value;
+});
+
+const guestSchema = Joi.object({
+  name: Joi.string().trim().required(),
+  documentNumber: Joi.string(),
+  phone: Joi.string(),
+  relationship: Joi.string().valid('family', 'friend', 'business', 'service_provider', 'other')
+});
+
+const attendeesKeys = {
+  expectedCount: Joi.number().integer().min(1).max(200),
+  guestList: Joi.array().items(guestSchema),
+  minAge: Joi.number().integer().min(0),
+  maxAge: Joi.number().integer().min(0),
+  childrenCount: Joi.number().integer().min(0),
+  adultCount: Joi.number().integer().min(0)
+};
+
+const serviceSchema = Joi.object({
+  requested: Joi.boolean(),
+  provider: Joi.string(),
+  cost: Joi.number().min(0)
+}).unknown(true);
+
+const costKeys = {
+  baseFee: Joi.number().min(0),
+  equipmentFee: Joi.number().min(0),
+  serviceFee: Joi.number().min(0),
+  cleaningFee: Joi.number().min(0),
+  securityDeposit: Joi.number().min(0),
+  currency: Joi.string().length(3)
+};
+
+const optionalKeys = {
+  description: Joi.string().trim().max(500),
+  eventType: Joi.string().valid(...EVENT_TYPES),
+  equipment: Joi.object({
+    requested: Joi.array().items(Joi.object({
+      item: Joi.string().required(),
+      quantity: Joi.number().integer().min(1),
+      cost: Joi.number().min(0)
+    }))
+  }),
+  services: Joi.object({
+    catering: serviceSchema,
+    cleaning: serviceSchema,
+    security: serviceSchema,
+    decoration: serviceSchema
+  }),
+  requirements: Joi.object({
+    specialAccess: Joi.boolean(),
+    alcoholAllowed: Joi.boolean(),
+    musicAllowed: Joi.boolean(),
+    musicCutoffTime: Joi.string().pattern(/^\d{2}:\d{2}$/),
+    parkingRequired: Joi.boolean(),
+    parkingSpaces: Joi.number().integer().min(0)
+  }),
+  recurring: Joi.object({
+    isRecurring: Joi.boolean(),
+    frequency: Joi.string().valid('daily', 'weekly', 'biweekly', 'monthly')
+      .when('isRecurring', { is: true, then: Joi.required() }),
+    endDate: Joi.date(),
+    occurrences: Joi.number().integer().min(1).max(52)
+  }),
+  source: Joi.string().valid('web', 'mobile', 'phone', 'walk_in', 'staff'),
+  tags: Joi.array().items(Joi.string().trim().lowercase())
+};
+
+export const create = Joi.object({
+  type: Joi.string().valid(...TYPES).required(),
+  reservationDate: notInPast.required(),
+  startTime: Joi.date().required(),
+  endTime: Joi.date().greater(Joi.ref('startTime')).required(),
+  title: Joi.string().trim().max(100).required(),
+  reservedBy: Joi.object({
+    userId: objectId().required(),
+    userInfo: Joi.object({
+      fullName: Joi.string().required(),
+      documentNumber: Joi.string(),
+      phone: Joi.string().required(),
+      email: Joi.string().email(),
+      apartmentNumber: Joi.string().required(),
+      towerName: Joi.string()
+    }).required()
+  }).required(),
+  attendees: Joi.object({
+    ...attendeesKeys,
+    expectedCount: attendeesKeys.expectedCount.required()
+  }).required(),
+  cost: Joi.object({
+    ...costKeys,
+    baseFee: costKeys.baseFee.required()
+  }).required(),
+  ...optionalKeys
+});
+
+// Cancelling goes through POST /:id/cancel, which handles the refund
+export const update = Joi.object({
+  type: Joi.string().valid(...TYPES),
+  status: Joi.string().valid(...STATUSES.filter(status => status !== 'cancelled')),
+  reservationDate: notInPast,
+  startTime: Joi.date(),
+  endTime: Joi.date().when('startTime', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('startTime')) }),
+  title: Joi.string().trim().max(100),
+  attendees: Joi.object({ ...attendeesKeys, actualCount: Joi.number().integer().min(0) }),
+  cost: Joi.object(costKeys),
+  ...optionalKeys
+}).min(1);
+
+// Without an amount the outstanding cost is paid
+export const pay = Joi.object({
+  amount: Joi.number().greater(0),
+  method: Joi.string().valid('cash', 'transfer', 'card', 'check', 'online').required(),
+  transactionId: Joi.string().trim().max(100)
+});
+
+export const cancel = Joi.object({
+  reason: Joi.string().valid('user_request', 'facility_unavailable', 'maintenance', 'emergency', 'policy_violation', 'weather', 'other').required(),
+  notes: Joi.string().trim().max(500)
+});
+
+export const query = Joi.object({
+  ...listQueryKeys,
+  type: enumList(TYPES),
+  status: enumList(STATUSES),
+  userId: objectId(),
+  approvalRequired: Joi.boolean(),
+  parentReservationId: objectId(),
+  dateFrom: Joi.date(),
+  dateTo: Joi.date()
+});
+
+export default { create, update, pay, cancel, query };
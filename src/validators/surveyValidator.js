@@ -0,0 +1,71 @@
+import Joi from 'joi';
+import { enumList, listQueryKeys, objectId } from './common.js';
+
+const CATEGORIES = ['satisfaction', 'feedback', 'opinion', 'evaluation', 'research', 'poll', 'census'];
+const STATUSES = ['draft', 'testing', 'active', 'paused', 'completed', 'closed', 'archived'];
+
+const answerSchema = Joi.object({
+  questionId: objectId().required(),
+  answer: Joi.alternatives().try(
+    Joi.string().allow(''),
+    Joi.number(),
+    Joi.boolean(),
+    Joi.date(),
+    Joi.array(),
+    Joi.object()
+  ),
+  metadata: Joi.object({
+    timeSpent: Joi.number().min(0),
+    changedCount: Joi.number().integer().min(0),
+    skipped: Joi.boolean(),
+    otherText: Joi.string()
+  })
+});
+
+// Body for POST /api/surveys/:id/responses
+export const response = Joi.object({
+  respondent: Joi.object({
+    userId: objectId().required(),
+    userInfo: Joi.object({
+      fullName: Joi.string(),
+      email: Joi.string().email(),
+      phone: Joi.string(),
+      apartmentNumber: Joi.string(),
+      towerName: Joi.string(),
+      demographicInfo: Joi.object().unknown(true)
+    }),
+    isAnonymous: Joi.boolean()
+  }).required(),
+  answers: Joi.array().items(answerSchema).min(1).required(),
+  session: Joi.object({
+    startedAt: Joi.date(),
+    submittedAt: Joi.date(),
+    completedAt: Joi.date(),
+    timeSpent: Joi.number().min(0),
+    device: Joi.string().valid('desktop', 'tablet', 'mobile'),
+    currentPage: Joi.number().integer().min(1),
+    totalPages: Joi.number().integer().min(1),
+    progressPercent: Joi.number().min(0).max(100),
+    status: Joi.string().valid('started', 'in_progress', 'paused', 'completed', 'abandoned')
+  }).default({ status: 'completed' }),
+  followUp: Joi.object({
+    contactPermission: Joi.boolean(),
+    preferredContact: Joi.string().valid('email', 'phone', 'sms', 'in_person'),
+    bestTimeToContact: Joi.string(),
+    additionalComments: Joi.string()
+  })
+});
+
+export const query = Joi.object({
+  ...listQueryKeys,
+  status: enumList(STATUSES),
+  category: enumList(CATEGORIES),
+  createdBy: objectId(),
+  respondent: objectId(),
+  tags: Joi.string(),
+  isArchived: Joi.boolean(),
+  startsFrom: Joi.date(),
+  endsTo: Joi.date()
+});
+
+export default { response, query };
@@ -0,0 +1,69 @@
+import Joi from 'joi';
+import { listQueryKeys } from './common.js';
+import { layoutDefaults } from './apartmentValidator.js';
+
+const NUMBERING_SCHEMES = ['floor_unit', 'sequential'];
+
+const detailsKeys = {
+  totalFloors: Joi.number().integer().min(1).max(100),
+  apartmentsPerFloor: Joi.number().integer().min(1).max(20),
+  elevators: Joi.number().integer().min(0).max(10),
+  emergencyStairs: Joi.number().integer().min(1).max(5)
+};
+
+const financialKeys = {
+  annualBudget: Joi.number().min(0),
+  budgetYear: Joi.number().integer().min(2000).max(2100)
+};
+
+const amenitySchema = Joi.object({
+  name: Joi.string().required(),
+  description: Joi.string(),
+  isActive: Joi.boolean(),
+  floor: Joi.number().integer(),
+  capacity: Joi.number().integer().min(0),
+  requiresReservation: Joi.boolean()
+});
+
+export const create = Joi.object({
+  name: Joi.string().trim().max(30).required(),
+  details: Joi.object({
+    ...detailsKeys,
+    totalFloors: detailsKeys.totalFloors.required(),
+    apartmentsPerFloor: detailsKeys.apartmentsPerFloor.required()
+  }).required(),
+  financial: Joi.object(financialKeys),
+  amenities: Joi.array().items(amenitySchema),
+  isActive: Joi.boolean()
+});
+
+export const update = Joi.object({
+  name: Joi.string().trim().max(30),
+  details: Joi.object(detailsKeys),
+  financial: Joi.object(financialKeys),
+  amenities: Joi.array().items(amenitySchema),
+  isActive: Joi.boolean()
+}).min(1);
+
+export const generate = Joi.object({
+  numberingScheme: Joi.string().valid(...NUMBERING_SCHEMES).default('floor_unit'),
+  defaults: layoutDefaults.default({})
+});
+
+// GET /api/towers/:id/fees may try a budget before it is stored
+export const feesPreview = Joi.object({
+  annualBudget: financialKeys.annualBudget.greater(0)
+});
+
+export const applyFees = Joi.object({
+  annualBudget: financialKeys.annualBudget.greater(0),
+  budgetYear: financialKeys.budgetYear
+});
+
+export const query = Joi.object({
+  ...listQueryKeys,
+  name: Joi.string(),
+  isActive: Joi.boolean()
+});
+
+export default { create, update, generate, feesPreview, applyFees, query };
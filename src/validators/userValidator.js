@@ -0,0 +1,84 @@
+import Joi from 'joi';
+import { enumList, listQueryKeys, objectId } from './common.js';
+
+const STATUSES = ['active', 'inactive', 'suspended', 'pending', 'blocked'];
+const ROLE_TYPES = ['admin', 'manager', 'guard', 'owner', 'resident', 'guest'];
+
+const petSchema = Joi.object({
+  name: Joi.string().trim().max(30).required(),
+  species: Joi.string().trim().max(30).required(),
+  breed: Joi.string().trim().max(30),
+  vaccinationCard: Joi.string().allow(null),
+  photo: Joi.string().allow(null),
+  isActive: Joi.boolean()
+});
+
+const profileKeys = {
+  fullName: Joi.string().trim().max(100),
+  documentType: Joi.string().valid('CC', 'CE', 'TI', 'PP', 'NIT'),
+  documentNumber: Joi.string().trim().max(30),
+  telephoneNumber: Joi.string().trim().max(12).pattern(/^[0-9+\-\s()]+$/),
+  photo: Joi.string().allow(null)
+};
+
+const ownerInfoSchema = Joi.object({
+  isActive: Joi.boolean(),
+  isTenant: Joi.boolean(),
+  birthDate: Joi.date().less('now'),
+  pets: Joi.array().items(petSchema)
+});
+
+const guardInfoSchema = Joi.object({
+  arl: Joi.string().trim().max(30),
+  eps: Joi.string().trim().max(30),
+  shift: Joi.string().valid('morning', 'afternoon', 'night', 'rotating'),
+  isActive: Joi.boolean(),
+  startDate: Joi.date()
+});
+
+const baseKeys = {
+  username: Joi.string().trim().min(3).max(30),
+  email: Joi.string().trim().lowercase().email(),
+  password: Joi.string().min(6),
+  status: Joi.string().valid(...STATUSES),
+  role: objectId(),
+  roleType: Joi.string().valid(...ROLE_TYPES),
+  ownerInfo: ownerInfoSchema,
+  guardInfo: guardInfoSchema,
+  isVerified: Joi.boolean()
+};
+
+export const create = Joi.object({
+  ...baseKeys,
+  username: baseKeys.username.required(),
+  password: baseKeys.password.required(),
+  role: baseKeys.role.required(),
+  profile: Joi.object({
+    ...profileKeys,
+    fullName: profileKeys.fullName.required(),
+    documentType: profileKeys.documentType.required(),
+    documentNumber: profileKeys.documentNumber.required(),
+    telephoneNumber: profileKeys.telephoneNumber.required()
+  }).required()
+});
+
+export const update = Joi.object({
+  ...baseKeys,
+  profile: Joi.object(profileKeys)
+}).min(1);
+
+export const query = Joi.object({
+  ...listQueryKeys,
+  status: enumList(STATUSES),
+  role: objectId(),
+  roleType: enumList(ROLE_TYPES),
+  ownerActive: Joi.boolean(),
+  username: Joi.string(),
+  email: Joi.string(),
+  documentNumber: Joi.string(),
+  legacyId: Joi.number().integer().min(1),
+  createdFrom: Joi.date(),
+  createdTo: Joi.date()
+});
+
+export default { create, update, query };
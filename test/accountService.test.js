@@ -0,0 +1,139 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Apartment from '../src/models/Apartment.js';
+import PaymentPlan from '../src/models/PaymentPlan.js';
+import Receipt from '../src/models/Receipt.js';
+import Refund from '../src/models/Refund.js';
+import User from '../src/models/User.js';
+import { Payment } from '../src/models/Payment.js';
+import { ACCOUNTS } from '../src/services/ledgerService.js';
+import { recordReceipt, ownerStatement } from '../src/services/accountService.js';
+import { query, fakeTransactions, fakeLedger } from './helpers/mongo.js';
+
+const id = () => new mongoose.Types.ObjectId();
+const day = (value) => new Date(`${value}T12:00:00Z`);
+const ownerId = id();
+const apartmentId = id();
+
+const openPayment = (totalAmount, dueDate, amountPaid = 0) => ({
+  _id: id(),
+  owner: ownerId,
+  apartment: apartmentId,
+  totalAmount,
+  amountPaid,
+  paymentStatus: amountPaid > 0 ? 'partial' : 'pending',
+  dueDate: day(dueDate),
+  async save() {
+    return this;
+  }
+});
+
+// The owner's open payments, oldest due date first, as openPayments returns them
+const stubAccount = (t, payments) => {
+  fakeTransactions(t);
+  t.mock.method(User, 'exists', () => query({ _id: ownerId }));
+  t.mock.method(Payment, 'find', (filter) => query(filter.owner ? payments : []));
+  t.mock.method(Apartment, 'updateOne', async () => ({}));
+  t.mock.method(Receipt.prototype, 'save', async function() {
+    return this;
+  });
+  return fakeLedger(t);
+};
+
+const receiptData = (amount, allocations) => ({
+  owner: ownerId,
+  amount,
+  method: 'bank_transfer',
+  receivedAt: day('2025-04-02'),
+  ...(allocations && { allocations })
+});
+
+describe('recordReceipt', () => {
+  it('settles the oldest payments first and keeps the rest as credit', async (t) => {
+    const older = openPayment(100000, '2025-02-10', 40000);
+    const newer = openPayment(200000, '2025-03-10');
+    const entries = stubAccount(t, [older, newer]);
+
+    const { receipt, payments } = await recordReceipt(receiptData(300000));
+
+    assert.deepEqual(payments, [older, newer]);
+    assert.deepEqual(receipt.allocations.map(a => [a.payment, a.amount]), [[older._id, 60000], [newer._id, 200000]]);
+    assert.equal(receipt.credit, 40000);
+    assert.equal(older.amountPaid, 100000);
+    assert.equal(older.paymentDate.getTime(), day('2025-04-02').getTime());
+    assert.equal(newer.amountPaid, 200000);
+
+    const [entry] = entries;
+    assert.deepEqual(entry.lines.map(line => [line.account, line.debit, line.credit]), [
+      [ACCOUNTS.bank, 300000, 0],
+      [ACCOUNTS.receivable, 0, 260000],
+      [ACCOUNTS.advances, 0, 40000]
+    ]);
+  });
+
+  it('allocates to the payments the caller chose', async (t) => {
+    const older = openPayment(100000, '2025-02-10');
+    const newer = openPayment(200000, '2025-03-10');
+    stubAccount(t, [older, newer]);
+
+    const { receipt } = await recordReceipt(receiptData(150000, [{ payment: newer._id, amount: 150000 }]));
+
+    assert.equal(older.amountPaid, 0);
+    assert.equal(newer.amountPaid, 150000);
+    assert.equal(receipt.credit, 0);
+  });
+
+  it('rejects allocations above the payment balance or the amount received', async (t) => {
+    const payment = openPayment(100000, '2025-02-10');
+    const entries = stubAccount(t, [payment]);
+
+    await assert.rejects(recordReceipt(receiptData(150000, [{ payment: payment._id, amount: 120000 }])), { status: 400 });
+    await assert.rejects(recordReceipt(receiptData(50000, [{ payment: payment._id, amount: 60000 }])), { status: 400 });
+    await assert.rejects(recordReceipt(receiptData(50000, [{ payment: id(), amount: 10000 }])), { code: 'PAYMENT_NOT_OPEN' });
+    assert.equal(entries.length, 0);
+  });
+});
+
+describe('ownerStatement', () => {
+  it('lists an approved refund as a credit and the money sent back as a charge', async (t) => {
+    const paymentId = id();
+    t.mock.method(User, 'findById', () => query({ _id: ownerId, username: 'owner' }));
+    t.mock.method(PaymentPlan, 'find', () => query([]));
+    t.mock.method(Payment, 'find', (filter) => query(filter.owner ? [{
+      _id: paymentId,
+      apartment: apartmentId,
+      createdAt: day('2025-03-01'),
+      billingPeriod: '2025-03',
+      items: [],
+      totalAmount: 300000,
+      amountPaid: 300000,
+      paymentStatus: 'completed',
+      paymentMethod: 'bank_transfer'
+    }] : []));
+    t.mock.method(Receipt, 'find', () => query([
+      { _id: id(), receivedAt: day('2025-03-05'), amount: 300000, method: 'bank_transfer' }
+    ]));
+    t.mock.method(Refund, 'find', () => query([{
+      _id: id(),
+      payment: paymentId,
+      amount: 50000,
+      reason: 'Double charged parking',
+      method: 'bank_transfer',
+      reference: 'TRF-9',
+      review: { at: day('2025-03-20') }
+    }]));
+
+    const statement = await ownerStatement(ownerId, { to: day('2025-03-31') });
+
+    assert.deepEqual(statement.charges.map(line => [line.description, line.amount]), [
+      ['Invoice 2025-03', 300000],
+      ['Refund paid (bank_transfer) TRF-9', 50000]
+    ]);
+    assert.deepEqual(statement.payments.map(line => [line.description, line.amount]), [
+      ['Receipt (bank_transfer)', 300000],
+      ['Refund: Double charged parking', 50000]
+    ]);
+    assert.equal(statement.closingBalance, 0);
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import BankStatement from '../src/models/BankStatement.js';
+import Receipt from '../src/models/Receipt.js';
+import User from '../src/models/User.js';
+import { Payment } from '../src/models/Payment.js';
+import { parseAmount, parseStatement } from '../src/services/bankStatementParser.js';
+import { importStatement, confirmDeposit } from '../src/services/bankReconciliationService.js';
+import { query, fakeTransactions, fakeLedger } from './helpers/mongo.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const CSV = [
+  'Banco de Prueba - Extracto julio',
+  'Fecha;Descripción;Referencia;Valor;Documento',
+  '05/07/2025;Pago administracion;VAL-AAA111;1.200.000,00;',
+  '06/07/2025;Transferencia NIT 900.123.456;;850.000;',
+  '07/07/2025;Consignacion;;850.000;',
+  '08/07/2025;Comision;;-12.000;',
+  '09/07/2025;Pago VAL-AAA111 otra vez;;1.200.000,00;'
+].join('\n');
+
+const file = { buffer: Buffer.from(CSV), originalname: 'julio.csv' };
+
+const openPayment = (referenceNumber, balance, documentNumber) => ({
+  _id: id(),
+  owner: { _id: id(), profile: { documentNumber } },
+  referenceNumber,
+  totalAmount: balance,
+  amountPaid: 0,
+  dueDate: new Date('2025-07-10T00:00:00Z')
+});
+
+describe('bank statement parsing', () => {
+  it('reads amounts in local and international formats', () => {
+    assert.equal(parseAmount('1.234.567,89'), 1234567.89);
+    assert.equal(parseAmount('1,234,567.89'), 1234567.89);
+    assert.equal(parseAmount('$ 150.000'), 150000);
+    assert.equal(parseAmount('(2.500,00)'), -2500);
+    assert.equal(parseAmount('-300'), -300);
+    assert.equal(parseAmount(''), null);
+  });
+
+  it('finds the header below title lines, keeps deposits and skips debits', () => {
+    const parsed = parseStatement(file.buffer, { fileName: file.originalname });
+
+    assert.equal(parsed.format, 'csv');
+    assert.equal(parsed.skipped, 1);
+    assert.deepEqual(parsed.entries.map(entry => [entry.date.toISOString().slice(0, 10), entry.amount, entry.reference, entry.payerDocument]), [
+      ['2025-07-05', 1200000, 'VAL-AAA111', undefined],
+      ['2025-07-06', 850000, undefined, '900123456'],
+      ['2025-07-07', 850000, undefined, undefined],
+      ['2025-07-09', 1200000, undefined, undefined]
+    ]);
+    assert.equal(new Set(parsed.entries.map(entry => entry.key)).size, 4);
+  });
+});
+
+describe('importStatement', () => {
+  const stubImport = (t, payments, imported = []) => {
+    t.mock.method(BankStatement, 'aggregate', () => query(imported.map(key => ({ _id: key }))));
+    t.mock.method(Payment, 'find', () => query(payments));
+    t.mock.method(BankStatement.prototype, 'save', async function() {
+      return this;
+    });
+  };
+
+  it('proposes payments by reference, or by payer document and amount, once each', async (t) => {
+    const byReference = openPayment('VAL-AAA111', 1200000, '1020304050');
+    const byDocument = openPayment('VAL-BBB222', 850000, '900123456');
+    const sameAmount = openPayment('VAL-CCC333', 850000, '52345678');
+    stubImport(t, [sameAmount, byDocument, byReference]);
+
+    const statement = await importStatement(file);
+
+    const proposals = statement.lines.map(line => (line.status === 'proposed'
+      ? [line.proposal.payment, [...line.proposal.reasons]]
+      : line.status));
+    assert.deepEqual(proposals, [
+      [byReference._id, ['reference', 'amount']],
+      [byDocument._id, ['document', 'amount']],
+      // The amount alone is not enough
+      'unmatched',
+      // The payment is already proposed for the first deposit
+      'unmatched'
+    ]);
+    assert.equal(statement.summary.skipped, 1);
+  });
+
+  it('refuses a statement whose deposits were all imported before', async (t) => {
+    const keys = parseStatement(file.buffer).entries.map(entry => entry.key);
+    stubImport(t, [], keys);
+
+    await assert.rejects(importStatement(file), { code: 'STATEMENT_ALREADY_IMPORTED' });
+  });
+
+  it('imports only the deposits not seen before', async (t) => {
+    const [first] = parseStatement(file.buffer).entries;
+    stubImport(t, [], [first.key]);
+
+    const statement = await importStatement(file);
+
+    assert.equal(statement.lines.length, 3);
+    assert.equal(statement.summary.duplicates, 1);
+  });
+});
+
+describe('confirmDeposit', () => {
+  it('records a bank transfer receipt for the payment and keeps the excess as credit', async (t) => {
+    fakeTransactions(t);
+    fakeLedger(t);
+    const payment = {
+      _id: id(),
+      owner: id(),
+      apartment: null,
+      totalAmount: 850000,
+      amountPaid: 0,
+      paymentStatus: 'pending',
+      async save() {
+        return this;
+      }
+    };
+    const statement = new BankStatement({
+      fileName: 'julio.csv',
+      format: 'csv',
+      lines: [{ key: 'line:1', date: new Date('2025-07-06T00:00:00Z'), amount: 900000, status: 'proposed', proposal: { payment: payment._id, score: 60, reasons: ['document', 'amount'] } }]
+    });
+    const receipts = [];
+    t.mock.method(BankStatement, 'findById', () => query(statement));
+    t.mock.method(BankStatement.prototype, 'save', async function() {
+      return this;
+    });
+    t.mock.method(Payment, 'findById', () => query(payment));
+    t.mock.method(Payment, 'find', () => query([payment]));
+    t.mock.method(User, 'exists', () => query(true));
+    t.mock.method(Receipt.prototype, 'save', async function() {
+      receipts.push(this);
+      return this;
+    });
+
+    const { deposit, receipt } = await confirmDeposit(statement._id, statement.lines[0]._id);
+
+    assert.equal(deposit.status, 'confirmed');
+    assert.equal(deposit.receipt, receipt._id);
+    assert.deepEqual([receipt.method, receipt.amount, receipt.credit], ['bank_transfer', 900000, 50000]);
+    assert.deepEqual(receipt.allocations.map(a => [a.payment, a.amount]), [[payment._id, 850000]]);
+    assert.equal(payment.amountPaid, 850000);
+    assert.equal(receipts.length, 1);
+
+    await assert.rejects(confirmDeposit(statement._id, statement.lines[0]._id), { code: 'DEPOSIT_ALREADY_RESOLVED' });
+  });
+});
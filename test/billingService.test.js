@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Apartment from '../src/models/Apartment.js';
+import Parking from '../src/models/Parking.js';
+import Lease from '../src/models/Lease.js';
+import Receipt from '../src/models/Receipt.js';
+import { Payment } from '../src/models/Payment.js';
+import { runBilling } from '../src/services/billingService.js';
+import { query, fakeTransactions, fakeLedger } from './helpers/mongo.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const apartment = (number, administrationFee = 300000) => ({
+  _id: id(),
+  number,
+  tower: id(),
+  ownerId: id(),
+  financial: { administrationFee },
+  charges: []
+});
+
+// Occupied apartments without leases or parking; those in `billed` already
+// have an invoice for the period
+const stubBuilding = (t, apartments, billed = []) => {
+  const created = [];
+  t.mock.method(Apartment, 'find', () => query(apartments));
+  t.mock.method(Apartment, 'findById', (apartmentId) => query(apartments.find(a => a._id.equals(apartmentId))));
+  t.mock.method(Apartment, 'updateOne', async () => ({}));
+  t.mock.method(Lease, 'findCurrentForApartment', () => query(null));
+  t.mock.method(Parking, 'find', () => query([]));
+  t.mock.method(Receipt, 'find', () => query([]));
+  t.mock.method(Payment, 'find', (filter) => query(filter.billingPeriod
+    ? billed.map(a => ({ apartment: a._id }))
+    : []));
+  t.mock.method(Payment, 'create', async ([data]) => {
+    const payment = { _id: id(), createdAt: new Date(), ...data };
+    created.push(payment);
+    return [payment];
+  });
+  return created;
+};
+
+describe('runBilling', () => {
+  it('bills each occupied apartment once per period and posts the invoice', async (t) => {
+    const [a101, a102] = [apartment('101'), apartment('102', 250000)];
+    const created = stubBuilding(t, [a101, a102]);
+    fakeTransactions(t);
+    const entries = fakeLedger(t);
+
+    const summary = await runBilling('2025-03');
+
+    assert.equal(summary.created, 2);
+    assert.equal(summary.totalAmount, 550000);
+    assert.deepEqual(created.map(p => [p.billingPeriod, p.owner, p.totalAmount]), [
+      ['2025-03', a101.ownerId, 300000],
+      ['2025-03', a102.ownerId, 250000]
+    ]);
+    assert.deepEqual(entries.map(e => e.sourceKey), created.map(p => `payment:${p._id}:issued`));
+  });
+
+  it('skips apartments already billed for the period when run again', async (t) => {
+    const [a101, a102] = [apartment('101'), apartment('102')];
+    const created = stubBuilding(t, [a101, a102], [a101]);
+    fakeTransactions(t);
+    fakeLedger(t);
+
+    const summary = await runBilling('2025-03');
+
+    assert.equal(summary.created, 1);
+    assert.equal(summary.skipped, 1);
+    assert.deepEqual(summary.apartments.map(a => [a.number, a.status, a.reason]), [
+      ['101', 'skipped', 'already_billed'],
+      ['102', 'created', undefined]
+    ]);
+    assert.deepEqual(created.map(p => p.apartment), [a102._id]);
+  });
+
+  it('reports an invoice created by a concurrent run as already billed', async (t) => {
+    stubBuilding(t, [apartment('101')]);
+    fakeTransactions(t);
+    fakeLedger(t);
+    t.mock.method(Payment, 'create', async () => {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    });
+
+    const summary = await runBilling('2025-03');
+
+    assert.equal(summary.failed, 0);
+    assert.deepEqual(summary.apartments.map(a => [a.status, a.reason]), [['skipped', 'already_billed']]);
+  });
+
+  it('previews a dry run without writing', async (t) => {
+    const created = stubBuilding(t, [apartment('101')]);
+
+    const summary = await runBilling('2025-03', { dryRun: true });
+
+    assert.equal(summary.apartments[0].status, 'preview');
+    assert.equal(summary.apartments[0].totalAmount, 300000);
+    assert.equal(created.length, 0);
+  });
+
+  it('rejects a malformed period', async () => {
+    await assert.rejects(runBilling('2025-13'), { status: 400 });
+  });
+});
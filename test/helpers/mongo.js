@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+import { JournalEntry, LedgerAccount } from '../../src/models/Ledger.js';
+
+// =====================================
+// DATABASE STAND-INS
+// =====================================
+// The tests run without a MongoDB server: model statics are replaced with
+// t.mock.method(Model, 'find', () => query(rows)) and restored after each test.
+
+// A query that accepts any chained call (select, sort, session, lean,
+// populate...) and resolves to `value`
+export const query = (value) => {
+  const chain = new Proxy({}, {
+    get(target, property) {
+      if (property === 'then') {
+        return (resolve, reject) => Promise.resolve(value).then(resolve, reject);
+      }
+      if (property === 'exec') return () => Promise.resolve(value);
+      return () => chain;
+    }
+  });
+  return chain;
+};
+
+// runInTransaction without a replica set. The work runs `attempts` times, as
+// withTransaction does when a transient error forces a retry. Returns the
+// sessions started, each with the number of attempts made.
+export const fakeTransactions = (t, { attempts = 1 } = {}) => {
+  const sessions = [];
+  t.mock.method(mongoose, 'startSession', async () => {
+    const session = {
+      attempts: 0,
+      ended: false,
+      async withTransaction(work) {
+        for (let i = 0; i < attempts; i++) {
+          session.attempts++;
+          await work();
+        }
+      },
+      async endSession() {
+        session.ended = true;
+      }
+    };
+    sessions.push(session);
+    return session;
+  });
+  return sessions;
+};
+
+// Journal entries posted through ledgerService, with the session each was
+// written in
+export const fakeLedger = (t) => {
+  const entries = [];
+  t.mock.method(LedgerAccount, 'ensureChart', async () => {});
+  t.mock.method(JournalEntry, 'findOne', (filter) => query(entries.find(entry => entry.sourceKey === filter.sourceKey) || null));
+  t.mock.method(JournalEntry, 'create', async ([data], { session } = {}) => {
+    const entry = { _id: new mongoose.Types.ObjectId(), ...data, session };
+    entries.push(entry);
+    return [entry];
+  });
+  return entries;
+};
+
+export default { query, fakeTransactions, fakeLedger };
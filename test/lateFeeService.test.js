@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { JournalEntry } from '../src/models/Ledger.js';
+import { Payment } from '../src/models/Payment.js';
+import { lateFeePolicy, computeAccrual, accruePayment } from '../src/services/lateFeeService.js';
+import { fakeTransactions, fakeLedger } from './helpers/mongo.js';
+
+const day = (value) => new Date(`${value}T00:00:00Z`);
+
+const policy = lateFeePolicy({ graceDays: 5, monthlyInterestRate: 0.015, usuryAnnualRate: 0.25, flatPenalty: 0 });
+
+const overdue = (data = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  totalAmount: 1000000,
+  amountPaid: 0,
+  paymentStatus: 'pending',
+  dueDate: day('2025-03-10'),
+  items: [{ description: 'Administration fee', amount: 1000000, category: 'maintenance' }],
+  ...data
+});
+
+describe('lateFeePolicy', () => {
+  it('caps the monthly rate at the monthly equivalent of the usury rate', () => {
+    const capped = lateFeePolicy({ monthlyInterestRate: 0.03, usuryAnnualRate: 0.25 });
+
+    assert.equal(capped.usuryMonthlyRate, 0.018769);
+    assert.equal(capped.effectiveMonthlyRate, 0.018769);
+    assert.equal(policy.effectiveMonthlyRate, 0.015);
+  });
+});
+
+describe('computeAccrual', () => {
+  it('charges nothing within the grace period', () => {
+    assert.equal(computeAccrual(overdue(), day('2025-03-15'), policy), null);
+  });
+
+  it('charges daily interest from the due date once the grace period is over', () => {
+    const accrual = computeAccrual(overdue(), day('2025-04-09'), policy);
+
+    assert.deepEqual(accrual, {
+      from: day('2025-03-10'),
+      to: day('2025-04-09'),
+      days: 30,
+      monthlyRate: 0.015,
+      principal: 1000000,
+      interest: 15000,
+      penalty: 0
+    });
+  });
+
+  it('charges the flat penalty once', () => {
+    const withPenalty = lateFeePolicy({ ...policy, flatPenalty: 20000 });
+
+    assert.equal(computeAccrual(overdue(), day('2025-03-20'), withPenalty).penalty, 20000);
+    assert.equal(computeAccrual(overdue({
+      lateFees: { accruedThrough: day('2025-03-20'), penaltyApplied: true, total: 25000 }
+    }), day('2025-03-21'), withPenalty).penalty, 0);
+  });
+
+  it('never charges a day twice', () => {
+    const payment = overdue({ lateFees: { accruedThrough: day('2025-04-09'), total: 15000 } });
+
+    assert.equal(computeAccrual(payment, day('2025-04-09'), policy), null);
+    assert.equal(computeAccrual(payment, day('2025-04-19'), policy).from.getTime(), day('2025-04-09').getTime());
+  });
+
+  it('charges interest on the unpaid principal only, with partial payments settling fees first', () => {
+    const payment = overdue({
+      totalAmount: 1015000,
+      amountPaid: 215000,
+      paymentStatus: 'partial',
+      lateFees: { accruedThrough: day('2025-04-09'), total: 15000 }
+    });
+
+    const accrual = computeAccrual(payment, day('2025-05-09'), policy);
+
+    assert.equal(accrual.principal, 800000);
+    assert.equal(accrual.interest, 12000);
+  });
+
+  it('skips payments under a payment plan and settled payments', () => {
+    assert.equal(computeAccrual(overdue({ paymentPlan: new mongoose.Types.ObjectId() }), day('2025-05-01'), policy), null);
+    assert.equal(computeAccrual(overdue({ paymentStatus: 'completed' }), day('2025-05-01'), policy), null);
+  });
+});
+
+describe('accruePayment', () => {
+  it('charges the payment and posts the ledger entry in the same transaction', async (t) => {
+    const sessions = fakeTransactions(t);
+    const entries = fakeLedger(t);
+    const update = t.mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const payment = overdue();
+
+    const accrual = await accruePayment(payment, day('2025-04-09'));
+
+    assert.equal(accrual.interest, 15000);
+    assert.equal(sessions.length, 1);
+    const [filter, change, options] = update.mock.calls[0].arguments;
+    assert.equal(filter['lateFees.accruedThrough'], null);
+    assert.deepEqual(change.$inc, { totalAmount: 15000, 'lateFees.total': 15000 });
+    assert.equal(options.session, sessions[0]);
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].session, sessions[0]);
+    assert.equal(entries[0].sourceKey, `payment:${payment._id}:late:2025-04-09T00:00:00.000Z`);
+  });
+
+  it('posts nothing when another run charged the payment first', async (t) => {
+    fakeTransactions(t);
+    const entries = fakeLedger(t);
+    t.mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+    assert.equal(await accruePayment(overdue(), day('2025-04-09')), null);
+    assert.equal(entries.length, 0);
+  });
+
+  it('fails the transaction when the ledger entry cannot be posted', async (t) => {
+    fakeTransactions(t);
+    fakeLedger(t);
+    t.mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 1 }));
+    t.mock.method(JournalEntry, 'create', async () => {
+      throw new Error('write conflict');
+    });
+
+    await assert.rejects(accruePayment(overdue(), day('2025-04-09')), /write conflict/);
+  });
+});
@@ -0,0 +1,168 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import GatewayEvent from '../src/models/GatewayEvent.js';
+import Receipt from '../src/models/Receipt.js';
+import User from '../src/models/User.js';
+import { Payment } from '../src/models/Payment.js';
+import paymentGatewayConfig from '../src/config/paymentGateway.js';
+import { getGateway } from '../src/services/gateways/index.js';
+import { SIGNATURE_HEADER, signPayload, verifySignature } from '../src/services/gateways/signature.js';
+import { handleWebhook } from '../src/services/paymentGatewayService.js';
+import { query, fakeTransactions, fakeLedger } from './helpers/mongo.js';
+
+// The mock provider, with its checkouts in a temporary file
+const storeFile = path.join(os.tmpdir(), `gateway-test-${process.pid}.json`);
+Object.assign(paymentGatewayConfig, { provider: 'mock', secret: 'test-secret', environment: 'development' });
+paymentGatewayConfig.mock.storeFile = storeFile;
+
+after(() => fs.rm(storeFile, { force: true }));
+
+describe('webhook signatures', () => {
+  const body = JSON.stringify({ id: 'evt_1' });
+
+  it('accepts a fresh signature of the exact body', () => {
+    assert.equal(verifySignature('secret', body, signPayload('secret', body), 300), true);
+  });
+
+  it('rejects a changed body, another secret, an old timestamp and malformed headers', () => {
+    const old = Math.floor(Date.now() / 1000) - 600;
+
+    assert.equal(verifySignature('secret', `${body} `, signPayload('secret', body), 300), false);
+    assert.equal(verifySignature('secret', body, signPayload('other', body), 300), false);
+    assert.equal(verifySignature('secret', body, signPayload('secret', body, old), 300), false);
+    assert.equal(verifySignature('secret', body, 'v1=abc', 300), false);
+    assert.equal(verifySignature('secret', body, undefined, 300), false);
+  });
+});
+
+describe('handleWebhook', () => {
+  const gateway = getGateway();
+
+  const openCheckout = async () => {
+    const reference = `VAL-${crypto.randomBytes(4).toString('hex')}`;
+    const { checkoutId } = await gateway.createCheckout({
+      reference,
+      amount: 120000,
+      currency: 'COP',
+      description: 'Invoice 2025-03',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    return { reference, checkoutId };
+  };
+
+  const signed = (data) => {
+    const body = JSON.stringify({ id: `evt_${crypto.randomBytes(4).toString('hex')}`, type: `checkout.${data.status}`, data });
+    return { body, headers: { [SIGNATURE_HEADER]: signPayload(paymentGatewayConfig.secret, body) } };
+  };
+
+  // The payment behind the checkout. Every load returns the stored state, as
+  // a retried transaction would read it after the failed attempt rolled back.
+  const stubPayment = (t, { reference, checkoutId }) => {
+    const stored = {
+      _id: new mongoose.Types.ObjectId(),
+      owner: new mongoose.Types.ObjectId(),
+      apartment: null,
+      referenceNumber: reference,
+      totalAmount: 120000,
+      amountPaid: 0,
+      paymentStatus: 'pending',
+      gateway: { provider: 'mock', checkoutId, status: 'pending', amount: 120000 }
+    };
+    const receipts = [];
+    const events = [];
+
+    t.mock.method(Payment, 'find', () => query([{
+      ...stored,
+      gateway: { ...stored.gateway },
+      async save() {
+        return this;
+      }
+    }]));
+    t.mock.method(User, 'exists', () => query(true));
+    t.mock.method(Receipt.prototype, 'save', async function() {
+      receipts.push(this);
+      return this;
+    });
+    t.mock.method(GatewayEvent, 'findOne', () => query(null));
+    t.mock.method(GatewayEvent, 'create', async ([data]) => {
+      events.push(data);
+      return [data];
+    });
+    fakeLedger(t);
+    return { receipts, events };
+  };
+
+  it('refuses a webhook whose signature does not match', async (t) => {
+    const create = t.mock.method(GatewayEvent, 'create', async () => []);
+    const { body } = signed({ reference: 'VAL-1', status: 'succeeded' });
+
+    await assert.rejects(async () => handleWebhook(Buffer.from(body), { [SIGNATURE_HEADER]: signPayload('wrong', body) }), {
+      code: 'INVALID_SIGNATURE'
+    });
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it('captures an authorized checkout once, outside the transaction, when the transaction is retried', async (t) => {
+    const checkout = await openCheckout();
+    const { receipts, events } = stubPayment(t, checkout);
+    const sessions = fakeTransactions(t, { attempts: 2 });
+    const { capture: original } = gateway;
+    const capture = t.mock.method(gateway, 'capture', (checkoutId) => {
+      assert.equal(sessions.length, 0, 'captured inside a transaction');
+      return original(checkoutId);
+    });
+    const { body, headers } = await gateway.simulate(checkout.checkoutId, 'authorized');
+
+    const result = await handleWebhook(Buffer.from(body), headers);
+
+    assert.equal(result.outcome, 'applied');
+    assert.equal(capture.mock.callCount(), 1);
+    assert.equal(sessions[0].attempts, 2);
+    assert.equal((await gateway.getCheckout(checkout.checkoutId)).status, 'succeeded');
+    // One receipt per attempt; only the last attempt commits
+    assert.deepEqual(receipts.map(r => [r.amount, r.method]), [[120000, 'online'], [120000, 'online']]);
+    assert.deepEqual(events.map(e => e.outcome), ['applied', 'applied']);
+  });
+
+  it('records the amount the gateway confirms, not the one in the event', async (t) => {
+    const checkout = await openCheckout();
+    const { receipts } = stubPayment(t, checkout);
+    fakeTransactions(t);
+    await gateway.simulate(checkout.checkoutId, 'succeeded');
+    const { body, headers } = signed({ ...checkout, status: 'succeeded', amount: 1 });
+
+    await handleWebhook(Buffer.from(body), headers);
+
+    assert.deepEqual(receipts.map(r => r.amount), [120000]);
+  });
+
+  it('ignores a success the gateway does not confirm', async (t) => {
+    const checkout = await openCheckout();
+    const { receipts, events } = stubPayment(t, checkout);
+    fakeTransactions(t);
+    const { body, headers } = signed({ ...checkout, status: 'succeeded', amount: 120000 });
+
+    const result = await handleWebhook(Buffer.from(body), headers);
+
+    assert.equal(result.outcome, 'ignored');
+    assert.equal(receipts.length, 0);
+    assert.deepEqual(events.map(e => e.outcome), ['ignored']);
+  });
+
+  it('answers a redelivered event from the stored one', async (t) => {
+    const checkout = await openCheckout();
+    const { body, headers } = await gateway.simulate(checkout.checkoutId, 'authorized');
+    t.mock.method(GatewayEvent, 'findOne', () => query({ outcome: 'applied', payment: null }));
+    const capture = t.mock.method(gateway, 'capture');
+
+    const result = await handleWebhook(Buffer.from(body), headers);
+
+    assert.deepEqual(result, { duplicate: true, outcome: 'applied', payment: null });
+    assert.equal(capture.mock.callCount(), 0);
+  });
+});
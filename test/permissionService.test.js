@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPermissionSet, hasPermission, hasModuleAccess } from '../src/services/permissionService.js';
+
+const permission = (name, isActive = true) => ({ name, category: name.split('_')[1], isActive });
+
+const role = (modules, extra = {}) => ({
+  _id: '64b000000000000000000001',
+  name: 'Operator',
+  type: 'custom',
+  level: 50,
+  isActive: true,
+  modules,
+  ...extra
+});
+
+describe('buildPermissionSet', () => {
+  it('grants the permissions and modules of active entries', () => {
+    const set = buildPermissionSet(role([
+      { module: { name: 'Payments', path: '/payments', isActive: true }, permissions: [permission('read_payments')] }
+    ]));
+
+    assert.ok(hasPermission(set, 'read_payments'));
+    assert.ok(hasModuleAccess(set, 'payments'));
+  });
+
+  it('ignores inactive permissions', () => {
+    const set = buildPermissionSet(role([
+      { module: { name: 'Payments', isActive: true }, permissions: [permission('read_payments'), permission('update_payments', false)] }
+    ]));
+
+    assert.ok(hasPermission(set, 'read_payments'));
+    assert.ok(!hasPermission(set, 'update_payments'));
+  });
+
+  it('ignores an inactive module and every permission listed under it', () => {
+    const set = buildPermissionSet([
+      role([
+        { module: { name: 'Reports', path: '/reports', isActive: false }, permissions: [permission('read_reports')] }
+      ]),
+      role([
+        { module: { name: 'Payments', isActive: false }, permissions: [permission('read_payments')] }
+      ], { name: 'Parent' })
+    ]);
+
+    assert.ok(!hasPermission(set, 'read_reports'));
+    assert.ok(!hasPermission(set, 'read_payments'));
+    assert.ok(!hasModuleAccess(set, 'reports'));
+    assert.equal(set.modules.size, 0);
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Apartment from '../src/models/Apartment.js';
+import Counter from '../src/models/Counter.js';
+import Tower from '../src/models/Tower.js';
+import { Payment } from '../src/models/Payment.js';
+import documentsConfig from '../src/config/documents.js';
+import { verificationCode, verifyReceipt } from '../src/services/receiptPdfService.js';
+import { query, fakeTransactions } from './helpers/mongo.js';
+
+const id = () => new mongoose.Types.ObjectId();
+const year = new Date().getFullYear();
+
+documentsConfig.verificationSecret = 'test-secret';
+
+// Runs the payment's save middleware (receipt numbering included) without
+// writing anything
+const runSaveHooks = (payment) => new Promise((resolve, reject) => {
+  Payment.schema.s.hooks.execPre('save', payment, [], error => (error ? reject(error) : resolve(payment)));
+});
+
+// Counter.next backed by an in-memory sequence, recording the sessions used
+const stubCounter = (t) => {
+  const sequences = new Map();
+  const calls = [];
+  t.mock.method(Counter, 'findOneAndUpdate', async ({ _id: key }, update, { session }) => {
+    sequences.set(key, (sequences.get(key) || 0) + 1);
+    calls.push({ key, session });
+    return { _id: key, seq: sequences.get(key) };
+  });
+  return calls;
+};
+
+const payment = (data = {}) => new Payment({
+  owner: id(),
+  tower: id(),
+  totalAmount: 100000,
+  paymentMethod: 'cash',
+  paymentStatus: 'completed',
+  ...data
+});
+
+describe('receipt numbering', () => {
+  it('numbers completed payments per tower and year', async (t) => {
+    const calls = stubCounter(t);
+    const first = payment();
+    t.mock.method(Tower, 'findById', () => query({ _id: first.tower, name: 'Torre Á' }));
+
+    await runSaveHooks(first);
+    const second = await runSaveHooks(payment({ tower: first.tower }));
+
+    assert.equal(first.receiptNumber, `REC-TORREA-${year}-000001`);
+    assert.equal(second.receiptNumber, `REC-TORREA-${year}-000002`);
+    assert.deepEqual(calls.map(call => call.key), [`receipt:${first.tower}:${year}`, `receipt:${first.tower}:${year}`]);
+  });
+
+  it('finds the tower through the apartment, and uses a general sequence without one', async (t) => {
+    const calls = stubCounter(t);
+    const towerId = id();
+    t.mock.method(Apartment, 'findById', () => query({ tower: towerId }));
+    t.mock.method(Tower, 'findById', () => query({ _id: towerId, name: 'B' }));
+
+    const viaApartment = await runSaveHooks(payment({ tower: null, apartment: id() }));
+    const general = await runSaveHooks(payment({ tower: null }));
+
+    assert.equal(viaApartment.receiptNumber, `REC-B-${year}-000001`);
+    assert.equal(general.receiptNumber, `REC-GEN-${year}-000001`);
+    assert.deepEqual(calls.map(call => call.key), [`receipt:${towerId}:${year}`, `receipt:general:${year}`]);
+  });
+
+  it('leaves invoices and numbered receipts alone', async (t) => {
+    const calls = stubCounter(t);
+
+    const invoice = await runSaveHooks(payment({ tower: null, paymentStatus: 'pending' }));
+    const numbered = await runSaveHooks(payment({ tower: null, receiptNumber: 'REC-GEN-2024-000007' }));
+
+    assert.equal(invoice.receiptNumber, undefined);
+    assert.equal(numbered.receiptNumber, 'REC-GEN-2024-000007');
+    assert.equal(calls.length, 0);
+  });
+
+  it('takes the number inside the transaction of markAsCompleted, again on every attempt', async (t) => {
+    const calls = stubCounter(t);
+    const sessions = fakeTransactions(t, { attempts: 2 });
+    const pending = payment({ tower: null, paymentStatus: 'pending' });
+    t.mock.method(pending, 'save', function({ session }) {
+      this.$session(session);
+      return runSaveHooks(this);
+    });
+
+    await pending.markAsCompleted();
+
+    assert.equal(pending.paymentStatus, 'completed');
+    assert.deepEqual(calls.map(call => call.session), [sessions[0], sessions[0]]);
+    assert.equal(pending.receiptNumber, `REC-GEN-${year}-000002`);
+  });
+});
+
+describe('receipt verification', () => {
+  it('signs each receipt number with a short code', () => {
+    const code = verificationCode('REC-TORREA-2025-000001');
+
+    assert.match(code, /^[0-9a-f]{16}$/);
+    assert.equal(verificationCode('REC-TORREA-2025-000001'), code);
+    assert.notEqual(verificationCode('REC-TORREA-2025-000002'), code);
+  });
+
+  it('answers a wrong code like an unknown receipt, without looking it up', async (t) => {
+    const findOne = t.mock.method(Payment, 'findOne', () => query(null));
+
+    await assert.rejects(verifyReceipt('REC-TORREA-2025-000001', '0123456789abcdef'), { status: 404 });
+    await assert.rejects(verifyReceipt('REC-TORREA-2025-000001', verificationCode('REC-TORREA-2025-000001')), { status: 404 });
+    assert.equal(findOne.mock.callCount(), 1);
+  });
+
+  it('confirms a receipt with its code', async (t) => {
+    t.mock.method(Payment, 'findOne', () => query({
+      receiptNumber: 'REC-TORREA-2025-000001',
+      paymentStatus: 'completed',
+      totalAmount: 100000,
+      refundedAmount: 0,
+      tower: { name: 'Torre A' },
+      apartment: { number: '101' }
+    }));
+
+    const receipt = await verifyReceipt('REC-TORREA-2025-000001', verificationCode('REC-TORREA-2025-000001'));
+
+    assert.deepEqual([receipt.receiptNumber, receipt.totalAmount, receipt.tower, receipt.apartment], [
+      'REC-TORREA-2025-000001', 100000, 'Torre A', '101'
+    ]);
+  });
+
+  it('answers 503 without a verification secret', async (t) => {
+    t.after(() => { documentsConfig.verificationSecret = 'test-secret'; });
+    documentsConfig.verificationSecret = undefined;
+
+    assert.throws(() => verificationCode('REC-TORREA-2025-000001'), { status: 503, code: 'RECEIPT_VERIFICATION_UNAVAILABLE' });
+    await assert.rejects(verifyReceipt('REC-TORREA-2025-000001', 'x'), { status: 503 });
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Refund from '../src/models/Refund.js';
+import { Payment } from '../src/models/Payment.js';
+import paymentGatewayConfig from '../src/config/paymentGateway.js';
+import { registerGateway } from '../src/services/gateways/index.js';
+import { ACCOUNTS } from '../src/services/ledgerService.js';
+import { approveRefund, rejectRefund } from '../src/services/refundService.js';
+import { query, fakeTransactions, fakeLedger } from './helpers/mongo.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Gateway calls are recorded with whether a transaction was open at the time
+const gatewayCalls = [];
+let failNextRefund = false;
+let openSessions = [];
+
+paymentGatewayConfig.secret = 'test-secret';
+registerGateway('test', () => ({
+  name: 'test',
+  async refund(transactionId, amount, { idempotencyKey }) {
+    gatewayCalls.push({ transactionId, amount, idempotencyKey, inTransaction: openSessions.some(s => !s.ended) });
+    if (failNextRefund) {
+      failNextRefund = false;
+      throw new Error('gateway timeout');
+    }
+    return { refundId: `rf_${idempotencyKey}`, status: 'succeeded' };
+  }
+}));
+
+const saved = (data) => ({
+  ...data,
+  async save() {
+    return this;
+  }
+});
+
+// A completed online payment and a pending refund request for `amount` of it
+const stubRefund = (t, amount, others = []) => {
+  gatewayCalls.length = 0;
+  openSessions = fakeTransactions(t);
+  const entries = fakeLedger(t);
+
+  const payment = saved({
+    _id: id(),
+    owner: id(),
+    apartment: null,
+    totalAmount: 200000,
+    refundedAmount: 0,
+    paymentStatus: 'completed',
+    paymentMethod: 'online',
+    gateway: { provider: 'test', transactionId: 'tx_1' }
+  });
+  const refund = saved({
+    _id: id(),
+    payment: payment._id,
+    amount,
+    reason: 'Charged twice',
+    method: 'online',
+    status: 'pending'
+  });
+
+  t.mock.method(Payment, 'findById', () => query(payment));
+  t.mock.method(Refund, 'findById', () => query(refund));
+  t.mock.method(Refund, 'find', (filter) => query(others.filter(other => other.status === filter.status)));
+  return { payment, refund, entries };
+};
+
+describe('approveRefund', () => {
+  it('refunds at the gateway outside any transaction and records the result', async (t) => {
+    const { payment, refund, entries } = stubRefund(t, 200000);
+
+    const approved = await approveRefund(refund._id, { notes: 'ok' });
+
+    assert.deepEqual(gatewayCalls, [
+      { transactionId: 'tx_1', amount: 200000, idempotencyKey: refund._id.toString(), inTransaction: false }
+    ]);
+    assert.equal(openSessions.length, 2);
+    assert.equal(approved.status, 'approved');
+    assert.equal(approved.reference, `rf_${refund._id}`);
+    assert.equal(payment.refundedAmount, 200000);
+    assert.equal(payment.paymentStatus, 'refunded');
+    assert.deepEqual(entries.map(e => [e.sourceKey, e.lines.map(line => line.account)]), [
+      [`refund:${refund._id}`, [ACCOUNTS.refunds, ACCOUNTS.bank]]
+    ]);
+  });
+
+  it('leaves the refund processing when the gateway fails, and finishes it when approved again', async (t) => {
+    const { payment, refund, entries } = stubRefund(t, 50000);
+    failNextRefund = true;
+
+    await assert.rejects(approveRefund(refund._id), /gateway timeout/);
+    assert.equal(refund.status, 'processing');
+    assert.equal(payment.refundedAmount, 0);
+    assert.equal(entries.length, 0);
+
+    await approveRefund(refund._id);
+
+    assert.equal(refund.status, 'approved');
+    assert.deepEqual(gatewayCalls.map(call => call.idempotencyKey), [refund._id.toString(), refund._id.toString()]);
+    assert.equal(payment.refundedAmount, 50000);
+    assert.equal(payment.paymentStatus, 'completed');
+    assert.equal(entries.length, 1);
+  });
+
+  it('refuses a refund that other processing refunds no longer leave room for', async (t) => {
+    const { refund } = stubRefund(t, 150000, [{ amount: 100000, status: 'processing' }]);
+
+    await assert.rejects(approveRefund(refund._id), { code: 'REFUND_EXCEEDS_BALANCE' });
+    assert.equal(refund.status, 'pending');
+    assert.equal(gatewayCalls.length, 0);
+  });
+});
+
+describe('rejectRefund', () => {
+  it('only rejects pending refunds', async (t) => {
+    const { refund } = stubRefund(t, 50000);
+    refund.status = 'processing';
+
+    await assert.rejects(rejectRefund(refund._id), { code: 'REFUND_NOT_PENDING' });
+    assert.equal(refund.status, 'processing');
+  });
+});
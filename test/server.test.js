@@ -0,0 +1,50 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+// Production settings with no payment gateway and no receipt secret
+// configured. Only MongoDB is replaced: startServer connects without a
+// database server.
+process.env.NODE_ENV = 'production';
+process.env.PORT = '0';
+process.env.JWT_SECRET = '';
+process.env.RECEIPT_VERIFICATION_SECRET = '';
+process.env.PAYMENT_GATEWAY_PROVIDER = '';
+process.env.PAYMENT_GATEWAY_SECRET = '';
+
+describe('server startup', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    mongoose.connect = async () => mongoose;
+    const { startServer } = await import('../app.js');
+    server = await startServer();
+    if (!server.listening) await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('starts in production without a payment gateway or receipt secret', async () => {
+    const res = await fetch(`${baseUrl}/health`);
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).environment, 'production');
+  });
+
+  it('answers 503 on the webhook instead', async () => {
+    const res = await fetch(`${baseUrl}/api/payments/webhook`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ id: 'evt_1' })
+    });
+    assert.equal(res.status, 503);
+    assert.equal((await res.json()).code, 'PAYMENT_GATEWAY_UNAVAILABLE');
+  });
+
+  it('answers 503 on receipt verification instead', async () => {
+    const res = await fetch(`${baseUrl}/api/payments/verify/REC-T1-2025-000001?code=0123456789abcdef`);
+    assert.equal(res.status, 503);
+    assert.equal((await res.json()).code, 'RECEIPT_VERIFICATION_UNAVAILABLE');
+  });
+});